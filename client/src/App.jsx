@@ -4,6 +4,12 @@ import { BrowserRouter } from 'react-router-dom';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import UnlockAccount from './pages/UnlockAccount';
+import AdminConsole from './pages/AdminConsole';
+import OAuthConsent from './pages/OAuthConsent';
 import ProtectedRoute from './components/ProtectedRoute';
 
 function App() {
@@ -14,6 +20,10 @@ function App() {
           {/* Public Routes */}
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route path="/unlock-account" element={<UnlockAccount />} />
 
           {/* Protected Routes */}
           <Route
@@ -25,6 +35,26 @@ function App() {
             }
           />
 
+          {/* Sign in to another app with this account (OpenID Connect consent) */}
+          <Route
+            path="/oauth/authorize"
+            element={
+              <ProtectedRoute>
+                <OAuthConsent />
+              </ProtectedRoute>
+            }
+          />
+
+          {/* Support staff and admins only */}
+          <Route
+            path="/admin"
+            element={
+              <ProtectedRoute roles={['support', 'admin']}>
+                <AdminConsole />
+              </ProtectedRoute>
+            }
+          />
+
           {/* Default redirect */}
           <Route path="/" element={<Navigate to="/dashboard" replace />} />
 
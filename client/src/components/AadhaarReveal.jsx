@@ -0,0 +1,196 @@
+import { useState, useEffect } from 'react';
+import { revealAadhaar } from '../services/authService';
+
+const CODE_RULE = /^\d{6}$/;
+
+/**
+ * Format a 12-digit Aadhaar number in groups of four for readability
+ */
+const formatAadhaar = (aadhaar) => aadhaar.replace(/^(\d{4})(\d{4})(\d{4})$/, '$1 $2 $3');
+
+/**
+ * AadhaarReveal Component
+ * Shows the masked Aadhaar number from the server. The full number is only fetched after
+ * the user confirms their password (or an authenticator code), and is dropped again when
+ * the server-provided expiry passes.
+ * @param {string} maskedAadhaar - Masked number from the profile, e.g. "XXXX XXXX 1234"
+ */
+const AadhaarReveal = ({ maskedAadhaar }) => {
+  const [revealed, setRevealed] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  const [confirming, setConfirming] = useState(false);
+  const [useCode, setUseCode] = useState(false);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [formError, setFormError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  /**
+   * Count down to the expiry and forget the number when it is reached
+   */
+  useEffect(() => {
+    if (!revealed) {
+      return undefined;
+    }
+
+    const tick = () => {
+      const remaining = Math.ceil((new Date(revealed.expiresAt).getTime() - Date.now()) / 1000);
+      if (remaining <= 0) {
+        setRevealed(null);
+        setSecondsLeft(0);
+      } else {
+        setSecondsLeft(remaining);
+      }
+    };
+
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [revealed]);
+
+  /**
+   * Open or close the confirmation form
+   */
+  const resetForm = (open) => {
+    setConfirming(open);
+    setUseCode(false);
+    setPassword('');
+    setCode('');
+    setFormError(null);
+  };
+
+  /**
+   * Hide the full number straight away
+   */
+  const handleHide = () => {
+    setRevealed(null);
+    setSecondsLeft(0);
+  };
+
+  /**
+   * Handle confirmation submit
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+
+    if (useCode && !CODE_RULE.test(code.trim())) {
+      setFormError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+    if (!useCode && !password) {
+      setFormError('Password is required');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await revealAadhaar(useCode ? { code: code.trim() } : { password });
+      const { aadhaar, expiresAt } = response.data;
+
+      setRevealed({ aadhaar, expiresAt });
+      setSecondsLeft(Math.max(0, Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 1000)));
+      resetForm(false);
+    } catch (err) {
+      setFormError(err.message || 'Could not confirm your identity. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!maskedAadhaar) {
+    return 'Not available';
+  }
+
+  return (
+    <>
+      <span className="aadhaar-display">
+        {revealed ? formatAadhaar(revealed.aadhaar) : maskedAadhaar}
+      </span>
+
+      {revealed ? (
+        <>
+          <button className="show-full-button" onClick={handleHide} title="Hide full Aadhaar">
+            Hide
+          </button>
+          <small className="settings-hint">Hidden again in {secondsLeft}s</small>
+        </>
+      ) : (
+        !confirming && (
+          <button
+            className="show-full-button"
+            onClick={() => resetForm(true)}
+            title="Show full Aadhaar"
+          >
+            Show Full
+          </button>
+        )
+      )}
+
+      {confirming && (
+        <form className="settings-form aadhaar-confirm" onSubmit={handleSubmit} noValidate>
+          {formError && (
+            <div className="form-alert error" role="alert">
+              {formError}
+            </div>
+          )}
+
+          {useCode ? (
+            <div className="settings-field">
+              <label htmlFor="revealCode">Authentication Code</label>
+              <input
+                type="text"
+                id="revealCode"
+                inputMode="numeric"
+                maxLength={6}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                disabled={submitting}
+                autoComplete="one-time-code"
+              />
+            </div>
+          ) : (
+            <div className="settings-field">
+              <label htmlFor="revealPassword">Confirm Your Password</label>
+              <input
+                type="password"
+                id="revealPassword"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                disabled={submitting}
+                autoComplete="current-password"
+              />
+            </div>
+          )}
+
+          <button
+            type="button"
+            className="settings-link-button"
+            onClick={() => {
+              setUseCode(!useCode);
+              setFormError(null);
+            }}
+            disabled={submitting}
+          >
+            {useCode ? 'Use your password instead' : 'Use a two-factor authentication code instead'}
+          </button>
+
+          <div className="settings-actions">
+            <button type="submit" className="settings-submit" disabled={submitting}>
+              {submitting ? 'Confirming...' : 'Show Aadhaar'}
+            </button>
+            <button
+              type="button"
+              className="settings-secondary"
+              onClick={() => resetForm(false)}
+              disabled={submitting}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </>
+  );
+};
+
+export default AadhaarReveal;
@@ -0,0 +1,125 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getSessions, revokeSession } from '../services/sessionService';
+
+/**
+ * Format a date as a relative "last active" label
+ * @param {string} value - ISO date string
+ * @returns {string} - e.g. "Active now", "5 minutes ago"
+ */
+const formatLastSeen = (value) => {
+  const minutes = Math.floor((Date.now() - new Date(value).getTime()) / 60000);
+
+  if (minutes < 2) {
+    return 'Active now';
+  }
+  if (minutes < 60) {
+    return `${minutes} minutes ago`;
+  }
+  if (minutes < 24 * 60) {
+    const hours = Math.floor(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  }
+
+  return new Date(value).toLocaleDateString();
+};
+
+/**
+ * ActiveSessions Component
+ * "Where you're signed in" panel: lists the user's sessions and signs out other devices
+ * The current device is signed out with the regular Logout button
+ */
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState(null);
+  const [revoking, setRevoking] = useState(null);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  /**
+   * Load the session list
+   */
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await getSessions();
+      setSessions(response.data.sessions);
+    } catch (err) {
+      setError(err.message || 'Failed to load sessions');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  /**
+   * Sign out another device
+   */
+  const handleRevoke = async (session) => {
+    setError(null);
+    setSuccess(null);
+
+    try {
+      setRevoking(session._id);
+      const response = await revokeSession(session._id);
+      setSessions((prev) => prev.filter((item) => item._id !== session._id));
+      setSuccess(response.message || 'Session signed out');
+    } catch (err) {
+      setError(err.message || 'Failed to sign out session');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  if (!sessions) {
+    return error ? (
+      <div className="form-alert error" role="alert">
+        {error}
+      </div>
+    ) : (
+      <p className="settings-hint">Loading sessions...</p>
+    );
+  }
+
+  return (
+    <div className="sessions-panel">
+      {error && (
+        <div className="form-alert error" role="alert">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="form-alert success" role="status">
+          {success}
+        </div>
+      )}
+
+      <ul className="session-list">
+        {sessions.map((session) => (
+          <li key={session._id} className={`session-item${session.current ? ' current' : ''}`}>
+            <div className="session-info">
+              <span className="session-device">
+                {session.device || 'Unknown device'}
+                {session.current && <span className="session-badge">This device</span>}
+              </span>
+              <span className="session-meta">
+                {session.ip || 'Unknown IP'} · {session.current ? 'Active now' : formatLastSeen(session.lastSeenAt)}
+                {' · '}Signed in {new Date(session.createdAt).toLocaleDateString()}
+              </span>
+            </div>
+            {!session.current && (
+              <button
+                type="button"
+                className="settings-secondary"
+                onClick={() => handleRevoke(session)}
+                disabled={revoking === session._id}
+              >
+                {revoking === session._id ? 'Signing out...' : 'Sign out'}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ActiveSessions;
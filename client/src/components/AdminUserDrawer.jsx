@@ -0,0 +1,282 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getUser,
+  disableUser,
+  enableUser,
+  logoutUser,
+  unlockUser,
+} from '../services/adminService';
+
+/**
+ * Format a date and time for display
+ * @param {string} value - ISO date string
+ * @returns {string} - Localized date and time, or a dash when missing
+ */
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+/**
+ * AdminUserDrawer Component
+ * Side panel with one user's account details, active sessions and account actions
+ * @param {string} userId - User to show
+ * @param {boolean} canManage - Whether disable/enable/sign-out are offered (admins only)
+ * @param {boolean} isSelf - Whether the user is the signed-in admin (cannot disable themselves)
+ * @param {Function} onClose - Called when the drawer is closed
+ * @param {Function} onChange - Called after an action changed the account, to refresh the table
+ */
+const AdminUserDrawer = ({ userId, canManage, isSelf, onClose, onChange }) => {
+  const [details, setDetails] = useState(null);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [working, setWorking] = useState(null);
+  const [showDisableForm, setShowDisableForm] = useState(false);
+  const [disableReason, setDisableReason] = useState('');
+
+  /**
+   * Load the user's details and sessions
+   */
+  const loadDetails = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await getUser(userId);
+      setDetails(response.data);
+    } catch (err) {
+      setError(err.message || 'Failed to load user');
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    loadDetails();
+  }, [loadDetails]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  /**
+   * Run an account action, then reload the drawer and the table
+   * @param {string} name - Action name (used for the busy state)
+   * @param {Function} action - Service call to run
+   * @param {string} fallbackMessage - Message shown if the server sends none
+   */
+  const runAction = async (name, action, fallbackMessage) => {
+    setError(null);
+    setSuccess(null);
+
+    try {
+      setWorking(name);
+      const response = await action();
+      setSuccess(response.message || fallbackMessage);
+      setShowDisableForm(false);
+      setDisableReason('');
+      await loadDetails();
+      onChange();
+    } catch (err) {
+      setError(err.message || 'Action failed. Please try again.');
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const handleUnlock = () => runAction('unlock', () => unlockUser(userId), 'Account unlocked');
+
+  const handleEnable = () => runAction('enable', () => enableUser(userId), 'Account enabled');
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    runAction('disable', () => disableUser(userId, disableReason.trim()), 'Account disabled');
+  };
+
+  const handleLogout = () => {
+    if (!window.confirm('Sign this user out of every device?')) {
+      return;
+    }
+    runAction('logout', () => logoutUser(userId), 'User signed out');
+  };
+
+  const user = details?.user;
+  const sessions = details?.sessions || [];
+
+  return (
+    <div className="drawer-backdrop" onClick={onClose}>
+      <aside
+        className="drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-label="User details"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="drawer-header">
+          <h2>{user ? user.name || user.email : 'User details'}</h2>
+          <button type="button" className="drawer-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        {error && (
+          <div className="form-alert error" role="alert">
+            {error}
+          </div>
+        )}
+        {success && (
+          <div className="form-alert success" role="status">
+            {success}
+          </div>
+        )}
+
+        {!user ? (
+          !error && <p className="settings-hint">Loading user...</p>
+        ) : (
+          <>
+            <dl className="drawer-details">
+              <dt>Email</dt>
+              <dd>{user.email}</dd>
+              <dt>Name</dt>
+              <dd>{user.name || '—'}</dd>
+              <dt>Aadhaar</dt>
+              <dd className="admin-mono">{user.aadhaar || '—'}</dd>
+              <dt>Role</dt>
+              <dd className="role-value">{user.role}</dd>
+              <dt>Status</dt>
+              <dd>
+                <span className={`status-badge ${user.status}`}>{user.status}</span>
+              </dd>
+              <dt>Email Verified</dt>
+              <dd>{user.emailVerified ? 'Yes' : 'No'}</dd>
+              <dt>Two-Factor</dt>
+              <dd>{user.mfaEnabled ? `On since ${formatDateTime(user.mfaEnabledAt)}` : 'Off'}</dd>
+              <dt>Failed Logins</dt>
+              <dd>{user.failedLoginAttempts}</dd>
+              {user.lockUntil && (
+                <>
+                  <dt>Locked Until</dt>
+                  <dd>{formatDateTime(user.lockUntil)}</dd>
+                </>
+              )}
+              {user.disabledAt && (
+                <>
+                  <dt>Disabled</dt>
+                  <dd>
+                    {formatDateTime(user.disabledAt)}
+                    {user.disabledReason && <> - {user.disabledReason}</>}
+                  </dd>
+                </>
+              )}
+              <dt>Registered</dt>
+              <dd>{formatDateTime(user.createdAt)}</dd>
+            </dl>
+
+            <h3 className="drawer-section-title">Actions</h3>
+            <div className="settings-actions">
+              {(user.status === 'locked' || user.failedLoginAttempts > 0) && (
+                <button
+                  type="button"
+                  className="settings-secondary"
+                  onClick={handleUnlock}
+                  disabled={!!working}
+                >
+                  {working === 'unlock' ? 'Unlocking...' : 'Unlock'}
+                </button>
+              )}
+              {canManage && (
+                <>
+                  <button
+                    type="button"
+                    className="settings-secondary"
+                    onClick={handleLogout}
+                    disabled={!!working}
+                  >
+                    {working === 'logout' ? 'Signing out...' : 'Sign Out Everywhere'}
+                  </button>
+                  {user.disabledAt ? (
+                    <button
+                      type="button"
+                      className="settings-secondary"
+                      onClick={handleEnable}
+                      disabled={!!working}
+                    >
+                      {working === 'enable' ? 'Enabling...' : 'Enable Account'}
+                    </button>
+                  ) : (
+                    !isSelf && !showDisableForm && (
+                      <button
+                        type="button"
+                        className="settings-secondary danger"
+                        onClick={() => setShowDisableForm(true)}
+                        disabled={!!working}
+                      >
+                        Disable Account
+                      </button>
+                    )
+                  )}
+                </>
+              )}
+              {!canManage && user.status !== 'locked' && !(user.failedLoginAttempts > 0) && (
+                <span className="settings-hint">No actions available for this account.</span>
+              )}
+            </div>
+
+            {showDisableForm && (
+              <form className="settings-form drawer-disable-form" onSubmit={handleDisable}>
+                <div className="settings-field">
+                  <label htmlFor="disableReason">Reason (optional)</label>
+                  <input
+                    type="text"
+                    id="disableReason"
+                    value={disableReason}
+                    onChange={(e) => setDisableReason(e.target.value)}
+                    maxLength={500}
+                    disabled={!!working}
+                  />
+                  <small className="settings-hint">
+                    The user is signed out everywhere and cannot log in until the account is enabled again.
+                  </small>
+                </div>
+                <div className="settings-actions">
+                  <button type="submit" className="settings-submit danger" disabled={!!working}>
+                    {working === 'disable' ? 'Disabling...' : 'Disable Account'}
+                  </button>
+                  <button
+                    type="button"
+                    className="settings-secondary"
+                    onClick={() => setShowDisableForm(false)}
+                    disabled={!!working}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+
+            <h3 className="drawer-section-title">Active Sessions ({sessions.length})</h3>
+            {sessions.length === 0 ? (
+              <p className="settings-hint">Not signed in anywhere.</p>
+            ) : (
+              <ul className="session-list">
+                {sessions.map((session) => (
+                  <li key={session._id} className="session-item">
+                    <div className="session-info">
+                      <span className="session-device">{session.device || 'Unknown device'}</span>
+                      <span className="session-meta">
+                        {session.ip || 'Unknown IP'} · Last active {formatDateTime(session.lastSeenAt)}
+                      </span>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default AdminUserDrawer;
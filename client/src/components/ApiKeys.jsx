@@ -0,0 +1,301 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { getApiKeys, createApiKey, revokeApiKey } from '../services/apiKeyService';
+
+const EXPIRY_OPTIONS = [
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 180, label: '180 days' },
+  { days: 365, label: '1 year' },
+];
+
+// What each scope lets a key do (the same names as the server's permissions)
+const SCOPE_DESCRIPTIONS = {
+  'profile:read': 'Read your profile',
+  'profile:update': 'Update your profile',
+  'users:read': 'Search and view users (admin API)',
+  'users:unlock': 'Unlock user accounts (admin API)',
+  'users:manage': 'Disable, enable and sign out users (admin API)',
+  'roles:manage': 'Change user roles (admin API)',
+};
+
+/**
+ * ApiKeys Component
+ * Personal API keys for scripts: create (the key is shown once), list and revoke
+ * Scopes are limited to the permissions of the user's role
+ */
+const ApiKeys = () => {
+  const { user } = useAuth();
+  const availableScopes = user?.permissions || ['profile:read'];
+
+  const [apiKeys, setApiKeys] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [formData, setFormData] = useState({ name: '', expiresInDays: 90, scopes: ['profile:read'] });
+  const [formErrors, setFormErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [revoking, setRevoking] = useState(null);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  // The new key; shown once until the user confirms they copied it
+  const [newKey, setNewKey] = useState(null);
+
+  /**
+   * Load the key list
+   */
+  const loadApiKeys = useCallback(async () => {
+    try {
+      const response = await getApiKeys();
+      setApiKeys(response.data.apiKeys);
+    } catch (err) {
+      setError(err.message || 'Failed to load API keys');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadApiKeys();
+  }, [loadApiKeys]);
+
+  /**
+   * Toggle a scope checkbox
+   */
+  const toggleScope = (scope) => {
+    setFormData((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter((item) => item !== scope)
+        : [...prev.scopes, scope],
+    }));
+    setFormErrors((prev) => ({ ...prev, scopes: '' }));
+  };
+
+  /**
+   * Validate the form (mirrors the server-side validateCreateApiKey rules)
+   */
+  const validateForm = () => {
+    const errors = {};
+
+    if (!formData.name.trim()) {
+      errors.name = 'Name is required';
+    } else if (formData.name.trim().length > 100) {
+      errors.name = 'Name cannot exceed 100 characters';
+    }
+
+    if (formData.scopes.length === 0) {
+      errors.scopes = 'Choose at least one scope';
+    }
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  /**
+   * Create a key and show it
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await createApiKey({
+        name: formData.name.trim(),
+        expiresInDays: Number(formData.expiresInDays),
+        scopes: formData.scopes,
+      });
+
+      setNewKey(response.data.key);
+      setApiKeys((prev) => [response.data.apiKey, ...(prev || [])]);
+      setCreating(false);
+      setFormData({ name: '', expiresInDays: 90, scopes: ['profile:read'] });
+    } catch (err) {
+      setError(err.message || 'Failed to create API key');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  /**
+   * Revoke a key
+   */
+  const handleRevoke = async (apiKey) => {
+    setError(null);
+    setSuccess(null);
+
+    try {
+      setRevoking(apiKey._id);
+      const response = await revokeApiKey(apiKey._id);
+      setApiKeys((prev) => prev.filter((item) => item._id !== apiKey._id));
+      setSuccess(response.message || 'API key revoked');
+    } catch (err) {
+      setError(err.message || 'Failed to revoke API key');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  if (!apiKeys) {
+    return error ? (
+      <div className="form-alert error" role="alert">
+        {error}
+      </div>
+    ) : (
+      <p className="settings-hint">Loading API keys...</p>
+    );
+  }
+
+  return (
+    <div className="settings-form">
+      {error && (
+        <div className="form-alert error" role="alert">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="form-alert success" role="status">
+          {success}
+        </div>
+      )}
+
+      {newKey && (
+        <div className="recovery-codes">
+          <strong>Your new API key</strong>
+          <small className="settings-hint">
+            Send it in the <code>Authorization: ApiKey &lt;key&gt;</code> header. Copy it now -
+            it will not be shown again.
+          </small>
+          <span className="mfa-secret">{newKey}</span>
+          <button type="button" className="settings-secondary" onClick={() => setNewKey(null)}>
+            I have copied the key
+          </button>
+        </div>
+      )}
+
+      {apiKeys.length === 0 ? (
+        <p className="settings-hint">You have no API keys.</p>
+      ) : (
+        <ul className="session-list">
+          {apiKeys.map((apiKey) => (
+            <li key={apiKey._id} className="session-item">
+              <div className="session-info">
+                <span className="session-device">
+                  {apiKey.name}
+                  {apiKey.expired && <span className="api-key-expired">Expired</span>}
+                </span>
+                <span className="session-meta">
+                  {apiKey.prefix}… · {apiKey.scopes.join(', ')}
+                </span>
+                <span className="session-meta">
+                  {apiKey.lastUsedAt
+                    ? `Last used ${new Date(apiKey.lastUsedAt).toLocaleString()} from ${apiKey.lastUsedIp || 'unknown IP'}`
+                    : 'Never used'}
+                  {' · '}
+                  {apiKey.expired ? 'Expired' : 'Expires'} {new Date(apiKey.expiresAt).toLocaleDateString()}
+                </span>
+              </div>
+              <button
+                type="button"
+                className="settings-secondary"
+                onClick={() => handleRevoke(apiKey)}
+                disabled={revoking === apiKey._id}
+              >
+                {revoking === apiKey._id ? 'Revoking...' : 'Revoke'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {creating ? (
+        <form className="settings-form" onSubmit={handleSubmit} noValidate>
+          <div className="settings-field">
+            <label htmlFor="apiKeyName">Name</label>
+            <input
+              type="text"
+              id="apiKeyName"
+              value={formData.name}
+              onChange={(e) => {
+                setFormData((prev) => ({ ...prev, name: e.target.value }));
+                setFormErrors((prev) => ({ ...prev, name: '' }));
+              }}
+              disabled={submitting}
+              placeholder="e.g. QA nightly run"
+            />
+            {formErrors.name && <span className="field-error">{formErrors.name}</span>}
+          </div>
+
+          <div className="settings-field">
+            <label htmlFor="apiKeyExpiry">Expires after</label>
+            <select
+              id="apiKeyExpiry"
+              value={formData.expiresInDays}
+              onChange={(e) => setFormData((prev) => ({ ...prev, expiresInDays: e.target.value }))}
+              disabled={submitting}
+            >
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.days} value={option.days}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <fieldset className="api-key-scopes" disabled={submitting}>
+            <legend>Scopes</legend>
+            {availableScopes.map((scope) => (
+              <label key={scope} className="api-key-scope">
+                <input
+                  type="checkbox"
+                  checked={formData.scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                />
+                <span>
+                  <code>{scope}</code> - {SCOPE_DESCRIPTIONS[scope] || scope}
+                </span>
+              </label>
+            ))}
+            {formErrors.scopes && <span className="field-error">{formErrors.scopes}</span>}
+          </fieldset>
+
+          <div className="settings-actions">
+            <button type="submit" className="settings-submit" disabled={submitting}>
+              {submitting ? 'Creating...' : 'Create Key'}
+            </button>
+            <button
+              type="button"
+              className="settings-secondary"
+              onClick={() => {
+                setCreating(false);
+                setFormErrors({});
+              }}
+              disabled={submitting}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          type="button"
+          className="settings-secondary"
+          onClick={() => {
+            setCreating(true);
+            setSuccess(null);
+          }}
+        >
+          Create API key
+        </button>
+      )}
+      <small className="settings-hint">
+        API keys work for reading your profile and for the admin API. Changing your password or
+        two-factor settings always needs a normal sign-in.
+      </small>
+    </div>
+  );
+};
+
+export default ApiKeys;
@@ -0,0 +1,168 @@
+import { useState } from 'react';
+import { changePassword } from '../services/authService';
+
+const PASSWORD_RULE = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/;
+
+/**
+ * ChangePasswordForm Component
+ * Lets the signed-in user change their password
+ * All other sessions are signed out by the server on success
+ */
+const ChangePasswordForm = () => {
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [formErrors, setFormErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  /**
+   * Handle input change
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+
+    // Clear field error when user starts typing
+    if (formErrors[name]) {
+      setFormErrors((prev) => ({
+        ...prev,
+        [name]: '',
+      }));
+    }
+  };
+
+  /**
+   * Validate entire form (mirrors the server-side validatePasswordChange rules)
+   */
+  const validateForm = () => {
+    const errors = {};
+
+    if (!formData.currentPassword) {
+      errors.currentPassword = 'Current password is required';
+    }
+
+    if (!formData.newPassword) {
+      errors.newPassword = 'New password is required';
+    } else if (formData.newPassword.length < 6) {
+      errors.newPassword = 'Password must be at least 6 characters';
+    } else if (!PASSWORD_RULE.test(formData.newPassword)) {
+      errors.newPassword = 'Password must contain uppercase, lowercase, and number';
+    } else if (formData.newPassword === formData.currentPassword) {
+      errors.newPassword = 'New password must be different from current password';
+    }
+
+    if (formData.confirmPassword !== formData.newPassword) {
+      errors.confirmPassword = 'Passwords do not match';
+    }
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await changePassword({
+        currentPassword: formData.currentPassword,
+        newPassword: formData.newPassword,
+      });
+
+      setSuccess(response.message || 'Password changed successfully');
+      setFormData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    } catch (err) {
+      setError(err.message || 'Failed to change password. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="settings-form" onSubmit={handleSubmit} noValidate>
+      {error && (
+        <div className="form-alert error" role="alert">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="form-alert success" role="status">
+          {success}
+        </div>
+      )}
+
+      <div className="settings-field">
+        <label htmlFor="currentPassword">Current Password</label>
+        <input
+          type="password"
+          id="currentPassword"
+          name="currentPassword"
+          value={formData.currentPassword}
+          onChange={handleChange}
+          disabled={submitting}
+          autoComplete="current-password"
+        />
+        {formErrors.currentPassword && (
+          <span className="field-error">{formErrors.currentPassword}</span>
+        )}
+      </div>
+
+      <div className="settings-field">
+        <label htmlFor="newPassword">New Password</label>
+        <input
+          type="password"
+          id="newPassword"
+          name="newPassword"
+          value={formData.newPassword}
+          onChange={handleChange}
+          disabled={submitting}
+          autoComplete="new-password"
+        />
+        {formErrors.newPassword && (
+          <span className="field-error">{formErrors.newPassword}</span>
+        )}
+      </div>
+
+      <div className="settings-field">
+        <label htmlFor="confirmPassword">Confirm New Password</label>
+        <input
+          type="password"
+          id="confirmPassword"
+          name="confirmPassword"
+          value={formData.confirmPassword}
+          onChange={handleChange}
+          disabled={submitting}
+          autoComplete="new-password"
+        />
+        {formErrors.confirmPassword && (
+          <span className="field-error">{formErrors.confirmPassword}</span>
+        )}
+      </div>
+
+      <button type="submit" className="settings-submit" disabled={submitting}>
+        {submitting ? 'Changing Password...' : 'Change Password'}
+      </button>
+      <small className="settings-hint">
+        Changing your password signs you out on all other devices.
+      </small>
+    </form>
+  );
+};
+
+export default ChangePasswordForm;
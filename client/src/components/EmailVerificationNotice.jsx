@@ -0,0 +1,44 @@
+import { useState } from 'react';
+import { resendVerificationEmail } from '../services/authService';
+
+/**
+ * EmailVerificationNotice Component
+ * Reminds the user to verify their email address and lets them resend the link
+ */
+const EmailVerificationNotice = ({ email }) => {
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  /**
+   * Request a new verification email
+   */
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      const response = await resendVerificationEmail(email);
+      setMessage(response.message);
+    } catch (err) {
+      setMessage(err.message || 'Could not resend the verification email.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="verification-notice" role="status">
+      <span>
+        Your email address <strong>{email}</strong> is not verified yet. Check your inbox for the
+        verification link.
+      </span>
+      {message ? (
+        <span className="verification-notice-message">{message}</span>
+      ) : (
+        <button type="button" onClick={handleResend} disabled={sending}>
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default EmailVerificationNotice;
@@ -1,13 +1,18 @@
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
 /**
  * ProtectedRoute Component
- * Protects routes that require authentication
- * Redirects to login if user is not authenticated
+ * Protects routes that require authentication, and optionally a role
+ * Redirects to login if user is not authenticated (login returns to the page afterwards),
+ * and to the dashboard if the user's role is not one of the allowed roles
+ *
+ * Usage:
+ * <ProtectedRoute roles={['support', 'admin']}><AdminConsole /></ProtectedRoute>
  */
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, loading } = useAuth();
+const ProtectedRoute = ({ children, roles }) => {
+  const { user, isAuthenticated, loading } = useAuth();
+  const location = useLocation();
 
   // Show loading state while checking authentication
   if (loading) {
@@ -25,7 +30,13 @@ const ProtectedRoute = ({ children }) => {
 
   // Redirect to login if not authenticated
   if (!isAuthenticated) {
-    return <Navigate to="/login" replace />;
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  // Redirect to the dashboard if the route needs a role the user does not have
+  // (the server checks permissions again on every request)
+  if (roles && !roles.includes(user.role)) {
+    return <Navigate to="/dashboard" replace />;
   }
 
   // Render protected component if authenticated
@@ -0,0 +1,354 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  resetMfa,
+  regenerateRecoveryCodes,
+} from '../services/mfaService';
+
+const CODE_RULE = /^\d{6}$/;
+
+/**
+ * TwoFactorSettings Component
+ * Lets the signed-in user enable, disable or move TOTP two-factor authentication
+ * and manage their recovery codes
+ * Modes:
+ * - idle:   shows the current status and the available actions
+ * - enroll: shows the QR code/secret and asks for the first code
+ * - disable / reset / recovery: asks for the password and a current code (or a recovery code)
+ */
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [mode, setMode] = useState('idle');
+  const [enrollment, setEnrollment] = useState(null);
+  const [formData, setFormData] = useState({ password: '', code: '' });
+  const [formErrors, setFormErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // Freshly generated recovery codes; shown once until the user confirms they saved them
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  /**
+   * Load the current two-factor status
+   */
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await getMfaStatus();
+      setStatus(response.data.mfa);
+    } catch (err) {
+      setError(err.message || 'Failed to load two-factor status');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  /**
+   * Reset the form and return to the status view
+   */
+  const resetForm = (nextMode = 'idle') => {
+    setMode(nextMode);
+    setFormData({ password: '', code: '' });
+    setFormErrors({});
+    setUseRecoveryCode(false);
+  };
+
+  /**
+   * Handle input change
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+
+    if (formErrors[name]) {
+      setFormErrors((prev) => ({
+        ...prev,
+        [name]: '',
+      }));
+    }
+  };
+
+  /**
+   * Validate the fields needed by the current mode
+   */
+  const validateForm = () => {
+    const errors = {};
+
+    if (mode !== 'enroll' && !formData.password) {
+      errors.password = 'Password is required';
+    }
+
+    if (useRecoveryCode) {
+      if (!formData.code.trim()) {
+        errors.code = 'Enter one of your recovery codes';
+      }
+    } else if (!CODE_RULE.test(formData.code.replace(/\s/g, ''))) {
+      errors.code = 'Enter the 6-digit code from your authenticator app';
+    }
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  /**
+   * Start enrolling a new authenticator app
+   */
+  const handleSetup = async () => {
+    setError(null);
+    setSuccess(null);
+
+    try {
+      setSubmitting(true);
+      const response = await setupMfa();
+      setEnrollment(response.data);
+      resetForm('enroll');
+    } catch (err) {
+      setError(err.message || 'Failed to start two-factor setup');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  /**
+   * Handle form submission for the current mode
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (!validateForm()) {
+      return;
+    }
+
+    const code = formData.code.replace(/\s/g, '');
+    const verification = useRecoveryCode
+      ? { password: formData.password, recoveryCode: code }
+      : { password: formData.password, code };
+
+    try {
+      setSubmitting(true);
+
+      if (mode === 'enroll') {
+        const response = await enableMfa(code);
+        setStatus(response.data.mfa);
+        setRecoveryCodes(response.data.recoveryCodes || null);
+        setEnrollment(null);
+        setSuccess(response.message || 'Two-factor authentication enabled');
+        resetForm();
+      } else if (mode === 'disable') {
+        const response = await disableMfa(verification);
+        setStatus(response.data.mfa);
+        setRecoveryCodes(null);
+        setSuccess(response.message || 'Two-factor authentication disabled');
+        resetForm();
+      } else if (mode === 'reset') {
+        // The old device keeps working until the new one is confirmed
+        const response = await resetMfa(verification);
+        setEnrollment(response.data);
+        resetForm('enroll');
+      } else if (mode === 'recovery') {
+        const response = await regenerateRecoveryCodes(verification);
+        setStatus(response.data.mfa);
+        setRecoveryCodes(response.data.recoveryCodes);
+        setSuccess(response.message || 'New recovery codes generated');
+        resetForm();
+      }
+    } catch (err) {
+      setError(err.message || 'Request failed. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  /**
+   * Abandon the current flow
+   */
+  const handleCancel = () => {
+    setError(null);
+    setEnrollment(null);
+    resetForm();
+  };
+
+  if (!status) {
+    return error ? (
+      <div className="form-alert error" role="alert">
+        {error}
+      </div>
+    ) : (
+      <p className="mfa-status">Loading two-factor status...</p>
+    );
+  }
+
+  return (
+    <div className="settings-form">
+      {error && (
+        <div className="form-alert error" role="alert">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="form-alert success" role="status">
+          {success}
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="recovery-codes">
+          <strong>Your recovery codes</strong>
+          <small className="settings-hint">
+            Each code can be used once to sign in if you lose your authenticator app.
+            Store them somewhere safe - they will not be shown again.
+          </small>
+          <ul className="recovery-code-list">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+          <button type="button" className="settings-secondary" onClick={() => setRecoveryCodes(null)}>
+            I have saved these codes
+          </button>
+        </div>
+      )}
+
+      {status.recoveryCodesLow && !recoveryCodes && (
+        <div className="form-alert warning" role="alert">
+          You have {status.recoveryCodesRemaining} recovery code(s) left. Generate new ones so you
+          are not locked out if you lose your device.
+        </div>
+      )}
+
+      <p className="mfa-status">
+        Status:{' '}
+        {status.enabled ? (
+          <strong className="enabled">Enabled</strong>
+        ) : (
+          <strong className="disabled">Disabled</strong>
+        )}
+        {status.enabled && status.enabledAt && (
+          <> since {new Date(status.enabledAt).toLocaleDateString()}</>
+        )}
+        {status.enabled && (
+          <>
+            <br />
+            Recovery codes left: <strong>{status.recoveryCodesRemaining}</strong>
+          </>
+        )}
+      </p>
+
+      {mode === 'idle' && (
+        <div className="settings-actions">
+          {status.enabled ? (
+            <>
+              <button type="button" className="settings-secondary" onClick={() => resetForm('reset')}>
+                Move to New Device
+              </button>
+              <button type="button" className="settings-secondary" onClick={() => resetForm('recovery')}>
+                New Recovery Codes
+              </button>
+              <button type="button" className="settings-secondary" onClick={() => resetForm('disable')}>
+                Disable
+              </button>
+            </>
+          ) : (
+            <button type="button" className="settings-submit" onClick={handleSetup} disabled={submitting}>
+              {submitting ? 'Preparing...' : 'Enable Two-Factor Authentication'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {mode !== 'idle' && (
+        <form className="settings-form" onSubmit={handleSubmit} noValidate>
+          {mode === 'enroll' && enrollment && (
+            <div className="mfa-enrollment">
+              <small className="settings-hint">
+                Scan this QR code with your authenticator app, or enter the key manually.
+              </small>
+              <img className="mfa-qr" src={enrollment.qrCode} alt="Authenticator QR code" />
+              <span className="mfa-secret">{enrollment.secret}</span>
+            </div>
+          )}
+
+          {mode !== 'enroll' && (
+            <div className="settings-field">
+              <label htmlFor="mfaPassword">Password</label>
+              <input
+                type="password"
+                id="mfaPassword"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                disabled={submitting}
+                autoComplete="current-password"
+              />
+              {formErrors.password && (
+                <span className="field-error">{formErrors.password}</span>
+              )}
+            </div>
+          )}
+
+          <div className="settings-field">
+            <label htmlFor="mfaSettingsCode">
+              {mode === 'enroll' ? 'Code from New Device' : useRecoveryCode ? 'Recovery Code' : 'Current Code'}
+            </label>
+            <input
+              type="text"
+              id="mfaSettingsCode"
+              name="code"
+              value={formData.code}
+              onChange={handleChange}
+              disabled={submitting}
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              autoComplete={useRecoveryCode ? 'off' : 'one-time-code'}
+              maxLength={useRecoveryCode ? 32 : 7}
+            />
+            {formErrors.code && (
+              <span className="field-error">{formErrors.code}</span>
+            )}
+            {mode !== 'enroll' && (
+              <button
+                type="button"
+                className="settings-link-button"
+                onClick={() => {
+                  setUseRecoveryCode((prev) => !prev);
+                  setFormData((prev) => ({ ...prev, code: '' }));
+                  setFormErrors({});
+                }}
+              >
+                {useRecoveryCode ? 'Use authenticator app instead' : 'Lost your device? Use a recovery code'}
+              </button>
+            )}
+          </div>
+
+          <div className="settings-actions">
+            <button type="submit" className="settings-submit" disabled={submitting}>
+              {submitting
+                ? 'Please wait...'
+                : mode === 'enroll'
+                  ? 'Confirm and Enable'
+                  : mode === 'disable'
+                    ? 'Disable Two-Factor'
+                    : mode === 'recovery'
+                      ? 'Generate New Codes'
+                      : 'Continue'}
+            </button>
+            <button type="button" className="settings-secondary" onClick={handleCancel} disabled={submitting}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,5 +1,5 @@
 import { createContext, useContext, useState, useEffect } from 'react';
-import { login as loginService, register as registerService, logout as logoutService, getUser, getProfile } from '../services/authService';
+import { login as loginService, verifyMfa as verifyMfaService, register as registerService, logout as logoutService, logoutAll as logoutAllService, clearSession, getUser, getProfile } from '../services/authService';
 
 // Create Auth Context
 const AuthContext = createContext(null);
@@ -36,9 +36,14 @@ export const AuthProvider = ({ children }) => {
           // Update user with latest profile data
           setUser(response.data.profile);
         } catch (error) {
-          // Token is invalid or expired, clear storage
-          logoutService();
-          setUser(null);
+          if (error.status === 401) {
+            // Token is invalid or expired, clear storage
+            clearSession();
+            setUser(null);
+          } else {
+            // Session is valid but the profile is unavailable (e.g. email not verified yet)
+            setUser(storedUser);
+          }
         }
       } else {
         setUser(null);
@@ -46,7 +51,7 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Auth check failed:', error);
       setUser(null);
-      logoutService();
+      clearSession();
     } finally {
       setLoading(false);
     }
@@ -63,6 +68,11 @@ export const AuthProvider = ({ children }) => {
 
       const response = await loginService(credentials);
 
+      // Password accepted, but a second factor is still required
+      if (response.data && response.data.mfaRequired) {
+        return { success: true, mfaRequired: true, mfaToken: response.data.mfaToken };
+      }
+
       if (response.data && response.data.user) {
         setUser(response.data.user);
         return { success: true, data: response.data };
@@ -79,6 +89,32 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Complete login with the second factor
+   * @param {Object} data - { mfaToken, code } or { mfaToken, recoveryCode }
+   */
+  const verifyMfa = async (data) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await verifyMfaService(data);
+
+      if (response.data && response.data.user) {
+        setUser(response.data.user);
+        return { success: true, data: response.data };
+      }
+
+      throw new Error('Verification failed: Invalid response');
+    } catch (error) {
+      const errorMessage = error.message || 'Verification failed. Please try again.';
+      setError(errorMessage);
+      throw error;
+    } finally {
+      setLoading(false);
+    }
+  };
+
   /**
    * Register function
    * @param {Object} userData - { email, password, aadhaar, name }
@@ -90,6 +126,11 @@ export const AuthProvider = ({ children }) => {
 
       const response = await registerService(userData);
 
+      // Account created, but login is blocked until the email is verified
+      if (response.data && response.data.verificationRequired) {
+        return { success: true, data: response.data };
+      }
+
       if (response.data && response.data.user) {
         setUser(response.data.user);
         return { success: true, data: response.data };
@@ -108,14 +149,30 @@ export const AuthProvider = ({ children }) => {
 
   /**
    * Logout function
+   * Local state is cleared even if the server could not be reached
    */
-  const logout = () => {
+  const logout = async () => {
     try {
-      logoutService();
+      await logoutService();
+    } catch (error) {
+      console.error('Logout failed:', error);
+    } finally {
       setUser(null);
       setError(null);
+    }
+  };
+
+  /**
+   * Logout from all devices
+   */
+  const logoutAll = async () => {
+    try {
+      await logoutAllService();
     } catch (error) {
-      console.error('Logout failed:', error);
+      console.error('Logout from all devices failed:', error);
+    } finally {
+      setUser(null);
+      setError(null);
     }
   };
 
@@ -158,8 +215,10 @@ export const AuthProvider = ({ children }) => {
     error,
     isAuthenticated: !!user,
     login,
+    verifyMfa,
     register,
     logout,
+    logoutAll,
     clearError,
     fetchProfile,
   };
@@ -0,0 +1,292 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { getUsers } from '../services/adminService';
+import AdminUserDrawer from '../components/AdminUserDrawer';
+import '../styles/Dashboard.css';
+import '../styles/Admin.css';
+
+const PAGE_SIZE = 20;
+
+const EMPTY_FILTERS = {
+  email: '',
+  name: '',
+  status: '',
+  createdFrom: '',
+  createdTo: '',
+};
+
+/**
+ * Convert the date filters (yyyy-mm-dd in local time) to an inclusive ISO range
+ * @param {Object} filters - Search form values
+ * @returns {Object} - Query parameters for the user search
+ */
+const toSearchParams = (filters) => ({
+  ...filters,
+  createdFrom: filters.createdFrom ? new Date(`${filters.createdFrom}T00:00:00`).toISOString() : '',
+  createdTo: filters.createdTo ? new Date(`${filters.createdTo}T23:59:59.999`).toISOString() : '',
+});
+
+/**
+ * AdminConsole Page
+ * User search for support staff and admins: filterable, paged user table
+ * with a detail drawer for account actions
+ * Support staff can view and unlock accounts; only admins can disable, enable
+ * or sign users out (the server enforces the same permissions)
+ */
+const AdminConsole = () => {
+  const navigate = useNavigate();
+  const { user, logout } = useAuth();
+
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedUserId, setSelectedUserId] = useState(null);
+
+  const canManage = user?.role === 'admin';
+
+  /**
+   * Load the current page of search results
+   */
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await getUsers({ ...toSearchParams(appliedFilters), page, limit: PAGE_SIZE });
+      setUsers(response.data.users);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      setError(err.message || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters, page]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  /**
+   * Handle filter input change
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
+  /**
+   * Run the search from the first page
+   */
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  /**
+   * Clear every filter
+   */
+  const handleClear = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  /**
+   * Handle logout
+   */
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login');
+  };
+
+  return (
+    <div className="dashboard-container">
+      <div className="dashboard-header">
+        <div className="header-content">
+          <h1>Admin Console</h1>
+          <div className="header-actions">
+            <Link to="/dashboard" className="header-link">
+              My Profile
+            </Link>
+            <button onClick={handleLogout} className="logout-button">
+              Logout
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="dashboard-content">
+        <div className="profile-card admin-card">
+          <form className="admin-filters" onSubmit={handleSearch}>
+            <div className="settings-field">
+              <label htmlFor="filterEmail">Email</label>
+              <input
+                type="text"
+                id="filterEmail"
+                name="email"
+                value={filters.email}
+                onChange={handleChange}
+                placeholder="Part of an email"
+              />
+            </div>
+            <div className="settings-field">
+              <label htmlFor="filterName">Name</label>
+              <input
+                type="text"
+                id="filterName"
+                name="name"
+                value={filters.name}
+                onChange={handleChange}
+                placeholder="Part of a name"
+              />
+            </div>
+            <div className="settings-field">
+              <label htmlFor="filterStatus">Status</label>
+              <select id="filterStatus" name="status" value={filters.status} onChange={handleChange}>
+                <option value="">Any</option>
+                <option value="active">Active</option>
+                <option value="locked">Locked</option>
+                <option value="disabled">Disabled</option>
+                <option value="unverified">Email not verified</option>
+              </select>
+            </div>
+            <div className="settings-field">
+              <label htmlFor="filterCreatedFrom">Registered From</label>
+              <input
+                type="date"
+                id="filterCreatedFrom"
+                name="createdFrom"
+                value={filters.createdFrom}
+                onChange={handleChange}
+              />
+            </div>
+            <div className="settings-field">
+              <label htmlFor="filterCreatedTo">Registered To</label>
+              <input
+                type="date"
+                id="filterCreatedTo"
+                name="createdTo"
+                value={filters.createdTo}
+                onChange={handleChange}
+              />
+            </div>
+            <div className="settings-actions admin-filter-actions">
+              <button type="submit" className="settings-submit">
+                Search
+              </button>
+              <button type="button" className="settings-secondary" onClick={handleClear}>
+                Clear
+              </button>
+            </div>
+          </form>
+
+          {error && (
+            <div className="form-alert error" role="alert">
+              {error}
+            </div>
+          )}
+
+          <div className="admin-table-wrapper">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Email</th>
+                  <th>Role</th>
+                  <th>Status</th>
+                  <th>2FA</th>
+                  <th>Registered</th>
+                </tr>
+              </thead>
+              <tbody>
+                {!loading && users.length === 0 && (
+                  <tr>
+                    <td colSpan={6} className="admin-table-empty">
+                      No users match these filters
+                    </td>
+                  </tr>
+                )}
+                {users.map((item) => (
+                  <tr
+                    key={item._id}
+                    className={item._id === selectedUserId ? 'selected' : ''}
+                    onClick={() => setSelectedUserId(item._id)}
+                  >
+                    <td>{item.name || '—'}</td>
+                    <td>
+                      <button
+                        type="button"
+                        className="settings-link-button"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setSelectedUserId(item._id);
+                        }}
+                      >
+                        {item.email}
+                      </button>
+                    </td>
+                    <td className="role-value">{item.role}</td>
+                    <td>
+                      <span className={`status-badge ${item.status}`}>{item.status}</span>
+                      {!item.emailVerified && <span className="status-badge unverified">unverified</span>}
+                    </td>
+                    <td>{item.mfaEnabled ? 'On' : 'Off'}</td>
+                    <td>{new Date(item.createdAt).toLocaleDateString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="admin-pagination">
+            <span className="settings-hint">
+              {loading
+                ? 'Loading users...'
+                : pagination && `Page ${pagination.page} of ${Math.max(pagination.totalPages, 1)} · ${pagination.total} user(s)`}
+            </span>
+            <div className="settings-actions">
+              <button
+                type="button"
+                className="settings-secondary"
+                onClick={() => setPage((prev) => prev - 1)}
+                disabled={loading || page <= 1}
+              >
+                Previous
+              </button>
+              <button
+                type="button"
+                className="settings-secondary"
+                onClick={() => setPage((prev) => prev + 1)}
+                disabled={loading || !pagination || page >= pagination.totalPages}
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {selectedUserId && (
+        <AdminUserDrawer
+          key={selectedUserId}
+          userId={selectedUserId}
+          canManage={canManage}
+          isSelf={selectedUserId === user?._id}
+          onClose={() => setSelectedUserId(null)}
+          onChange={loadUsers}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -1,16 +1,22 @@
 import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import ChangePasswordForm from '../components/ChangePasswordForm';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import ActiveSessions from '../components/ActiveSessions';
+import ApiKeys from '../components/ApiKeys';
+import AadhaarReveal from '../components/AadhaarReveal';
+import EmailVerificationNotice from '../components/EmailVerificationNotice';
 import '../styles/Dashboard.css';
 
 const Dashboard = () => {
   const navigate = useNavigate();
-  const { user, loading, error, logout, fetchProfile, clearError } = useAuth();
+  const { user, loading, error, logout, logoutAll, fetchProfile, clearError } = useAuth();
   
   const [profileData, setProfileData] = useState(null);
   const [profileLoading, setProfileLoading] = useState(true);
   const [profileError, setProfileError] = useState(null);
-  const [showFullAadhaar, setShowFullAadhaar] = useState(false);
+  const [profileErrorCode, setProfileErrorCode] = useState(null);
 
   /**
    * Fetch user profile on component mount
@@ -32,18 +38,20 @@ const Dashboard = () => {
   }, [user, loading]);
 
   /**
-   * Load user profile with decrypted Aadhaar
+   * Load user profile (the Aadhaar number comes back masked)
    */
   const loadProfile = async () => {
     try {
       setProfileLoading(true);
       setProfileError(null);
+      setProfileErrorCode(null);
       clearError();
 
       const profile = await fetchProfile();
       setProfileData(profile);
     } catch (error) {
       setProfileError(error.message || 'Failed to load profile. Please try again.');
+      setProfileErrorCode(error.code || null);
       console.error('Profile fetch error:', error);
     } finally {
       setProfileLoading(false);
@@ -53,8 +61,19 @@ const Dashboard = () => {
   /**
    * Handle logout
    */
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login');
+  };
+
+  /**
+   * Handle logout from all devices
+   */
+  const handleLogoutAll = async () => {
+    if (!window.confirm('This will sign you out on every device, including this one. Continue?')) {
+      return;
+    }
+    await logoutAll();
     navigate('/login');
   };
 
@@ -75,20 +94,6 @@ const Dashboard = () => {
     }
   };
 
-  /**
-   * Format Aadhaar for display (mask middle digits for security)
-   */
-  const formatAadhaar = (aadhaar, showFull = false) => {
-    if (!aadhaar) return 'N/A';
-    if (aadhaar.length !== 12) return aadhaar;
-    if (showFull) {
-      // Show full Aadhaar with spacing for readability
-      return `${aadhaar.slice(0, 4)} ${aadhaar.slice(4, 8)} ${aadhaar.slice(8)}`;
-    }
-    // Show first 4 and last 4 digits, mask middle 4
-    return `${aadhaar.slice(0, 4)} XXXX ${aadhaar.slice(8)}`;
-  };
-
   // Show loading state
   if (loading || profileLoading) {
     return (
@@ -109,6 +114,9 @@ const Dashboard = () => {
           <div className="error-icon">⚠️</div>
           <h2>Error Loading Profile</h2>
           <p>{error || profileError}</p>
+          {profileErrorCode === 'EMAIL_NOT_VERIFIED' && user?.email && (
+            <EmailVerificationNotice email={user.email} />
+          )}
           <div className="error-actions">
             <button onClick={loadProfile} className="retry-button">
               Retry
@@ -130,13 +138,24 @@ const Dashboard = () => {
       <div className="dashboard-header">
         <div className="header-content">
           <h1>Profile Dashboard</h1>
-          <button onClick={handleLogout} className="logout-button">
-            Logout
-          </button>
+          <div className="header-actions">
+            {['support', 'admin'].includes(displayProfile?.role) && (
+              <Link to="/admin" className="header-link">
+                Admin Console
+              </Link>
+            )}
+            <button onClick={handleLogout} className="logout-button">
+              Logout
+            </button>
+          </div>
         </div>
       </div>
 
       <div className="dashboard-content">
+        {displayProfile?.emailVerified === false && (
+          <EmailVerificationNotice email={displayProfile.email} />
+        )}
+
         <div className="profile-card">
           <div className="profile-header">
             <div className="profile-avatar">
@@ -174,24 +193,9 @@ const Dashboard = () => {
               <div className="detail-grid">
                 <div className="detail-item full-width">
                   <span className="detail-label">Aadhaar Number</span>
-                  <span className="detail-value aadhaar-value">
-                    {displayProfile?.aadhaar ? (
-                      <>
-                        <span className="aadhaar-display">
-                          {formatAadhaar(displayProfile.aadhaar, showFullAadhaar)}
-                        </span>
-                        <button
-                          className="show-full-button"
-                          onClick={() => setShowFullAadhaar(!showFullAadhaar)}
-                          title={showFullAadhaar ? "Hide full Aadhaar" : "Show full Aadhaar"}
-                        >
-                          {showFullAadhaar ? 'Hide' : 'Show Full'}
-                        </button>
-                      </>
-                    ) : (
-                      'Not available'
-                    )}
-                  </span>
+                  <div className="detail-value aadhaar-value">
+                    <AadhaarReveal maskedAadhaar={displayProfile?.aadhaar} />
+                  </div>
                 </div>
               </div>
             </div>
@@ -211,6 +215,32 @@ const Dashboard = () => {
                     {formatDate(displayProfile?.updatedAt)}
                   </span>
                 </div>
+                <div className="detail-item">
+                  <span className="detail-label">Role</span>
+                  <span className="detail-value role-value">
+                    {displayProfile?.role || 'user'}
+                  </span>
+                </div>
+              </div>
+            </div>
+
+            <div className="detail-section">
+              <h3>Security</h3>
+              <div className="security-block">
+                <h4>Change Password</h4>
+                <ChangePasswordForm />
+              </div>
+              <div className="security-block">
+                <h4>Two-Factor Authentication</h4>
+                <TwoFactorSettings />
+              </div>
+              <div className="security-block">
+                <h4>Where You're Signed In</h4>
+                <ActiveSessions />
+              </div>
+              <div className="security-block">
+                <h4>API Keys</h4>
+                <ApiKeys />
               </div>
             </div>
           </div>
@@ -219,6 +249,9 @@ const Dashboard = () => {
             <button onClick={loadProfile} className="refresh-button">
               🔄 Refresh Profile
             </button>
+            <button onClick={handleLogoutAll} className="logout-all-button">
+              Log out everywhere
+            </button>
           </div>
         </div>
       </div>
@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { forgotPassword } from '../services/authService';
+import '../styles/Login.css';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [fieldError, setFieldError] = useState('');
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  /**
+   * Validate email field
+   */
+  const validateEmail = (value) => {
+    if (!value.trim()) {
+      return 'Email is required';
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      return 'Please enter a valid email address';
+    }
+    return '';
+  };
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+
+    const validationError = validateEmail(email);
+    setFieldError(validationError);
+    if (validationError) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await forgotPassword(email.trim().toLowerCase());
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <h1>Forgot Password</h1>
+          <p>Enter your email and we&apos;ll send you a link to reset your password.</p>
+        </div>
+
+        {error && (
+          <div className="error-message" role="alert">
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div className="success-message" role="status">
+            {message}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} noValidate>
+          <div className="form-group">
+            <label htmlFor="email">Email Address</label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              value={email}
+              onChange={(e) => {
+                setEmail(e.target.value);
+                setFieldError('');
+              }}
+              className={fieldError ? 'error' : ''}
+              placeholder="Enter your email"
+              disabled={submitting}
+              autoComplete="email"
+            />
+            {fieldError && <span className="field-error">{fieldError}</span>}
+          </div>
+
+          <button type="submit" className="submit-button" disabled={submitting}>
+            {submitting ? 'Sending...' : 'Send Reset Link'}
+          </button>
+        </form>
+
+        <div className="login-footer">
+          <p>
+            Remembered it?{' '}
+            <Link to="/login" className="link">
+              Back to login
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
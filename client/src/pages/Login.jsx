@@ -1,11 +1,13 @@
 import { useState, useEffect } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { resendVerificationEmail } from '../services/authService';
 import '../styles/Login.css';
 
 const Login = () => {
   const navigate = useNavigate();
-  const { login, loading, error, clearError, isAuthenticated } = useAuth();
+  const location = useLocation();
+  const { login, verifyMfa, loading, error, clearError, isAuthenticated } = useAuth();
 
   const [formData, setFormData] = useState({
     email: '',
@@ -15,13 +17,23 @@ const Login = () => {
   const [formErrors, setFormErrors] = useState({});
   const [touched, setTouched] = useState({});
   const [showPassword, setShowPassword] = useState(false);
+  const [needsVerification, setNeedsVerification] = useState(false);
+  const [notice, setNotice] = useState(location.state?.message || null);
+  const [mfaToken, setMfaToken] = useState(null);
+  const [mfaCode, setMfaCode] = useState('');
+  const [mfaError, setMfaError] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  // Page that sent the user here to login (e.g. the OAuth consent page), if any
+  const from = location.state?.from;
+  const redirectPath = from ? `${from.pathname}${from.search || ''}` : '/dashboard';
 
   // Redirect if already authenticated
   useEffect(() => {
     if (isAuthenticated) {
-      navigate('/dashboard');
+      navigate(redirectPath, { replace: true });
     }
-  }, [isAuthenticated, navigate]);
+  }, [isAuthenticated, navigate, redirectPath]);
 
   // Clear errors when component mounts or form changes
   useEffect(() => {
@@ -136,6 +148,8 @@ const Login = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     clearError();
+    setNeedsVerification(false);
+    setNotice(null);
 
     // Validate form
     if (!validateForm()) {
@@ -143,19 +157,155 @@ const Login = () => {
     }
 
     try {
-      await login({
+      const result = await login({
         email: formData.email.trim().toLowerCase(),
         password: formData.password,
       });
 
-      // Navigate to dashboard on success
-      navigate('/dashboard');
+      // Password accepted - ask for the authenticator code next
+      if (result.mfaRequired) {
+        setMfaToken(result.mfaToken);
+        setMfaCode('');
+        setMfaError('');
+        setUseRecoveryCode(false);
+        return;
+      }
+
+      // Navigate to the dashboard (or back to the page that needed a login) on success
+      navigate(redirectPath, { replace: true });
     } catch (error) {
       // Error is already handled in AuthContext
       console.error('Login failed:', error);
+      setNeedsVerification(error.code === 'EMAIL_NOT_VERIFIED');
+    }
+  };
+
+  /**
+   * Handle submission of the two-factor code
+   */
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+    clearError();
+
+    const code = mfaCode.replace(/\s/g, '');
+
+    if (useRecoveryCode) {
+      if (!code) {
+        setMfaError('Enter one of your recovery codes');
+        return;
+      }
+    } else if (!/^\d{6}$/.test(code)) {
+      setMfaError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    try {
+      await verifyMfa(useRecoveryCode ? { mfaToken, recoveryCode: code } : { mfaToken, code });
+      navigate(redirectPath, { replace: true });
+    } catch (error) {
+      // Error is already handled in AuthContext
+      console.error('Two-factor verification failed:', error);
     }
   };
 
+  /**
+   * Switch between an authenticator code and a recovery code
+   */
+  const toggleRecoveryCode = () => {
+    clearError();
+    setUseRecoveryCode((prev) => !prev);
+    setMfaCode('');
+    setMfaError('');
+  };
+
+  /**
+   * Leave the two-factor step and start over
+   */
+  const handleMfaCancel = () => {
+    clearError();
+    setMfaToken(null);
+    setMfaCode('');
+    setMfaError('');
+    setUseRecoveryCode(false);
+    setFormData((prev) => ({ ...prev, password: '' }));
+  };
+
+  /**
+   * Resend the verification email for the entered address
+   */
+  const handleResendVerification = async () => {
+    try {
+      const response = await resendVerificationEmail(formData.email.trim().toLowerCase());
+      clearError();
+      setNeedsVerification(false);
+      setNotice(response.message);
+    } catch (err) {
+      setNotice(err.message || 'Could not resend the verification email.');
+    }
+  };
+
+  if (mfaToken) {
+    return (
+      <div className="login-container">
+        <div className="login-card">
+          <div className="login-header">
+            <h1>Two-Factor Verification</h1>
+            <p>
+              {useRecoveryCode
+                ? 'Enter one of the recovery codes you saved when enabling two-factor authentication.'
+                : 'Enter the 6-digit code from your authenticator app.'}
+            </p>
+          </div>
+
+          {error && (
+            <div className="error-message" role="alert">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleMfaSubmit} noValidate>
+            <div className="form-group">
+              <label htmlFor="mfaCode">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
+              <input
+                type="text"
+                id="mfaCode"
+                name="mfaCode"
+                value={mfaCode}
+                onChange={(e) => {
+                  setMfaCode(e.target.value);
+                  setMfaError('');
+                }}
+                className={mfaError ? 'error' : ''}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                disabled={loading}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete={useRecoveryCode ? 'off' : 'one-time-code'}
+                maxLength={useRecoveryCode ? 32 : 7}
+                autoFocus
+              />
+              {mfaError && <span className="field-error">{mfaError}</span>}
+              <button type="button" className="inline-link-button" onClick={toggleRecoveryCode}>
+                {useRecoveryCode ? 'Use authenticator app instead' : 'Lost your device? Use a recovery code'}
+              </button>
+            </div>
+
+            <button type="submit" className="submit-button" disabled={loading}>
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <div className="login-footer">
+            <p>
+              <button type="button" className="inline-link-button" onClick={handleMfaCancel}>
+                Back to login
+              </button>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="login-container">
       <div className="login-card">
@@ -168,6 +318,17 @@ const Login = () => {
         {error && (
           <div className="error-message" role="alert">
             {error}
+            {needsVerification && (
+              <button type="button" className="inline-link-button" onClick={handleResendVerification}>
+                Resend verification email
+              </button>
+            )}
+          </div>
+        )}
+
+        {notice && (
+          <div className="success-message" role="status">
+            {notice}
           </div>
         )}
 
@@ -231,6 +392,9 @@ const Login = () => {
             {formErrors.password && touched.password && (
               <span className="field-error">{formErrors.password}</span>
             )}
+            <Link to="/forgot-password" className="link forgot-password-link">
+              Forgot password?
+            </Link>
           </div>
 
           {/* Submit Button */}
@@ -0,0 +1,166 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { getAuthorizationRequest, decideAuthorizationRequest } from '../services/oauthService';
+import '../styles/Login.css';
+
+// What each scope lets the app see, in the user's words
+const SCOPE_DESCRIPTIONS = {
+  openid: 'Know who you are (your account ID)',
+  profile: 'See your name',
+  email: 'See your email address and whether it is verified',
+  aadhaar: 'See your full Aadhaar number',
+};
+
+/**
+ * Get the host a redirect URI points to, for display
+ */
+const getHost = (uri) => {
+  try {
+    return new URL(uri).host;
+  } catch {
+    return uri;
+  }
+};
+
+/**
+ * OAuthConsent Page
+ * Opened by the server's /oauth/authorize endpoint when another app asks the user to sign in
+ * with this account. Shows what the app is asking for and sends the browser back to the app
+ * with the user's answer. Requests the user already approved go straight back.
+ */
+const OAuthConsent = () => {
+  const [searchParams] = useSearchParams();
+  const { user } = useAuth();
+
+  const params = useMemo(() => Object.fromEntries(searchParams), [searchParams]);
+
+  const [status, setStatus] = useState('loading');
+  const [request, setRequest] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Load the request only once (effects run twice in development)
+  const started = useRef(false);
+
+  /**
+   * Send the user's answer to the server and follow the redirect back to the app
+   */
+  const decide = async (approve) => {
+    try {
+      setStatus('redirecting');
+      const response = await decideAuthorizationRequest(params, approve);
+      window.location.assign(response.data.redirectTo);
+    } catch (err) {
+      setStatus('error');
+      setError(err.message || 'Could not complete the sign-in. Please try again from the app.');
+    }
+  };
+
+  useEffect(() => {
+    if (started.current) {
+      return;
+    }
+    started.current = true;
+
+    const load = async () => {
+      try {
+        const response = await getAuthorizationRequest(params);
+        const data = response.data;
+
+        // The app sent an invalid request; it gets the error, not the user
+        if (data.redirectTo) {
+          setStatus('redirecting');
+          window.location.assign(data.redirectTo);
+          return;
+        }
+
+        // Already approved these scopes for this app
+        if (!data.consentRequired) {
+          await decide(true);
+          return;
+        }
+
+        setRequest(data);
+        setStatus('ready');
+      } catch (err) {
+        setStatus('error');
+        setError(err.message || 'This sign-in request is not valid.');
+      }
+    };
+
+    load();
+    // decide and params are stable for the lifetime of the page
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        {status === 'ready' && request && (
+          <>
+            <div className="login-header">
+              <h1>Sign in to {request.client.name}</h1>
+              <p>
+                Signed in as <strong>{user?.email}</strong>
+              </p>
+            </div>
+
+            <p>{request.client.name} would like to:</p>
+            <ul className="consent-scopes">
+              {request.scopes.map((scope) => (
+                <li key={scope} className={scope === 'aadhaar' ? 'consent-scope-sensitive' : undefined}>
+                  {SCOPE_DESCRIPTIONS[scope] || scope}
+                </li>
+              ))}
+            </ul>
+
+            {request.scopes.includes('aadhaar') && (
+              <div className="error-message" role="note">
+                Your full Aadhaar number will be shared with {request.client.name}. Only allow this
+                if you trust the app with it. You will be asked every time.
+              </div>
+            )}
+
+            <p className="consent-redirect">
+              You will be returned to <strong>{getHost(request.redirectUri)}</strong>.
+            </p>
+
+            <button type="button" className="submit-button" onClick={() => decide(true)}>
+              Allow
+            </button>
+            <button type="button" className="inline-link-button consent-deny" onClick={() => decide(false)}>
+              Cancel
+            </button>
+          </>
+        )}
+
+        {(status === 'loading' || status === 'redirecting') && (
+          <div className="login-header">
+            <h1>Sign In</h1>
+            <p>{status === 'loading' ? 'Checking the request...' : 'Returning to the app...'}</p>
+          </div>
+        )}
+
+        {status === 'error' && (
+          <>
+            <div className="login-header">
+              <h1>Sign In</h1>
+            </div>
+            <div className="error-message" role="alert">
+              {error}
+            </div>
+            <div className="login-footer">
+              <p>
+                <Link to="/dashboard" className="link">
+                  Go to your dashboard
+                </Link>
+              </p>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OAuthConsent;
@@ -1,6 +1,11 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import {
+  getAadhaarError,
+  AADHAAR_CHECKSUM_ERROR_CODE,
+  AADHAAR_DUPLICATE_ERROR_CODE,
+} from '../utils/aadhaar';
 import '../styles/Register.css';
 
 const Register = () => {
@@ -117,13 +122,7 @@ const Register = () => {
         break;
 
       case 'aadhaar':
-        if (!value) {
-          error = 'Aadhaar number is required';
-        } else if (value.length !== 12) {
-          error = 'Aadhaar number must be exactly 12 digits';
-        } else if (/^(\d)\1{11}$/.test(value)) {
-          error = 'Aadhaar number cannot be all the same digit';
-        }
+        error = getAadhaarError(value);
         break;
 
       case 'name':
@@ -183,15 +182,10 @@ const Register = () => {
       isValid = false;
     }
 
-    // Validate Aadhaar
-    if (!formData.aadhaar) {
-      errors.aadhaar = 'Aadhaar number is required';
-      isValid = false;
-    } else if (formData.aadhaar.length !== 12) {
-      errors.aadhaar = 'Aadhaar number must be exactly 12 digits';
-      isValid = false;
-    } else if (/^(\d)\1{11}$/.test(formData.aadhaar)) {
-      errors.aadhaar = 'Aadhaar number cannot be all the same digit';
+    // Validate Aadhaar (same rules as the server, including the check digit)
+    const aadhaarError = getAadhaarError(formData.aadhaar);
+    if (aadhaarError) {
+      errors.aadhaar = aadhaarError;
       isValid = false;
     }
 
@@ -229,17 +223,28 @@ const Register = () => {
     }
 
     try {
-      await register({
+      const result = await register({
         email: formData.email.trim().toLowerCase(),
         password: formData.password,
         aadhaar: formData.aadhaar,
         name: formData.name.trim() || undefined,
       });
 
+      // Email must be verified before the first login
+      if (result.data.verificationRequired) {
+        navigate('/login', {
+          state: { message: 'Account created! Check your inbox to verify your email, then login.' },
+        });
+        return;
+      }
+
       // Navigate to dashboard on success
       navigate('/dashboard');
     } catch (error) {
-      // Error is already handled in AuthContext
+      // Error is already handled in AuthContext; also point at the Aadhaar field when it is the cause
+      if ([AADHAAR_CHECKSUM_ERROR_CODE, AADHAAR_DUPLICATE_ERROR_CODE].includes(error.code)) {
+        setFormErrors((prev) => ({ ...prev, aadhaar: error.message }));
+      }
       console.error('Registration failed:', error);
     }
   };
@@ -0,0 +1,183 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { resetPassword } from '../services/authService';
+import '../styles/Login.css';
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [formData, setFormData] = useState({
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [formErrors, setFormErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  /**
+   * Handle input change
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+
+    if (formErrors[name]) {
+      setFormErrors((prev) => ({
+        ...prev,
+        [name]: '',
+      }));
+    }
+  };
+
+  /**
+   * Validate entire form
+   */
+  const validateForm = () => {
+    const errors = {};
+
+    if (!formData.newPassword) {
+      errors.newPassword = 'Password is required';
+    } else if (formData.newPassword.length < 6) {
+      errors.newPassword = 'Password must be at least 6 characters';
+    } else if (!/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(formData.newPassword)) {
+      errors.newPassword = 'Password must contain uppercase, lowercase, and number';
+    }
+
+    if (!formData.confirmPassword) {
+      errors.confirmPassword = 'Please confirm your password';
+    } else if (formData.confirmPassword !== formData.newPassword) {
+      errors.confirmPassword = 'Passwords do not match';
+    }
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await resetPassword({ token, newPassword: formData.newPassword });
+      setMessage(response.message);
+
+      // Send the user to login shortly after a successful reset
+      setTimeout(() => navigate('/login'), 2500);
+    } catch (err) {
+      setError(err.message || 'Failed to reset password. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="login-container">
+        <div className="login-card">
+          <div className="login-header">
+            <h1>Reset Password</h1>
+          </div>
+          <div className="error-message" role="alert">
+            This reset link is missing its token. Please use the link from your email.
+          </div>
+          <div className="login-footer">
+            <p>
+              <Link to="/forgot-password" className="link">
+                Request a new reset link
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <h1>Reset Password</h1>
+          <p>Choose a new password for your account.</p>
+        </div>
+
+        {error && (
+          <div className="error-message" role="alert">
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div className="success-message" role="status">
+            {message}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} noValidate>
+          <div className="form-group">
+            <label htmlFor="newPassword">New Password</label>
+            <input
+              type="password"
+              id="newPassword"
+              name="newPassword"
+              value={formData.newPassword}
+              onChange={handleChange}
+              className={formErrors.newPassword ? 'error' : ''}
+              placeholder="Enter a new password"
+              disabled={submitting || !!message}
+              autoComplete="new-password"
+            />
+            {formErrors.newPassword && (
+              <span className="field-error">{formErrors.newPassword}</span>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">Confirm New Password</label>
+            <input
+              type="password"
+              id="confirmPassword"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              className={formErrors.confirmPassword ? 'error' : ''}
+              placeholder="Confirm your new password"
+              disabled={submitting || !!message}
+              autoComplete="new-password"
+            />
+            {formErrors.confirmPassword && (
+              <span className="field-error">{formErrors.confirmPassword}</span>
+            )}
+          </div>
+
+          <button type="submit" className="submit-button" disabled={submitting || !!message}>
+            {submitting ? 'Resetting...' : 'Reset Password'}
+          </button>
+        </form>
+
+        <div className="login-footer">
+          <p>
+            <Link to="/login" className="link">
+              Back to login
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
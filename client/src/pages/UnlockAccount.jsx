@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { unlockAccount } from '../services/authService';
+import '../styles/Login.css';
+
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState(token ? 'idle' : 'error');
+  const [message, setMessage] = useState(
+    token ? null : 'This unlock link is missing its token. Please use the link from your email.'
+  );
+
+  /**
+   * Unlock the account (on click, so link scanners opening the page do not use up the token)
+   */
+  const handleUnlock = async () => {
+    try {
+      setStatus('unlocking');
+      const response = await unlockAccount(token);
+      setStatus('success');
+      setMessage(response.message);
+    } catch (err) {
+      setStatus('error');
+      setMessage(err.message || 'Could not unlock your account. The lock will expire on its own.');
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <h1>Unlock Account</h1>
+          {(status === 'idle' || status === 'unlocking') && (
+            <p>Your account was locked after several failed login attempts.</p>
+          )}
+        </div>
+
+        {status === 'success' && (
+          <div className="success-message" role="status">
+            {message}
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="error-message" role="alert">
+            {message}
+          </div>
+        )}
+
+        {(status === 'idle' || status === 'unlocking') && (
+          <button
+            type="button"
+            className="submit-button"
+            onClick={handleUnlock}
+            disabled={status === 'unlocking'}
+          >
+            {status === 'unlocking' ? 'Unlocking...' : 'Unlock My Account'}
+          </button>
+        )}
+
+        <div className="login-footer">
+          <p>
+            <Link to="/login" className="link">
+              Continue to login
+            </Link>
+          </p>
+          <p>
+            Did not try to login?{' '}
+            <Link to="/forgot-password" className="link">
+              Reset your password
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -0,0 +1,84 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { verifyEmail } from '../services/authService';
+import { useAuth } from '../context/AuthContext';
+import '../styles/Login.css';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated } = useAuth();
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(
+    token ? null : 'This verification link is missing its token. Please use the link from your email.'
+  );
+
+  /**
+   * Verify the token once when the page opens
+   */
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    let cancelled = false;
+
+    verifyEmail(token)
+      .then((response) => {
+        if (!cancelled) {
+          setStatus('success');
+          setMessage(response.message);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setStatus('error');
+          setMessage(err.message || 'Verification failed. Please request a new link.');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <h1>Email Verification</h1>
+          {status === 'verifying' && <p>Verifying your email address...</p>}
+        </div>
+
+        {status === 'success' && (
+          <div className="success-message" role="status">
+            {message}
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="error-message" role="alert">
+            {message}
+          </div>
+        )}
+
+        <div className="login-footer">
+          <p>
+            {isAuthenticated ? (
+              <Link to="/dashboard" className="link">
+                Go to your dashboard
+              </Link>
+            ) : (
+              <Link to="/login" className="link">
+                Continue to login
+              </Link>
+            )}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,61 @@
+import api from './api';
+
+/**
+ * Search users (requires the users:read permission)
+ * @param {Object} params - { email, name, createdFrom, createdTo, status, page, limit } (all optional)
+ * @returns {Promise<Object>} - Response with { users: [...], pagination: { page, limit, total, totalPages } }
+ */
+export const getUsers = async (params = {}) => {
+  // Leave out empty filters so they are not sent as empty strings
+  const query = Object.fromEntries(
+    Object.entries(params).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+  );
+
+  return api.get('/admin/users', { params: query });
+};
+
+/**
+ * Get one user's account details and active sessions (requires the users:read permission)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Response with { user, sessions }
+ */
+export const getUser = async (userId) => {
+  return api.get(`/admin/users/${encodeURIComponent(userId)}`);
+};
+
+/**
+ * Disable a user account and sign it out everywhere (requires the users:manage permission)
+ * @param {string} userId - User ID
+ * @param {string} reason - Optional reason, kept with the account
+ * @returns {Promise<Object>} - Response with { user }
+ */
+export const disableUser = async (userId, reason) => {
+  return api.post(`/admin/users/${encodeURIComponent(userId)}/disable`, reason ? { reason } : {});
+};
+
+/**
+ * Re-enable a disabled user account (requires the users:manage permission)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Response with { user }
+ */
+export const enableUser = async (userId) => {
+  return api.post(`/admin/users/${encodeURIComponent(userId)}/enable`);
+};
+
+/**
+ * Sign a user out of every device (requires the users:manage permission)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Response with a confirmation message
+ */
+export const logoutUser = async (userId) => {
+  return api.post(`/admin/users/${encodeURIComponent(userId)}/logout`);
+};
+
+/**
+ * Unlock an account locked after failed logins (requires the users:unlock permission)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Response with { user }
+ */
+export const unlockUser = async (userId) => {
+  return api.post(`/admin/users/${encodeURIComponent(userId)}/unlock`);
+};
@@ -30,28 +30,103 @@ api.interceptors.request.use(
   }
 );
 
+// Endpoints that must never trigger a silent token refresh
+const NO_REFRESH_ENDPOINTS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/verify-email',
+  '/auth/mfa/verify',
+  '/auth/unlock-account',
+];
+
+// Shared in-flight refresh request, so parallel 401s only rotate the token once
+let refreshPromise = null;
+
+/**
+ * Clear stored session data
+ */
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ * Uses plain axios so the call does not go through the interceptors below
+ * @returns {Promise<string>} - New access token
+ */
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+
+  if (!refreshToken) {
+    throw new Error('No refresh token available');
+  }
+
+  const response = await axios.post(
+    `${API_BASE_URL}/auth/refresh`,
+    { refreshToken },
+    { headers: { 'Content-Type': 'application/json' }, timeout: 10000 }
+  );
+
+  const { token, refreshToken: nextRefreshToken } = response.data.data;
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', nextRefreshToken);
+
+  return token;
+};
+
 // Response interceptor - Handle errors globally
 api.interceptors.response.use(
   (response) => {
     // Return response data directly
     return response.data;
   },
-  (error) => {
+  async (error) => {
     // Handle error responses
     if (error.response) {
       // Server responded with error status
       const { status, data } = error.response;
-      
-      // Handle 401 Unauthorized - Clear token and redirect to login
-      if (status === 401) {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-        // Redirect to login will be handled by ProtectedRoute component
+      const originalRequest = error.config;
+
+      // Handle 401 Unauthorized - Try a silent refresh once, then retry the request
+      if (
+        status === 401 &&
+        originalRequest &&
+        !originalRequest._retry &&
+        !NO_REFRESH_ENDPOINTS.some((endpoint) => originalRequest.url?.startsWith(endpoint)) &&
+        localStorage.getItem('refreshToken')
+      ) {
+        originalRequest._retry = true;
+
+        try {
+          if (!refreshPromise) {
+            refreshPromise = refreshAccessToken().finally(() => {
+              refreshPromise = null;
+            });
+          }
+
+          const token = await refreshPromise;
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return api(originalRequest);
+        } catch {
+          // Refresh token is invalid, expired or reused - session is over
+          clearSession();
+          // Redirect to login will be handled by ProtectedRoute component
+        }
+      } else if (status === 401 && !localStorage.getItem('refreshToken')) {
+        clearSession();
       }
       
-      // Return error message from server
+      // Return error message (and machine-readable code, if any) from server
       const errorMessage = data?.message || 'An error occurred';
-      return Promise.reject(new Error(errorMessage));
+      const apiError = new Error(errorMessage);
+      apiError.status = status;
+      apiError.code = data?.code;
+      return Promise.reject(apiError);
     } else if (error.request) {
       // Request was made but no response received
       return Promise.reject(new Error('Network error. Please check your connection.'));
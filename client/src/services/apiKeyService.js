@@ -0,0 +1,27 @@
+import api from './api';
+
+/**
+ * Get the current user's API keys
+ * @returns {Promise<Object>} - Response with { apiKeys: [...] } (newest first)
+ */
+export const getApiKeys = async () => {
+  return api.get('/auth/api-keys');
+};
+
+/**
+ * Create an API key
+ * @param {Object} data - { name, expiresInDays, scopes }
+ * @returns {Promise<Object>} - Response with { apiKey, key } (the key is only returned here)
+ */
+export const createApiKey = async (data) => {
+  return api.post('/auth/api-keys', data);
+};
+
+/**
+ * Revoke an API key
+ * @param {string} apiKeyId - API key ID
+ * @returns {Promise<Object>} - Response with a confirmation message
+ */
+export const revokeApiKey = async (apiKeyId) => {
+  return api.delete(`/auth/api-keys/${encodeURIComponent(apiKeyId)}`);
+};
@@ -1,4 +1,4 @@
-import api from './api';
+import api, { clearSession } from './api';
 
 /**
  * Register a new user
@@ -7,7 +7,7 @@ import api from './api';
  * @param {string} userData.password - User password
  * @param {string} userData.aadhaar - Aadhaar number (12 digits)
  * @param {string} [userData.name] - User name (optional)
- * @returns {Promise<Object>} - Response with token and user data
+ * @returns {Promise<Object>} - Response with tokens and user data
  */
 export const register = async (userData) => {
   try {
@@ -16,6 +16,7 @@ export const register = async (userData) => {
     // Store token and user data in localStorage
     if (response.data && response.data.token) {
       localStorage.setItem('token', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
       localStorage.setItem('user', JSON.stringify(response.data.user));
     }
     
@@ -31,7 +32,7 @@ export const register = async (userData) => {
  * @param {Object} credentials - User login credentials
  * @param {string} credentials.email - User email
  * @param {string} credentials.password - User password
- * @returns {Promise<Object>} - Response with token and user data
+ * @returns {Promise<Object>} - Response with tokens and user data
  */
 export const login = async (credentials) => {
   try {
@@ -40,6 +41,7 @@ export const login = async (credentials) => {
     // Store token and user data in localStorage
     if (response.data && response.data.token) {
       localStorage.setItem('token', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
       localStorage.setItem('user', JSON.stringify(response.data.user));
     }
     
@@ -50,15 +52,59 @@ export const login = async (credentials) => {
   }
 };
 
+/**
+ * Complete login with the second factor
+ * @param {Object} data - Verification data
+ * @param {string} data.mfaToken - Challenge token returned by login
+ * @param {string} [data.code] - 6-digit code from the authenticator app
+ * @param {string} [data.recoveryCode] - Single-use recovery code (instead of code)
+ * @returns {Promise<Object>} - Response with tokens and user data
+ */
+export const verifyMfa = async (data) => {
+  const response = await api.post('/auth/mfa/verify', data);
+
+  // Store token and user data in localStorage
+  if (response.data && response.data.token) {
+    localStorage.setItem('token', response.data.token);
+    localStorage.setItem('refreshToken', response.data.refreshToken);
+    localStorage.setItem('user', JSON.stringify(response.data.user));
+  }
+
+  return response;
+};
+
 /**
  * Logout user
- * Removes token and user data from localStorage
+ * Revokes the session on the server, then removes tokens and user data from localStorage
+ * Local data is cleared even if the server call fails
+ * @returns {Promise<void>}
  */
-export const logout = () => {
-  localStorage.removeItem('token');
-  localStorage.removeItem('user');
+export const logout = async () => {
+  try {
+    if (getToken()) {
+      await api.post('/auth/logout', { refreshToken: localStorage.getItem('refreshToken') || undefined });
+    }
+  } finally {
+    clearSession();
+  }
 };
 
+/**
+ * Logout from all devices
+ * Revokes every token issued to the user, then clears local data
+ * @returns {Promise<void>}
+ */
+export const logoutAll = async () => {
+  try {
+    await api.post('/auth/logout-all');
+  } finally {
+    clearSession();
+  }
+};
+
+// Clear local session data without contacting the server (session already known to be invalid)
+export { clearSession };
+
 /**
  * Get stored token from localStorage
  * @returns {string|null} - JWT token or null if not found
@@ -86,7 +132,7 @@ export const isAuthenticated = () => {
 
 /**
  * Get user profile (protected route)
- * @returns {Promise<Object>} - User profile with decrypted Aadhaar
+ * @returns {Promise<Object>} - User profile with masked Aadhaar
  */
 export const getProfile = async () => {
   try {
@@ -96,4 +142,79 @@ export const getProfile = async () => {
     // Re-throw error so it can be handled by the component
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Reveal the full Aadhaar number after re-authentication
+ * @param {Object} confirmation - { password } or { code } from the authenticator app
+ * @returns {Promise<Object>} - Response with { aadhaar, expiresAt }
+ */
+export const revealAadhaar = async (confirmation) => {
+  return api.post('/profile/aadhaar/reveal', confirmation);
+};
+
+/**
+ * Change password (signs out all other sessions)
+ * @param {Object} passwords - Current and new password
+ * @param {string} passwords.currentPassword - Current password
+ * @param {string} passwords.newPassword - New password
+ * @returns {Promise<Object>} - Response with a fresh token pair for this device
+ */
+export const changePassword = async (passwords) => {
+  const response = await api.put('/auth/password', passwords);
+
+  // Other sessions were revoked; keep this one alive with the new tokens
+  if (response.data && response.data.token) {
+    localStorage.setItem('token', response.data.token);
+    localStorage.setItem('refreshToken', response.data.refreshToken);
+  }
+
+  return response;
+};
+
+/**
+ * Request a password reset email
+ * @param {string} email - Account email address
+ * @returns {Promise<Object>} - Response with a generic confirmation message
+ */
+export const forgotPassword = async (email) => {
+  return api.post('/auth/forgot-password', { email });
+};
+
+/**
+ * Reset password with the token from the reset email
+ * @param {Object} data - Reset data
+ * @param {string} data.token - Token from the reset link
+ * @param {string} data.newPassword - New password
+ * @returns {Promise<Object>} - Response with confirmation message
+ */
+export const resetPassword = async (data) => {
+  return api.post('/auth/reset-password', data);
+};
+
+/**
+ * Verify email address with the token from the verification email
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object>} - Response with the verified user
+ */
+export const verifyEmail = async (token) => {
+  return api.get('/auth/verify-email', { params: { token } });
+};
+
+/**
+ * Request a new verification email
+ * @param {string} email - Account email address
+ * @returns {Promise<Object>} - Response with a generic confirmation message
+ */
+export const resendVerificationEmail = async (email) => {
+  return api.post('/auth/verify-email/resend', { email });
+};
+
+/**
+ * Unlock an account locked after failed logins
+ * @param {string} token - Unlock token from the email link
+ * @returns {Promise<Object>} - Response with a confirmation message
+ */
+export const unlockAccount = async (token) => {
+  return api.post('/auth/unlock-account', { token });
+};
@@ -0,0 +1,53 @@
+import api from './api';
+
+/**
+ * Get two-factor authentication status
+ * @returns {Promise<Object>} - Response with { mfa: { enabled, enabledAt } }
+ */
+export const getMfaStatus = async () => {
+  return api.get('/auth/mfa');
+};
+
+/**
+ * Start enrolling an authenticator app
+ * @returns {Promise<Object>} - Response with secret, otpauthUrl and qrCode (data URL)
+ */
+export const setupMfa = async () => {
+  return api.post('/auth/mfa/setup');
+};
+
+/**
+ * Confirm enrollment (or reset) with the first code from the authenticator app
+ * @param {string} code - 6-digit code
+ * @returns {Promise<Object>} - Response with the new status
+ */
+export const enableMfa = async (code) => {
+  return api.post('/auth/mfa/enable', { code });
+};
+
+/**
+ * Disable two-factor authentication
+ * @param {Object} data - { password, code } or { password, recoveryCode }
+ * @returns {Promise<Object>} - Response with the new status
+ */
+export const disableMfa = async (data) => {
+  return api.post('/auth/mfa/disable', data);
+};
+
+/**
+ * Start moving two-factor authentication to a new authenticator app
+ * @param {Object} data - { password, code } or { password, recoveryCode } if the old device is lost
+ * @returns {Promise<Object>} - Response with secret, otpauthUrl and qrCode for the new device
+ */
+export const resetMfa = async (data) => {
+  return api.post('/auth/mfa/reset', data);
+};
+
+/**
+ * Replace the recovery codes with a new set
+ * @param {Object} data - { password, code } or { password, recoveryCode }
+ * @returns {Promise<Object>} - Response with the new status and recoveryCodes
+ */
+export const regenerateRecoveryCodes = async (data) => {
+  return api.post('/auth/mfa/recovery-codes', data);
+};
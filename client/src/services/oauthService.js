@@ -0,0 +1,21 @@
+import api from './api';
+
+/**
+ * Read an OpenID Connect authorization request for the consent page
+ * @param {Object} params - Query parameters the app sent to /oauth/authorize
+ * @returns {Promise<Object>} - Response with { client, scopes, redirectUri, consentRequired },
+ * or only { redirectTo } when the app must be told the request is invalid
+ */
+export const getAuthorizationRequest = async (params) => {
+  return api.get('/oauth/authorization', { params });
+};
+
+/**
+ * Approve or deny an OpenID Connect authorization request
+ * @param {Object} params - Query parameters the app sent to /oauth/authorize
+ * @param {boolean} approve - Whether the user allowed the request
+ * @returns {Promise<Object>} - Response with { redirectTo }, where the browser goes next
+ */
+export const decideAuthorizationRequest = async (params, approve) => {
+  return api.post('/oauth/authorization', { params, approve });
+};
@@ -0,0 +1,18 @@
+import api from './api';
+
+/**
+ * Get the devices the current user is signed in on
+ * @returns {Promise<Object>} - Response with { sessions: [...] } (most recently used first)
+ */
+export const getSessions = async () => {
+  return api.get('/auth/sessions');
+};
+
+/**
+ * Sign out one session (device)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} - Response with a confirmation message
+ */
+export const revokeSession = async (sessionId) => {
+  return api.delete(`/auth/sessions/${encodeURIComponent(sessionId)}`);
+};
@@ -0,0 +1,21 @@
+/**
+ * Aadhaar number validation for instant feedback on the Register page
+ * The rules come from ./aadhaarRules.js, generated from server/src/utils/aadhaar.js (which
+ * has the final say), so the page and the server always agree.
+ */
+import { AADHAAR_CHECKSUM_ERROR_CODE, getAadhaarError as getAadhaarRuleError } from './aadhaarRules';
+
+export { AADHAAR_CHECKSUM_ERROR_CODE };
+
+// Error code the server returns when the number is already registered to another account
+export const AADHAAR_DUPLICATE_ERROR_CODE = 'AADHAAR_ALREADY_REGISTERED';
+
+/**
+ * Get the message for the first Aadhaar rule a number breaks
+ * @param {string} aadhaar - Aadhaar number as entered (digits only)
+ * @returns {string} - Error message, or an empty string if the number is valid
+ */
+export const getAadhaarError = (aadhaar) => {
+  const error = getAadhaarRuleError(aadhaar);
+  return error ? error.message : '';
+};
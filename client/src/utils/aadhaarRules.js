@@ -0,0 +1,74 @@
+// Generated from server/src/utils/aadhaar.js by server/scripts/generate-client-aadhaar-rules.js.
+// Do not edit: change the server module and run `npm run generate-client-aadhaar-rules` in server/.
+
+// Error code the server returns when the Verhoeff check digit does not match
+export const AADHAAR_CHECKSUM_ERROR_CODE = 'AADHAAR_CHECKSUM_INVALID';
+
+// Verhoeff multiplication table (dihedral group D5)
+const VERHOEFF_MULTIPLY = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+// Verhoeff permutation table, applied once per position from the right
+const VERHOEFF_PERMUTE = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+export const hasValidVerhoeffChecksum = (digits) => {
+  if (typeof digits !== 'string' || !/^\d+$/.test(digits)) {
+    return false;
+  }
+
+  let check = 0;
+  const reversed = digits.split('').reverse();
+
+  reversed.forEach((digit, position) => {
+    check = VERHOEFF_MULTIPLY[check][VERHOEFF_PERMUTE[position % 8][Number(digit)]];
+  });
+
+  return check === 0;
+};
+
+export const getAadhaarError = (aadhaar) => {
+  if (!aadhaar) {
+    return { message: 'Aadhaar number is required' };
+  }
+
+  if (!/^\d{12}$/.test(aadhaar)) {
+    return { message: 'Aadhaar number must be exactly 12 digits' };
+  }
+
+  if (/^(\d)\1{11}$/.test(aadhaar)) {
+    return { message: 'Aadhaar number cannot be all the same digit' };
+  }
+
+  // Aadhaar numbers are never issued starting with 0 or 1
+  if (/^[01]/.test(aadhaar)) {
+    return { message: 'Aadhaar number cannot start with 0 or 1' };
+  }
+
+  if (!hasValidVerhoeffChecksum(aadhaar)) {
+    return {
+      message: 'Aadhaar number is not valid. Please check it for typing mistakes.',
+      code: AADHAAR_CHECKSUM_ERROR_CODE
+    };
+  }
+
+  return null;
+};
@@ -0,0 +1,110 @@
+/**
+ * Compute the Aadhaar blind index for vault records stored before it was introduced
+ * Records are decrypted and indexed in batches. Numbers registered more than once are
+ * listed with the accounts that share them and left unindexed; resolve them and run again.
+ *
+ * Safe to run again: records that already have an index are skipped.
+ *
+ * Usage:
+ *   node scripts/backfill-aadhaar-index.js [--batch-size <n>]
+ *   npm run backfill-aadhaar-index -- --batch-size 500
+ *
+ * Exits with code 1 if any duplicates were found or any record could not be indexed.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const User = require('../src/models/User');
+const vaultService = require('../src/services/vaultService');
+
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Parse the optional --batch-size argument
+ * @returns {number} - Records per batch
+ */
+const parseBatchSize = () => {
+  const index = process.argv.indexOf('--batch-size');
+
+  if (index === -1) {
+    return DEFAULT_BATCH_SIZE;
+  }
+
+  const value = process.argv[index + 1] || '';
+
+  if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+    throw new Error('--batch-size must be a positive whole number');
+  }
+
+  return parseInt(value, 10);
+};
+
+/**
+ * Describe who a vault record belongs to
+ * @param {string|null} reference - Vault reference token
+ * @returns {Promise<string>} - Email of the user holding the reference, or a note that none does
+ */
+const describeOwner = async (reference) => {
+  const user = reference ? await User.findOne({ aadhaarRef: reference }).select('email').lean() : null;
+
+  return user ? user.email : 'no user (unused record)';
+};
+
+const main = async () => {
+  let batchSize;
+  try {
+    batchSize = parseBatchSize();
+  } catch (error) {
+    console.error(error.message);
+    console.error('Usage: node scripts/backfill-aadhaar-index.js [--batch-size <n>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await connectDB();
+
+  let indexed = 0;
+  let problems = 0;
+
+  try {
+    let after = null;
+
+    do {
+      const batch = await vaultService.backfillBlindIndexBatch({ after, batchSize });
+
+      indexed += batch.indexed;
+
+      for (const duplicate of batch.duplicates) {
+        const owner = await describeOwner(duplicate.reference);
+        const originalOwner = await describeOwner(duplicate.duplicateOf);
+        console.error(`Duplicate Aadhaar number: ${owner} has the same number as ${originalOwner}`);
+        problems++;
+      }
+
+      batch.failed.forEach((failure) => {
+        console.error(`Could not index vault record ${failure.reference}: ${failure.reason}`);
+        problems++;
+      });
+
+      if (batch.lastId) {
+        console.log(`Indexed ${indexed} record(s) so far`);
+      }
+
+      after = batch.lastId;
+    } while (after);
+
+    console.log(`Done: ${indexed} record(s) indexed`);
+
+    if (problems > 0) {
+      console.error(`${problems} record(s) were left unindexed; resolve them and run again`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main();
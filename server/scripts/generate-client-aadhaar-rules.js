@@ -0,0 +1,57 @@
+/**
+ * Generate the Register page's copy of the Aadhaar number rules
+ * server/src/utils/aadhaar.js is the only place the rules (format checks and the Verhoeff
+ * check digit) are written. The React client is an ES module build and cannot require it, so
+ * this script writes the same constants and functions to client/src/utils/aadhaarRules.js.
+ * Run it after changing the rules; the Aadhaar utility tests fail while the copy is out of date.
+ *
+ * Usage:
+ *   node scripts/generate-client-aadhaar-rules.js
+ *   npm run generate-client-aadhaar-rules
+ */
+const fs = require('fs');
+const path = require('path');
+const aadhaar = require('../src/utils/aadhaar');
+
+// Where the client copy is written
+const CLIENT_RULES_FILE = path.resolve(__dirname, '../../client/src/utils/aadhaarRules.js');
+
+/**
+ * Write a Verhoeff table as an array literal, one row per line
+ * @param {number[][]} table - Table to write
+ * @returns {string} - Array literal
+ */
+const formatTable = (table) => `[\n${table.map((row) => `  [${row.join(', ')}]`).join(',\n')}\n]`;
+
+/**
+ * Build the source of the client module from the server's rules
+ * @returns {string} - ES module source
+ */
+const buildClientRulesModule = () => [
+  '// Generated from server/src/utils/aadhaar.js by server/scripts/generate-client-aadhaar-rules.js.',
+  '// Do not edit: change the server module and run `npm run generate-client-aadhaar-rules` in server/.',
+  '',
+  '// Error code the server returns when the Verhoeff check digit does not match',
+  `export const AADHAAR_CHECKSUM_ERROR_CODE = '${aadhaar.AADHAAR_CHECKSUM_ERROR_CODE}';`,
+  '',
+  '// Verhoeff multiplication table (dihedral group D5)',
+  `const VERHOEFF_MULTIPLY = ${formatTable(aadhaar.VERHOEFF_MULTIPLY)};`,
+  '',
+  '// Verhoeff permutation table, applied once per position from the right',
+  `const VERHOEFF_PERMUTE = ${formatTable(aadhaar.VERHOEFF_PERMUTE)};`,
+  '',
+  `export const hasValidVerhoeffChecksum = ${aadhaar.hasValidVerhoeffChecksum.toString()};`,
+  '',
+  `export const getAadhaarError = ${aadhaar.getAadhaarError.toString()};`,
+  ''
+].join('\n');
+
+if (require.main === module) {
+  fs.writeFileSync(CLIENT_RULES_FILE, buildClientRulesModule());
+  console.log(`Wrote ${path.relative(process.cwd(), CLIENT_RULES_FILE)}`);
+}
+
+module.exports = {
+  CLIENT_RULES_FILE,
+  buildClientRulesModule
+};
@@ -0,0 +1,75 @@
+/**
+ * Move Aadhaar numbers stored on user documents into the Aadhaar Data Vault
+ * Users created before the vault keep the ciphertext in users.encryptedAadhaar. For each of
+ * them the number is decrypted with AES_SECRET_KEY, stored in the vault (encrypted with
+ * AADHAAR_VAULT_KEY), and the ciphertext on the user is replaced by the reference token.
+ * Each decryption is recorded in the audit chain first; a user whose entry cannot be
+ * written is not moved.
+ *
+ * Safe to run again: users that already have a reference token are skipped. If the script
+ * stops between storing a number and updating the user, that user is moved again on the
+ * next run and the first vault record is left unused.
+ *
+ * Usage:
+ *   node scripts/migrate-aadhaar-to-vault.js
+ *   npm run migrate-aadhaar-to-vault
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const User = require('../src/models/User');
+const vaultService = require('../src/services/vaultService');
+const auditService = require('../src/services/auditService');
+const { decrypt } = require('../src/utils/encryption');
+
+const main = async () => {
+  await connectDB();
+
+  let moved = 0;
+  let failed = 0;
+
+  try {
+    // encryptedAadhaar is no longer part of the User schema, so read the raw documents
+    const cursor = User.collection.find(
+      { encryptedAadhaar: { $exists: true }, aadhaarRef: { $exists: false } },
+      { projection: { email: 1, encryptedAadhaar: 1 } }
+    );
+
+    for await (const user of cursor) {
+      try {
+        // No user is behind a command-line job, so the entry has no actor
+        await auditService.record({
+          action: auditService.AUDIT_ACTIONS.AADHAAR_DECRYPT,
+          targetUser: user._id,
+          purpose: auditService.ACCESS_PURPOSES.MAINTENANCE,
+          details: { source: 'cli', job: 'migrate-aadhaar-to-vault' }
+        });
+
+        const aadhaarRef = await vaultService.storeAadhaar(decrypt(user.encryptedAadhaar));
+
+        await User.collection.updateOne(
+          { _id: user._id, aadhaarRef: { $exists: false } },
+          { $set: { aadhaarRef }, $unset: { encryptedAadhaar: '' } }
+        );
+        moved++;
+      } catch (error) {
+        console.error(`Could not move the Aadhaar number of ${user.email}: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log(`Moved ${moved} Aadhaar number(s) into the vault`);
+
+    if (failed > 0) {
+      console.error(`${failed} user(s) could not be moved; fix the errors above and run again`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main();
@@ -0,0 +1,140 @@
+/**
+ * Re-encrypt stored data with the active encryption keys, after a key rotation
+ * Covers Aadhaar vault records (AADHAAR_VAULT_KEY keyring) and 2FA secrets (AES_SECRET_KEY
+ * keyring), including records still in the legacy AES-256-CBC format. Progress is printed
+ * after every batch.
+ *
+ * With KMS_PROVIDER set, the active keys are the KMS master keys named by
+ * AADHAAR_VAULT_KEY_KMS_KEY_ID and AES_SECRET_KEY_KMS_KEY_ID: run this after turning on
+ * envelope encryption, or after changing a master key ID.
+ *
+ * Resumable: only data not yet under the active key is processed, so the job can be stopped
+ * at any point and run again. Remove an old key from its keyring only once this reports
+ * nothing left to do.
+ *
+ * Usage:
+ *   node scripts/reencrypt-data.js [--batch-size <n>]
+ *   npm run reencrypt-data -- --batch-size 500
+ *
+ * Exits with code 1 if anything could not be re-encrypted.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const vaultService = require('../src/services/vaultService');
+const mfaService = require('../src/services/mfaService');
+
+const DEFAULT_BATCH_SIZE = 100;
+
+// Everything encrypted at rest, with how to find and re-encrypt it
+const JOBS = [
+  {
+    label: 'Aadhaar vault records',
+    count: vaultService.countRecordsToReEncrypt,
+    runBatch: vaultService.reEncryptBatch,
+    describe: (failure) => `vault record ${failure.reference}`
+  },
+  {
+    label: '2FA secrets',
+    count: mfaService.countSecretsToReEncrypt,
+    runBatch: mfaService.reEncryptSecretsBatch,
+    describe: (failure) => `2FA secret of ${failure.email}`
+  }
+];
+
+/**
+ * Parse the optional --batch-size argument
+ * @returns {number} - Records per batch
+ */
+const parseBatchSize = () => {
+  const index = process.argv.indexOf('--batch-size');
+
+  if (index === -1) {
+    return DEFAULT_BATCH_SIZE;
+  }
+
+  const value = process.argv[index + 1] || '';
+
+  if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+    throw new Error('--batch-size must be a positive whole number');
+  }
+
+  return parseInt(value, 10);
+};
+
+/**
+ * Re-encrypt everything one job covers
+ * @param {Object} job - Entry of JOBS
+ * @param {number} batchSize - Records per batch
+ * @returns {Promise<number>} - Number of records that could not be re-encrypted
+ */
+const runJob = async (job, batchSize) => {
+  const total = await job.count();
+
+  if (total === 0) {
+    console.log(`${job.label}: nothing to re-encrypt`);
+    return 0;
+  }
+
+  console.log(`${job.label}: ${total} to re-encrypt`);
+
+  let done = 0;
+  let failed = 0;
+  let after = null;
+
+  do {
+    const batch = await job.runBatch({ after, batchSize });
+
+    done += batch.reEncrypted;
+
+    batch.failed.forEach((failure) => {
+      console.error(`Could not re-encrypt ${job.describe(failure)}: ${failure.reason}`);
+      failed++;
+    });
+
+    if (batch.lastId) {
+      const percent = Math.min(100, Math.floor(((done + failed) / total) * 100));
+      console.log(`${job.label}: ${done}/${total} re-encrypted (${percent}%)`);
+    }
+
+    after = batch.lastId;
+  } while (after);
+
+  return failed;
+};
+
+const main = async () => {
+  let batchSize;
+  try {
+    batchSize = parseBatchSize();
+  } catch (error) {
+    console.error(error.message);
+    console.error('Usage: node scripts/reencrypt-data.js [--batch-size <n>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await connectDB();
+
+  try {
+    let failed = 0;
+
+    for (const job of JOBS) {
+      failed += await runJob(job, batchSize);
+    }
+
+    if (failed > 0) {
+      console.error(`${failed} record(s) could not be re-encrypted; fix the errors above and run again`);
+      process.exitCode = 1;
+    } else {
+      console.log('Done: all data is encrypted with the active keys');
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main();
@@ -0,0 +1,111 @@
+/**
+ * Register an OAuth client
+ * Every client may call the token introspection and revocation endpoints for the tokens
+ * issued to it; --trusted lets a first-party service also introspect the user tokens of the
+ * web app. Apps that sign
+ * their users in with OpenID Connect also need at least one redirect URI; --scopes limits
+ * what they may request (openid, profile and email by default; the aadhaar scope is only
+ * allowed when listed here). Services that call the /internal endpoints need
+ * --service-scopes, the scopes they may get a service token for with the client credentials
+ * grant (users:read, users:logout). A service registered without --redirect-uri or --scopes
+ * gets no OpenID Connect scopes, so it cannot sign users in.
+ * The client secret is printed once and only its hash is stored, so save it right away.
+ *
+ * Usage:
+ *   node scripts/register-client.js <name> [--redirect-uri <uri>]... [--scopes <scope,scope>] [--service-scopes <scope,scope>] [--trusted]
+ *   npm run register-client -- "Billing service" --trusted
+ *   npm run register-client -- "Loans portal" --redirect-uri https://loans.example.com/callback --scopes openid,email,aadhaar
+ *   npm run register-client -- "Fraud service" --service-scopes users:read,users:logout
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const clientService = require('../src/services/clientService');
+
+const USAGE = 'Usage: node scripts/register-client.js <name> [--redirect-uri <uri>]... [--scopes <scope,scope>] [--service-scopes <scope,scope>] [--trusted]';
+
+/**
+ * Split a comma-separated list of scopes
+ * @param {string} value - e.g. "openid,email"
+ * @returns {string[]} - Scopes
+ */
+const splitScopes = (value) => value.split(',').map((scope) => scope.trim()).filter(Boolean);
+
+/**
+ * Read the command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object|null} - { name, redirectUris, scopes, serviceScopes, trusted }, or null if they are malformed
+ */
+const parseArgs = (args) => {
+  const nameParts = [];
+  const redirectUris = [];
+  // Left to registerClient unless --scopes is given (the default depends on the other options)
+  let scopes;
+  let serviceScopes = [];
+  let trusted = false;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--trusted') {
+      trusted = true;
+    } else if (['--redirect-uri', '--scopes', '--service-scopes'].includes(args[i])) {
+      const value = args[i + 1];
+      if (!value) {
+        return null;
+      }
+      if (args[i] === '--redirect-uri') {
+        redirectUris.push(value);
+      } else if (args[i] === '--scopes') {
+        scopes = splitScopes(value);
+      } else {
+        serviceScopes = splitScopes(value);
+      }
+      i++;
+    } else if (args[i].startsWith('--')) {
+      return null;
+    } else {
+      nameParts.push(args[i]);
+    }
+  }
+
+  const name = nameParts.join(' ').trim();
+
+  return name ? { name, redirectUris, scopes, serviceScopes, trusted } : null;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  await connectDB();
+
+  try {
+    const { client, clientSecret } = await clientService.registerClient(options);
+
+    console.log(`Registered client "${client.name}"`);
+    console.log(`client_id:     ${client.clientId}`);
+    console.log(`client_secret: ${clientSecret}`);
+    console.log(`scopes:        ${client.scopes.length > 0 ? client.scopes.join(' ') : 'none (service only)'}`);
+    if (client.serviceScopes.length > 0) {
+      console.log(`service scopes: ${client.serviceScopes.join(' ')}`);
+    }
+    if (client.trusted) {
+      console.log('trusted:       may introspect first-party user tokens');
+    }
+    if (client.redirectUris.length > 0) {
+      console.log(`redirect URIs: ${client.redirectUris.join(', ')}`);
+    }
+    console.log('The secret is not stored and will not be shown again.');
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main();
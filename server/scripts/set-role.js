@@ -0,0 +1,59 @@
+/**
+ * Set a user's role from the command line
+ * Needed to create the first admin, since roles can otherwise only be changed by an admin.
+ *
+ * Usage:
+ *   node scripts/set-role.js <email> <role>
+ *   npm run set-role -- admin@example.com admin
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const userService = require('../src/services/userService');
+const tokenService = require('../src/services/tokenService');
+const auditService = require('../src/services/auditService');
+const { ROLES } = require('../src/config/roles');
+
+const main = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !role) {
+    console.error('Usage: node scripts/set-role.js <email> <role>');
+    console.error(`Roles: ${ROLES.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await connectDB();
+
+  try {
+    const user = await userService.findUserByEmail(email);
+
+    if (!user) {
+      console.error(`No user found with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const updated = await userService.setUserRole(user._id, role);
+
+    // Make the user pick up the new permissions on their next token refresh
+    await tokenService.expireAccessTokens(user._id);
+
+    // No admin account is behind a command-line change, so the entry has no actor
+    await auditService.record({
+      action: auditService.AUDIT_ACTIONS.USER_ROLE_CHANGE,
+      targetUser: user._id,
+      details: { from: user.role, to: updated.role, source: 'cli' }
+    });
+
+    console.log(`${updated.email} is now ${updated.role}`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main();
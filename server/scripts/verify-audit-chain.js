@@ -0,0 +1,86 @@
+/**
+ * Verify the audit log hash chain and report the first break
+ * Prints the head of the chain (last sequence and hash). Keep that value somewhere outside
+ * the database and pass it back with --anchor: entries deleted from the end of the chain
+ * can only be detected against a head recorded earlier.
+ *
+ * Usage:
+ *   node scripts/verify-audit-chain.js [--anchor <sequence>:<hash>]
+ *   npm run verify-audit-chain -- --anchor 1042:9f86d081884c7d659a2feaa0c55ad015...
+ *
+ * Exits with code 1 if the chain is broken or the anchor does not match.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const AuditLog = require('../src/models/AuditLog');
+const auditService = require('../src/services/auditService');
+
+/**
+ * Parse the optional --anchor argument
+ * @returns {Object|null} - { sequence, hash } or null
+ */
+const parseAnchor = () => {
+  const index = process.argv.indexOf('--anchor');
+
+  if (index === -1) {
+    return null;
+  }
+
+  const [sequence, hash] = (process.argv[index + 1] || '').split(':');
+
+  if (!/^\d+$/.test(sequence || '') || !/^[0-9a-f]{64}$/.test(hash || '')) {
+    throw new Error('--anchor must look like <sequence>:<64 hex characters>');
+  }
+
+  return { sequence: parseInt(sequence, 10), hash };
+};
+
+const main = async () => {
+  let anchor;
+  try {
+    anchor = parseAnchor();
+  } catch (error) {
+    console.error(error.message);
+    console.error('Usage: node scripts/verify-audit-chain.js [--anchor <sequence>:<hash>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await connectDB();
+
+  try {
+    const result = await auditService.verifyAuditChain();
+
+    if (!result.valid) {
+      console.error(`Audit chain is BROKEN at entry ${result.error.sequence}: ${result.error.reason}`);
+      console.error(`Entries 1 to ${result.lastSequence} are intact (${result.checked} checked)`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`Audit chain is intact: ${result.checked} entries checked`);
+    console.log(`Head: ${result.lastSequence}:${result.lastHash}`);
+
+    if (anchor) {
+      const entry = await AuditLog.findOne({ sequence: anchor.sequence }).select('hash').lean();
+
+      if (!entry) {
+        console.error(`Anchor entry ${anchor.sequence} no longer exists - entries were removed from the end of the chain`);
+        process.exitCode = 1;
+      } else if (entry.hash !== anchor.hash) {
+        console.error(`Anchor entry ${anchor.sequence} has a different hash - the chain was rewritten`);
+        process.exitCode = 1;
+      } else {
+        console.log(`Anchor ${anchor.sequence} matches`);
+      }
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main();
@@ -2,9 +2,13 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { requestId } = require('./middleware/requestId');
 
 const app = express();
 
+// Request ID (used in audit entries; echoed in the X-Request-Id header)
+app.use(requestId);
+
 // Security Middleware
 app.use(helmet()); // Sets various HTTP headers for security
 
@@ -26,7 +30,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
 // Body Parser Middleware
@@ -49,9 +54,24 @@ const limiter = rateLimit({
 // Apply rate limiting only to API routes
 app.use('/api/', limiter);
 
+// Other services call the OAuth and internal endpoints on behalf of many users, so they get a higher limit
+const oauthLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: process.env.NODE_ENV === 'production' ? 1000 : 10000,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Import Routes
 const authRoutes = require('./routes/authRoutes');
+const mfaRoutes = require('./routes/mfaRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
 const profileRoutes = require('./routes/profileRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const wellKnownRoutes = require('./routes/wellKnownRoutes');
+const oauthRoutes = require('./routes/oauthRoutes');
+const consentRoutes = require('./routes/consentRoutes');
+const internalRoutes = require('./routes/internalRoutes');
 
 // Import Error Handlers
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
@@ -65,9 +85,22 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public keys for verifying our tokens (outside /api so the path is the standard one)
+app.use('/.well-known', wellKnownRoutes);
+
+// OAuth 2.0 and OpenID Connect endpoints (standard paths, outside /api)
+app.use('/oauth', oauthLimiter, oauthRoutes);
+
+// Service-to-service API (service tokens from the client credentials grant only)
+app.use('/internal', oauthLimiter, internalRoutes);
+
 // API Routes
+app.use('/api/auth/mfa', mfaRoutes);
+app.use('/api/auth/api-keys', apiKeyRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/profile', profileRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/oauth', consentRoutes);
 
 // 404 Handler - Catch all unmatched routes (must be after all routes)
 app.use(notFoundHandler);
@@ -0,0 +1,20 @@
+/**
+ * Web Client Configuration
+ */
+
+/**
+ * Get the base URL of the web client (used to build links in emails and to send
+ * browsers to client pages such as the OAuth consent screen)
+ * @returns {string} - Client base URL without trailing slash
+ */
+const getAppUrl = () => {
+  const appUrl = process.env.APP_URL
+    || (process.env.FRONTEND_URL && process.env.FRONTEND_URL.split(',')[0])
+    || 'http://localhost:5173';
+
+  return appUrl.trim().replace(/\/+$/, '');
+};
+
+module.exports = {
+  getAppUrl
+};
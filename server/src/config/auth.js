@@ -0,0 +1,81 @@
+/**
+ * Authentication Policy Configuration
+ * Values are read lazily so tests and scripts can set the environment first
+ */
+
+const EMAIL_VERIFICATION_MODES = ['off', 'login', 'profile'];
+
+/**
+ * Get the email verification enforcement mode
+ * - off:     unverified users can use the app normally (default)
+ * - login:   unverified users cannot login
+ * - profile: unverified users can login but cannot access their profile
+ * @returns {string} - One of EMAIL_VERIFICATION_MODES
+ */
+const getEmailVerificationMode = () => {
+  const mode = (process.env.EMAIL_VERIFICATION_MODE || 'off').toLowerCase();
+
+  if (!EMAIL_VERIFICATION_MODES.includes(mode)) {
+    throw new Error(
+      `EMAIL_VERIFICATION_MODE must be one of: ${EMAIL_VERIFICATION_MODES.join(', ')}. ` +
+      `Current value: ${mode}`
+    );
+  }
+
+  return mode;
+};
+
+/**
+ * How long an email verification link stays valid (hours)
+ */
+const getEmailVerificationTtlHours = () => parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+/**
+ * Minimum time between two verification emails for the same account (seconds)
+ */
+const getVerificationResendCooldownSeconds = () =>
+  parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+
+/**
+ * Failed login throttling for a single account
+ * - backoffBaseSeconds: delay after the first failure, doubled for every further failure
+ * - lockoutThreshold:   failures after which the account is locked and an unlock email is sent
+ * - lockoutMinutes:     first lock duration, doubled for every failure while still failing
+ * - maxLockoutMinutes:  upper bound for any delay or lock
+ * @returns {Object} - { backoffBaseSeconds, lockoutThreshold, lockoutMinutes, maxLockoutMinutes }
+ */
+const getLoginThrottleSettings = () => ({
+  backoffBaseSeconds: parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1,
+  lockoutThreshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  maxLockoutMinutes: parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES) || 24 * 60
+});
+
+/**
+ * Throttling of wrong two-factor codes at the login step, for a single account
+ * - lockoutThreshold:  wrong codes after which codes are refused and every pending MFA
+ *                      challenge token is invalidated
+ * - lockoutMinutes:    first lock duration, doubled for every wrong code after the lock
+ * - maxLockoutMinutes: upper bound for a lock (shared with login throttling)
+ * @returns {Object} - { lockoutThreshold, lockoutMinutes, maxLockoutMinutes }
+ */
+const getMfaThrottleSettings = () => ({
+  lockoutThreshold: parseInt(process.env.MFA_LOCKOUT_THRESHOLD) || 5,
+  lockoutMinutes: parseInt(process.env.MFA_LOCKOUT_MINUTES) || 15,
+  maxLockoutMinutes: parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES) || 24 * 60
+});
+
+/**
+ * How long a revealed Aadhaar number may be shown before the client must hide it (seconds)
+ */
+const getAadhaarRevealTtlSeconds = () => parseInt(process.env.AADHAAR_REVEAL_TTL_SECONDS) || 60;
+
+module.exports = {
+  EMAIL_VERIFICATION_MODES,
+  getEmailVerificationMode,
+  getEmailVerificationTtlHours,
+  getVerificationResendCooldownSeconds,
+  getLoginThrottleSettings,
+  getMfaThrottleSettings,
+  getAadhaarRevealTtlSeconds
+};
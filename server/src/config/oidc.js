@@ -0,0 +1,62 @@
+/**
+ * OpenID Connect Provider Configuration
+ * Values are read lazily so tests and scripts can set the environment first
+ */
+
+/**
+ * Scopes clients can request
+ * - openid:  required in every authorization request; releases only the user ID (sub)
+ * - profile: the user's name
+ * - email:   email address and whether it is verified
+ * - aadhaar: the full Aadhaar number, from the userinfo endpoint only (never in ID tokens).
+ *            Clients must be registered with it, and users approve it every time.
+ */
+const SCOPES = Object.freeze({
+  OPENID: 'openid',
+  PROFILE: 'profile',
+  EMAIL: 'email',
+  AADHAAR: 'aadhaar'
+});
+
+/**
+ * Claims released by each scope
+ */
+const SCOPE_CLAIMS = Object.freeze({
+  [SCOPES.OPENID]: ['sub'],
+  [SCOPES.PROFILE]: ['name'],
+  [SCOPES.EMAIL]: ['email', 'email_verified'],
+  [SCOPES.AADHAAR]: ['aadhaar_number']
+});
+
+// Scopes a client may request when it is registered without a list
+const DEFAULT_CLIENT_SCOPES = Object.freeze([SCOPES.OPENID, SCOPES.PROFILE, SCOPES.EMAIL]);
+
+// Scopes whose approval is never remembered: the consent screen is shown every time
+const ALWAYS_CONFIRM_SCOPES = Object.freeze([SCOPES.AADHAAR]);
+
+/**
+ * Get the issuer identifier of the OpenID Connect provider
+ * The public base URL of this server (e.g. https://id.example.com); it is the iss claim of
+ * ID tokens and the base of every URL in the discovery document.
+ * @returns {string|null} - Issuer without trailing slash, or null when OIDC_ISSUER is not set
+ * (provider mode is off)
+ */
+const getOidcIssuer = () => {
+  const issuer = (process.env.OIDC_ISSUER || '').trim().replace(/\/+$/, '');
+
+  return issuer || null;
+};
+
+/**
+ * How long an authorization code can be exchanged for tokens (seconds)
+ */
+const getAuthorizationCodeTtlSeconds = () => parseInt(process.env.OIDC_CODE_TTL_SECONDS) || 60;
+
+module.exports = {
+  SCOPES,
+  SCOPE_CLAIMS,
+  DEFAULT_CLIENT_SCOPES,
+  ALWAYS_CONFIRM_SCOPES,
+  getOidcIssuer,
+  getAuthorizationCodeTtlSeconds
+};
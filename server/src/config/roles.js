@@ -0,0 +1,69 @@
+/**
+ * Role-Based Access Control Configuration
+ * Every user has exactly one role; each role grants a fixed set of permissions.
+ * Routes check permissions (never role names) with the authorize() middleware,
+ * so a tier can be given new abilities here without touching route code.
+ */
+
+const ROLES = ['user', 'support', 'admin'];
+
+const DEFAULT_ROLE = 'user';
+
+const PERMISSIONS = {
+  PROFILE_READ: 'profile:read',
+  PROFILE_UPDATE: 'profile:update',
+  USERS_READ: 'users:read',
+  USERS_UNLOCK: 'users:unlock',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage'
+};
+
+const USER_PERMISSIONS = [PERMISSIONS.PROFILE_READ, PERMISSIONS.PROFILE_UPDATE];
+
+// Support staff help users with their accounts but cannot change roles
+const SUPPORT_PERMISSIONS = [...USER_PERMISSIONS, PERMISSIONS.USERS_READ, PERMISSIONS.USERS_UNLOCK];
+
+const ADMIN_PERMISSIONS = [...SUPPORT_PERMISSIONS, PERMISSIONS.USERS_MANAGE, PERMISSIONS.ROLES_MANAGE];
+
+const ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  support: SUPPORT_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS
+};
+
+/**
+ * Check whether a value is a known role
+ * @param {string} role - Role name
+ * @returns {boolean} - True if the role exists
+ */
+const isValidRole = (role) => ROLES.includes(role);
+
+/**
+ * Get the permissions granted by a role
+ * Unknown or missing roles get the permissions of the default role
+ * @param {string} role - Role name
+ * @returns {string[]} - Permission names
+ */
+const getPermissionsForRole = (role) => {
+  return [...(ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS[DEFAULT_ROLE])];
+};
+
+/**
+ * Check whether a permission list contains every required permission
+ * @param {string[]} granted - Permissions the caller has
+ * @param {string[]} required - Permissions the action needs
+ * @returns {boolean} - True if all required permissions are granted
+ */
+const hasPermissions = (granted, required) => {
+  const grantedSet = new Set(granted || []);
+  return required.every((permission) => grantedSet.has(permission));
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  isValidRole,
+  getPermissionsForRole,
+  hasPermissions
+};
@@ -0,0 +1,25 @@
+/**
+ * Service Scope Configuration
+ * Scopes that machine clients (other backend services) can be granted. A client gets an
+ * access token for some or all of its scopes with the client credentials grant, and
+ * internal routes check them with the requireScope() middleware.
+ * They are separate from OpenID Connect scopes (config/oidc.js), which a user grants to an
+ * app, and from user permissions (config/roles.js).
+ */
+
+const SERVICE_SCOPES = Object.freeze({
+  USERS_READ: 'users:read',
+  USERS_LOGOUT: 'users:logout'
+});
+
+/**
+ * Check whether a value is a known service scope
+ * @param {string} scope - Scope name
+ * @returns {boolean} - True if the scope exists
+ */
+const isServiceScope = (scope) => Object.values(SERVICE_SCOPES).includes(scope);
+
+module.exports = {
+  SERVICE_SCOPES,
+  isServiceScope
+};
@@ -0,0 +1,176 @@
+const { matchedData } = require('express-validator');
+const userService = require('../services/userService');
+const tokenService = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+const auditService = require('../services/auditService');
+const { AUDIT_ACTIONS } = require('../services/auditService');
+const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Search users
+ * GET /api/admin/users?email=&name=&createdFrom=&createdTo=&status=&page=&limit=
+ *
+ * Requires: Authentication token with the users:read permission
+ * All filters are optional; status is one of active, disabled, locked, unverified.
+ * Aadhaar numbers are left out; the user detail shows the masked number.
+ */
+const listUsers = asyncHandler(async (req, res, next) => {
+  // Express 5 does not keep sanitized query values on req.query
+  const filters = matchedData(req, { locations: ['query'] });
+
+  const { users, pagination } = await userService.listUsers(filters);
+
+  res.status(200).json({
+    success: true,
+    message: 'Users retrieved successfully',
+    data: {
+      users,
+      pagination
+    }
+  });
+});
+
+/**
+ * Get one user's account details and active sessions
+ * GET /api/admin/users/:id
+ *
+ * Requires: Authentication token with the users:read permission
+ * The Aadhaar number is masked; showing it is recorded in the audit chain.
+ */
+const getUser = asyncHandler(async (req, res, next) => {
+  const user = await userService.getUserForAdmin(req.params.id, { actor: req.user, req });
+  const sessions = await sessionService.listSessions(user._id, null);
+
+  res.status(200).json({
+    success: true,
+    message: 'User retrieved successfully',
+    data: {
+      user,
+      sessions
+    }
+  });
+});
+
+/**
+ * Disable a user account and sign it out everywhere
+ * POST /api/admin/users/:id/disable
+ *
+ * Requires: Authentication token with the users:manage permission
+ * Request Body (optional):
+ * {
+ *   "reason": "Reported as compromised"
+ * }
+ */
+const disableUser = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body || {};
+
+  const user = await userService.setUserDisabled(req.params.id, true, {
+    reason,
+    adminId: req.user.userId
+  });
+
+  await tokenService.revokeAllUserTokens(user._id, 'account-disabled');
+
+  await auditService.record({
+    actor: req.user,
+    action: AUDIT_ACTIONS.USER_DISABLE,
+    targetUser: user._id,
+    details: { reason: reason || null },
+    req
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User account disabled. All of the user\'s sessions have been signed out.',
+    data: {
+      user
+    }
+  });
+});
+
+/**
+ * Re-enable a disabled user account
+ * POST /api/admin/users/:id/enable
+ *
+ * Requires: Authentication token with the users:manage permission
+ */
+const enableUser = asyncHandler(async (req, res, next) => {
+  const user = await userService.setUserDisabled(req.params.id, false);
+
+  await auditService.record({
+    actor: req.user,
+    action: AUDIT_ACTIONS.USER_ENABLE,
+    targetUser: user._id,
+    req
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User account enabled',
+    data: {
+      user
+    }
+  });
+});
+
+/**
+ * Sign a user out of every device
+ * POST /api/admin/users/:id/logout
+ *
+ * Requires: Authentication token with the users:manage permission
+ */
+const logoutUser = asyncHandler(async (req, res, next) => {
+  const user = await userService.findUserById(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  await tokenService.revokeAllUserTokens(user._id, 'admin-logout');
+
+  await auditService.record({
+    actor: req.user,
+    action: AUDIT_ACTIONS.USER_FORCE_LOGOUT,
+    targetUser: user._id,
+    req
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User has been signed out of all devices'
+  });
+});
+
+/**
+ * Unlock a user account locked after failed logins
+ * POST /api/admin/users/:id/unlock
+ *
+ * Requires: Authentication token with the users:unlock permission
+ */
+const unlockUser = asyncHandler(async (req, res, next) => {
+  const user = await userService.unlockAccount(req.params.id);
+
+  await auditService.record({
+    actor: req.user,
+    action: AUDIT_ACTIONS.USER_UNLOCK,
+    targetUser: user._id,
+    req
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User account unlocked successfully',
+    data: {
+      user
+    }
+  });
+});
+
+module.exports = {
+  listUsers,
+  getUser,
+  disableUser,
+  enableUser,
+  logoutUser,
+  unlockUser
+};
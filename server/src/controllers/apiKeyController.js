@@ -0,0 +1,77 @@
+const apiKeyService = require('../services/apiKeyService');
+const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * List the current user's API keys
+ * GET /api/auth/api-keys
+ *
+ * Requires: Authentication token in Authorization header
+ * Keys are shown by name and prefix only; the full key is never shown again.
+ */
+const listApiKeys = asyncHandler(async (req, res, next) => {
+  const apiKeys = await apiKeyService.listApiKeys(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'API keys retrieved successfully',
+    data: {
+      apiKeys
+    }
+  });
+});
+
+/**
+ * Create an API key
+ * POST /api/auth/api-keys
+ *
+ * Requires: Authentication token in Authorization header
+ * Request Body:
+ * {
+ *   "name": "QA nightly run",
+ *   "expiresInDays": 90,
+ *   "scopes": ["profile:read"]
+ * }
+ *
+ * The key is in the response only; store it right away.
+ */
+const createApiKey = asyncHandler(async (req, res, next) => {
+  const { name, expiresInDays, scopes } = req.body;
+
+  const { apiKey, key } = await apiKeyService.createApiKey(req.user, { name, expiresInDays, scopes });
+
+  res.set('Cache-Control', 'no-store');
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Copy it now: it will not be shown again.',
+    data: {
+      apiKey,
+      key
+    }
+  });
+});
+
+/**
+ * Revoke one of the current user's API keys
+ * DELETE /api/auth/api-keys/:id
+ *
+ * Requires: Authentication token in Authorization header
+ * The key stops working immediately.
+ */
+const revokeApiKey = asyncHandler(async (req, res, next) => {
+  const revoked = await apiKeyService.revokeApiKey(req.user.userId, req.params.id);
+
+  if (!revoked) {
+    throw new NotFoundError('API key not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'API key revoked successfully'
+  });
+});
+
+module.exports = {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey
+};
@@ -1,7 +1,37 @@
 const userService = require('../services/userService');
-const { generateToken } = require('../utils/jwt');
-const { AuthenticationError } = require('../middleware/errorHandler');
+const tokenService = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+const { generateMfaToken } = require('../utils/jwt');
+const emailService = require('../services/emailService');
+const { AuthenticationError, AuthorizationError, NotFoundError } = require('../middleware/errorHandler');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { getEmailVerificationMode } = require('../config/auth');
+
+/**
+ * Create a verification token for a user and email it
+ * Delivery failures are logged, not thrown - the user can always request a resend
+ * @param {Object} verification - Result of userService.createEmailVerificationToken
+ */
+const deliverVerificationEmail = async (verification) => {
+  try {
+    await emailService.sendVerificationEmail(verification.user, verification.token, verification.expiresInHours);
+  } catch (error) {
+    console.error('Verification email failed:', error.message);
+  }
+};
+
+/**
+ * Email the unlock link to a user whose account was just locked
+ * Delivery failures are logged, not thrown - the lock also expires on its own
+ * @param {Object} lockout - Result of a locking userService.authenticateCredentials call
+ */
+const deliverAccountLockedEmail = async (lockout) => {
+  try {
+    await emailService.sendAccountLockedEmail(lockout.user, lockout.token, lockout.lockedUntil);
+  } catch (error) {
+    console.error('Account locked email failed:', error.message);
+  }
+};
 
 /**
  * Register a new user
@@ -26,21 +56,41 @@ const register = asyncHandler(async (req, res, next) => {
     name
   });
 
-  // Generate JWT token
-  const token = generateToken(user._id.toString(), user.email);
+  // Send the email verification link
+  await deliverVerificationEmail(await userService.createEmailVerificationToken(user._id));
+
+  const userData = {
+    _id: user._id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    createdAt: user.createdAt
+  };
+
+  // Unverified users cannot login in this mode, so don't hand out tokens yet
+  if (getEmailVerificationMode() === 'login') {
+    return res.status(201).json({
+      success: true,
+      message: 'User registered successfully. Please verify your email address before logging in.',
+      data: {
+        verificationRequired: true,
+        user: userData
+      }
+    });
+  }
 
-  // Return success response with token and user data
+  // Generate access token and refresh token
+  const { token, refreshToken } = await tokenService.issueAuthTokens(user, sessionService.getClientInfo(req));
+
+  // Return success response with tokens and user data
   res.status(201).json({
     success: true,
     message: 'User registered successfully',
     data: {
       token,
-      user: {
-        _id: user._id,
-        email: user.email,
-        name: user.name,
-        createdAt: user.createdAt
-      }
+      refreshToken,
+      user: userData
     }
   });
 });
@@ -58,41 +108,348 @@ const register = asyncHandler(async (req, res, next) => {
 const login = asyncHandler(async (req, res, next) => {
   const { email, password } = req.body;
 
-  // Find user by email (include password for verification)
-  const user = await userService.findUserByEmail(email, true);
+  // Check the password with per-account back-off and lockout
+  const { user, lockout } = await userService.authenticateCredentials(email, password);
+
+  if (lockout) {
+    await deliverAccountLockedEmail(lockout);
+  }
 
-  // Check if user exists
+  // Unknown email, wrong password and locked account all get the same answer
   if (!user) {
     throw new AuthenticationError('Invalid email or password');
   }
 
-  // Verify password
-  const isPasswordValid = await userService.verifyPassword(password, user.password);
+  // Checked only after the password, so these cannot be used to probe for accounts
+  if (user.disabledAt) {
+    throw new AuthorizationError(
+      'This account has been disabled. Please contact support.',
+      'ACCOUNT_DISABLED'
+    );
+  }
 
-  if (!isPasswordValid) {
-    throw new AuthenticationError('Invalid email or password');
+  if (getEmailVerificationMode() === 'login' && !user.emailVerified) {
+    throw new AuthorizationError(
+      'Please verify your email address before logging in.',
+      'EMAIL_NOT_VERIFIED'
+    );
   }
 
-  // Generate JWT token
-  const token = generateToken(user._id.toString(), user.email);
+  // Second factor required - hand out a short-lived challenge token instead of real tokens
+  if (user.mfa && user.mfa.enabled) {
+    return res.status(200).json({
+      success: true,
+      message: 'Enter the code from your authenticator app to finish logging in',
+      data: {
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user._id)
+      }
+    });
+  }
+
+  // Generate access token and refresh token
+  const { token, refreshToken } = await tokenService.issueAuthTokens(user, sessionService.getClientInfo(req));
 
-  // Return success response with token and user data
+  // Return success response with tokens and user data
   res.status(200).json({
     success: true,
     message: 'Login successful',
     data: {
       token,
+      refreshToken,
       user: {
         _id: user._id,
         email: user.email,
         name: user.name,
+        role: user.role,
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt
       }
     }
   });
 });
 
+/**
+ * Refresh access token
+ * POST /api/auth/refresh
+ * 
+ * Request Body:
+ * {
+ *   "refreshToken": "<refresh token from login/register/refresh>"
+ * }
+ * 
+ * The refresh token is single-use: a new one is returned with every call.
+ */
+const refresh = asyncHandler(async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  // Rotate the refresh token (detects reuse and revokes the token family)
+  const tokens = await tokenService.rotateRefreshToken(refreshToken, sessionService.getClientInfo(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Token refreshed successfully',
+    data: {
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    }
+  });
+});
+
+/**
+ * Logout current session
+ * POST /api/auth/logout
+ * 
+ * Requires: Authentication token in Authorization header
+ * Request Body:
+ * {
+ *   "refreshToken": "<refresh token>" (optional, revokes the session's refresh tokens)
+ * }
+ */
+const logout = asyncHandler(async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  // Revoke the access token used for this request
+  await tokenService.revokeAccessToken(req.user, 'logout');
+
+  // Revoke the refresh token family so the session cannot be refreshed
+  if (refreshToken) {
+    await tokenService.revokeRefreshToken(refreshToken, req.user.userId, 'logout');
+  }
+
+  // End the session itself (also covers clients that did not send their refresh token)
+  if (req.user.sessionId) {
+    await sessionService.revokeSession(req.user.userId, req.user.sessionId, 'logout');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+/**
+ * Logout from all devices
+ * POST /api/auth/logout-all
+ * 
+ * Requires: Authentication token in Authorization header
+ * Invalidates every access token and refresh token issued to the user so far
+ */
+const logoutAll = asyncHandler(async (req, res, next) => {
+  await tokenService.revokeAllUserTokens(req.user.userId, 'logout-all');
+
+  // Also put this token on the revocation list, so it is rejected whatever the clocks say
+  await tokenService.revokeAccessToken(req.user, 'logout-all');
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out from all devices successfully'
+  });
+});
+
+/**
+ * Change password
+ * PUT /api/auth/password
+ * 
+ * Requires: Authentication token in Authorization header
+ * Request Body:
+ * {
+ *   "currentPassword": "SecurePass123",
+ *   "newPassword": "EvenMoreSecure456"
+ * }
+ * 
+ * All other sessions are signed out; the caller receives a fresh token pair.
+ */
+const changePassword = asyncHandler(async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await userService.changePassword(req.user.userId, currentPassword, newPassword);
+
+  // Revoke every existing session, including the token used for this request
+  await tokenService.revokeAllUserTokens(req.user.userId, 'password-change');
+  await tokenService.revokeAccessToken(req.user, 'password-change');
+
+  // Keep the current device signed in with a new token pair
+  const { token, refreshToken } = await tokenService.issueAuthTokens(user, sessionService.getClientInfo(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Password changed successfully. Other sessions have been signed out.',
+    data: {
+      token,
+      refreshToken
+    }
+  });
+});
+
+/**
+ * Request a password reset email
+ * POST /api/auth/forgot-password
+ * 
+ * Request Body:
+ * {
+ *   "email": "user@example.com"
+ * }
+ * 
+ * Always responds the same way so the endpoint cannot be used to find registered emails.
+ */
+const forgotPassword = asyncHandler(async (req, res, next) => {
+  const { email } = req.body;
+
+  const reset = await userService.createPasswordResetToken(email);
+
+  if (reset) {
+    try {
+      await emailService.sendPasswordResetEmail(reset.user, reset.token, reset.expiresInMinutes);
+    } catch (error) {
+      // Don't reveal delivery problems (or that the account exists) to the caller
+      console.error('Password reset email failed:', error.message);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent.'
+  });
+});
+
+/**
+ * Reset password with a token from the reset email
+ * POST /api/auth/reset-password
+ * 
+ * Request Body:
+ * {
+ *   "token": "<token from email>",
+ *   "newPassword": "EvenMoreSecure456"
+ * }
+ * 
+ * Signs the user out everywhere; they must login with the new password.
+ */
+const resetPassword = asyncHandler(async (req, res, next) => {
+  const { token, newPassword } = req.body;
+
+  const user = await userService.resetPassword(token, newPassword);
+
+  // Whoever had access to the old password must lose their sessions too
+  await tokenService.revokeAllUserTokens(user._id, 'password-reset');
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset successfully. Please login with your new password.'
+  });
+});
+
+/**
+ * Verify email address
+ * GET /api/auth/verify-email?token=<token>
+ */
+const verifyEmail = asyncHandler(async (req, res, next) => {
+  const user = await userService.verifyEmail(req.query.token);
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully',
+    data: {
+      user
+    }
+  });
+});
+
+/**
+ * Resend the email verification link
+ * POST /api/auth/verify-email/resend
+ * 
+ * Request Body:
+ * {
+ *   "email": "user@example.com"
+ * }
+ * 
+ * Always responds the same way; throttled per account and per IP.
+ */
+const resendVerificationEmail = asyncHandler(async (req, res, next) => {
+  const verification = await userService.createVerificationResendToken(req.body.email);
+
+  if (verification) {
+    await deliverVerificationEmail(verification);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'If this email belongs to an unverified account, a new verification link has been sent.'
+  });
+});
+
+/**
+ * Unlock an account locked after failed logins
+ * POST /api/auth/unlock-account
+ * 
+ * Request Body:
+ * {
+ *   "token": "<token from the account locked email>"
+ * }
+ */
+const unlockAccount = asyncHandler(async (req, res, next) => {
+  await userService.unlockAccountWithToken(req.body.token);
+
+  res.status(200).json({
+    success: true,
+    message: 'Your account has been unlocked. You can login again.'
+  });
+});
+
+/**
+ * List the current user's active sessions
+ * GET /api/auth/sessions
+ * 
+ * Requires: Authentication token in Authorization header
+ */
+const listSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await sessionService.listSessions(req.user.userId, req.user.sessionId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Sessions retrieved successfully',
+    data: {
+      sessions
+    }
+  });
+});
+
+/**
+ * Sign out one of the current user's sessions
+ * DELETE /api/auth/sessions/:id
+ * 
+ * Requires: Authentication token in Authorization header
+ * The session's refresh tokens are revoked and its access tokens stop working immediately.
+ */
+const revokeSession = asyncHandler(async (req, res, next) => {
+  const revoked = await sessionService.revokeSession(req.user.userId, req.params.id, 'revoked-by-user');
+
+  if (!revoked) {
+    throw new NotFoundError('Session not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Session signed out successfully',
+    data: {
+      current: req.params.id === req.user.sessionId
+    }
+  });
+});
+
 module.exports = {
   register,
-  login
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  unlockAccount,
+  listSessions,
+  revokeSession
 };
\ No newline at end of file
@@ -0,0 +1,73 @@
+const oidcService = require('../services/oidcService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Read an OpenID Connect authorization request for the consent page
+ * GET /api/oauth/authorization?client_id=...&redirect_uri=...&scope=...&state=...
+ *
+ * Requires: Authentication token in Authorization header
+ * Query: the parameters the client sent to /oauth/authorize, unchanged
+ *
+ * Returns the client and requested scopes, and whether the user has to approve them. When
+ * the request is invalid in a way the client must be told about, only { redirectTo } is
+ * returned and the page sends the browser there.
+ */
+const getAuthorizationRequest = asyncHandler(async (req, res, next) => {
+  let details;
+  try {
+    details = await oidcService.getAuthorizationDetails(req.query, req.user);
+  } catch (error) {
+    if (!error.redirectUri) {
+      throw error;
+    }
+    details = { redirectTo: error.redirectUri };
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Authorization request retrieved successfully',
+    data: details
+  });
+});
+
+/**
+ * Approve or deny an OpenID Connect authorization request
+ * POST /api/oauth/authorization
+ *
+ * Requires: Authentication token in Authorization header
+ * Request Body:
+ * {
+ *   "params": { "client_id": "...", "redirect_uri": "...", ... },  // the authorization request
+ *   "approve": true
+ * }
+ *
+ * Returns { redirectTo }: the client's redirect URI with an authorization code, or with
+ * an access_denied error.
+ */
+const decideAuthorizationRequest = asyncHandler(async (req, res, next) => {
+  const { params = {}, approve } = req.body;
+
+  let redirectTo;
+  try {
+    redirectTo = approve === true
+      ? await oidcService.approveAuthorization(params, req.user)
+      : await oidcService.denyAuthorization(params);
+  } catch (error) {
+    if (!error.redirectUri) {
+      throw error;
+    }
+    redirectTo = error.redirectUri;
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({
+    success: true,
+    message: approve === true ? 'Authorization approved' : 'Authorization denied',
+    data: { redirectTo }
+  });
+});
+
+module.exports = {
+  getAuthorizationRequest,
+  decideAuthorizationRequest
+};
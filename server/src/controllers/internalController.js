@@ -0,0 +1,58 @@
+const userService = require('../services/userService');
+const tokenService = require('../services/tokenService');
+const auditService = require('../services/auditService');
+const { AUDIT_ACTIONS } = require('../services/auditService');
+const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Get a user's account details for another service
+ * GET /internal/users/:id
+ *
+ * Requires: Service token with the users:read scope
+ * Never includes the Aadhaar number.
+ */
+const getUser = asyncHandler(async (req, res, next) => {
+  const user = await userService.getUserForService(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'User retrieved successfully',
+    data: {
+      user
+    }
+  });
+});
+
+/**
+ * Sign a user out of every device (e.g. when another service detects fraud)
+ * POST /internal/users/:id/logout
+ *
+ * Requires: Service token with the users:logout scope
+ * Recorded in the audit chain with the calling client's ID.
+ */
+const logoutUser = asyncHandler(async (req, res, next) => {
+  const user = await userService.findUserById(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  await tokenService.revokeAllUserTokens(user._id, 'service-logout');
+
+  await auditService.record({
+    action: AUDIT_ACTIONS.USER_FORCE_LOGOUT,
+    targetUser: user._id,
+    details: { clientId: req.service.clientId },
+    req
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User has been signed out of all devices'
+  });
+});
+
+module.exports = {
+  getUser,
+  logoutUser
+};
@@ -0,0 +1,202 @@
+const mfaService = require('../services/mfaService');
+const tokenService = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+const { verifyMfaToken } = require('../utils/jwt');
+const { AuthenticationError, asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get two-factor authentication status
+ * GET /api/auth/mfa
+ * 
+ * Requires: Authentication token in Authorization header
+ */
+const getStatus = asyncHandler(async (req, res, next) => {
+  const status = await mfaService.getStatus(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor status retrieved successfully',
+    data: {
+      mfa: status
+    }
+  });
+});
+
+/**
+ * Start two-factor enrollment
+ * POST /api/auth/mfa/setup
+ * 
+ * Requires: Authentication token in Authorization header
+ * Returns the secret, an otpauth:// URI and a QR code (data URL) for authenticator apps
+ */
+const setup = asyncHandler(async (req, res, next) => {
+  const enrollment = await mfaService.startEnrollment(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: enrollment
+  });
+});
+
+/**
+ * Confirm two-factor enrollment (or reset) with the first code
+ * POST /api/auth/mfa/enable
+ * 
+ * Requires: Authentication token in Authorization header
+ * Request Body:
+ * {
+ *   "code": "123456"
+ * }
+ */
+const enable = asyncHandler(async (req, res, next) => {
+  const { recoveryCodes, ...status } = await mfaService.confirmEnrollment(req.user.userId, req.body.code);
+
+  res.status(200).json({
+    success: true,
+    message: recoveryCodes
+      ? 'Two-factor authentication enabled successfully. Store your recovery codes somewhere safe; they will not be shown again.'
+      : 'Two-factor authentication enabled successfully',
+    data: {
+      mfa: status,
+      ...(recoveryCodes && { recoveryCodes })
+    }
+  });
+});
+
+/**
+ * Disable two-factor authentication
+ * POST /api/auth/mfa/disable
+ * 
+ * Requires: Authentication token in Authorization header
+ * Request Body:
+ * {
+ *   "password": "SecurePass123",
+ *   "code": "123456"              // or "recoveryCode": "k7qm2-xv9tr"
+ * }
+ */
+const disable = asyncHandler(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+  const status = await mfaService.disable(req.user.userId, password, { code, recoveryCode });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled successfully',
+    data: {
+      mfa: status
+    }
+  });
+});
+
+/**
+ * Start moving two-factor authentication to a new device
+ * POST /api/auth/mfa/reset
+ * 
+ * Requires: Authentication token in Authorization header
+ * Request Body:
+ * {
+ *   "password": "SecurePass123",
+ *   "code": "123456"              // or "recoveryCode": "k7qm2-xv9tr" if the old device is lost
+ * }
+ * 
+ * The new authenticator must be confirmed through POST /api/auth/mfa/enable
+ */
+const reset = asyncHandler(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+  const enrollment = await mfaService.startReset(req.user.userId, password, { code, recoveryCode });
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the new QR code with your authenticator app, then confirm with a code',
+    data: enrollment
+  });
+});
+
+/**
+ * Replace the recovery codes with a new set
+ * POST /api/auth/mfa/recovery-codes
+ * 
+ * Requires: Authentication token in Authorization header
+ * Request Body:
+ * {
+ *   "password": "SecurePass123",
+ *   "code": "123456"              // or "recoveryCode": "k7qm2-xv9tr"
+ * }
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+  const { recoveryCodes, ...status } = await mfaService.regenerateRecoveryCodes(
+    req.user.userId,
+    password,
+    { code, recoveryCode }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'New recovery codes generated. Previous codes no longer work.',
+    data: {
+      mfa: status,
+      recoveryCodes
+    }
+  });
+});
+
+/**
+ * Complete login with the second factor
+ * POST /api/auth/mfa/verify
+ * 
+ * Request Body:
+ * {
+ *   "mfaToken": "<mfaToken from login>",
+ *   "code": "123456"              // or "recoveryCode": "k7qm2-xv9tr"
+ * }
+ */
+const verify = asyncHandler(async (req, res, next) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  let decoded;
+  try {
+    decoded = verifyMfaToken(mfaToken);
+  } catch (error) {
+    throw new AuthenticationError(error.message);
+  }
+
+  const { user, recoveryCodeUsed, recoveryCodesRemaining, recoveryCodesLow } =
+    await mfaService.verifyLoginCode(decoded, { code, recoveryCode });
+
+  // Second factor passed - issue the real tokens
+  const { token, refreshToken } = await tokenService.issueAuthTokens(user, sessionService.getClientInfo(req));
+
+  let message = 'Login successful';
+  if (recoveryCodeUsed && recoveryCodesLow) {
+    message = `Login successful. Only ${recoveryCodesRemaining} recovery code(s) left - please generate new ones.`;
+  }
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      ...(recoveryCodeUsed && { recoveryCodesRemaining, recoveryCodesLow }),
+      token,
+      refreshToken,
+      user: {
+        _id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        createdAt: user.createdAt
+      }
+    }
+  });
+});
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  reset,
+  regenerateRecoveryCodes,
+  verify
+};
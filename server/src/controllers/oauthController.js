@@ -0,0 +1,173 @@
+const oauthService = require('../services/oauthService');
+const oidcService = require('../services/oidcService');
+const { getAppUrl } = require('../config/app');
+const { asyncHandler, OAuthError } = require('../middleware/errorHandler');
+
+/**
+ * Read the token parameter shared by introspection and revocation
+ * @param {Object} req - Express request
+ * @returns {Object} - { token, tokenTypeHint }
+ */
+const readTokenParams = (req) => {
+  const { token, token_type_hint: tokenTypeHint } = req.body || {};
+
+  if (typeof token !== 'string' || token.trim() === '') {
+    throw new OAuthError('invalid_request', 'The token parameter is required');
+  }
+
+  return { token: token.trim(), tokenTypeHint };
+};
+
+/**
+ * Token introspection (RFC 7662)
+ * POST /oauth/introspect
+ *
+ * Requires: Registered client credentials (HTTP Basic or client_id/client_secret)
+ * Request Body (application/x-www-form-urlencoded):
+ *   token=<access or refresh token>&token_type_hint=access_token
+ *
+ * Returns { "active": false } for any token that would not be accepted right now, and for
+ * tokens the client may not know about (issued to another client, or first-party tokens when
+ * the client is not trusted).
+ */
+const introspect = asyncHandler(async (req, res, next) => {
+  const { token, tokenTypeHint } = readTokenParams(req);
+
+  const result = await oauthService.introspectToken(req.oauthClient, token, tokenTypeHint);
+
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json(result);
+});
+
+/**
+ * Token revocation (RFC 7009)
+ * POST /oauth/revoke
+ *
+ * Requires: Registered client credentials (HTTP Basic or client_id/client_secret)
+ * Request Body (application/x-www-form-urlencoded):
+ *   token=<access token>&token_type_hint=access_token
+ *
+ * Always responds 200 with an empty body, whether or not the token was valid. Only access
+ * tokens issued to the client are revoked; anything else, including the web app's refresh
+ * tokens (no client is issued refresh tokens), is left alone.
+ */
+const revoke = asyncHandler(async (req, res, next) => {
+  const { token, tokenTypeHint } = readTokenParams(req);
+
+  await oauthService.revokeToken(req.oauthClient, token, tokenTypeHint);
+
+  res.set('Cache-Control', 'no-store');
+  res.status(200).end();
+});
+
+/**
+ * OpenID Connect authorization endpoint
+ * GET /oauth/authorize?response_type=code&client_id=...&redirect_uri=...&scope=openid%20email
+ *   &state=...&nonce=...&code_challenge=...&code_challenge_method=S256
+ *
+ * Public (browsers are sent here by the client). Invalid requests are sent back to the
+ * client's redirect URI with an error when that URI is registered. Everything else goes to
+ * the consent page of the web client, which signs the user in if needed and asks them to
+ * approve the request; unknown clients and redirect URIs are reported there.
+ */
+const authorize = asyncHandler(async (req, res, next) => {
+  try {
+    await oidcService.validateAuthorizationRequest(req.query);
+  } catch (error) {
+    if (error.redirectUri) {
+      return res.redirect(302, error.redirectUri);
+    }
+    if (!(error instanceof OAuthError)) {
+      throw error;
+    }
+  }
+
+  // Pass the query on exactly as the client sent it
+  const queryStart = req.originalUrl.indexOf('?');
+  const query = queryStart === -1 ? '' : req.originalUrl.slice(queryStart);
+
+  res.redirect(302, `${getAppUrl()}/oauth/authorize${query}`);
+});
+
+/**
+ * Token endpoint
+ * POST /oauth/token
+ *
+ * Requires: Registered client credentials (HTTP Basic or client_id/client_secret)
+ * Request Body (application/x-www-form-urlencoded), one of:
+ *   grant_type=authorization_code&code=...&redirect_uri=...&code_verifier=...
+ *   grant_type=client_credentials&scope=users:read (scope optional)
+ *
+ * Returns { access_token, token_type, expires_in, id_token, scope } for an authorization
+ * code, and { access_token, token_type, expires_in, scope } (a service token) for client
+ * credentials.
+ */
+const token = asyncHandler(async (req, res, next) => {
+  const {
+    grant_type: grantType,
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+    scope
+  } = req.body || {};
+
+  if (!grantType) {
+    throw new OAuthError('invalid_request', 'The grant_type parameter is required');
+  }
+
+  let result;
+
+  if (grantType === 'authorization_code') {
+    if ([code, redirectUri, codeVerifier].some((value) => typeof value !== 'string' || value === '')) {
+      throw new OAuthError('invalid_request', 'code, redirect_uri and code_verifier are required');
+    }
+
+    result = await oidcService.exchangeAuthorizationCode(req.oauthClient, { code, redirectUri, codeVerifier });
+  } else if (grantType === 'client_credentials') {
+    if (scope !== undefined && typeof scope !== 'string') {
+      throw new OAuthError('invalid_request', 'The scope parameter must be a single space-separated string');
+    }
+
+    result = await oauthService.grantClientCredentials(req.oauthClient, scope);
+  } else {
+    throw new OAuthError(
+      'unsupported_grant_type',
+      'Only grant_type=authorization_code and grant_type=client_credentials are supported'
+    );
+  }
+
+  res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+  res.status(200).json(result);
+});
+
+/**
+ * OpenID Connect userinfo endpoint
+ * GET or POST /oauth/userinfo
+ *
+ * Requires: Access token from the token endpoint in the Authorization header
+ * Headers: Authorization: Bearer <access_token>
+ *
+ * Returns the claims released by the approved scopes ({ sub, name, email, email_verified,
+ * aadhaar_number }). Releasing the Aadhaar number is recorded in the audit log.
+ */
+const userinfo = asyncHandler(async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const accessToken = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+  if (!accessToken) {
+    throw new OAuthError('invalid_token', 'A Bearer access token is required', 401);
+  }
+
+  const claims = await oidcService.getUserInfo(accessToken, req);
+
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json(claims);
+});
+
+module.exports = {
+  introspect,
+  revoke,
+  authorize,
+  token,
+  userinfo
+};
@@ -1,8 +1,10 @@
 const userService = require('../services/userService');
-const { asyncHandler } = require('../middleware/errorHandler');
+const emailService = require('../services/emailService');
+const { ACCESS_PURPOSES } = require('../services/auditService');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
 
 /**
- * Get user profile with decrypted Aadhaar
+ * Get user profile with masked Aadhaar
  * GET /api/profile
  * 
  * Requires: Authentication token in Authorization header
@@ -12,8 +14,12 @@ const getProfile = asyncHandler(async (req, res, next) => {
   // Get userId from req.user (set by authenticateToken middleware)
   const userId = req.user.userId;
 
-  // Get user profile with decrypted Aadhaar
-  const profile = await userService.getUserProfile(userId);
+  // Get user profile with masked Aadhaar (nothing is decrypted for it)
+  const profile = await userService.getUserProfile(userId, {
+    actor: req.user,
+    purpose: ACCESS_PURPOSES.PROFILE_VIEW,
+    req
+  });
 
   // Return success response with profile data
   res.status(200).json({
@@ -24,7 +30,9 @@ const getProfile = asyncHandler(async (req, res, next) => {
         _id: profile._id,
         email: profile.email,
         name: profile.name,
-        aadhaar: profile.aadhaar, // Decrypted Aadhaar
+        aadhaar: profile.aadhaar, // Masked, e.g. XXXX XXXX 1234
+        role: profile.role,
+        emailVerified: profile.emailVerified,
         createdAt: profile.createdAt,
         updatedAt: profile.updatedAt
       }
@@ -32,6 +40,59 @@ const getProfile = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * Reveal the full Aadhaar number after re-authentication
+ * POST /api/profile/aadhaar/reveal
+ * 
+ * Requires: Authentication token in Authorization header
+ * Request Body (one of):
+ * {
+ *   "password": "SecurePass123"
+ * }
+ * {
+ *   "code": "123456"   // from the authenticator app, if two-factor is enabled
+ * }
+ * 
+ * The number is returned once; the client must hide it again at expiresAt.
+ * Wrong confirmations count towards the account's login lockout; while the account is
+ * locked every confirmation is refused with STEP_UP_LOCKED.
+ */
+const revealAadhaar = asyncHandler(async (req, res, next) => {
+  const { password, code } = req.body;
+
+  // Wrong confirmations count towards the same back-off and lockout as wrong login passwords
+  const { user, lockout } = await userService.confirmStepUp(req.user.userId, { password, code });
+
+  if (lockout) {
+    try {
+      await emailService.sendAccountLockedEmail(lockout.user, lockout.token, lockout.lockedUntil);
+    } catch (error) {
+      console.error('Account locked email failed:', error.message);
+    }
+  }
+
+  if (!user) {
+    throw code
+      ? new ValidationError('Invalid authentication code', 'MFA_CODE_INVALID')
+      : new ValidationError('Password is incorrect', 'STEP_UP_FAILED');
+  }
+
+  const { aadhaar, expiresAt } = await userService.revealAadhaar(user, { actor: req.user, req });
+
+  // Never keep the full number in browser or proxy caches
+  res.set('Cache-Control', 'no-store');
+
+  res.status(200).json({
+    success: true,
+    message: 'Aadhaar number revealed',
+    data: {
+      aadhaar,
+      expiresAt
+    }
+  });
+});
+
 module.exports = {
-  getProfile
+  getProfile,
+  revealAadhaar
 };
\ No newline at end of file
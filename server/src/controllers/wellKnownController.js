@@ -0,0 +1,43 @@
+const { getJwks } = require('../utils/signingKeys');
+const oidcService = require('../services/oidcService');
+const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+
+// Verifiers may cache the key set and provider metadata; new keys are published before they sign anything
+const METADATA_MAX_AGE_SECONDS = 300;
+
+/**
+ * Get the public keys tokens are signed with
+ * GET /.well-known/jwks.json
+ *
+ * Public. Returns a plain JSON Web Key Set (RFC 7517), not the usual response envelope,
+ * so other services can verify our tokens with any JOSE library. The set is empty while
+ * tokens are signed with JWT_SECRET.
+ */
+const getJsonWebKeySet = asyncHandler(async (req, res, next) => {
+  res.set('Cache-Control', `public, max-age=${METADATA_MAX_AGE_SECONDS}`);
+  res.status(200).json(getJwks());
+});
+
+/**
+ * Get the OpenID Provider metadata
+ * GET /.well-known/openid-configuration
+ *
+ * Public. Returns the OpenID Connect discovery document, which lists the endpoints,
+ * scopes and algorithms of the provider. 404 while provider mode is off (OIDC_ISSUER or
+ * signing keys not configured).
+ */
+const getOpenIdConfiguration = asyncHandler(async (req, res, next) => {
+  const document = oidcService.getDiscoveryDocument();
+
+  if (!document) {
+    throw new NotFoundError('OpenID Connect provider mode is not enabled');
+  }
+
+  res.set('Cache-Control', `public, max-age=${METADATA_MAX_AGE_SECONDS}`);
+  res.status(200).json(document);
+});
+
+module.exports = {
+  getJsonWebKeySet,
+  getOpenIdConfiguration
+};
@@ -0,0 +1,63 @@
+const { createLocalProvider } = require('./localProvider');
+
+/**
+ * KMS provider interface
+ * A provider holds master keys and uses them to wrap (encrypt) and unwrap data keys;
+ * master keys never leave it. utils/encryption.js encrypts data with data keys and
+ * stores them only in wrapped form (envelope encryption).
+ *
+ * A provider is an object with:
+ * - name: string
+ * - wrapKey(masterKeyId, dataKey: Buffer): Promise<string>
+ *   Returns the wrapped key as base64url (it is stored in a ":"-separated envelope)
+ * - unwrapKey(masterKeyId, wrappedKey: string): Promise<Buffer>
+ *   Rejects if the wrapped key was changed or belongs to another master key
+ *
+ * To add a cloud KMS, write an adapter with this shape and register it in PROVIDERS.
+ */
+
+/**
+ * Provider factories by KMS_PROVIDER value
+ */
+const PROVIDERS = {
+  local: () => createLocalProvider(process.env.KMS_LOCAL_KEY_FILE)
+};
+
+// Providers already created, by KMS_PROVIDER value
+const providers = new Map();
+
+/**
+ * Whether envelope encryption is turned on (KMS_PROVIDER is set)
+ * @returns {boolean}
+ */
+const isKmsEnabled = () => Boolean(process.env.KMS_PROVIDER);
+
+/**
+ * Get the configured KMS provider
+ * Created on first use, so test setup can configure it first.
+ * @returns {Object} - KMS provider
+ */
+const getKmsProvider = () => {
+  const name = process.env.KMS_PROVIDER;
+
+  if (!name) {
+    throw new Error('KMS_PROVIDER is not defined in environment variables');
+  }
+
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`Unknown KMS_PROVIDER "${name}". Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  if (!providers.has(name)) {
+    providers.set(name, factory());
+  }
+
+  return providers.get(name);
+};
+
+module.exports = {
+  isKmsEnabled,
+  getKmsProvider
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Data keys are wrapped with AES-256-GCM under the master key
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+const MASTER_KEY_LENGTH = 32;
+
+/**
+ * Local file-based KMS provider, for development and tests
+ * Master keys are read from a JSON file and never leave this module:
+ *
+ *   { "keys": { "dev-2025-01": "<32 random bytes, base64>" } }
+ *
+ * This keeps master keys out of the database and the application's environment, but
+ * anyone who can read the file can unwrap every data key. Use a cloud KMS in production.
+ *
+ * @param {string} keyFile - Path of the master key file
+ * @returns {Object} - KMS provider (see kms/index.js)
+ */
+const createLocalProvider = (keyFile) => {
+  if (!keyFile) {
+    throw new Error('KMS_LOCAL_KEY_FILE is not defined in environment variables');
+  }
+
+  const filePath = path.resolve(keyFile);
+  let masterKeys = null;
+
+  /**
+   * Read and validate the master key file
+   * @returns {Map} - Master key ID to key
+   */
+  const loadMasterKeys = () => {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read KMS key file ${filePath}: ${error.message}`);
+    }
+
+    if (!parsed || typeof parsed.keys !== 'object' || parsed.keys === null) {
+      throw new Error(`KMS key file ${filePath} must contain a "keys" object`);
+    }
+
+    const keys = new Map();
+    Object.entries(parsed.keys).forEach(([id, value]) => {
+      const key = Buffer.from(String(value), 'base64');
+      if (key.length !== MASTER_KEY_LENGTH) {
+        throw new Error(`KMS master key "${id}" must be ${MASTER_KEY_LENGTH} bytes, base64 encoded`);
+      }
+      keys.set(id, key);
+    });
+
+    return keys;
+  };
+
+  /**
+   * Get a master key, reading the file again if it is not known yet (so keys can be
+   * added without a restart)
+   * @param {string} masterKeyId - Master key ID
+   * @returns {Buffer} - Master key
+   */
+  const getMasterKey = (masterKeyId) => {
+    if (!masterKeys || !masterKeys.has(masterKeyId)) {
+      masterKeys = loadMasterKeys();
+    }
+
+    const key = masterKeys.get(masterKeyId);
+    if (!key) {
+      throw new Error(`KMS master key "${masterKeyId}" not found in ${filePath}`);
+    }
+
+    return key;
+  };
+
+  /**
+   * Wrap (encrypt) a data key with a master key
+   * @param {string} masterKeyId - Master key ID
+   * @param {Buffer} dataKey - Plain data key
+   * @returns {Promise<string>} - Wrapped key, base64url (iv | tag | encrypted key)
+   */
+  const wrapKey = async (masterKeyId, dataKey) => {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, getMasterKey(masterKeyId), iv, {
+      authTagLength: AUTH_TAG_LENGTH
+    });
+    // Bind the wrapped key to its master key ID
+    cipher.setAAD(Buffer.from(masterKeyId, 'utf8'));
+
+    const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+  };
+
+  /**
+   * Unwrap (decrypt) a data key wrapped by wrapKey
+   * @param {string} masterKeyId - Master key ID the key was wrapped with
+   * @param {string} wrappedKey - Wrapped key returned by wrapKey
+   * @returns {Promise<Buffer>} - Plain data key
+   */
+  const unwrapKey = async (masterKeyId, wrappedKey) => {
+    const wrapped = Buffer.from(wrappedKey, 'base64url');
+
+    if (wrapped.length <= IV_LENGTH + AUTH_TAG_LENGTH) {
+      throw new Error('Wrapped data key is too short');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, getMasterKey(masterKeyId), wrapped.subarray(0, IV_LENGTH), {
+      authTagLength: AUTH_TAG_LENGTH
+    });
+    decipher.setAAD(Buffer.from(masterKeyId, 'utf8'));
+    decipher.setAuthTag(wrapped.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH));
+
+    // final() throws if the wrapped key or master key ID were changed
+    return Buffer.concat([
+      decipher.update(wrapped.subarray(IV_LENGTH + AUTH_TAG_LENGTH)),
+      decipher.final()
+    ]);
+  };
+
+  return {
+    name: 'local',
+    wrapKey,
+    unwrapKey
+  };
+};
+
+module.exports = {
+  createLocalProvider
+};
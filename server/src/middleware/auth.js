@@ -1,50 +1,182 @@
-const { verifyToken } = require('../utils/jwt');
-const { AuthenticationError } = require('./errorHandler');
+const { verifyToken, verifyServiceToken, isServiceToken } = require('../utils/jwt');
+const { isAccessTokenRevoked } = require('../services/tokenService');
+const { findActiveSession, touchSession, getClientInfo } = require('../services/sessionService');
+const { findUserById } = require('../services/userService');
+const clientService = require('../services/clientService');
+const apiKeyService = require('../services/apiKeyService');
+const { readClientCredentials } = require('../utils/clientCredentials');
+const { getEmailVerificationMode } = require('../config/auth');
+const { DEFAULT_ROLE, getPermissionsForRole, hasPermissions } = require('../config/roles');
+const { AuthenticationError, AuthorizationError, OAuthError } = require('./errorHandler');
+
+// Kinds of caller a request can be authenticated as (req.principal.type)
+const PRINCIPAL_TYPES = Object.freeze({
+  USER: 'user',
+  SERVICE: 'service'
+});
+
+/**
+ * Read the Bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string} - The token
+ * @throws {AuthenticationError} - If the header is missing or malformed
+ */
+const readBearerToken = (req) => {
+  // Extract token from Authorization header
+  const authHeader = req.headers.authorization;
+
+  // Check if Authorization header exists
+  if (!authHeader) {
+    throw new AuthenticationError('Authorization header is missing. Please provide a token.');
+  }
+
+  // Check if header starts with 'Bearer '
+  if (!authHeader.startsWith('Bearer ')) {
+    throw new AuthenticationError('Invalid authorization format. Use: Bearer <token>');
+  }
+
+  // Extract token (remove 'Bearer ' prefix)
+  const token = authHeader.substring(7); // 'Bearer '.length = 7
+
+  // Check if token exists after 'Bearer '
+  if (!token || token.trim() === '') {
+    throw new AuthenticationError('Token is missing. Please provide a valid token.');
+  }
+
+  return token;
+};
+
+/**
+ * Verify a token and make sure it has not been revoked
+ * @param {string} token - The JWT access token
+ * @returns {Promise<Object>} - User info to attach to the request
+ * @throws {AuthenticationError} - If the token or its session has been revoked
+ */
+const resolveTokenUser = async (token) => {
+  const decoded = verifyToken(token);
+
+  // Reject tokens revoked by logout or by "log out everywhere"
+  if (await isAccessTokenRevoked(decoded)) {
+    throw new AuthenticationError('Token has been revoked. Please login again.');
+  }
+
+  // Reject tokens whose session was signed out from another device
+  if (decoded.sid) {
+    const session = await findActiveSession(decoded.sid);
+
+    if (!session) {
+      throw new AuthenticationError('Session has been signed out. Please login again.');
+    }
+
+    await touchSession(session);
+  }
+
+  // Tokens issued before roles existed carry no role claims
+  const role = decoded.role || DEFAULT_ROLE;
+
+  return {
+    userId: decoded.userId,
+    email: decoded.email,
+    role,
+    permissions: decoded.permissions || getPermissionsForRole(role),
+    sessionId: decoded.sid || null,
+    jti: decoded.jti,
+    exp: decoded.exp
+  };
+};
+
+/**
+ * Verify a service token and make sure it has not been revoked and its client is enabled
+ * @param {string} token - Service token from the client credentials grant
+ * @returns {Promise<Object>} - Service info to attach to the request
+ * @throws {AuthenticationError} - If the token has been revoked or the client disabled
+ */
+const resolveTokenService = async (token) => {
+  const decoded = verifyServiceToken(token);
+
+  if (await isAccessTokenRevoked(decoded)) {
+    throw new AuthenticationError('Token has been revoked. Please request a new one.');
+  }
+
+  const client = await clientService.findClient(decoded.client_id);
+
+  if (!client) {
+    throw new AuthenticationError('Client has been disabled.');
+  }
+
+  return {
+    clientId: client.clientId,
+    name: client.name,
+    scopes: decoded.scope.split(' '),
+    jti: decoded.jti,
+    exp: decoded.exp
+  };
+};
+
+/**
+ * Look up an API key and the user it belongs to
+ * @param {string} key - Key from the Authorization header
+ * @param {Object} req - Express request (its IP address is recorded as the key's last use)
+ * @returns {Promise<Object>} - User info to attach to the request
+ * @throws {AuthenticationError} - If the key is unknown, revoked or expired, or the account is disabled
+ */
+const resolveApiKeyUser = async (key, req) => {
+  const apiKey = await apiKeyService.authenticateApiKey(key, getClientInfo(req));
+  const user = apiKey ? await findUserById(apiKey.user) : null;
+
+  if (!user) {
+    throw new AuthenticationError('Invalid, expired or revoked API key.');
+  }
+
+  if (user.disabledAt) {
+    throw new AuthenticationError('This account has been disabled.', 'ACCOUNT_DISABLED');
+  }
+
+  const role = user.role || DEFAULT_ROLE;
+  const rolePermissions = getPermissionsForRole(role);
+
+  return {
+    userId: user._id.toString(),
+    email: user.email,
+    role,
+    // A key never grants more than the user's current role does
+    permissions: apiKey.scopes.filter((scope) => rolePermissions.includes(scope)),
+    sessionId: null,
+    apiKeyId: apiKey._id.toString(),
+    exp: Math.floor(new Date(apiKey.expiresAt).getTime() / 1000)
+  };
+};
 
 /**
  * JWT Authentication Middleware
  * Verifies JWT token from Authorization header and attaches user info to request
+ * (req.user, and req.principal of type user). Service tokens and API keys are refused:
+ * these routes act for a signed-in user.
  * 
  * Usage:
  * router.get('/protected-route', authenticateToken, controller);
  */
 const authenticateToken = async (req, res, next) => {
   try {
-    // Extract token from Authorization header
-    const authHeader = req.headers.authorization;
-
-    // Check if Authorization header exists
-    if (!authHeader) {
-      throw new AuthenticationError('Authorization header is missing. Please provide a token.');
-    }
-
-    // Check if header starts with 'Bearer '
-    if (!authHeader.startsWith('Bearer ')) {
-      throw new AuthenticationError('Invalid authorization format. Use: Bearer <token>');
+    if (req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+      throw new AuthorizationError('API keys cannot be used here. Please login to use this feature.', 'API_KEY_NOT_ALLOWED');
     }
 
-    // Extract token (remove 'Bearer ' prefix)
-    const token = authHeader.substring(7); // 'Bearer '.length = 7
+    const token = readBearerToken(req);
 
-    // Check if token exists after 'Bearer '
-    if (!token || token.trim() === '') {
-      throw new AuthenticationError('Token is missing. Please provide a valid token.');
+    if (isServiceToken(token)) {
+      throw new AuthorizationError('Service tokens cannot be used here. A user token is required.', 'USER_TOKEN_REQUIRED');
     }
 
-    // Verify and decode the token
-    const decoded = verifyToken(token);
-
-    // Attach user information to request object
-    req.user = {
-      userId: decoded.userId,
-      email: decoded.email
-    };
+    // Verify and decode the token, then attach user information to request object
+    req.user = await resolveTokenUser(token);
+    req.principal = { type: PRINCIPAL_TYPES.USER, id: req.user.userId };
 
     // Continue to next middleware/route handler
     next();
   } catch (error) {
     // If error is already an AuthenticationError, pass it along
-    if (error instanceof AuthenticationError) {
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
       return next(error);
     }
 
@@ -62,6 +194,82 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * JWT or API Key Authentication Middleware
+ * Like authenticateToken, but also accepts a personal API key
+ * (Authorization: ApiKey <key>). A key acts as its owner with the permissions of its
+ * scopes, so only use it on routes that check permissions with authorize().
+ * req.user.apiKeyId is set for requests made with a key.
+ *
+ * Usage:
+ * router.get('/users', authenticateTokenOrApiKey, authorize(PERMISSIONS.USERS_READ), controller);
+ */
+const authenticateTokenOrApiKey = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('ApiKey ')) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const key = authHeader.substring(7).trim(); // 'ApiKey '.length = 7
+
+    if (!key) {
+      throw new AuthenticationError('API key is missing. Use: ApiKey <key>');
+    }
+
+    req.user = await resolveApiKeyUser(key, req);
+    req.principal = { type: PRINCIPAL_TYPES.USER, id: req.user.userId };
+
+    next();
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      return next(error);
+    }
+
+    return next(new AuthenticationError('Authentication failed. Please check your API key.'));
+  }
+};
+
+/**
+ * Service Authentication Middleware
+ * Verifies a service token (client credentials grant) from the Authorization header and
+ * attaches the calling client to the request (req.service, and req.principal of type
+ * service). User tokens are refused: these routes are for other backend services.
+ * Follow it with requireScope() to check what the service may do.
+ *
+ * Usage:
+ * router.use(authenticateService);
+ * router.get('/users/:id', requireScope(SERVICE_SCOPES.USERS_READ), controller);
+ */
+const authenticateService = async (req, res, next) => {
+  try {
+    const token = readBearerToken(req);
+
+    if (!isServiceToken(token)) {
+      throw new AuthorizationError(
+        'User tokens cannot be used here. A service token from the client credentials grant is required.',
+        'SERVICE_TOKEN_REQUIRED'
+      );
+    }
+
+    req.service = await resolveTokenService(token);
+    req.principal = { type: PRINCIPAL_TYPES.SERVICE, id: req.service.clientId };
+
+    next();
+  } catch (error) {
+    if (error instanceof AuthenticationError || error instanceof AuthorizationError) {
+      return next(error);
+    }
+
+    if (error.message.includes('expired')) {
+      return next(new AuthenticationError('Token has expired. Please request a new one.'));
+    }
+
+    return next(new AuthenticationError('Invalid token. Please request a new one.'));
+  }
+};
+
 /**
  * Optional: Middleware to check if user is authenticated (doesn't throw error if not)
  * Useful for optional authentication routes
@@ -74,11 +282,7 @@ const optionalAuth = async (req, res, next) => {
       const token = authHeader.substring(7);
       
       if (token && token.trim() !== '') {
-        const decoded = verifyToken(token);
-        req.user = {
-          userId: decoded.userId,
-          email: decoded.email
-        };
+        req.user = await resolveTokenUser(token);
       }
     }
 
@@ -104,11 +308,7 @@ const extractUserInfo = async (req, res, next) => {
       
       if (token && token.trim() !== '') {
         try {
-          const decoded = verifyToken(token);
-          req.user = {
-            userId: decoded.userId,
-            email: decoded.email
-          };
+          req.user = await resolveTokenUser(token);
         } catch (error) {
           // Silently fail - don't attach user info
           req.user = null;
@@ -123,8 +323,131 @@ const extractUserInfo = async (req, res, next) => {
   }
 };
 
+/**
+ * Email Verification Middleware
+ * Blocks users with unverified email addresses when EMAIL_VERIFICATION_MODE is 'profile'
+ * Must be used after authenticateToken
+ * 
+ * Usage:
+ * router.get('/profile', authenticateToken, requireVerifiedEmail, controller);
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (getEmailVerificationMode() !== 'profile') {
+      return next();
+    }
+
+    const user = await findUserById(req.user.userId);
+
+    if (!user || !user.emailVerified) {
+      throw new AuthorizationError(
+        'Please verify your email address to access your profile.',
+        'EMAIL_NOT_VERIFIED'
+      );
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Authorization Middleware
+ * Allows the request only if the user's token grants every listed permission
+ * Must be used after authenticateToken
+ * 
+ * Usage:
+ * router.get('/users', authenticateToken, authorize(PERMISSIONS.USERS_READ), controller);
+ * 
+ * @param {...string} permissions - Required permissions (see config/roles.js)
+ * @returns {Function} - Express middleware
+ */
+const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return next(new AuthenticationError('Authentication required'));
+  }
+
+  if (!hasPermissions(req.user.permissions, permissions)) {
+    return next(new AuthorizationError(
+      'You do not have permission to perform this action',
+      'INSUFFICIENT_PERMISSIONS'
+    ));
+  }
+
+  next();
+};
+
+/**
+ * Scope Middleware
+ * Allows the request only if the service token grants every listed scope
+ * Must be used after authenticateService
+ *
+ * Usage:
+ * router.post('/users/:id/logout', requireScope(SERVICE_SCOPES.USERS_LOGOUT), controller);
+ *
+ * @param {...string} scopes - Required scopes (see config/serviceScopes.js)
+ * @returns {Function} - Express middleware
+ */
+const requireScope = (...scopes) => (req, res, next) => {
+  if (!req.principal || req.principal.type !== PRINCIPAL_TYPES.SERVICE) {
+    return next(new AuthenticationError('Service authentication required'));
+  }
+
+  if (!scopes.every((scope) => req.service.scopes.includes(scope))) {
+    return next(new AuthorizationError(
+      `This service token does not have the required scope: ${scopes.join(' ')}`,
+      'INSUFFICIENT_SCOPE'
+    ));
+  }
+
+  next();
+};
+
+/**
+ * OAuth Client Authentication Middleware
+ * Authenticates a registered client with its client ID and secret (HTTP Basic, or
+ * client_id and client_secret in the body) and attaches it to the request as req.oauthClient
+ * Errors are OAuthErrors, so use it on routes handled by oauthErrorHandler
+ *
+ * Usage:
+ * router.post('/introspect', authenticateClient, controller);
+ */
+const authenticateClient = async (req, res, next) => {
+  try {
+    let credentials;
+    try {
+      credentials = readClientCredentials(req);
+    } catch (error) {
+      throw new OAuthError('invalid_request', error.message);
+    }
+
+    if (!credentials) {
+      throw new OAuthError('invalid_client', 'Client authentication is required', 401);
+    }
+
+    const client = await clientService.authenticateClient(credentials.clientId, credentials.clientSecret);
+
+    if (!client) {
+      throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+    }
+
+    req.oauthClient = client;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
+  PRINCIPAL_TYPES,
   authenticateToken,
+  authenticateTokenOrApiKey,
+  authenticateService,
+  authenticateClient,
+  requireVerifiedEmail,
+  authorize,
+  requireScope,
   optionalAuth,
   extractUserInfo
 };
\ No newline at end of file
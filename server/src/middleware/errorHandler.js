@@ -7,41 +7,53 @@
  * Custom Error Classes for different error types
  */
 class AppError extends Error {
-    constructor(message, statusCode) {
+    constructor(message, statusCode, code) {
       super(message);
       this.statusCode = statusCode;
+      this.code = code; // Optional machine-readable error code for clients
       this.isOperational = true;
       Error.captureStackTrace(this, this.constructor);
     }
   }
   
   class ValidationError extends AppError {
-    constructor(message) {
-      super(message, 400);
+    constructor(message, code) {
+      super(message, 400, code);
       this.name = 'ValidationError';
     }
   }
   
   class AuthenticationError extends AppError {
-    constructor(message = 'Authentication failed') {
-      super(message, 401);
+    constructor(message = 'Authentication failed', code) {
+      super(message, 401, code);
       this.name = 'AuthenticationError';
     }
   }
   
   class AuthorizationError extends AppError {
-    constructor(message = 'Access denied') {
-      super(message, 403);
+    constructor(message = 'Access denied', code) {
+      super(message, 403, code);
       this.name = 'AuthorizationError';
     }
   }
   
   class NotFoundError extends AppError {
-    constructor(message = 'Resource not found') {
-      super(message, 404);
+    constructor(message = 'Resource not found', code) {
+      super(message, 404, code);
       this.name = 'NotFoundError';
     }
   }
+
+  /**
+   * OAuth 2.0 error (RFC 6749 section 5.2), e.g. invalid_request or invalid_client
+   * Sent by oauthErrorHandler as { error, error_description } instead of the usual response
+   */
+  class OAuthError extends AppError {
+    constructor(error, description, statusCode = 400) {
+      super(description, statusCode, error);
+      this.name = 'OAuthError';
+    }
+  }
   
   /**
    * Handle MongoDB duplicate key errors
@@ -127,6 +139,7 @@ class AppError extends Error {
     const response = {
       success: false,
       message: err.message || 'An error occurred',
+      ...(err.isOperational && err.code && { code: err.code }),
       ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     };
   
@@ -141,6 +154,31 @@ class AppError extends Error {
     res.status(err.statusCode).json(response);
   };
   
+  /**
+   * OAuth Error Handler Middleware
+   * Used on the /oauth routes, whose callers expect RFC 6749 error responses
+   * Other errors are passed on to errorHandler.
+   */
+  const oauthErrorHandler = (err, req, res, next) => {
+    if (!(err instanceof OAuthError)) {
+      return next(err);
+    }
+
+    // Bearer token errors (RFC 6750 section 3) are sent as a Bearer challenge; clients that
+    // tried HTTP Basic authentication are told which scheme to use
+    if (err.code === 'invalid_token' || err.code === 'insufficient_scope') {
+      res.set('WWW-Authenticate', `Bearer realm="oauth", error="${err.code}", error_description="${err.message}"`);
+    } else if (err.statusCode === 401 && (req.headers.authorization || '').startsWith('Basic ')) {
+      res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.status(err.statusCode).json({
+      error: err.code,
+      error_description: err.message
+    });
+  };
+
   /**
    * Handle 404 Not Found errors
    */
@@ -161,11 +199,13 @@ class AppError extends Error {
   
   module.exports = {
     errorHandler,
+    oauthErrorHandler,
     notFoundHandler,
     asyncHandler,
     AppError,
     ValidationError,
     AuthenticationError,
     AuthorizationError,
-    NotFoundError
+    NotFoundError,
+    OAuthError
   };
\ No newline at end of file
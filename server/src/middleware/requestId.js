@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+// Incoming IDs are only reused if they look like an ID, so they are safe to log and store
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Request ID Middleware
+ * Gives every request an ID (req.id), echoed in the X-Request-Id response header
+ * An X-Request-Id sent by a trusted proxy or the client is kept, otherwise a UUID is generated.
+ *
+ * Usage:
+ * app.use(requestId);
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  next();
+};
+
+module.exports = {
+  requestId
+};
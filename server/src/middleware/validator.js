@@ -1,5 +1,7 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const { ValidationError } = require('./errorHandler');
+const { getAadhaarError } = require('../utils/aadhaar');
+const { PERMISSIONS } = require('../config/roles');
 
 /**
  * Middleware to handle validation results
@@ -10,15 +12,19 @@ const handleValidationErrors = (req, res, next) => {
   
   if (!errors.isEmpty()) {
     // Format errors for consistent response
+    // A rule can give a { message, code } object instead of a plain message
     const errorMessages = errors.array().map(error => ({
       field: error.path || error.param,
-      message: error.msg,
+      message: typeof error.msg === 'object' ? error.msg.message : error.msg,
+      code: typeof error.msg === 'object' ? error.msg.code : undefined,
       value: error.value
     }));
 
     // Throw validation error that will be caught by errorHandler
+    const coded = errorMessages.find(e => e.code);
     throw new ValidationError(
-      errorMessages.map(e => e.message).join(', ')
+      errorMessages.map(e => e.message).join(', '),
+      coded ? coded.code : undefined
     );
   }
   
@@ -50,22 +56,12 @@ const validateRegister = [
     .isLength({ max: 128 })
     .withMessage('Password cannot exceed 128 characters'),
 
-  // Aadhaar validation
+  // Aadhaar validation (12 digits, no leading 0 or 1, Verhoeff check digit)
+  // A checksum failure is reported with the AADHAAR_CHECKSUM_INVALID error code
   body('aadhaar')
     .trim()
-    .notEmpty()
-    .withMessage('Aadhaar number is required')
-    .isLength({ min: 12, max: 12 })
-    .withMessage('Aadhaar number must be exactly 12 digits')
-    .matches(/^\d{12}$/)
-    .withMessage('Aadhaar number must contain only digits')
-    .custom((value) => {
-      // Basic Aadhaar validation - check if not all same digits
-      if (/^(\d)\1{11}$/.test(value)) {
-        throw new Error('Aadhaar number cannot be all the same digit');
-      }
-      return true;
-    }),
+    .custom((value) => !getAadhaarError(value))
+    .withMessage((value) => getAadhaarError(value)),
 
   // Name validation (optional)
   body('name')
@@ -103,6 +99,33 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+/**
+ * Refresh Token Validation Rules
+ */
+const validateRefresh = [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+    .isString()
+    .withMessage('Refresh token must be a string'),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * Logout Validation Rules
+ */
+const validateLogout = [
+  body('refreshToken')
+    .optional()
+    .isString()
+    .withMessage('Refresh token must be a string'),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
 /**
  * Optional: Profile Update Validation (if needed later)
  */
@@ -130,7 +153,7 @@ const validateProfileUpdate = [
 ];
 
 /**
- * Optional: Password Change Validation (if needed later)
+ * Password Change Validation Rules
  */
 const validatePasswordChange = [
   // Current password
@@ -159,10 +182,365 @@ const validatePasswordChange = [
   handleValidationErrors
 ];
 
+/**
+ * Forgot Password Validation Rules
+ */
+const validateForgotPassword = [
+  // Email validation
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+    .toLowerCase(),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * Reset Password Validation Rules
+ */
+const validateResetPassword = [
+  // Reset token from the email link
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required')
+    .isString()
+    .withMessage('Reset token must be a string'),
+
+  // New password
+  body('newPassword')
+    .notEmpty()
+    .withMessage('New password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+    .isLength({ max: 128 })
+    .withMessage('Password cannot exceed 128 characters'),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * Email Verification Validation Rules
+ */
+const validateVerifyEmail = [
+  // Verification token from the email link
+  query('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+    .isString()
+    .withMessage('Verification token must be a string'),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * Account Unlock Validation Rules
+ */
+const validateUnlockAccount = [
+  // Unlock token from the account locked email
+  body('token')
+    .notEmpty()
+    .withMessage('Unlock token is required')
+    .isString()
+    .withMessage('Unlock token must be a string'),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * User ID Route Parameter Validation Rules
+ */
+const validateUserIdParam = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * Admin User Search Validation Rules
+ */
+const validateUserSearch = [
+  query('email')
+    .optional()
+    .isString()
+    .withMessage('Email filter must be a string')
+    .trim()
+    .isLength({ max: 254 })
+    .withMessage('Email filter cannot exceed 254 characters'),
+
+  query('name')
+    .optional()
+    .isString()
+    .withMessage('Name filter must be a string')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name filter cannot exceed 100 characters'),
+
+  query('createdFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('createdFrom must be an ISO 8601 date'),
+
+  query('createdTo')
+    .optional()
+    .isISO8601()
+    .withMessage('createdTo must be an ISO 8601 date'),
+
+  query('status')
+    .optional()
+    .isIn(['active', 'disabled', 'locked', 'unverified'])
+    .withMessage('Status must be one of: active, disabled, locked, unverified'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * Admin Disable User Validation Rules
+ */
+const validateDisableUser = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * Session ID Route Parameter Validation Rules
+ */
+const validateSessionIdParam = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID format'),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * Resend Verification Email Validation Rules
+ */
+const validateResendVerification = [
+  // Email validation
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+    .toLowerCase(),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * MFA Code Validation Rules
+ */
+const mfaCodeRule = () => body('code')
+  .trim()
+  .notEmpty()
+  .withMessage('Authentication code is required')
+  .matches(/^\d{6}$/)
+  .withMessage('Authentication code must be 6 digits');
+
+/**
+ * Second Factor Validation Rules (a 6-digit code, or a recovery code instead)
+ */
+const secondFactorRules = () => [
+  body('code')
+    .if(body('recoveryCode').not().exists({ values: 'falsy' }))
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code or recovery code is required')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('Recovery code must be a string')
+    .trim()
+    .isLength({ max: 32 })
+    .withMessage('Recovery code is invalid')
+];
+
+const validateMfaCode = [
+  mfaCodeRule(),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * Aadhaar Reveal (Step-Up) Validation Rules
+ * Either the password or a 6-digit authenticator code is required
+ */
+const validateAadhaarReveal = [
+  body('password')
+    .if(body('code').not().exists({ values: 'falsy' }))
+    .notEmpty()
+    .withMessage('Password or authentication code is required')
+    .bail()
+    .isString()
+    .withMessage('Password must be a string'),
+
+  body('code')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * OAuth Authorization Decision Validation Rules
+ * The authorization request itself is checked by the OIDC service
+ */
+const validateAuthorizationDecision = [
+  body('params')
+    .isObject()
+    .withMessage('The authorization request parameters are required'),
+
+  body('approve')
+    .isBoolean({ strict: true })
+    .withMessage('approve must be true or false'),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * Create API Key Validation Rules
+ */
+const validateCreateApiKey = [
+  body('name')
+    .isString()
+    .withMessage('Name is required')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+
+  body('expiresInDays')
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt(),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Choose at least one scope'),
+
+  body('scopes.*')
+    .isIn(Object.values(PERMISSIONS))
+    .withMessage('Scope must be one of: ' + Object.values(PERMISSIONS).join(', ')),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * API Key ID Route Parameter Validation Rules
+ */
+const validateApiKeyIdParam = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid API key ID format'),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * MFA Disable/Reset/Recovery Code Validation Rules
+ */
+const validateMfaChange = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  ...secondFactorRules(),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
+/**
+ * MFA Login Verification Validation Rules
+ */
+const validateMfaVerify = [
+  body('mfaToken')
+    .notEmpty()
+    .withMessage('MFA token is required')
+    .isString()
+    .withMessage('MFA token must be a string'),
+
+  ...secondFactorRules(),
+
+  // Apply validation error handler
+  handleValidationErrors
+];
+
 module.exports = {
   validateRegister,
   validateLogin,
+  validateRefresh,
+  validateLogout,
   validateProfileUpdate,
   validatePasswordChange,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateResendVerification,
+  validateUnlockAccount,
+  validateUserIdParam,
+  validateUserSearch,
+  validateDisableUser,
+  validateSessionIdParam,
+  validateMfaCode,
+  validateMfaChange,
+  validateMfaVerify,
+  validateAadhaarReveal,
+  validateAuthorizationDecision,
+  validateCreateApiKey,
+  validateApiKeyIdParam,
   handleValidationErrors
 };
\ No newline at end of file
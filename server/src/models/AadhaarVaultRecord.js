@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * Aadhaar Data Vault record
+ * Aadhaar numbers are kept in their own collection, encrypted with their own key
+ * (AADHAAR_VAULT_KEY), and looked up by a random reference token. Users only hold
+ * the reference token (User.aadhaarRef); the vault holds no user details.
+ * A keyed blind index of the number makes each Aadhaar number registrable only once.
+ * The masked number is kept alongside, so it can be shown without decrypting.
+ * Only services/vaultService.js reads or writes this collection.
+ */
+const aadhaarVaultRecordSchema = new mongoose.Schema(
+  {
+    reference: {
+      type: String,
+      required: [true, 'Reference token is required'],
+      unique: true
+      // Random UUID, not derived from the Aadhaar number
+    },
+    encryptedAadhaar: {
+      type: String,
+      required: [true, 'Encrypted Aadhaar is required']
+      // v2:keyId:iv:tag:encryptedData (AES-256-GCM with an AADHAAR_VAULT_KEY keyring key), or
+      // v3:masterKeyId:wrappedKey:iv:tag:encryptedData with KMS_PROVIDER set (see utils/encryption.js).
+      // Legacy iv:encryptedData records are still read until re-encrypted.
+    },
+    blindIndex: {
+      type: String,
+      unique: true,
+      sparse: true
+      // HMAC-SHA256 of the normalized number with AADHAAR_INDEX_KEY (see utils/blindIndex.js).
+      // Missing only on records stored before it was introduced, until backfilled.
+    },
+    maskedAadhaar: {
+      type: String
+      // e.g. XXXX XXXX 1234 (only the last four digits). Missing on records stored before it
+      // was introduced, until the record is next decrypted.
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'aadhaar_vault'
+  }
+);
+
+const AadhaarVaultRecord = mongoose.model('AadhaarVaultRecord', aadhaarVaultRecordSchema);
+
+module.exports = AadhaarVaultRecord;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../config/roles');
+
+// Expired keys stay listed (as expired) for a while before MongoDB removes them
+const EXPIRED_KEY_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Personal API key: a long-lived credential a user creates for scripts and automation
+ * It acts as the user, limited to its scopes. Only a hash of the key is kept.
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+      index: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Key name is required'],
+      trim: true
+      // Chosen by the user, e.g. "QA nightly run"
+    },
+    keyHash: {
+      type: String,
+      required: [true, 'Key hash is required'],
+      unique: true,
+      select: false
+      // SHA-256 hash of the key (the key itself is never stored)
+    },
+    prefix: {
+      type: String,
+      required: [true, 'Key prefix is required']
+      // First characters of the key, so the user can tell their keys apart
+    },
+    scopes: {
+      type: [String],
+      enum: {
+        values: Object.values(PERMISSIONS),
+        message: 'Scope must be one of: ' + Object.values(PERMISSIONS).join(', ')
+      },
+      required: [true, 'Scopes are required']
+      // Permissions the key may use; requests also need the user's role to grant them
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required']
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedIp: {
+      type: String,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'api_keys'
+  }
+);
+
+apiKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: EXPIRED_KEY_RETENTION_SECONDS });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+/**
+ * Append-only audit trail of admin actions and identity data access
+ * Entries form a hash chain (see utils/hashChain.js): each entry stores the hash of
+ * the one before it, so editing or deleting an entry breaks every hash after it.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    sequence: {
+      type: Number,
+      required: [true, 'Sequence number is required'],
+      unique: true
+      // Position in the chain, starting at 1 with no gaps
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true
+      // User who took the action; null for actions run from the command line
+    },
+    actorEmail: {
+      type: String,
+      default: null
+      // Copied at the time of the action, so the entry stays readable if the account changes
+    },
+    actorRole: {
+      type: String,
+      default: null
+    },
+    action: {
+      type: String,
+      required: [true, 'Action is required'],
+      index: true
+      // e.g. "user.disable", "aadhaar.decrypt"
+    },
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true
+    },
+    purpose: {
+      type: String,
+      default: null
+      // Why identity data was accessed, e.g. "profile-view"
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    ip: {
+      type: String,
+      default: null
+    },
+    userAgent: {
+      type: String,
+      default: null
+    },
+    requestId: {
+      type: String,
+      default: null,
+      index: true
+      // X-Request-Id of the HTTP request, to match entries with application logs
+    },
+    createdAt: {
+      type: Date,
+      required: true,
+      immutable: true
+      // Set before hashing rather than by Mongoose timestamps, since it is part of the hash
+    },
+    prevHash: {
+      type: String,
+      required: true
+    },
+    hash: {
+      type: String,
+      required: true
+    }
+  },
+  {
+    // Keep empty objects in details, otherwise the stored entry no longer matches its hash
+    minimize: false
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+
+// Entries are never modified or deleted through the application
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+  ],
+  rejectChange
+);
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
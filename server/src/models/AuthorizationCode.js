@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * OpenID Connect authorization code
+ * Issued when a user approves a client's request and exchanged once, shortly after, for
+ * tokens at the token endpoint.
+ */
+const authorizationCodeSchema = new mongoose.Schema(
+  {
+    codeHash: {
+      type: String,
+      required: [true, 'Code hash is required'],
+      unique: true
+      // SHA-256 hash of the code (the code itself is never stored)
+    },
+    clientId: {
+      type: String,
+      required: [true, 'Client ID is required']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+      default: null
+      // Session the user approved from; tokens issued for the code die with it
+    },
+    redirectUri: {
+      type: String,
+      required: [true, 'Redirect URI is required']
+      // Must be sent again, identical, with the code
+    },
+    scopes: {
+      type: [String],
+      default: []
+    },
+    nonce: {
+      type: String,
+      default: null
+    },
+    codeChallenge: {
+      type: String,
+      required: [true, 'Code challenge is required']
+      // PKCE (S256): the token request must send the verifier that hashes to it
+    },
+    authTime: {
+      type: Date,
+      default: null
+      // When the user logged in (auth_time claim of the ID token)
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required']
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    },
+    accessTokenJti: {
+      type: String,
+      default: null
+      // Access token issued for the code, revoked if the code is used a second time
+    },
+    accessTokenExpiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'oauth_authorization_codes'
+  }
+);
+
+// Let MongoDB remove codes some time after they expire (kept for a while to detect replays)
+authorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+const AuthorizationCode = mongoose.model('AuthorizationCode', authorizationCodeSchema);
+
+module.exports = AuthorizationCode;
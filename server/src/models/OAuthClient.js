@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { SCOPES, DEFAULT_CLIENT_SCOPES } = require('../config/oidc');
+const { SERVICE_SCOPES } = require('../config/serviceScopes');
+
+/**
+ * Registered OAuth client (another service that calls the /oauth and /internal endpoints,
+ * or an app that signs its users in with OpenID Connect)
+ * Clients authenticate with their client ID and secret; only a hash of the secret is kept.
+ * Registered from the command line with scripts/register-client.js.
+ */
+const oauthClientSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: String,
+      required: [true, 'Client ID is required'],
+      unique: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Client name is required'],
+      trim: true
+      // Shown in logs and to administrators, e.g. "orders-service"
+    },
+    clientSecretHash: {
+      type: String,
+      required: [true, 'Client secret hash is required'],
+      select: false
+      // SHA-256 hash of the random client secret (the secret itself is never stored)
+    },
+    redirectUris: {
+      type: [String],
+      default: []
+      // Where users may be sent back to after signing in (exact match). Clients without
+      // any cannot use the authorization endpoint
+    },
+    scopes: {
+      type: [String],
+      enum: {
+        values: Object.values(SCOPES),
+        message: 'Scope must be one of: ' + Object.values(SCOPES).join(', ')
+      },
+      default: () => [...DEFAULT_CLIENT_SCOPES]
+      // Scopes the client may request; the aadhaar scope must be granted explicitly. Empty for
+      // service-only clients, which cannot use the authorization endpoint
+    },
+    serviceScopes: {
+      type: [String],
+      enum: {
+        values: Object.values(SERVICE_SCOPES),
+        message: 'Service scope must be one of: ' + Object.values(SERVICE_SCOPES).join(', ')
+      },
+      default: []
+      // Scopes the client may get a service token for (client credentials grant). Clients
+      // without any cannot use that grant
+    },
+    trusted: {
+      type: Boolean,
+      default: false
+      // First-party services (e.g. other APIs of this stack) that may introspect the user
+      // access and refresh tokens of the web app. Other clients only learn about tokens issued
+      // to them
+    },
+    disabledAt: {
+      type: Date,
+      default: null
+      // Disabled clients can no longer authenticate
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'oauth_clients'
+  }
+);
+
+const OAuthClient = mongoose.model('OAuthClient', oauthClientSchema);
+
+module.exports = OAuthClient;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Scopes a user has approved for an OpenID Connect client
+ * Later requests for the same (or fewer) scopes skip the consent screen. Scopes in
+ * config/oidc.js ALWAYS_CONFIRM_SCOPES are never stored.
+ */
+const oauthConsentSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    clientId: {
+      type: String,
+      required: [true, 'Client ID is required']
+    },
+    scopes: {
+      type: [String],
+      default: []
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'oauth_consents'
+  }
+);
+
+oauthConsentSchema.index({ user: 1, clientId: 1 }, { unique: true });
+
+const OAuthConsent = mongoose.model('OAuthConsent', oauthConsentSchema);
+
+module.exports = OAuthConsent;
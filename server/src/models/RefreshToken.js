@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+      index: true
+    },
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required'],
+      unique: true
+      // SHA-256 hash of the opaque refresh token (the token itself is never stored)
+    },
+    family: {
+      type: String,
+      required: [true, 'Token family is required'],
+      index: true
+      // Every token produced by rotating the same login shares one family
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required']
+    },
+    usedAt: {
+      type: Date,
+      default: null
+      // Set when the token is exchanged for a new pair; a second use means reuse
+    },
+    replacedByHash: {
+      type: String,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Let MongoDB remove tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
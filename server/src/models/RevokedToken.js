@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: [true, 'Token ID (jti) is required'],
+      unique: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required']
+      // Same as the token's own expiry - after that the token is rejected anyway
+    },
+    reason: {
+      type: String,
+      default: 'logout'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Entries are only needed until the revoked token would have expired on its own
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+module.exports = RevokedToken;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+      index: true
+    },
+    family: {
+      type: String,
+      required: [true, 'Token family is required'],
+      unique: true
+      // Refresh token family of this sign-in (see RefreshToken.family)
+    },
+    userAgent: {
+      type: String,
+      default: null
+    },
+    device: {
+      type: String,
+      default: null
+      // Readable summary of the user agent, e.g. "Chrome on Windows"
+    },
+    ip: {
+      type: String,
+      default: null
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required']
+      // Pushed back on every refresh, in step with the refresh token expiry
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Let MongoDB remove sessions once their refresh tokens have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
 
 const userSchema = new mongoose.Schema(
   {
@@ -19,15 +20,151 @@ const userSchema = new mongoose.Schema(
       minlength: [6, 'Password must be at least 6 characters long'],
       select: false // Don't return password in queries by default
     },
-    encryptedAadhaar: {
+    aadhaarRef: {
       type: String,
-      required: [true, 'Aadhaar number is required']
-      // This will store the encrypted Aadhaar + IV
+      required: [true, 'Aadhaar number is required'],
+      unique: true
+      // Reference token of the Aadhaar Data Vault record (see services/vaultService.js);
+      // the number itself is never stored with the user
     },
     name: {
       type: String,
       trim: true,
       maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: 'Role must be one of: ' + ROLES.join(', ')
+      },
+      default: DEFAULT_ROLE,
+      index: true
+      // Permissions per role are defined in config/roles.js
+    },
+    disabledAt: {
+      type: Date,
+      default: null
+      // Set by an admin; disabled accounts cannot log in or refresh tokens
+    },
+    disabledReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    disabledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    tokensValidAfter: {
+      type: Date,
+      default: null
+      // Access tokens issued before this time are rejected ("log out everywhere")
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+    emailVerificationTokenHash: {
+      type: String,
+      select: false
+      // SHA-256 hash of the verification token sent by email
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false
+    },
+    emailVerificationSentAt: {
+      type: Date,
+      select: false
+      // Used to throttle resend requests
+    },
+    mfa: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      secret: {
+        type: String,
+        select: false
+        // Encrypted TOTP secret of the confirmed authenticator
+      },
+      pendingSecret: {
+        type: String,
+        select: false
+        // Encrypted TOTP secret waiting to be confirmed with a first code
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false
+        // Time step of the last accepted code, so a code cannot be replayed
+      },
+      recoveryCodes: {
+        type: [
+          {
+            hash: { type: String, required: true },
+            usedAt: { type: Date, default: null }
+          }
+        ],
+        select: false
+        // bcrypt hashes of single-use recovery codes (for a lost authenticator)
+      },
+      enabledAt: {
+        type: Date
+      },
+      failedAttempts: {
+        type: Number,
+        select: false
+        // Consecutive wrong codes at the login step, reset by a correct one
+      },
+      lockUntil: {
+        type: Date,
+        select: false
+        // Login codes are refused until then (set at the failure threshold)
+      },
+      challengesValidAfter: {
+        type: Date,
+        select: false
+        // MFA challenge tokens issued before this are refused (set when locked)
+      }
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+      // Consecutive failed logins, reset by a successful login or an unlock
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      select: false
+    },
+    nextLoginAllowedAt: {
+      type: Date,
+      select: false
+      // End of the short back-off after a failed login (below the lockout threshold)
+    },
+    lockUntil: {
+      type: Date,
+      select: false
+      // Logins are refused until this time (lockout after too many failures)
+    },
+    unlockTokenHash: {
+      type: String,
+      select: false
+      // SHA-256 hash of the single-use token in the account unlock email
+    },
+    unlockTokenExpires: {
+      type: Date,
+      select: false
+    },
+    passwordResetTokenHash: {
+      type: String,
+      select: false
+      // SHA-256 hash of the single-use reset token sent by email
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false
     }
   },
   {
@@ -36,7 +173,27 @@ const userSchema = new mongoose.Schema(
       transform: function(doc, ret) {
         // Remove sensitive fields from JSON output
         delete ret.password;
-        delete ret.encryptedAadhaar;
+        delete ret.aadhaarRef;
+        delete ret.emailVerificationTokenHash;
+        delete ret.emailVerificationExpires;
+        delete ret.emailVerificationSentAt;
+        delete ret.passwordResetTokenHash;
+        delete ret.passwordResetExpires;
+        delete ret.failedLoginAttempts;
+        delete ret.lastFailedLoginAt;
+        delete ret.nextLoginAllowedAt;
+        delete ret.lockUntil;
+        delete ret.unlockTokenHash;
+        delete ret.unlockTokenExpires;
+        if (ret.mfa) {
+          delete ret.mfa.secret;
+          delete ret.mfa.pendingSecret;
+          delete ret.mfa.lastUsedStep;
+          delete ret.mfa.recoveryCodes;
+          delete ret.mfa.failedAttempts;
+          delete ret.mfa.lockUntil;
+          delete ret.mfa.challengesValidAfter;
+        }
         delete ret.__v;
         return ret;
       }
@@ -45,7 +202,27 @@ const userSchema = new mongoose.Schema(
       transform: function(doc, ret) {
         // Remove sensitive fields from object output
         delete ret.password;
-        delete ret.encryptedAadhaar;
+        delete ret.aadhaarRef;
+        delete ret.emailVerificationTokenHash;
+        delete ret.emailVerificationExpires;
+        delete ret.emailVerificationSentAt;
+        delete ret.passwordResetTokenHash;
+        delete ret.passwordResetExpires;
+        delete ret.failedLoginAttempts;
+        delete ret.lastFailedLoginAt;
+        delete ret.nextLoginAllowedAt;
+        delete ret.lockUntil;
+        delete ret.unlockTokenHash;
+        delete ret.unlockTokenExpires;
+        if (ret.mfa) {
+          delete ret.mfa.secret;
+          delete ret.mfa.pendingSecret;
+          delete ret.mfa.lastUsedStep;
+          delete ret.mfa.recoveryCodes;
+          delete ret.mfa.failedAttempts;
+          delete ret.mfa.lockUntil;
+          delete ret.mfa.challengesValidAfter;
+        }
         delete ret.__v;
         return ret;
       }
@@ -56,6 +233,14 @@ const userSchema = new mongoose.Schema(
 // Index for faster email lookups
 userSchema.index({ email: 1 });
 
+// Index for the admin user list (newest first)
+userSchema.index({ createdAt: -1 });
+
+// Indexes for email verification, password reset and account unlock token lookups
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ unlockTokenHash: 1 }, { sparse: true });
+
 // Prevent duplicate emails
 userSchema.post('save', function(error, doc, next) {
   if (error.name === 'MongoServerError' && error.code === 11000) {
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listUsers,
+  getUser,
+  disableUser,
+  enableUser,
+  logoutUser,
+  unlockUser
+} = require('../controllers/adminController');
+const {
+  validateUserIdParam,
+  validateUserSearch,
+  validateDisableUser
+} = require('../middleware/validator');
+const { authenticateTokenOrApiKey, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+
+// Every admin route requires a signed-in user (or one of their API keys); each route then
+// checks its own permission, which an API key only has if it was created with that scope
+router.use(authenticateTokenOrApiKey);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Search users by email, name, creation date and status (paginated, no Aadhaar numbers)
+ * @access  Private (requires the users:read permission - support and admin)
+ */
+router.get('/users', authorize(PERMISSIONS.USERS_READ), validateUserSearch, listUsers);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get a user's account details and active sessions (Aadhaar masked)
+ * @access  Private (requires the users:read permission - support and admin)
+ */
+router.get('/users/:id', authorize(PERMISSIONS.USERS_READ), validateUserIdParam, getUser);
+
+/**
+ * @route   POST /api/admin/users/:id/disable
+ * @desc    Disable a user account and sign it out everywhere
+ * @access  Private (requires the users:manage permission - admin)
+ */
+router.post('/users/:id/disable', authorize(PERMISSIONS.USERS_MANAGE), validateDisableUser, disableUser);
+
+/**
+ * @route   POST /api/admin/users/:id/enable
+ * @desc    Re-enable a disabled user account
+ * @access  Private (requires the users:manage permission - admin)
+ */
+router.post('/users/:id/enable', authorize(PERMISSIONS.USERS_MANAGE), validateUserIdParam, enableUser);
+
+/**
+ * @route   POST /api/admin/users/:id/logout
+ * @desc    Sign a user out of every device
+ * @access  Private (requires the users:manage permission - admin)
+ */
+router.post('/users/:id/logout', authorize(PERMISSIONS.USERS_MANAGE), validateUserIdParam, logoutUser);
+
+/**
+ * @route   POST /api/admin/users/:id/unlock
+ * @desc    Unlock a user account locked after failed logins
+ * @access  Private (requires the users:unlock permission - support and admin)
+ */
+router.post('/users/:id/unlock', authorize(PERMISSIONS.USERS_UNLOCK), validateUserIdParam, unlockUser);
+
+module.exports = router;
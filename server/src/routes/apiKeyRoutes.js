@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { listApiKeys, createApiKey, revokeApiKey } = require('../controllers/apiKeyController');
+const { validateCreateApiKey, validateApiKeyIdParam } = require('../middleware/validator');
+const { authenticateToken } = require('../middleware/auth');
+
+// Keys are managed from a signed-in session only: an API key cannot create or revoke keys
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/auth/api-keys
+ * @desc    List the current user's API keys (name, prefix, scopes, expiry, last use)
+ * @access  Private (requires authentication)
+ */
+router.get('/', listApiKeys);
+
+/**
+ * @route   POST /api/auth/api-keys
+ * @desc    Create an API key (the key is returned once)
+ * @access  Private (requires authentication)
+ *
+ * Request Body:
+ * {
+ *   "name": "QA nightly run",
+ *   "expiresInDays": 90,
+ *   "scopes": ["profile:read"]
+ * }
+ */
+router.post('/', validateCreateApiKey, createApiKey);
+
+/**
+ * @route   DELETE /api/auth/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (requires authentication)
+ */
+router.delete('/:id', validateApiKeyIdParam, revokeApiKey);
+
+module.exports = router;
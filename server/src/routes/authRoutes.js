@@ -1,7 +1,44 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
-const { register, login } = require('../controllers/authController');
-const { validateRegister, validateLogin } = require('../middleware/validator');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  unlockAccount,
+  listSessions,
+  revokeSession
+} = require('../controllers/authController');
+const {
+  validateRegister,
+  validateLogin,
+  validateRefresh,
+  validateLogout,
+  validatePasswordChange,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateResendVerification,
+  validateUnlockAccount,
+  validateSessionIdParam
+} = require('../middleware/validator');
+const { authenticateToken } = require('../middleware/auth');
+
+// Stricter limit for endpoints that send email
+const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: 'Too many email requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
 
 /**
  * @route   POST /api/auth/register
@@ -31,4 +68,130 @@ router.post('/register', validateRegister, register);
  */
 router.post('/login', validateLogin, login);
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @access  Public (requires a valid refresh token)
+ * 
+ * Request Body:
+ * {
+ *   "refreshToken": "<refresh token>"
+ * }
+ */
+router.post('/refresh', validateRefresh, refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Logout current session (revokes the access token and its refresh tokens)
+ * @access  Private (requires authentication)
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Request Body:
+ * {
+ *   "refreshToken": "<refresh token>" (optional)
+ * }
+ */
+router.post('/logout', authenticateToken, validateLogout, logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout from all devices (revokes every token issued to the user)
+ * @access  Private (requires authentication)
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ */
+router.post('/logout-all', authenticateToken, logoutAll);
+
+/**
+ * @route   PUT /api/auth/password
+ * @desc    Change password (signs out all other sessions)
+ * @access  Private (requires authentication)
+ * 
+ * Headers:
+ * Authorization: Bearer <token>
+ * 
+ * Request Body:
+ * {
+ *   "currentPassword": "SecurePass123",
+ *   "newPassword": "EvenMoreSecure456"
+ * }
+ */
+router.put('/password', authenticateToken, validatePasswordChange, changePassword);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Send a password reset link to the user's email
+ * @access  Public
+ * 
+ * Request Body:
+ * {
+ *   "email": "user@example.com"
+ * }
+ */
+router.post('/forgot-password', emailLimiter, validateForgotPassword, forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using the token from the reset email
+ * @access  Public (requires a valid reset token)
+ * 
+ * Request Body:
+ * {
+ *   "token": "<token from email>",
+ *   "newPassword": "EvenMoreSecure456"
+ * }
+ */
+router.post('/reset-password', validateResetPassword, resetPassword);
+
+/**
+ * @route   GET /api/auth/verify-email
+ * @desc    Verify email address with the token from the verification email
+ * @access  Public (requires a valid verification token)
+ * 
+ * Query Parameters:
+ * token=<token from email>
+ */
+router.get('/verify-email', validateVerifyEmail, verifyEmail);
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Send a new verification email (throttled)
+ * @access  Public
+ * 
+ * Request Body:
+ * {
+ *   "email": "user@example.com"
+ * }
+ */
+router.post('/verify-email/resend', emailLimiter, validateResendVerification, resendVerificationEmail);
+
+/**
+ * @route   POST /api/auth/unlock-account
+ * @desc    Unlock an account locked after failed logins, using the token from the email
+ * @access  Public (requires a valid unlock token)
+ * 
+ * Request Body:
+ * {
+ *   "token": "<token from email>"
+ * }
+ */
+router.post('/unlock-account', validateUnlockAccount, unlockAccount);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices the current user is signed in on
+ * @access  Private (requires authentication)
+ */
+router.get('/sessions', authenticateToken, listSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out one session (device)
+ * @access  Private (requires authentication)
+ */
+router.delete('/sessions/:id', authenticateToken, validateSessionIdParam, revokeSession);
+
+module.exports = router;
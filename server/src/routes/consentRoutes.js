@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { getAuthorizationRequest, decideAuthorizationRequest } = require('../controllers/consentController');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
+const { validateAuthorizationDecision } = require('../middleware/validator');
+
+/**
+ * @route   GET /api/oauth/authorization
+ * @desc    Describe an OpenID Connect authorization request for the consent page
+ * @access  Private (requires authentication and, in 'profile' verification mode, a verified email)
+ *
+ * Query: the parameters of the /oauth/authorize request
+ */
+router.get('/authorization', authenticateToken, requireVerifiedEmail, getAuthorizationRequest);
+
+/**
+ * @route   POST /api/oauth/authorization
+ * @desc    Approve or deny an OpenID Connect authorization request
+ * @access  Private (requires authentication and, in 'profile' verification mode, a verified email)
+ *
+ * Request Body:
+ * {
+ *   "params": { ...parameters of the /oauth/authorize request },
+ *   "approve": true
+ * }
+ */
+router.post(
+  '/authorization',
+  authenticateToken,
+  requireVerifiedEmail,
+  validateAuthorizationDecision,
+  decideAuthorizationRequest
+);
+
+module.exports = router;
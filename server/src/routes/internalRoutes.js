@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { getUser, logoutUser } = require('../controllers/internalController');
+const { validateUserIdParam } = require('../middleware/validator');
+const { authenticateService, requireScope } = require('../middleware/auth');
+const { SERVICE_SCOPES } = require('../config/serviceScopes');
+
+// Every internal route requires a service token; each route then checks its own scope
+router.use(authenticateService);
+
+/**
+ * @route   GET /internal/users/:id
+ * @desc    Get a user's account details (no Aadhaar number)
+ * @access  Services (requires the users:read scope)
+ */
+router.get('/users/:id', requireScope(SERVICE_SCOPES.USERS_READ), validateUserIdParam, getUser);
+
+/**
+ * @route   POST /internal/users/:id/logout
+ * @desc    Sign a user out of every device
+ * @access  Services (requires the users:logout scope)
+ */
+router.post('/users/:id/logout', requireScope(SERVICE_SCOPES.USERS_LOGOUT), validateUserIdParam, logoutUser);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  reset,
+  regenerateRecoveryCodes,
+  verify
+} = require('../controllers/mfaController');
+const { validateMfaCode, validateMfaChange, validateMfaVerify } = require('../middleware/validator');
+const { authenticateToken } = require('../middleware/auth');
+
+// Limit code guessing on the login step (wrong codes are also counted per account, see mfaService)
+const mfaVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: 'Too many verification attempts from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * @route   POST /api/auth/mfa/verify
+ * @desc    Complete login with a code from the authenticator app (or a recovery code)
+ * @access  Public (requires the mfaToken returned by login)
+ * 
+ * Request Body:
+ * {
+ *   "mfaToken": "<mfaToken from login>",
+ *   "code": "123456"              // or "recoveryCode": "k7qm2-xv9tr"
+ * }
+ */
+router.post('/verify', mfaVerifyLimiter, validateMfaVerify, verify);
+
+/**
+ * @route   GET /api/auth/mfa
+ * @desc    Get two-factor authentication status
+ * @access  Private (requires authentication)
+ */
+router.get('/', authenticateToken, getStatus);
+
+/**
+ * @route   POST /api/auth/mfa/setup
+ * @desc    Start enrolling an authenticator app (returns otpauth URI and QR code)
+ * @access  Private (requires authentication)
+ */
+router.post('/setup', authenticateToken, setup);
+
+/**
+ * @route   POST /api/auth/mfa/enable
+ * @desc    Confirm enrollment (or reset) with the first code from the authenticator app
+ * @access  Private (requires authentication)
+ * 
+ * Request Body:
+ * {
+ *   "code": "123456"
+ * }
+ */
+router.post('/enable', authenticateToken, validateMfaCode, enable);
+
+/**
+ * @route   POST /api/auth/mfa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private (requires authentication)
+ * 
+ * Request Body:
+ * {
+ *   "password": "SecurePass123",
+ *   "code": "123456"              // or "recoveryCode": "k7qm2-xv9tr"
+ * }
+ */
+router.post('/disable', authenticateToken, validateMfaChange, disable);
+
+/**
+ * @route   POST /api/auth/mfa/reset
+ * @desc    Start moving two-factor authentication to a new authenticator app
+ * @access  Private (requires authentication)
+ * 
+ * Request Body:
+ * {
+ *   "password": "SecurePass123",
+ *   "code": "123456"              // or "recoveryCode": "k7qm2-xv9tr"
+ * }
+ */
+router.post('/reset', authenticateToken, validateMfaChange, reset);
+
+/**
+ * @route   POST /api/auth/mfa/recovery-codes
+ * @desc    Replace the recovery codes with a new set
+ * @access  Private (requires authentication)
+ * 
+ * Request Body:
+ * {
+ *   "password": "SecurePass123",
+ *   "code": "123456"              // or "recoveryCode": "k7qm2-xv9tr"
+ * }
+ */
+router.post('/recovery-codes', authenticateToken, validateMfaChange, regenerateRecoveryCodes);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const { introspect, revoke, authorize, token, userinfo } = require('../controllers/oauthController');
+const { authenticateClient } = require('../middleware/auth');
+const { oauthErrorHandler } = require('../middleware/errorHandler');
+
+/**
+ * @route   POST /oauth/introspect
+ * @desc    Check whether an access or refresh token is active and describe it (RFC 7662)
+ * @access  Registered OAuth clients
+ */
+router.post('/introspect', authenticateClient, introspect);
+
+/**
+ * @route   POST /oauth/revoke
+ * @desc    Revoke an access token issued to the calling client (RFC 7009)
+ * @access  Registered OAuth clients
+ */
+router.post('/revoke', authenticateClient, revoke);
+
+/**
+ * @route   GET /oauth/authorize
+ * @desc    OpenID Connect authorization endpoint (authorization code flow with PKCE)
+ * @access  Public (sends the browser on to the consent page of the web client)
+ */
+router.get('/authorize', authorize);
+
+/**
+ * @route   POST /oauth/token
+ * @desc    Exchange an authorization code for an access token and ID token, or issue a
+ *          service token (client credentials grant)
+ * @access  Registered OAuth clients
+ */
+router.post('/token', authenticateClient, token);
+
+/**
+ * @route   GET|POST /oauth/userinfo
+ * @desc    Claims about the user an access token was issued for
+ * @access  Bearer access token from /oauth/token
+ */
+router.get('/userinfo', userinfo);
+router.post('/userinfo', userinfo);
+
+// Errors from these routes are sent in the OAuth format ({ error, error_description })
+router.use(oauthErrorHandler);
+
+module.exports = router;
@@ -1,16 +1,48 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
-const { getProfile } = require('../controllers/profileController');
-const { authenticateToken } = require('../middleware/auth');
+const { getProfile, revealAadhaar } = require('../controllers/profileController');
+const { authenticateToken, authenticateTokenOrApiKey, requireVerifiedEmail, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { validateAadhaarReveal } = require('../middleware/validator');
+
+// Stricter rate limit for re-authentication, so it cannot be used to guess passwords
+const revealLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: 'Too many attempts to reveal the Aadhaar number, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
 
 /**
  * @route   GET /api/profile
- * @desc    Get user profile with decrypted Aadhaar
- * @access  Private (requires authentication)
+ * @desc    Get user profile with masked Aadhaar
+ * @access  Private (requires authentication and, in 'profile' verification mode, a verified email;
+ *          API keys need the profile:read scope)
  * 
  * Headers:
- * Authorization: Bearer <token>
+ * Authorization: Bearer <token>   (or ApiKey <key>)
+ */
+router.get('/', authenticateTokenOrApiKey, authorize(PERMISSIONS.PROFILE_READ), requireVerifiedEmail, getProfile);
+
+/**
+ * @route   POST /api/profile/aadhaar/reveal
+ * @desc    Reveal the full Aadhaar number after confirming the password or an authenticator code
+ * @access  Private (requires authentication and, in 'profile' verification mode, a verified email)
+ * 
+ * Request Body:
+ * {
+ *   "password": "SecurePass123"   // or "code": "123456"
+ * }
  */
-router.get('/', authenticateToken, getProfile);
+router.post(
+  '/aadhaar/reveal',
+  revealLimiter,
+  authenticateToken,
+  requireVerifiedEmail,
+  validateAadhaarReveal,
+  revealAadhaar
+);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
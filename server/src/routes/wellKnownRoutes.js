@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { getJsonWebKeySet, getOpenIdConfiguration } = require('../controllers/wellKnownController');
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Public keys for verifying tokens signed by this service (JWKS)
+ * @access  Public
+ */
+router.get('/jwks.json', getJsonWebKeySet);
+
+/**
+ * @route   GET /.well-known/openid-configuration
+ * @desc    OpenID Connect discovery document
+ * @access  Public
+ */
+router.get('/openid-configuration', getOpenIdConfiguration);
+
+module.exports = router;
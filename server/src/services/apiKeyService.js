@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { generateSecureToken, hashToken } = require('../utils/secureToken');
+const { getPermissionsForRole } = require('../config/roles');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Keys start with this, so they are easy to recognise (e.g. by secret scanners)
+const API_KEY_PREFIX = 'imk_';
+
+// Characters of the key kept in the clear (prefix included), to tell keys apart
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 6;
+
+const MAX_API_KEY_TTL_DAYS = 365;
+
+const MAX_API_KEYS_PER_USER = 20;
+
+// lastUsedAt is written at most this often per key (unless the IP address changes)
+const API_KEY_TOUCH_INTERVAL_SECONDS = 60;
+
+/**
+ * Describe a key for its owner (never the key or its hash)
+ * @param {Object} apiKey - API key document
+ * @returns {Object} - { _id, name, prefix, scopes, expiresAt, expired, lastUsedAt, lastUsedIp, createdAt }
+ */
+const toApiKeySummary = (apiKey) => ({
+  _id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  expired: apiKey.expiresAt <= new Date(),
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  createdAt: apiKey.createdAt
+});
+
+/**
+ * Create a personal API key
+ * The key is only returned here; afterwards only its hash exists.
+ * @param {Object} user - Owner ({ userId, role } of req.user)
+ * @param {Object} details - { name, expiresInDays, scopes }
+ * scopes must be permissions the user's role grants
+ * @returns {Promise<Object>} - { apiKey (summary), key }
+ */
+const createApiKey = async (user, { name, expiresInDays, scopes }) => {
+  try {
+    const expiresIn = parseInt(expiresInDays);
+    if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_API_KEY_TTL_DAYS) {
+      throw new ValidationError(`Expiry must be between 1 and ${MAX_API_KEY_TTL_DAYS} days`);
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new ValidationError('Choose at least one scope');
+    }
+
+    const allowed = getPermissionsForRole(user.role);
+    const notAllowed = scopes.filter((scope) => !allowed.includes(scope));
+    if (notAllowed.length > 0) {
+      throw new ValidationError(`Your role does not grant: ${notAllowed.join(', ')}`);
+    }
+
+    const activeKeys = await ApiKey.countDocuments({
+      user: user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (activeKeys >= MAX_API_KEYS_PER_USER) {
+      throw new ValidationError(`You can have at most ${MAX_API_KEYS_PER_USER} API keys. Revoke one first.`);
+    }
+
+    const key = `${API_KEY_PREFIX}${generateSecureToken()}`;
+    const apiKey = await ApiKey.create({
+      user: user.userId,
+      name,
+      keyHash: hashToken(key),
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + expiresIn * 24 * 60 * 60 * 1000)
+    });
+
+    return { apiKey: toApiKeySummary(apiKey), key };
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    throw new Error(`Failed to create API key: ${error.message}`);
+  }
+};
+
+/**
+ * List a user's API keys (expired ones included until they are cleaned up)
+ * @param {string} userId - User's ID
+ * @returns {Promise<Object[]>} - Key summaries, newest first
+ */
+const listApiKeys = async (userId) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: userId, revokedAt: null }).sort({ createdAt: -1 });
+
+    return apiKeys.map(toApiKeySummary);
+  } catch (error) {
+    throw new Error(`Failed to list API keys: ${error.message}`);
+  }
+};
+
+/**
+ * Revoke one of a user's API keys
+ * @param {string} userId - Owner's ID (keys of other users are never touched)
+ * @param {string} apiKeyId - Key ID
+ * @returns {Promise<boolean>} - True if the key was revoked, false if not found
+ */
+const revokeApiKey = async (userId, apiKeyId) => {
+  try {
+    if (!mongoose.isValidObjectId(apiKeyId)) {
+      return false;
+    }
+
+    const result = await ApiKey.updateOne(
+      { _id: apiKeyId, user: userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    return result.modifiedCount > 0;
+  } catch (error) {
+    throw new Error(`Failed to revoke API key: ${error.message}`);
+  }
+};
+
+/**
+ * Revoke every API key a user holds
+ * Used with tokenService.revokeAllUserTokens, so that a password change or reset, signing
+ * out everywhere, or an admin action also cuts off the keys
+ * @param {string} userId - Owner's ID
+ * @returns {Promise<number>} - Number of keys revoked
+ */
+const revokeAllApiKeys = async (userId) => {
+  try {
+    const result = await ApiKey.updateMany(
+      { user: userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    return result.modifiedCount;
+  } catch (error) {
+    throw new Error(`Failed to revoke API keys: ${error.message}`);
+  }
+};
+
+/**
+ * Record a use of a key (throttled to one write per API_KEY_TOUCH_INTERVAL_SECONDS,
+ * or when the request comes from a new IP address)
+ * @param {Object} apiKey - API key document
+ * @param {Object} client - { ip } from sessionService.getClientInfo
+ * @returns {Promise<void>}
+ */
+const recordApiKeyUse = async (apiKey, client = {}) => {
+  const cutoff = Date.now() - API_KEY_TOUCH_INTERVAL_SECONDS * 1000;
+  const ip = client.ip || null;
+
+  if (apiKey.lastUsedAt && apiKey.lastUsedAt.getTime() > cutoff && apiKey.lastUsedIp === ip) {
+    return;
+  }
+
+  await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip });
+};
+
+/**
+ * Look up the key presented with a request and record its use
+ * @param {string} key - Key from the Authorization header
+ * @param {Object} client - { ip } from sessionService.getClientInfo
+ * @returns {Promise<Object|null>} - API key document, or null if the key is unknown,
+ * revoked or expired
+ */
+const authenticateApiKey = async (key, client = {}) => {
+  try {
+    if (typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOne({
+      keyHash: hashToken(key),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).lean();
+
+    if (!apiKey) {
+      return null;
+    }
+
+    await recordApiKeyUse(apiKey, client);
+
+    return apiKey;
+  } catch (error) {
+    throw new Error(`Failed to authenticate API key: ${error.message}`);
+  }
+};
+
+module.exports = {
+  MAX_API_KEY_TTL_DAYS,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  revokeAllApiKeys,
+  authenticateApiKey
+};
@@ -0,0 +1,159 @@
+const AuditLog = require('../models/AuditLog');
+const { getClientInfo } = require('./sessionService');
+const { GENESIS_HASH, computeEntryHash, verifyChain } = require('../utils/hashChain');
+
+/**
+ * Audit action names
+ */
+const AUDIT_ACTIONS = Object.freeze({
+  AADHAAR_DECRYPT: 'aadhaar.decrypt',
+  USER_DISABLE: 'user.disable',
+  USER_ENABLE: 'user.enable',
+  USER_FORCE_LOGOUT: 'user.force-logout',
+  USER_UNLOCK: 'user.unlock',
+  USER_ROLE_CHANGE: 'user.role-change'
+});
+
+/**
+ * Reasons an Aadhaar number may be decrypted (the purpose of an AADHAAR_DECRYPT entry)
+ */
+const ACCESS_PURPOSES = Object.freeze({
+  PROFILE_VIEW: 'profile-view',
+  PROFILE_REVEAL: 'profile-reveal',
+  ADMIN_USER_DETAIL: 'admin-user-detail',
+  OIDC_USERINFO: 'oidc-userinfo',
+  // Maintenance scripts (moving, indexing or re-encrypting stored numbers)
+  MAINTENANCE: 'maintenance'
+});
+
+// Fields covered by an entry's hash (everything except prevHash and hash themselves)
+const CHAIN_FIELDS = [
+  'sequence',
+  'actor',
+  'actorEmail',
+  'actorRole',
+  'action',
+  'targetUser',
+  'purpose',
+  'details',
+  'ip',
+  'userAgent',
+  'requestId',
+  'createdAt'
+];
+
+// Two writers can race for the same sequence number; the loser retries on the next one
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * Pick the hashed fields of an entry
+ * @param {Object} entry - New entry fields or a stored audit log document
+ * @returns {Object} - Hashed content
+ */
+const getChainContent = (entry) => {
+  const content = {};
+
+  CHAIN_FIELDS.forEach((field) => {
+    content[field] = entry[field] === undefined ? null : entry[field];
+  });
+
+  return content;
+};
+
+/**
+ * Append an entry to the end of the chain
+ * @param {Object} fields - Entry fields (without sequence, createdAt and hashes)
+ * @returns {Promise<Object>} - Audit log document
+ */
+const appendEntry = async (fields) => {
+  for (let attempt = 1; ; attempt++) {
+    const last = await AuditLog.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+    const prevHash = last ? last.hash : GENESIS_HASH;
+    const content = getChainContent({
+      ...fields,
+      sequence: last ? last.sequence + 1 : 1,
+      createdAt: new Date()
+    });
+
+    try {
+      return await AuditLog.create({
+        ...content,
+        prevHash,
+        hash: computeEntryHash(content, prevHash)
+      });
+    } catch (error) {
+      // Duplicate sequence: another entry was appended first
+      if (error.code === 11000 && attempt < MAX_APPEND_ATTEMPTS) {
+        continue;
+      }
+      throw error;
+    }
+  }
+};
+
+/**
+ * Record an administrative action or access to identity data
+ * @param {Object} entry - Audit entry
+ * @param {Object|null} entry.actor - req.user of the acting user (userId, email, role), or null for the
+ * command line and for other services (put the service's clientId in details)
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.targetUser - ID of the user the action was taken on
+ * @param {string} entry.purpose - Why identity data was accessed (required for AADHAAR_DECRYPT)
+ * @param {Object} entry.details - Extra information about the action (never secrets or personal data)
+ * @param {Object} entry.req - Express request, used for the IP address, user agent and request ID
+ * @returns {Promise<Object>} - Audit log document
+ */
+const record = async ({ actor = null, action, targetUser = null, purpose = null, details = {}, req = null }) => {
+  try {
+    const client = req ? getClientInfo(req) : {};
+
+    return await appendEntry({
+      actor: actor ? String(actor.userId) : null,
+      actorEmail: actor ? actor.email : null,
+      actorRole: actor ? actor.role : null,
+      action,
+      targetUser: targetUser ? String(targetUser) : null,
+      purpose,
+      // Plain JSON only, so the stored details hash the same way when read back
+      details: JSON.parse(JSON.stringify(details || {})),
+      ip: client.ip || null,
+      userAgent: client.userAgent || null,
+      requestId: req && req.id ? req.id : null
+    });
+  } catch (error) {
+    throw new Error(`Failed to record audit entry: ${error.message}`);
+  }
+};
+
+/**
+ * Walk the whole audit chain and report the first break
+ * @returns {Promise<Object>} - Result of utils/hashChain verifyChain
+ * ({ valid, checked, lastSequence, lastHash, error })
+ */
+const verifyAuditChain = async () => {
+  try {
+    const cursor = AuditLog.find().sort({ sequence: 1 }).lean().cursor();
+
+    const entries = (async function* toChainEntries() {
+      for await (const doc of cursor) {
+        yield {
+          sequence: doc.sequence,
+          prevHash: doc.prevHash,
+          hash: doc.hash,
+          content: getChainContent(doc)
+        };
+      }
+    })();
+
+    return await verifyChain(entries);
+  } catch (error) {
+    throw new Error(`Failed to verify audit chain: ${error.message}`);
+  }
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  ACCESS_PURPOSES,
+  record,
+  verifyAuditChain
+};
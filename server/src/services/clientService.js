@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const OAuthClient = require('../models/OAuthClient');
+const { generateSecureToken, hashToken } = require('../utils/secureToken');
+const { checkRedirectUri } = require('../utils/redirectUri');
+const { SCOPES, DEFAULT_CLIENT_SCOPES } = require('../config/oidc');
+const { isServiceScope } = require('../config/serviceScopes');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Register a new OAuth client
+ * The secret is only returned here; afterwards only its hash exists.
+ * @param {Object} details - Client details
+ * @param {string} details.name - Name shown to users on the consent screen
+ * @param {string[]} details.redirectUris - Where users may be sent back to after signing in
+ * (needed to use the authorization endpoint)
+ * @param {string[]} details.scopes - Scopes the client may request. Defaults to openid, profile and
+ * email, or to none for a service-only client (service scopes and no redirect URIs). Clients with
+ * any scope or redirect URI must be allowed openid, which every authorization request needs
+ * @param {string[]} details.serviceScopes - Scopes the client may get a service token for with
+ * the client credentials grant (default: none, so it cannot use that grant)
+ * @param {boolean} details.trusted - Whether the client may introspect first-party user tokens
+ * (default: false)
+ * @returns {Promise<Object>} - { client, clientSecret }
+ */
+const registerClient = async ({
+  name,
+  redirectUris = [],
+  scopes,
+  serviceScopes = [],
+  trusted = false
+}) => {
+  try {
+    const serviceOnly = serviceScopes.length > 0 && redirectUris.length === 0;
+    const clientScopes = scopes || (serviceOnly ? [] : DEFAULT_CLIENT_SCOPES);
+
+    if (!name || !String(name).trim()) {
+      throw new ValidationError('Client name is required');
+    }
+
+    for (const uri of redirectUris) {
+      const problem = checkRedirectUri(uri);
+      if (problem) {
+        throw new ValidationError(`Invalid redirect URI: ${problem}`);
+      }
+    }
+
+    const unknownScopes = clientScopes.filter((scope) => !Object.values(SCOPES).includes(scope));
+    if (unknownScopes.length > 0) {
+      throw new ValidationError(`Unknown scopes: ${unknownScopes.join(', ')}`);
+    }
+    // Only service-only clients may go without openid; they never use the authorization endpoint
+    if (!clientScopes.includes(SCOPES.OPENID) && (clientScopes.length > 0 || !serviceOnly)) {
+      throw new ValidationError(
+        `Clients must be allowed the ${SCOPES.OPENID} scope unless they only have service scopes`
+      );
+    }
+
+    const unknownServiceScopes = serviceScopes.filter((scope) => !isServiceScope(scope));
+    if (unknownServiceScopes.length > 0) {
+      throw new ValidationError(`Unknown service scopes: ${unknownServiceScopes.join(', ')}`);
+    }
+
+    const clientSecret = generateSecureToken();
+    const client = await OAuthClient.create({
+      clientId: crypto.randomUUID(),
+      name,
+      clientSecretHash: hashToken(clientSecret),
+      redirectUris: [...new Set(redirectUris)],
+      scopes: [...new Set(clientScopes)],
+      serviceScopes: [...new Set(serviceScopes)],
+      trusted: Boolean(trusted)
+    });
+
+    return { client, clientSecret };
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    throw new Error(`Failed to register client: ${error.message}`);
+  }
+};
+
+/**
+ * Check a client's credentials
+ * @param {string} clientId - Client ID
+ * @param {string} clientSecret - Plain client secret
+ * @returns {Promise<Object|null>} - Client (without the secret hash), or null if the client is
+ * unknown or disabled or the secret is wrong
+ */
+const authenticateClient = async (clientId, clientSecret) => {
+  try {
+    if (!clientId || !clientSecret) {
+      return null;
+    }
+
+    const client = await OAuthClient.findOne({ clientId }).select('+clientSecretHash').lean();
+
+    if (!client || client.disabledAt) {
+      return null;
+    }
+
+    const expected = Buffer.from(client.clientSecretHash, 'hex');
+    const actual = Buffer.from(hashToken(clientSecret), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    const { clientSecretHash, ...rest } = client;
+    return rest;
+  } catch (error) {
+    throw new Error(`Failed to authenticate client: ${error.message}`);
+  }
+};
+
+/**
+ * Find an enabled client by its ID (for requests where the client does not authenticate,
+ * such as the authorization request a browser is sent with)
+ * @param {string} clientId - Client ID
+ * @returns {Promise<Object|null>} - Client (without the secret hash), or null if the client
+ * is unknown or disabled
+ */
+const findClient = async (clientId) => {
+  try {
+    if (typeof clientId !== 'string' || !clientId) {
+      return null;
+    }
+
+    const client = await OAuthClient.findOne({ clientId }).lean();
+
+    return client && !client.disabledAt ? client : null;
+  } catch (error) {
+    throw new Error(`Failed to find client: ${error.message}`);
+  }
+};
+
+module.exports = {
+  registerClient,
+  authenticateClient,
+  findClient
+};
@@ -0,0 +1,89 @@
+const { sendMail } = require('../utils/mailer');
+const { getAppUrl } = require('../config/app');
+
+/**
+ * Send a password reset email
+ * @param {Object} user - User document (needs email and optional name)
+ * @param {string} token - Plain password reset token
+ * @param {number} expiresInMinutes - How long the link stays valid
+ * @returns {Promise<Object>} - Delivery info from the mail transport
+ */
+const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+  const resetUrl = `${getAppUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.name || 'there'},`,
+      '',
+      'We received a request to reset the password for your account.',
+      `Use the link below within ${expiresInMinutes} minutes to choose a new password:`,
+      '',
+      resetUrl,
+      '',
+      'If you did not request this, you can safely ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Send an email address verification email
+ * @param {Object} user - User document (needs email and optional name)
+ * @param {string} token - Plain verification token
+ * @param {number} expiresInHours - How long the link stays valid
+ * @returns {Promise<Object>} - Delivery info from the mail transport
+ */
+const sendVerificationEmail = async (user, token, expiresInHours) => {
+  const verifyUrl = `${getAppUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.name || 'there'},`,
+      '',
+      'Please confirm that this is your email address by opening the link below',
+      `within ${expiresInHours} hours:`,
+      '',
+      verifyUrl,
+      '',
+      'If you did not create an account, you can safely ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Send an account locked email with a link to unlock the account
+ * @param {Object} user - User document (needs email and optional name)
+ * @param {string} token - Plain unlock token
+ * @param {Date} lockedUntil - When the lock expires on its own
+ * @returns {Promise<Object>} - Delivery info from the mail transport
+ */
+const sendAccountLockedEmail = async (user, token, lockedUntil) => {
+  const unlockUrl = `${getAppUrl()}/unlock-account?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your account has been locked',
+    text: [
+      `Hi ${user.name || 'there'},`,
+      '',
+      'We locked your account after several failed login attempts.',
+      `It will unlock automatically at ${lockedUntil.toUTCString()}.`,
+      '',
+      'If these attempts were you, you can unlock your account right away:',
+      '',
+      unlockUrl,
+      '',
+      'If they were not you, someone may be trying to guess your password.',
+      'Consider resetting it and enabling two-factor authentication.'
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail
+};
@@ -0,0 +1,590 @@
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { envelopeEncrypt, envelopeDecrypt, needsReEncryption, getCurrentPrefix } = require('../utils/encryption');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { generateRecoveryCodes, normalizeRecoveryCode } = require('../utils/recoveryCodes');
+const { hashPassword, comparePassword } = require('../utils/passwordHash');
+const { getLoginDelayMs, isLockoutAttempt } = require('../utils/loginThrottle');
+const { getMfaThrottleSettings } = require('../config/auth');
+const { NotFoundError, ValidationError, AuthenticationError } = require('../middleware/errorHandler');
+
+// Name shown next to the account in authenticator apps
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Identity Management';
+
+// Recovery codes handed out per set, and the count at which users are warned to regenerate
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODES_LOW_THRESHOLD = 3;
+
+// Encrypted MFA fields, re-encrypted after a key rotation
+const ENCRYPTED_SECRET_FIELDS = ['secret', 'pendingSecret'];
+
+// Users processed per re-encryption batch when no batch size is given
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Load a user together with their MFA secrets and login code throttling state
+ * @param {string} userId - User's ID
+ * @param {boolean} includePassword - Whether to include the password hash
+ * @returns {Promise<Object>} - User document
+ */
+const findUserWithMfa = async (userId, includePassword = false) => {
+  const query = User.findById(userId).select(
+    '+mfa.secret +mfa.pendingSecret +mfa.lastUsedStep +mfa.recoveryCodes ' +
+    '+mfa.failedAttempts +mfa.lockUntil +mfa.challengesValidAfter'
+  );
+
+  if (includePassword) {
+    query.select('+password');
+  }
+
+  const user = await query.exec();
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return user;
+};
+
+/**
+ * Create a pending enrollment (secret, otpauth URI and QR code) for a user
+ * The secret only becomes active after confirmEnrollment
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode }
+ */
+const createPendingEnrollment = async (user) => {
+  const secret = generateSecret();
+  const otpauthUrl = buildOtpauthUri({ secret, accountName: user.email, issuer: MFA_ISSUER });
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  user.mfa.pendingSecret = await envelopeEncrypt(secret);
+  await user.save();
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Check a TOTP code against the user's active secret
+ * Accepted codes are remembered by time step, so each code works only once
+ * @param {Object} user - User document loaded with findUserWithMfa
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<boolean>} - True if the code is valid and unused
+ */
+const checkActiveCode = async (user, code) => {
+  if (!user.mfa || !user.mfa.enabled || !user.mfa.secret) {
+    return false;
+  }
+
+  const secret = await envelopeDecrypt(user.mfa.secret);
+  const step = verifyTotp(secret, code);
+
+  if (step === null) {
+    return false;
+  }
+
+  const update = { 'mfa.lastUsedStep': step };
+
+  // Move a secret stored in the legacy format or under an older key to the active key
+  if (needsReEncryption(user.mfa.secret)) {
+    update['mfa.secret'] = await envelopeEncrypt(secret);
+  }
+
+  // Atomically record the step; fails if this (or a later) code was already used
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'mfa.lastUsedStep': { $lt: step } }, { 'mfa.lastUsedStep': null }]
+    },
+    update
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Generate a new set of recovery codes
+ * @returns {Promise<Object>} - { codes, records } where codes are shown to the user once
+ * and records (bcrypt hashes) are stored
+ */
+const createRecoveryCodes = async () => {
+  const codes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  const hashes = await Promise.all(codes.map((code) => hashPassword(normalizeRecoveryCode(code))));
+
+  return {
+    codes,
+    records: hashes.map((hash) => ({ hash, usedAt: null }))
+  };
+};
+
+/**
+ * Count the unused recovery codes of a user
+ * @param {Object} user - User document loaded with findUserWithMfa
+ * @returns {number} - Number of unused codes
+ */
+const countRemainingRecoveryCodes = (user) => {
+  return (user.mfa?.recoveryCodes || []).filter((entry) => !entry.usedAt).length;
+};
+
+/**
+ * Check a recovery code and mark it as used
+ * @param {Object} user - User document loaded with findUserWithMfa
+ * @param {string} recoveryCode - Recovery code entered by the user
+ * @returns {Promise<boolean>} - True if the code was valid and unused
+ */
+const consumeRecoveryCode = async (user, recoveryCode) => {
+  const normalized = normalizeRecoveryCode(recoveryCode);
+
+  if (!normalized || !user.mfa || !user.mfa.enabled) {
+    return false;
+  }
+
+  for (const entry of user.mfa.recoveryCodes || []) {
+    if (entry.usedAt || !(await comparePassword(normalized, entry.hash))) {
+      continue;
+    }
+
+    // Atomically mark the code as used so it cannot be redeemed twice concurrently
+    const result = await User.updateOne(
+      { _id: user._id, 'mfa.recoveryCodes': { $elemMatch: { _id: entry._id, usedAt: null } } },
+      { $set: { 'mfa.recoveryCodes.$.usedAt': new Date() } }
+    );
+
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
+/**
+ * Check the second factor: a TOTP code, or a recovery code if one is given
+ * @param {Object} user - User document loaded with findUserWithMfa
+ * @param {Object} factor - { code, recoveryCode }
+ * @returns {Promise<boolean>} - True if the factor is valid
+ */
+const checkSecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (recoveryCode) {
+    return consumeRecoveryCode(user, recoveryCode);
+  }
+
+  return checkActiveCode(user, code);
+};
+
+/**
+ * Verify the password and second factor before a sensitive MFA change
+ * @param {Object} user - User document loaded with password and MFA secrets
+ * @param {string} password - Current password
+ * @param {Object} factor - { code, recoveryCode }
+ */
+const assertPasswordAndCode = async (user, password, factor) => {
+  const isPasswordValid = await comparePassword(password, user.password);
+
+  if (!isPasswordValid) {
+    throw new ValidationError('Password is incorrect');
+  }
+
+  if (!(await checkSecondFactor(user, factor))) {
+    throw new ValidationError('Invalid authentication code', 'MFA_CODE_INVALID');
+  }
+};
+
+/**
+ * Build the public two-factor status of a user
+ * @param {Object} user - User document loaded with findUserWithMfa
+ * @returns {Object} - { enabled, enabledAt, recoveryCodesRemaining, recoveryCodesLow }
+ */
+const buildStatus = (user) => {
+  const enabled = !!user.mfa?.enabled;
+  const recoveryCodesRemaining = enabled ? countRemainingRecoveryCodes(user) : 0;
+
+  return {
+    enabled,
+    enabledAt: user.mfa?.enabledAt || null,
+    recoveryCodesRemaining,
+    recoveryCodesLow: enabled && recoveryCodesRemaining <= RECOVERY_CODES_LOW_THRESHOLD
+  };
+};
+
+/**
+ * Get a user's two-factor authentication status
+ * @param {string} userId - User's ID
+ * @returns {Promise<Object>} - { enabled, enabledAt, recoveryCodesRemaining, recoveryCodesLow }
+ */
+const getStatus = async (userId) => {
+  const user = await findUserWithMfa(userId);
+
+  return buildStatus(user);
+};
+
+/**
+ * Start enrolling an authenticator app
+ * @param {string} userId - User's ID
+ * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode }
+ */
+const startEnrollment = async (userId) => {
+  try {
+    const user = await findUserWithMfa(userId);
+
+    if (user.mfa?.enabled) {
+      throw new ValidationError('Two-factor authentication is already enabled. Use reset to move to a new device.');
+    }
+
+    return await createPendingEnrollment(user);
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+    throw new Error(`Failed to start two-factor enrollment: ${error.message}`);
+  }
+};
+
+/**
+ * Confirm a pending enrollment with the first code from the authenticator app
+ * Also completes a reset: the new secret replaces the old one
+ * The first enrollment also creates recovery codes (a reset keeps the existing ones)
+ * @param {string} userId - User's ID
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Object>} - Status, plus recoveryCodes when a new set was created
+ */
+const confirmEnrollment = async (userId, code) => {
+  try {
+    const user = await findUserWithMfa(userId);
+
+    if (!user.mfa?.pendingSecret) {
+      throw new ValidationError('No two-factor enrollment in progress. Please start setup first.');
+    }
+
+    const secret = await envelopeDecrypt(user.mfa.pendingSecret);
+    const step = verifyTotp(secret, code);
+
+    if (step === null) {
+      throw new ValidationError('Invalid authentication code', 'MFA_CODE_INVALID');
+    }
+
+    let recoveryCodes;
+
+    if (!user.mfa.enabled) {
+      const generated = await createRecoveryCodes();
+      recoveryCodes = generated.codes;
+      user.mfa.recoveryCodes = generated.records;
+    }
+
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.lastUsedStep = step;
+    user.mfa.enabled = true;
+    user.mfa.enabledAt = new Date();
+    await user.save();
+
+    return recoveryCodes ? { ...buildStatus(user), recoveryCodes } : buildStatus(user);
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+    throw new Error(`Failed to confirm two-factor enrollment: ${error.message}`);
+  }
+};
+
+/**
+ * Disable two-factor authentication (also discards the recovery codes)
+ * @param {string} userId - User's ID
+ * @param {string} password - Current password
+ * @param {Object} factor - { code, recoveryCode }
+ * @returns {Promise<Object>} - Status
+ */
+const disable = async (userId, password, factor) => {
+  try {
+    const user = await findUserWithMfa(userId, true);
+
+    if (!user.mfa?.enabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    await assertPasswordAndCode(user, password, factor);
+
+    user.mfa = { enabled: false };
+    await user.save();
+
+    return buildStatus(user);
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+    throw new Error(`Failed to disable two-factor authentication: ${error.message}`);
+  }
+};
+
+/**
+ * Start moving two-factor authentication to a new authenticator
+ * The current authenticator keeps working until the new one is confirmed
+ * A recovery code can stand in for the code when the old device is lost
+ * @param {string} userId - User's ID
+ * @param {string} password - Current password
+ * @param {Object} factor - { code, recoveryCode }
+ * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode }
+ */
+const startReset = async (userId, password, factor) => {
+  try {
+    const user = await findUserWithMfa(userId, true);
+
+    if (!user.mfa?.enabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    await assertPasswordAndCode(user, password, factor);
+
+    return await createPendingEnrollment(user);
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+    throw new Error(`Failed to reset two-factor authentication: ${error.message}`);
+  }
+};
+
+/**
+ * Replace the recovery codes with a new set (all previous codes stop working)
+ * @param {string} userId - User's ID
+ * @param {string} password - Current password
+ * @param {Object} factor - { code, recoveryCode }
+ * @returns {Promise<Object>} - Status plus the new recoveryCodes
+ */
+const regenerateRecoveryCodes = async (userId, password, factor) => {
+  try {
+    const user = await findUserWithMfa(userId, true);
+
+    if (!user.mfa?.enabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    await assertPasswordAndCode(user, password, factor);
+
+    const { codes, records } = await createRecoveryCodes();
+    user.mfa.recoveryCodes = records;
+    await user.save();
+
+    return { ...buildStatus(user), recoveryCodes: codes };
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+    throw new Error(`Failed to regenerate recovery codes: ${error.message}`);
+  }
+};
+
+/**
+ * Check a code from the user's authenticator app (step-up confirmation)
+ * Like any other accepted code, it cannot be used again
+ * @param {string} userId - User's ID
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<boolean>} - False if the code is wrong or two-factor authentication is off
+ */
+const verifyCode = async (userId, code) => {
+  try {
+    const user = await findUserWithMfa(userId);
+
+    return await checkActiveCode(user, code);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+    throw new Error(`Failed to verify authentication code: ${error.message}`);
+  }
+};
+
+/**
+ * Record a wrong code given at the login step
+ * At the threshold (see getMfaThrottleSettings) codes are refused for a while, doubling with
+ * every further wrong code, and every pending MFA challenge token is invalidated, so the
+ * password has to be entered again before the next code.
+ * @param {Object} user - User document loaded with findUserWithMfa
+ * @returns {Promise<Date|null>} - When codes are accepted again if the account was locked, otherwise null
+ */
+const recordFailedLoginCode = async (user) => {
+  // No back-off below the threshold: the challenge token already limits how long codes can be tried
+  const settings = { ...getMfaThrottleSettings(), backoffBaseSeconds: 0 };
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { 'mfa.failedAttempts': 1 } },
+    { new: true }
+  ).select('+mfa.failedAttempts');
+
+  const attempts = updated.mfa.failedAttempts;
+
+  if (!isLockoutAttempt(attempts, settings)) {
+    return null;
+  }
+
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + getLoginDelayMs(attempts, settings));
+
+  await User.updateOne(
+    { _id: user._id },
+    { 'mfa.lockUntil': lockedUntil, 'mfa.challengesValidAfter': now }
+  );
+
+  return lockedUntil;
+};
+
+/**
+ * Verify the second factor during login
+ * Wrong codes are counted per account (see recordFailedLoginCode), whichever challenge
+ * token they came with.
+ * @param {Object} challenge - Decoded MFA challenge token (userId, iat_ms)
+ * @param {Object} factor - { code, recoveryCode }
+ * @returns {Promise<Object>} - { user, recoveryCodeUsed, recoveryCodesRemaining, recoveryCodesLow }
+ */
+const verifyLoginCode = async (challenge, factor) => {
+  try {
+    const user = await findUserWithMfa(challenge.userId);
+
+    // The account may have been disabled since the password step
+    if (user.disabledAt) {
+      throw new AuthenticationError('This account has been disabled.', 'ACCOUNT_DISABLED');
+    }
+
+    // Challenge tokens are invalidated when too many wrong codes lock the account
+    const validAfter = user.mfa?.challengesValidAfter;
+    if (validAfter && !(challenge.iat_ms > validAfter.getTime())) {
+      throw new AuthenticationError('Invalid verification session. Please login again.');
+    }
+
+    if (user.mfa?.lockUntil && user.mfa.lockUntil > new Date()) {
+      throw new AuthenticationError(
+        'Too many invalid codes. Please try again later.',
+        'MFA_LOCKED'
+      );
+    }
+
+    if (!(await checkSecondFactor(user, factor))) {
+      if (await recordFailedLoginCode(user)) {
+        throw new AuthenticationError(
+          'Too many invalid codes. Please try again later.',
+          'MFA_LOCKED'
+        );
+      }
+      throw new AuthenticationError('Invalid authentication code', 'MFA_CODE_INVALID');
+    }
+
+    if (user.mfa.failedAttempts > 0 || user.mfa.lockUntil) {
+      await User.updateOne(
+        { _id: user._id },
+        { 'mfa.failedAttempts': 0, $unset: { 'mfa.lockUntil': 1 } }
+      );
+    }
+
+    const recoveryCodeUsed = !!factor.recoveryCode;
+    // The loaded document predates the code being marked as used
+    const recoveryCodesRemaining = countRemainingRecoveryCodes(user) - (recoveryCodeUsed ? 1 : 0);
+
+    return {
+      user,
+      recoveryCodeUsed,
+      recoveryCodesRemaining,
+      recoveryCodesLow: recoveryCodesRemaining <= RECOVERY_CODES_LOW_THRESHOLD
+    };
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw new AuthenticationError('Invalid verification session. Please login again.');
+    }
+    if (error instanceof AuthenticationError) {
+      throw error;
+    }
+    throw new Error(`Failed to verify authentication code: ${error.message}`);
+  }
+};
+
+/**
+ * Filter matching users with an MFA secret not encrypted in the current format with the current key
+ * @returns {Object} - MongoDB filter
+ */
+const getStaleSecretFilter = () => {
+  const current = new RegExp(`^${getCurrentPrefix()}`);
+
+  return {
+    $or: ENCRYPTED_SECRET_FIELDS.map((field) => ({
+      [`mfa.${field}`]: { $type: 'string', $not: current }
+    }))
+  };
+};
+
+/**
+ * Count the users whose MFA secrets still have to be re-encrypted with the active key
+ * @returns {Promise<number>} - Number of users
+ */
+const countSecretsToReEncrypt = async () => {
+  try {
+    return await User.countDocuments(getStaleSecretFilter());
+  } catch (error) {
+    throw new Error(`Failed to count MFA secrets: ${error.message}`);
+  }
+};
+
+/**
+ * Re-encrypt the MFA secrets of one batch of users with the active key (after a key rotation)
+ * Users are processed in _id order; pass the returned lastId back as "after" for the next
+ * batch. Re-encrypted users no longer match, so a stopped job resumes where it was.
+ * @param {Object} options - { after: lastId of the previous batch, batchSize }
+ * @returns {Promise<Object>} - { reEncrypted, failed: [{ email, reason }], lastId }
+ * where lastId is null once no users are left
+ */
+const reEncryptSecretsBatch = async ({ after = null, batchSize = DEFAULT_BATCH_SIZE } = {}) => {
+  try {
+    const filter = getStaleSecretFilter();
+    if (after) {
+      filter._id = { $gt: after };
+    }
+
+    const users = await User.find(filter)
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .select('email +mfa.secret +mfa.pendingSecret')
+      .lean();
+
+    const result = { reEncrypted: 0, failed: [], lastId: null };
+
+    if (users.length === 0) {
+      return result;
+    }
+
+    result.lastId = users[users.length - 1]._id;
+
+    for (const user of users) {
+      try {
+        // Only replace the values that were read, so a concurrent change is never overwritten
+        const match = { _id: user._id };
+        const update = {};
+
+        for (const field of ENCRYPTED_SECRET_FIELDS) {
+          const value = user.mfa[field];
+          if (value && needsReEncryption(value)) {
+            match[`mfa.${field}`] = value;
+            update[`mfa.${field}`] = await envelopeEncrypt(await envelopeDecrypt(value));
+          }
+        }
+
+        const written = await User.updateOne(match, { $set: update });
+        result.reEncrypted += written.modifiedCount;
+      } catch (error) {
+        result.failed.push({ email: user.email, reason: error.message });
+      }
+    }
+
+    return result;
+  } catch (error) {
+    throw new Error(`Failed to re-encrypt MFA secrets: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getStatus,
+  startEnrollment,
+  confirmEnrollment,
+  disable,
+  startReset,
+  regenerateRecoveryCodes,
+  verifyCode,
+  verifyLoginCode,
+  countSecretsToReEncrypt,
+  reEncryptSecretsBatch
+};
@@ -0,0 +1,264 @@
+const {
+  verifyToken,
+  verifyOAuthAccessToken,
+  generateServiceToken,
+  verifyServiceToken,
+  decodeToken
+} = require('../utils/jwt');
+const tokenService = require('./tokenService');
+const sessionService = require('./sessionService');
+const clientService = require('./clientService');
+const { parseScope } = require('./oidcService');
+const { OAuthError } = require('../middleware/errorHandler');
+
+// Values of the token_type_hint parameter (RFC 7009 section 2.1, RFC 7662 section 2.1)
+const TOKEN_TYPE_HINTS = Object.freeze({
+  ACCESS_TOKEN: 'access_token',
+  REFRESH_TOKEN: 'refresh_token'
+});
+
+// Introspection response for every token that is not active: unknown, expired, revoked or
+// not issued by us. Nothing more is said about why (RFC 7662 section 2.2).
+const INACTIVE = Object.freeze({ active: false });
+
+/**
+ * Verify a first-party access token, one issued to an OpenID Connect client, or a service token
+ * @param {string} token - Token presented by the client
+ * @returns {Object|null} - Decoded payload, or null if it is none of them
+ */
+const verifyAccessToken = (token) => {
+  for (const verify of [verifyToken, verifyOAuthAccessToken, verifyServiceToken]) {
+    try {
+      return verify(token);
+    } catch (error) {
+      // Try the next kind of token
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Verify an access token and check its revocation state, the same way authenticateToken does
+ * @param {string} token - Token presented by the client
+ * @returns {Promise<Object|null>} - Decoded payload, or null if the token is not a valid,
+ * unrevoked access token
+ */
+const checkAccessToken = async (token) => {
+  const decoded = verifyAccessToken(token);
+
+  if (!decoded) {
+    return null;
+  }
+
+  if (await tokenService.isAccessTokenRevoked(decoded)) {
+    return null;
+  }
+
+  // Signed out from another device (the session check of authenticateToken, without
+  // recording activity: introspection is not the user using the session)
+  if (decoded.sid && !(await sessionService.findActiveSession(decoded.sid))) {
+    return null;
+  }
+
+  // Tokens issued to a client stop working when the client is disabled
+  if (decoded.client_id && !(await clientService.findClient(decoded.client_id))) {
+    return null;
+  }
+
+  return decoded;
+};
+
+/**
+ * Look up a refresh token that can still be exchanged
+ * @param {string} token - Token presented by the client
+ * @returns {Promise<Object|null>} - Stored refresh token, or null if it is unknown, used,
+ * revoked or expired
+ */
+const checkRefreshToken = async (token) => {
+  // Refresh tokens are opaque base64url strings, never JWTs
+  if (token.includes('.')) {
+    return null;
+  }
+
+  const stored = await tokenService.findRefreshToken(token);
+
+  if (!stored || stored.usedAt || stored.revokedAt || stored.expiresAt <= new Date()) {
+    return null;
+  }
+
+  return stored;
+};
+
+/**
+ * Client a token was issued to
+ * @param {Object} decoded - Decoded access token
+ * @returns {string|null} - Client ID of an OpenID Connect access token or a service token, or
+ * null for a first-party token (issued to the web app, not to a registered client)
+ */
+const getTokenClientId = (decoded) => decoded.client_id || decoded.azp || null;
+
+/**
+ * Whether a client may be told about an access token: tokens issued to a client are only
+ * described to that client, first-party tokens only to trusted clients
+ * @param {Object} decoded - Decoded access token
+ * @param {Object} client - Authenticated client
+ * @returns {boolean}
+ */
+const canIntrospectAccessToken = (decoded, client) => {
+  const owner = getTokenClientId(decoded);
+
+  return owner ? owner === client.clientId : Boolean(client.trusted);
+};
+
+/**
+ * Token types to try, the hinted one first
+ * @param {string} tokenTypeHint - token_type_hint parameter (unknown hints are ignored)
+ * @returns {string[]} - TOKEN_TYPE_HINTS values
+ */
+const getLookupOrder = (tokenTypeHint) => {
+  return tokenTypeHint === TOKEN_TYPE_HINTS.REFRESH_TOKEN
+    ? [TOKEN_TYPE_HINTS.REFRESH_TOKEN, TOKEN_TYPE_HINTS.ACCESS_TOKEN]
+    : [TOKEN_TYPE_HINTS.ACCESS_TOKEN, TOKEN_TYPE_HINTS.REFRESH_TOKEN];
+};
+
+/**
+ * Describe a token for a registered client (RFC 7662 token introspection)
+ * A client only learns about tokens issued to it. First-party tokens (user access and refresh
+ * tokens of the web app) are only described to trusted clients; for anyone else they are
+ * inactive, as are tokens issued to other clients.
+ * @param {Object} client - Authenticated client making the request
+ * @param {string} token - Access or refresh token
+ * @param {string} tokenTypeHint - Optional token_type_hint
+ * @returns {Promise<Object>} - { active: false }, or { active: true, token_type, sub, username,
+ * exp, iat, ... } for an access or refresh token that would be accepted right now (access
+ * tokens issued to OpenID Connect clients and service tokens also have client_id and scope;
+ * the sub of a service token is its client ID)
+ */
+const introspectToken = async (client, token, tokenTypeHint) => {
+  try {
+    for (const type of getLookupOrder(tokenTypeHint)) {
+      if (type === TOKEN_TYPE_HINTS.ACCESS_TOKEN) {
+        const decoded = await checkAccessToken(token);
+
+        if (decoded) {
+          if (!canIntrospectAccessToken(decoded, client)) {
+            return INACTIVE;
+          }
+
+          return {
+            active: true,
+            token_type: 'Bearer',
+            sub: decoded.userId || decoded.sub,
+            username: decoded.email,
+            iss: decoded.iss,
+            aud: decoded.aud,
+            iat: decoded.iat,
+            exp: decoded.exp,
+            jti: decoded.jti,
+            ...(decoded.client_id && { client_id: decoded.client_id, scope: decoded.scope }),
+            ...(decoded.sid && { sid: decoded.sid }),
+            ...(decoded.role && { role: decoded.role }),
+            ...(decoded.permissions && { permissions: decoded.permissions })
+          };
+        }
+      } else if (client.trusted) {
+        const stored = await checkRefreshToken(token);
+
+        if (stored) {
+          return {
+            active: true,
+            token_type: 'refresh_token',
+            sub: String(stored.user),
+            iat: Math.floor(stored.createdAt.getTime() / 1000),
+            exp: Math.floor(stored.expiresAt.getTime() / 1000)
+          };
+        }
+      }
+    }
+
+    return INACTIVE;
+  } catch (error) {
+    throw new Error(`Failed to introspect token: ${error.message}`);
+  }
+};
+
+/**
+ * Revoke a token for a registered client (RFC 7009 token revocation)
+ * A client can only revoke access tokens issued to it (OpenID Connect access tokens and its
+ * service tokens), which are added to the revocation list. First-party tokens (user access
+ * and refresh tokens of the web app) were not issued to any client, so they are never revoked
+ * here, not even for trusted clients (RFC 7009 section 2.1). Those, and tokens that are
+ * unknown, already invalid or not ours, are ignored: the response is the same either way.
+ * @param {Object} client - Authenticated client making the request
+ * @param {string} token - Access or refresh token
+ * @param {string} tokenTypeHint - Optional token_type_hint (ignored: only access tokens can be
+ * revoked here)
+ * @returns {Promise<boolean>} - True if something was revoked
+ */
+const revokeToken = async (client, token, tokenTypeHint) => {
+  try {
+    const decoded = await checkAccessToken(token);
+
+    if (!decoded || getTokenClientId(decoded) !== client.clientId) {
+      return false;
+    }
+
+    await tokenService.revokeAccessToken(decoded, 'oauth-revoke');
+    return true;
+  } catch (error) {
+    throw new Error(`Failed to revoke token: ${error.message}`);
+  }
+};
+
+/**
+ * Issue a service token to a client (client credentials grant, RFC 6749 section 4.4)
+ * The token acts for the client itself, not for a user, and only works on /internal routes.
+ * @param {Object} client - Authenticated client
+ * @param {string} scope - Optional space-separated scopes to limit the token to (default:
+ * all of the client's service scopes)
+ * @returns {Promise<Object>} - Token response ({ access_token, token_type, expires_in, scope })
+ */
+const grantClientCredentials = async (client, scope) => {
+  try {
+    const allowed = client.serviceScopes || [];
+
+    if (allowed.length === 0) {
+      throw new OAuthError('unauthorized_client', 'This client is not registered for the client_credentials grant');
+    }
+
+    const scopes = scope === undefined ? allowed : parseScope(scope);
+
+    if (scopes.length === 0) {
+      throw new OAuthError('invalid_scope', 'The scope parameter is empty');
+    }
+
+    const notAllowed = scopes.filter((requested) => !allowed.includes(requested));
+    if (notAllowed.length > 0) {
+      throw new OAuthError('invalid_scope', `This client may not request: ${notAllowed.join(', ')}`);
+    }
+
+    const accessToken = generateServiceToken({ clientId: client.clientId, scopes });
+    const { iat, exp } = decodeToken(accessToken);
+
+    // No refresh token: the client authenticates again for a new token
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: exp - iat,
+      scope: scopes.join(' ')
+    };
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      throw error;
+    }
+    throw new Error(`Failed to issue service token: ${error.message}`);
+  }
+};
+
+module.exports = {
+  TOKEN_TYPE_HINTS,
+  introspectToken,
+  revokeToken,
+  grantClientCredentials
+};
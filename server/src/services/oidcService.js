@@ -0,0 +1,463 @@
+const AuthorizationCode = require('../models/AuthorizationCode');
+const OAuthConsent = require('../models/OAuthConsent');
+const clientService = require('./clientService');
+const tokenService = require('./tokenService');
+const sessionService = require('./sessionService');
+const userService = require('./userService');
+const { generateOAuthAccessToken, verifyOAuthAccessToken, generateIdToken, decodeToken } = require('../utils/jwt');
+const { generateSecureToken, hashToken } = require('../utils/secureToken');
+const { checkCodeChallenge, verifyCodeChallenge, CODE_CHALLENGE_METHOD } = require('../utils/pkce');
+const { buildRedirectUri } = require('../utils/redirectUri');
+const { getSigningKeyring } = require('../utils/signingKeys');
+const {
+  SCOPES,
+  SCOPE_CLAIMS,
+  ALWAYS_CONFIRM_SCOPES,
+  getOidcIssuer,
+  getAuthorizationCodeTtlSeconds
+} = require('../config/oidc');
+const { OAuthError } = require('../middleware/errorHandler');
+
+// nonce and state are echoed back to the client; keep them to a sane size
+const MAX_PARAM_LENGTH = 512;
+
+/**
+ * Get the issuer, failing when provider mode is off
+ * @returns {string} - OIDC_ISSUER
+ * @throws {OAuthError} - If OIDC_ISSUER is not set
+ */
+const requireIssuer = () => {
+  const issuer = getOidcIssuer();
+
+  if (!issuer) {
+    throw new OAuthError('temporarily_unavailable', 'OpenID Connect provider mode is not enabled', 503);
+  }
+
+  return issuer;
+};
+
+/**
+ * Split a space-separated scope parameter
+ * @param {string} scope - scope parameter
+ * @returns {string[]} - Scopes, without duplicates
+ */
+const parseScope = (scope) => {
+  return [...new Set(String(scope || '').split(' ').filter(Boolean))];
+};
+
+/**
+ * Build the error for an invalid authorization request once the redirect URI is trusted:
+ * the browser is sent back to the client with the error (RFC 6749 section 4.1.2.1)
+ * @param {Object} request - Request with a registered redirectUri and the client's state
+ * @param {string} error - OAuth error code
+ * @param {string} description - Error description
+ * @returns {OAuthError} - Error with a redirectUri property
+ */
+const redirectError = (request, error, description) => {
+  const oauthError = new OAuthError(error, description);
+
+  oauthError.redirectUri = buildRedirectUri(request.redirectUri, {
+    error,
+    error_description: description,
+    state: request.state,
+    iss: getOidcIssuer()
+  });
+
+  return oauthError;
+};
+
+/**
+ * Validate an authorization request (the query of GET /oauth/authorize)
+ * Errors about the client or redirect URI are not redirected, since the redirect URI
+ * cannot be trusted; every other error carries the redirectUri to send the browser to.
+ * @param {Object} params - Request parameters (client_id, redirect_uri, response_type, scope,
+ * state, nonce, code_challenge, code_challenge_method)
+ * @returns {Promise<Object>} - { client, redirectUri, scopes, state, nonce, codeChallenge }
+ * @throws {OAuthError} - If the request is invalid
+ */
+const validateAuthorizationRequest = async (params = {}) => {
+  requireIssuer();
+
+  const client = await clientService.findClient(params.client_id);
+
+  if (!client) {
+    throw new OAuthError('invalid_request', 'Unknown or disabled client_id');
+  }
+
+  if (typeof params.redirect_uri !== 'string' || !client.redirectUris.includes(params.redirect_uri)) {
+    throw new OAuthError('invalid_request', 'redirect_uri is not registered for this client');
+  }
+
+  const state = typeof params.state === 'string' ? params.state : undefined;
+  const request = { client, redirectUri: params.redirect_uri, state };
+
+  if (params.response_type !== 'code') {
+    throw redirectError(request, 'unsupported_response_type', 'Only response_type=code is supported');
+  }
+
+  if ((state && state.length > MAX_PARAM_LENGTH) || (params.nonce && String(params.nonce).length > MAX_PARAM_LENGTH)) {
+    throw redirectError(request, 'invalid_request', `state and nonce must be at most ${MAX_PARAM_LENGTH} characters`);
+  }
+
+  const scopes = parseScope(params.scope);
+
+  if (!scopes.includes(SCOPES.OPENID)) {
+    throw redirectError(request, 'invalid_scope', `The ${SCOPES.OPENID} scope is required`);
+  }
+
+  const notAllowed = scopes.filter((scope) => !client.scopes.includes(scope));
+  if (notAllowed.length > 0) {
+    throw redirectError(request, 'invalid_scope', `Scopes not allowed for this client: ${notAllowed.join(', ')}`);
+  }
+
+  const challengeProblem = checkCodeChallenge(params.code_challenge, params.code_challenge_method);
+  if (challengeProblem) {
+    throw redirectError(request, 'invalid_request', challengeProblem);
+  }
+
+  return {
+    ...request,
+    scopes,
+    nonce: params.nonce ? String(params.nonce) : null,
+    codeChallenge: params.code_challenge
+  };
+};
+
+/**
+ * Whether the user has to approve the requested scopes on the consent screen
+ * @param {string} userId - User's ID
+ * @param {string} clientId - Client ID
+ * @param {string[]} scopes - Requested scopes
+ * @returns {Promise<boolean>}
+ */
+const isConsentRequired = async (userId, clientId, scopes) => {
+  if (scopes.some((scope) => ALWAYS_CONFIRM_SCOPES.includes(scope))) {
+    return true;
+  }
+
+  const consent = await OAuthConsent.findOne({ user: userId, clientId }).lean();
+
+  return !consent || scopes.some((scope) => !consent.scopes.includes(scope));
+};
+
+/**
+ * Describe an authorization request for the consent screen
+ * @param {Object} params - Authorization request parameters
+ * @param {Object} user - req.user of the signed-in user
+ * @returns {Promise<Object>} - { client: { clientId, name }, scopes, redirectUri, consentRequired }
+ * @throws {OAuthError} - If the request is invalid (see validateAuthorizationRequest)
+ */
+const getAuthorizationDetails = async (params, user) => {
+  try {
+    const request = await validateAuthorizationRequest(params);
+
+    return {
+      client: { clientId: request.client.clientId, name: request.client.name },
+      scopes: request.scopes,
+      redirectUri: request.redirectUri,
+      consentRequired: await isConsentRequired(user.userId, request.client.clientId, request.scopes)
+    };
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      throw error;
+    }
+    throw new Error(`Failed to read authorization request: ${error.message}`);
+  }
+};
+
+/**
+ * Approve an authorization request: issue an authorization code and remember the consent
+ * @param {Object} params - Authorization request parameters
+ * @param {Object} user - req.user of the signed-in user (userId, sessionId)
+ * @returns {Promise<string>} - Redirect URI with the code, state and iss parameters
+ * @throws {OAuthError} - If the request is invalid (see validateAuthorizationRequest)
+ */
+const approveAuthorization = async (params, user) => {
+  try {
+    const request = await validateAuthorizationRequest(params);
+    const clientId = request.client.clientId;
+
+    // auth_time is when the user logged in, which is when their session started
+    const session = user.sessionId ? await sessionService.findActiveSession(user.sessionId) : null;
+
+    const code = generateSecureToken();
+    await AuthorizationCode.create({
+      codeHash: hashToken(code),
+      clientId,
+      user: user.userId,
+      session: session ? session._id : null,
+      redirectUri: request.redirectUri,
+      scopes: request.scopes,
+      nonce: request.nonce,
+      codeChallenge: request.codeChallenge,
+      authTime: session ? session.createdAt : null,
+      expiresAt: new Date(Date.now() + getAuthorizationCodeTtlSeconds() * 1000)
+    });
+
+    const remembered = request.scopes.filter((scope) => !ALWAYS_CONFIRM_SCOPES.includes(scope));
+    await OAuthConsent.updateOne(
+      { user: user.userId, clientId },
+      { $addToSet: { scopes: { $each: remembered } } },
+      { upsert: true }
+    );
+
+    return buildRedirectUri(request.redirectUri, { code, state: request.state, iss: getOidcIssuer() });
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      throw error;
+    }
+    throw new Error(`Failed to approve authorization: ${error.message}`);
+  }
+};
+
+/**
+ * Deny an authorization request
+ * @param {Object} params - Authorization request parameters
+ * @returns {Promise<string>} - Redirect URI with an access_denied error
+ * @throws {OAuthError} - If the request is invalid (see validateAuthorizationRequest)
+ */
+const denyAuthorization = async (params) => {
+  try {
+    const request = await validateAuthorizationRequest(params);
+
+    return redirectError(request, 'access_denied', 'The user denied the request').redirectUri;
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      throw error;
+    }
+    throw new Error(`Failed to deny authorization: ${error.message}`);
+  }
+};
+
+/**
+ * Get the claims a set of scopes releases about a user (except the Aadhaar number)
+ * @param {Object} user - User document
+ * @param {string[]} scopes - Approved scopes
+ * @returns {Object} - Claims
+ */
+const getUserClaims = (user, scopes) => {
+  const claims = {};
+
+  if (scopes.includes(SCOPES.PROFILE) && user.name) {
+    claims.name = user.name;
+  }
+
+  if (scopes.includes(SCOPES.EMAIL)) {
+    claims.email = user.email;
+    claims.email_verified = Boolean(user.emailVerified);
+  }
+
+  return claims;
+};
+
+/**
+ * Revoke the access token issued for an authorization code that is presented again
+ * (RFC 6749 section 4.1.2: the code may have been stolen)
+ * @param {string} codeHash - Hash of the code
+ * @returns {Promise<void>}
+ */
+const revokeReplayedCode = async (codeHash) => {
+  const used = await AuthorizationCode.findOne({ codeHash }).lean();
+
+  if (used && used.accessTokenJti) {
+    await tokenService.revokeAccessToken(
+      {
+        jti: used.accessTokenJti,
+        userId: used.user,
+        exp: Math.floor(used.accessTokenExpiresAt.getTime() / 1000)
+      },
+      'code-reuse'
+    );
+  }
+};
+
+/**
+ * Exchange an authorization code for tokens (POST /oauth/token, grant_type=authorization_code)
+ * The code is single-use and bound to the client, the redirect URI and the PKCE challenge.
+ * @param {Object} client - Authenticated client (req.oauthClient)
+ * @param {Object} params - { code, redirectUri, codeVerifier }
+ * @returns {Promise<Object>} - Token response ({ access_token, token_type, expires_in, id_token, scope })
+ * @throws {OAuthError} - invalid_grant if the code cannot be exchanged
+ */
+const exchangeAuthorizationCode = async (client, { code, redirectUri, codeVerifier }) => {
+  try {
+    requireIssuer();
+
+    const codeHash = hashToken(code);
+
+    // Mark the code used before anything else, so it can only ever be exchanged once
+    const stored = await AuthorizationCode.findOneAndUpdate(
+      { codeHash, usedAt: null },
+      { usedAt: new Date() }
+    ).lean();
+
+    if (!stored) {
+      await revokeReplayedCode(codeHash);
+      throw new OAuthError('invalid_grant', 'Invalid or already used authorization code');
+    }
+
+    if (stored.clientId !== client.clientId) {
+      throw new OAuthError('invalid_grant', 'Invalid or already used authorization code');
+    }
+    if (stored.expiresAt <= new Date()) {
+      throw new OAuthError('invalid_grant', 'Authorization code has expired');
+    }
+    if (redirectUri !== stored.redirectUri) {
+      throw new OAuthError('invalid_grant', 'redirect_uri does not match the authorization request');
+    }
+    if (!verifyCodeChallenge(codeVerifier, stored.codeChallenge)) {
+      throw new OAuthError('invalid_grant', 'code_verifier does not match the code_challenge');
+    }
+
+    const user = await userService.findUserById(stored.user);
+
+    if (!user || user.disabledAt) {
+      throw new OAuthError('invalid_grant', 'The user can no longer sign in');
+    }
+
+    if (stored.session && !(await sessionService.findActiveSession(stored.session))) {
+      throw new OAuthError('invalid_grant', 'The user has signed out');
+    }
+
+    const accessToken = generateOAuthAccessToken({
+      userId: user._id,
+      clientId: client.clientId,
+      scopes: stored.scopes,
+      sessionId: stored.session
+    });
+    const { jti, iat, exp } = decodeToken(accessToken);
+
+    await AuthorizationCode.updateOne(
+      { _id: stored._id },
+      { accessTokenJti: jti, accessTokenExpiresAt: new Date(exp * 1000) }
+    );
+
+    // ID tokens never carry the Aadhaar number; it is only released by the userinfo endpoint
+    const idToken = generateIdToken({
+      userId: user._id,
+      clientId: client.clientId,
+      nonce: stored.nonce,
+      authTime: stored.authTime,
+      claims: getUserClaims(user, stored.scopes)
+    });
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: exp - iat,
+      id_token: idToken,
+      scope: stored.scopes.join(' ')
+    };
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      throw error;
+    }
+    throw new Error(`Failed to exchange authorization code: ${error.message}`);
+  }
+};
+
+/**
+ * Get the claims about the user an access token was issued for (GET /oauth/userinfo)
+ * The token goes through the same revocation and session checks as first-party tokens,
+ * and stops working when the client is disabled.
+ * @param {string} token - Access token issued by exchangeAuthorizationCode
+ * @param {Object} req - Express request, recorded in the audit log when the Aadhaar number is released
+ * @returns {Promise<Object>} - Claims ({ sub, name, email, email_verified, aadhaar_number })
+ * @throws {OAuthError} - invalid_token (401) or insufficient_scope (403)
+ */
+const getUserInfo = async (token, req = null) => {
+  try {
+    requireIssuer();
+
+    let decoded;
+    try {
+      decoded = verifyOAuthAccessToken(token);
+    } catch (error) {
+      throw new OAuthError('invalid_token', 'The access token is invalid or has expired', 401);
+    }
+
+    if (await tokenService.isAccessTokenRevoked(decoded)) {
+      throw new OAuthError('invalid_token', 'The access token has been revoked', 401);
+    }
+
+    if (decoded.sid && !(await sessionService.findActiveSession(decoded.sid))) {
+      throw new OAuthError('invalid_token', 'The user has signed out', 401);
+    }
+
+    const scopes = parseScope(decoded.scope);
+
+    if (!scopes.includes(SCOPES.OPENID)) {
+      throw new OAuthError('insufficient_scope', `The ${SCOPES.OPENID} scope is required`, 403);
+    }
+
+    const [client, user] = await Promise.all([
+      clientService.findClient(decoded.client_id),
+      userService.findUserById(decoded.userId)
+    ]);
+
+    if (!client || !user || user.disabledAt) {
+      throw new OAuthError('invalid_token', 'The access token is no longer valid', 401);
+    }
+
+    const claims = { sub: String(user._id), ...getUserClaims(user, scopes) };
+
+    if (scopes.includes(SCOPES.AADHAAR)) {
+      claims.aadhaar_number = await userService.releaseAadhaarToClient(user, { clientId: client.clientId, req });
+    }
+
+    return claims;
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      throw error;
+    }
+    throw new Error(`Failed to get user info: ${error.message}`);
+  }
+};
+
+/**
+ * Build the OpenID Provider metadata (GET /.well-known/openid-configuration)
+ * @returns {Object|null} - Discovery document, or null when provider mode is off
+ */
+const getDiscoveryDocument = () => {
+  const issuer = getOidcIssuer();
+  const keyring = getSigningKeyring();
+
+  if (!issuer || !keyring) {
+    return null;
+  }
+
+  const standardClaims = ['iss', 'sub', 'aud', 'exp', 'iat', 'auth_time', 'nonce'];
+
+  return {
+    issuer,
+    authorization_endpoint: `${issuer}/oauth/authorize`,
+    token_endpoint: `${issuer}/oauth/token`,
+    userinfo_endpoint: `${issuer}/oauth/userinfo`,
+    jwks_uri: `${issuer}/.well-known/jwks.json`,
+    introspection_endpoint: `${issuer}/oauth/introspect`,
+    revocation_endpoint: `${issuer}/oauth/revoke`,
+    scopes_supported: Object.values(SCOPES),
+    claims_supported: [...new Set([...standardClaims, ...Object.values(SCOPE_CLAIMS).flat()])],
+    response_types_supported: ['code'],
+    response_modes_supported: ['query'],
+    grant_types_supported: ['authorization_code', 'client_credentials'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: [keyring.keys.get(keyring.activeKid).alg],
+    code_challenge_methods_supported: [CODE_CHALLENGE_METHOD],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    introspection_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    revocation_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    authorization_response_iss_parameter_supported: true
+  };
+};
+
+module.exports = {
+  parseScope,
+  validateAuthorizationRequest,
+  getAuthorizationDetails,
+  approveAuthorization,
+  denyAuthorization,
+  exchangeAuthorizationCode,
+  getUserInfo,
+  getDiscoveryDocument
+};
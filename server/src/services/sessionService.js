@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const { describeUserAgent } = require('../utils/userAgent');
+
+// lastSeenAt is only written when it is older than this, so busy clients don't cause a write per request
+const SESSION_TOUCH_INTERVAL_SECONDS = 60;
+
+// Longest User-Agent header that is stored
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * Extract the client details recorded on a session from a request
+ * @param {Object} req - Express request
+ * @returns {Object} - { userAgent, ip }
+ */
+const getClientInfo = (req) => {
+  const userAgent = req.get('user-agent');
+
+  return {
+    userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+    ip: req.ip || null
+  };
+};
+
+/**
+ * Record a new sign-in
+ * @param {string} userId - User's ID
+ * @param {string} family - Refresh token family of the sign-in
+ * @param {Object} client - { userAgent, ip } from getClientInfo
+ * @param {Date} expiresAt - When the session's refresh tokens expire
+ * @returns {Promise<Object>} - Session document
+ */
+const createSession = async (userId, family, client = {}, expiresAt) => {
+  try {
+    return await Session.create({
+      user: userId,
+      family,
+      userAgent: client.userAgent || null,
+      device: describeUserAgent(client.userAgent),
+      ip: client.ip || null,
+      lastSeenAt: new Date(),
+      expiresAt
+    });
+  } catch (error) {
+    throw new Error(`Failed to create session: ${error.message}`);
+  }
+};
+
+/**
+ * Find the session a refresh token family belongs to
+ * @param {string} family - Refresh token family
+ * @returns {Promise<Object|null>} - Session document or null
+ */
+const findSessionByFamily = async (family) => {
+  return Session.findOne({ family });
+};
+
+/**
+ * Find a session that has not been revoked or expired
+ * @param {string} sessionId - Session ID (the sid claim of an access token)
+ * @returns {Promise<Object|null>} - Session document or null
+ */
+const findActiveSession = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  return Session.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Record activity on a session (throttled to one write per SESSION_TOUCH_INTERVAL_SECONDS)
+ * @param {Object} session - Session document
+ * @returns {Promise<void>}
+ */
+const touchSession = async (session) => {
+  const cutoff = Date.now() - SESSION_TOUCH_INTERVAL_SECONDS * 1000;
+
+  if (session.lastSeenAt && session.lastSeenAt.getTime() > cutoff) {
+    return;
+  }
+
+  await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+};
+
+/**
+ * Record a refresh on a session: bumps lastSeenAt, the latest IP and the expiry
+ * @param {Object} session - Session document
+ * @param {Object} client - { userAgent, ip } from getClientInfo
+ * @param {Date} expiresAt - New expiry (in step with the new refresh token)
+ * @returns {Promise<void>}
+ */
+const extendSession = async (session, client = {}, expiresAt) => {
+  const update = { lastSeenAt: new Date(), expiresAt };
+
+  if (client.ip) {
+    update.ip = client.ip;
+  }
+
+  await Session.updateOne({ _id: session._id }, update);
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User's ID
+ * @param {string} currentSessionId - Session of the request (flagged as current)
+ * @returns {Promise<Array>} - Sessions without internal fields
+ */
+const listSessions = async (userId, currentSessionId) => {
+  try {
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    return sessions.map((session) => ({
+      _id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: !!currentSessionId && session._id.toString() === currentSessionId
+    }));
+  } catch (error) {
+    throw new Error(`Failed to list sessions: ${error.message}`);
+  }
+};
+
+/**
+ * Revoke one of a user's sessions and its refresh tokens
+ * Access tokens of the session are rejected from then on (see authenticateToken)
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why the session is being revoked
+ * @returns {Promise<boolean>} - False if the user has no such active session
+ */
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+  try {
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return false;
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason },
+      { new: true }
+    );
+
+    if (!session) {
+      return false;
+    }
+
+    await RefreshToken.updateMany(
+      { family: session.family, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    return true;
+  } catch (error) {
+    throw new Error(`Failed to revoke session: ${error.message}`);
+  }
+};
+
+/**
+ * Mark the session of a refresh token family as revoked
+ * Used when the family itself is revoked (logout, reuse detection)
+ * @param {string} family - Refresh token family
+ * @param {string} reason - Why the session is being revoked
+ * @returns {Promise<void>}
+ */
+const revokeSessionByFamily = async (family, reason) => {
+  await Session.updateOne(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+/**
+ * Mark every active session of a user as revoked
+ * @param {string} userId - User's ID
+ * @param {string} reason - Why the sessions are being revoked
+ * @returns {Promise<void>}
+ */
+const revokeAllSessions = async (userId, reason) => {
+  await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = {
+  getClientInfo,
+  createSession,
+  findSessionByFamily,
+  findActiveSession,
+  touchSession,
+  extendSession,
+  listSessions,
+  revokeSession,
+  revokeSessionByFamily,
+  revokeAllSessions
+};
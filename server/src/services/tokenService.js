@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const User = require('../models/User');
+const { generateToken } = require('../utils/jwt');
+const { generateSecureToken, hashToken } = require('../utils/secureToken');
+const sessionService = require('./sessionService');
+const apiKeyService = require('./apiKeyService');
+const { getPermissionsForRole } = require('../config/roles');
+const { AuthenticationError } = require('../middleware/errorHandler');
+
+// Refresh tokens live much longer than access tokens, but are rotated on every use
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Get the expiry date for a refresh token issued now
+ * @returns {Date} - Expiry date
+ */
+const getRefreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Persist a new refresh token for a user
+ * @param {string} userId - User's ID
+ * @param {string} family - Token family
+ * @returns {Promise<Object>} - { refreshToken, record } where refreshToken is the plain token
+ */
+const createRefreshToken = async (userId, family) => {
+  const refreshToken = generateSecureToken();
+
+  const record = await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: getRefreshTokenExpiry()
+  });
+
+  return { refreshToken, record };
+};
+
+/**
+ * Create an access/refresh token pair for a session
+ * @param {Object} user - User document (must have _id and email)
+ * @param {Object} session - Session document (its family is used for the refresh token)
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId }
+ */
+const createTokenPair = async (user, session) => {
+  const { refreshToken } = await createRefreshToken(user._id, session.family);
+  const token = generateToken(user._id.toString(), user.email, {
+    sessionId: session._id,
+    role: user.role,
+    permissions: getPermissionsForRole(user.role)
+  });
+
+  return { token, refreshToken, sessionId: session._id.toString() };
+};
+
+/**
+ * Start a new session for a user and issue its access and refresh tokens
+ * @param {Object} user - User document (must have _id and email)
+ * @param {Object} client - { userAgent, ip } from sessionService.getClientInfo
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId }
+ */
+const issueAuthTokens = async (user, client = {}) => {
+  try {
+    const session = await sessionService.createSession(
+      user._id,
+      crypto.randomUUID(),
+      client,
+      getRefreshTokenExpiry()
+    );
+
+    return await createTokenPair(user, session);
+  } catch (error) {
+    throw new Error(`Failed to issue tokens: ${error.message}`);
+  }
+};
+
+/**
+ * Revoke every refresh token in a family, and the session it belongs to
+ * @param {string} family - Token family
+ * @param {string} reason - Why the family is being revoked
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+const revokeTokenFamily = async (family, reason) => {
+  const result = await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  await sessionService.revokeSessionByFamily(family, reason);
+
+  return result.modifiedCount;
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * The presented token is marked as used. Presenting a used token again is treated
+ * as theft: the whole family is revoked and the caller must login again.
+ * @param {string} refreshToken - Plain refresh token from the client
+ * @param {Object} client - { userAgent, ip } from sessionService.getClientInfo
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId, user }
+ */
+const rotateRefreshToken = async (refreshToken, client = {}) => {
+  try {
+    const tokenHash = hashToken(refreshToken);
+    const stored = await RefreshToken.findOne({ tokenHash });
+
+    if (!stored) {
+      throw new AuthenticationError('Invalid refresh token. Please login again.');
+    }
+
+    // Revoked by logout or session revocation (and never used since)
+    if (stored.revokedAt && !stored.usedAt) {
+      throw new AuthenticationError('Session has been signed out. Please login again.');
+    }
+
+    // Reuse of an already rotated token - revoke the whole family
+    if (stored.usedAt) {
+      await revokeTokenFamily(stored.family, 'reuse-detected');
+      throw new AuthenticationError('Refresh token has already been used. Please login again.');
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      throw new AuthenticationError('Refresh token has expired. Please login again.');
+    }
+
+    // Atomically claim the token so two concurrent requests cannot both rotate it
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, usedAt: null, revokedAt: null },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!claimed) {
+      await revokeTokenFamily(stored.family, 'reuse-detected');
+      throw new AuthenticationError('Refresh token has already been used. Please login again.');
+    }
+
+    const user = await User.findById(stored.user);
+
+    if (!user) {
+      await revokeTokenFamily(stored.family, 'user-not-found');
+      throw new AuthenticationError('Invalid refresh token. Please login again.');
+    }
+
+    if (user.disabledAt) {
+      await revokeTokenFamily(stored.family, 'account-disabled');
+      throw new AuthenticationError('This account has been disabled.', 'ACCOUNT_DISABLED');
+    }
+
+    let session = await sessionService.findSessionByFamily(stored.family);
+
+    if (!session) {
+      // Sign-ins from before sessions were recorded get a session on their first refresh
+      session = await sessionService.createSession(user._id, stored.family, client, getRefreshTokenExpiry());
+    } else if (session.revokedAt) {
+      await revokeTokenFamily(stored.family, 'session-revoked');
+      throw new AuthenticationError('Session has been signed out. Please login again.');
+    } else {
+      await sessionService.extendSession(session, client, getRefreshTokenExpiry());
+    }
+
+    const tokens = await createTokenPair(user, session);
+
+    claimed.replacedByHash = hashToken(tokens.refreshToken);
+    await claimed.save();
+
+    return { ...tokens, user };
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      throw error;
+    }
+    throw new Error(`Failed to refresh token: ${error.message}`);
+  }
+};
+
+/**
+ * Look up a refresh token by its plain value
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {Promise<Object|null>} - Stored token (user, family, expiresAt, usedAt, revokedAt, createdAt) or null
+ */
+const findRefreshToken = async (refreshToken) => {
+  return RefreshToken.findOne({ tokenHash: hashToken(refreshToken) }).lean();
+};
+
+/**
+ * Revoke the refresh token family a plain refresh token belongs to
+ * Only revokes tokens owned by the given user; unknown tokens are ignored
+ * @param {string} refreshToken - Plain refresh token from the client
+ * @param {string} userId - ID of the user logging out
+ * @param {string} reason - Why the family is being revoked
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+const revokeRefreshToken = async (refreshToken, userId, reason = 'logout') => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken), user: userId });
+
+  if (!stored) {
+    return 0;
+  }
+
+  return revokeTokenFamily(stored.family, reason);
+};
+
+/**
+ * Add an access token to the revocation list
+ * @param {Object} decoded - Decoded access token payload (needs jti and exp)
+ * @param {string} reason - Why the token is being revoked
+ * @returns {Promise<void>}
+ */
+const revokeAccessToken = async (decoded, reason = 'logout') => {
+  try {
+    if (!decoded || !decoded.jti) {
+      return;
+    }
+
+    await RevokedToken.updateOne(
+      { jti: decoded.jti },
+      {
+        $setOnInsert: {
+          jti: decoded.jti,
+          user: decoded.userId,
+          expiresAt: new Date(decoded.exp * 1000),
+          reason
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    throw new Error(`Failed to revoke token: ${error.message}`);
+  }
+};
+
+/**
+ * Invalidate every access and refresh token and every API key a user currently holds
+ * Access tokens are cut off with the user's tokensValidAfter timestamp
+ * @param {string} userId - User's ID
+ * @param {string} reason - Why the tokens are being revoked
+ * @returns {Promise<void>}
+ */
+const revokeAllUserTokens = async (userId, reason = 'logout-all') => {
+  try {
+    // Millisecond precision: compared with the iat_ms claim (see isAccessTokenRevoked)
+    const tokensValidAfter = new Date();
+
+    await User.updateOne({ _id: userId }, { tokensValidAfter });
+    await RefreshToken.updateMany(
+      { user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    await sessionService.revokeAllSessions(userId, reason);
+    await apiKeyService.revokeAllApiKeys(userId);
+  } catch (error) {
+    throw new Error(`Failed to revoke user tokens: ${error.message}`);
+  }
+};
+
+/**
+ * Invalidate a user's current access tokens but keep their sessions
+ * Clients get a 401, refresh, and receive a token with up-to-date claims (e.g. after a role change)
+ * @param {string} userId - User's ID
+ * @returns {Promise<void>}
+ */
+const expireAccessTokens = async (userId) => {
+  try {
+    const tokensValidAfter = new Date();
+
+    await User.updateOne({ _id: userId }, { tokensValidAfter });
+  } catch (error) {
+    throw new Error(`Failed to expire access tokens: ${error.message}`);
+  }
+};
+
+/**
+ * Get when a token was issued, in milliseconds
+ * Tokens signed before iat_ms was added only have iat (seconds); they are taken to be
+ * issued at the start of that second, so a cutoff within the same second rejects them.
+ * @param {Object} decoded - Decoded token payload
+ * @returns {number} - Issue time in milliseconds
+ */
+const getIssuedAtMs = (decoded) => {
+  return Number.isInteger(decoded.iat_ms) ? decoded.iat_ms : decoded.iat * 1000;
+};
+
+/**
+ * Check whether a verified access token has been revoked
+ * A token is revoked if its jti is on the revocation list, or if it was issued
+ * before the user's tokensValidAfter timestamp (compared in milliseconds)
+ * @param {Object} decoded - Decoded access token payload (or service token payload, which
+ * has no user and is only checked against the revocation list)
+ * @returns {Promise<boolean>} - True if the token must be rejected
+ */
+const isAccessTokenRevoked = async (decoded) => {
+  if (decoded.jti && await RevokedToken.exists({ jti: decoded.jti })) {
+    return true;
+  }
+
+  // Service tokens are issued to a client, not a user
+  if (!decoded.userId) {
+    return false;
+  }
+
+  const user = await User.findById(decoded.userId).select('tokensValidAfter');
+
+  if (!user) {
+    return true;
+  }
+
+  if (user.tokensValidAfter && getIssuedAtMs(decoded) < user.tokensValidAfter.getTime()) {
+    return true;
+  }
+
+  return false;
+};
+
+module.exports = {
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  findRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllUserTokens,
+  expireAccessTokens,
+  isAccessTokenRevoked
+};
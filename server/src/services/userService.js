@@ -1,7 +1,52 @@
 const User = require('../models/User');
 const { hashPassword, comparePassword } = require('../utils/passwordHash');
-const { encrypt, decrypt } = require('../utils/encryption');
+const { generateSecureToken, hashToken } = require('../utils/secureToken');
+const { maskAadhaar } = require('../utils/aadhaar');
+const auditService = require('./auditService');
+const vaultService = require('./vaultService');
+const mfaService = require('./mfaService');
 const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { getLoginDelayMs, isLockoutAttempt } = require('../utils/loginThrottle');
+const { ROLES, isValidRole } = require('../config/roles');
+const {
+  getEmailVerificationTtlHours,
+  getVerificationResendCooldownSeconds,
+  getLoginThrottleSettings,
+  getAadhaarRevealTtlSeconds
+} = require('../config/auth');
+
+// How long a password reset link stays valid
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// How long an account unlock link stays valid
+const ACCOUNT_UNLOCK_TTL_HOURS = parseInt(process.env.ACCOUNT_UNLOCK_TTL_HOURS) || 24;
+
+// Longest a login waits for the end of an account's back-off; longer back-offs are refused outright
+const MAX_BACKOFF_WAIT_MS = 10 * 1000;
+
+// Update that clears every lockout field (a fresh object each time, as Mongoose may modify it)
+const clearLockoutUpdate = () => ({
+  failedLoginAttempts: 0,
+  $unset: {
+    lastFailedLoginAt: 1,
+    nextLoginAllowedAt: 1,
+    lockUntil: 1,
+    unlockTokenHash: 1,
+    unlockTokenExpires: 1
+  }
+});
+
+// ISO 8601 date without a time, e.g. 2024-01-31
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Account statuses the admin user list can be filtered by
+const ACCOUNT_STATUSES = ['active', 'disabled', 'locked', 'unverified'];
+
+// Largest page the admin user list returns
+const MAX_USERS_PAGE_SIZE = 100;
+
+// bcrypt hash compared against when the email is unknown, so response times do not reveal accounts
+let dummyPasswordHash = null;
 
 /**
  * Create a new user
@@ -9,6 +54,8 @@ const { NotFoundError, ValidationError } = require('../middleware/errorHandler')
  * @returns {Promise<Object>} - Created user object (without sensitive data)
  */
 const createUser = async (userData) => {
+  let aadhaarRef = null;
+
   try {
     const { email, password, aadhaar, name } = userData;
 
@@ -21,14 +68,15 @@ const createUser = async (userData) => {
     // Hash the password
     const hashedPassword = await hashPassword(password);
 
-    // Encrypt the Aadhaar number
-    const encryptedAadhaar = encrypt(aadhaar);
+    // Store the Aadhaar number in the vault; the user only keeps the reference token.
+    // Fails with AADHAAR_ALREADY_REGISTERED if another account has the same number.
+    aadhaarRef = await vaultService.storeAadhaar(aadhaar);
 
     // Create user object
     const newUser = new User({
       email: email.toLowerCase().trim(),
       password: hashedPassword,
-      encryptedAadhaar: encryptedAadhaar,
+      aadhaarRef,
       name: name ? name.trim() : undefined
     });
 
@@ -40,10 +88,21 @@ const createUser = async (userData) => {
       _id: savedUser._id,
       email: savedUser.email,
       name: savedUser.name,
+      role: savedUser.role,
+      emailVerified: savedUser.emailVerified,
       createdAt: savedUser.createdAt,
       updatedAt: savedUser.updatedAt
     };
   } catch (error) {
+    // Don't leave a vault record behind for a user that was never created
+    if (aadhaarRef) {
+      try {
+        await vaultService.removeAadhaar(aadhaarRef);
+      } catch (cleanupError) {
+        console.error('Aadhaar vault cleanup failed:', cleanupError.message);
+      }
+    }
+
     // Re-throw known errors
     if (error instanceof ValidationError) {
       throw error;
@@ -106,11 +165,49 @@ const findUserById = async (userId) => {
 };
 
 /**
- * Get user profile with decrypted Aadhaar
+ * Record in the audit chain that a user's Aadhaar number is about to be decrypted
+ * @param {Object} user - User document
+ * @param {Object} access - { actor, purpose, details, req }: who is reading the number (req.user),
+ * why (one of auditService.ACCESS_PURPOSES), optional details such as the client it is released
+ * to, and the request it is read for
+ * @returns {Promise<void>}
+ */
+const recordAadhaarAccess = async (user, access = {}) => {
+  if (!access.purpose) {
+    throw new Error('A purpose is required to decrypt an Aadhaar number');
+  }
+
+  await auditService.record({
+    actor: access.actor || null,
+    action: auditService.AUDIT_ACTIONS.AADHAAR_DECRYPT,
+    targetUser: user._id,
+    purpose: access.purpose,
+    details: access.details || {},
+    req: access.req || null
+  });
+};
+
+/**
+ * Read a user's Aadhaar number from the vault, audited
+ * The audit entry is written first: if it cannot be written, the number is not decrypted.
+ * @param {Object} user - User document
+ * @param {Object} access - { actor, purpose, req } (see recordAadhaarAccess)
+ * @returns {Promise<string>} - Plain Aadhaar number
+ */
+const decryptAadhaar = async (user, access) => {
+  await recordAadhaarAccess(user, access);
+  return vaultService.retrieveAadhaar(user.aadhaarRef);
+};
+
+/**
+ * Get user profile with the Aadhaar number masked (XXXX XXXX 1234)
+ * The full number is only returned by revealAadhaar
  * @param {string} userId - User's ID
- * @returns {Promise<Object>} - User profile with decrypted Aadhaar
+ * @param {Object} access - { actor, purpose, req } recorded in the audit chain if the number has
+ * to be decrypted to mask it (see getMaskedAadhaar)
+ * @returns {Promise<Object>} - User profile with masked Aadhaar
  */
-const getUserProfile = async (userId) => {
+const getUserProfile = async (userId, access = {}) => {
   try {
     // Find user by ID
     const user = await findUserById(userId);
@@ -119,20 +216,22 @@ const getUserProfile = async (userId) => {
       throw new NotFoundError('User not found');
     }
 
-    // Decrypt Aadhaar number
-    let decryptedAadhaar = null;
+    // Read the masked Aadhaar number
+    let maskedAadhaar = null;
     try {
-      decryptedAadhaar = decrypt(user.encryptedAadhaar);
+      maskedAadhaar = await getMaskedAadhaar(user, access);
     } catch (error) {
-      throw new Error(`Failed to decrypt Aadhaar: ${error.message}`);
+      throw new Error(`Failed to read Aadhaar: ${error.message}`);
     }
 
-    // Return profile with decrypted Aadhaar
+    // Return profile with masked Aadhaar
     return {
       _id: user._id,
       email: user.email,
       name: user.name,
-      aadhaar: decryptedAadhaar, // Decrypted Aadhaar
+      aadhaar: maskedAadhaar, // Masked Aadhaar
+      role: user.role,
+      emailVerified: user.emailVerified,
       createdAt: user.createdAt,
       updatedAt: user.updatedAt
     };
@@ -147,6 +246,101 @@ const getUserProfile = async (userId) => {
   }
 };
 
+/**
+ * Check the fresh confirmation a signed-in user gives before a sensitive action
+ * (revealing their Aadhaar number)
+ * The user confirms with their password, or with a code from their authenticator app if
+ * two-factor authentication is enabled. Wrong confirmations count towards the same
+ * per-account back-off and lockout as wrong login passwords, and nothing is checked while
+ * the account is locked.
+ * @param {string} userId - User's ID
+ * @param {Object} confirmation - { password } or { code }
+ * @returns {Promise<Object>} - { user, lockout } where user is null if the confirmation was wrong,
+ * and lockout is set when this attempt locked the account (see recordFailedLogin)
+ */
+const confirmStepUp = async (userId, confirmation = {}) => {
+  try {
+    const user = await User.findById(userId).select('+password +failedLoginAttempts +nextLoginAllowedAt +lockUntil');
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.lockUntil && user.lockUntil > new Date()) {
+      throw new ValidationError(
+        'Too many failed attempts. Please try again later.',
+        'STEP_UP_LOCKED'
+      );
+    }
+
+    const confirmed = confirmation.code
+      ? await mfaService.verifyCode(user._id, confirmation.code)
+      : Boolean(confirmation.password) && await comparePassword(confirmation.password, user.password);
+
+    if (!confirmed) {
+      return { user: null, lockout: await recordFailedLogin(user) };
+    }
+
+    if (user.failedLoginAttempts > 0 || user.nextLoginAllowedAt || user.lockUntil) {
+      await User.updateOne({ _id: user._id }, clearLockoutUpdate());
+    }
+
+    return { user, lockout: null };
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+    if (error.name === 'CastError') {
+      throw new ValidationError('Invalid user ID format');
+    }
+    throw new Error(`Failed to check confirmation: ${error.message}`);
+  }
+};
+
+/**
+ * Reveal a user's full Aadhaar number
+ * Only call this for a user returned by confirmStepUp.
+ * @param {Object} user - User document, as confirmed by confirmStepUp
+ * @param {Object} access - { actor, req } recorded in the audit chain
+ * @returns {Promise<Object>} - { aadhaar, expiresAt } where expiresAt is when the client must hide it again
+ */
+const revealAadhaar = async (user, access = {}) => {
+  try {
+    const aadhaar = await decryptAadhaar(user, {
+      ...access,
+      purpose: auditService.ACCESS_PURPOSES.PROFILE_REVEAL
+    });
+
+    return {
+      aadhaar,
+      expiresAt: new Date(Date.now() + getAadhaarRevealTtlSeconds() * 1000)
+    };
+  } catch (error) {
+    throw new Error(`Failed to reveal Aadhaar: ${error.message}`);
+  }
+};
+
+/**
+ * Release a user's full Aadhaar number to an OpenID Connect client the user approved the
+ * aadhaar scope for (the aadhaar_number claim of the userinfo response)
+ * The audit entry names the user as the actor and the client it was released to.
+ * @param {Object} user - User document
+ * @param {Object} access - { clientId, req }
+ * @returns {Promise<string>} - Plain Aadhaar number
+ */
+const releaseAadhaarToClient = async (user, access = {}) => {
+  try {
+    return await decryptAadhaar(user, {
+      actor: { userId: user._id, email: user.email, role: user.role },
+      purpose: auditService.ACCESS_PURPOSES.OIDC_USERINFO,
+      details: { clientId: access.clientId },
+      req: access.req || null
+    });
+  } catch (error) {
+    throw new Error(`Failed to release Aadhaar: ${error.message}`);
+  }
+};
+
 /**
  * Verify user password (for login)
  * @param {string} plainPassword - Plain text password
@@ -162,6 +356,693 @@ const verifyPassword = async (plainPassword, hashedPassword) => {
   }
 };
 
+/**
+ * Change user password
+ * @param {string} userId - User's ID
+ * @param {string} currentPassword - Current plain text password (must match)
+ * @param {string} newPassword - New plain text password
+ * @returns {Promise<Object>} - Updated user object (without sensitive data)
+ */
+const changePassword = async (userId, currentPassword, newPassword) => {
+  try {
+    const user = await User.findById(userId).select('+password');
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    // Verify current password before allowing the change
+    const isPasswordValid = await verifyPassword(currentPassword, user.password);
+
+    if (!isPasswordValid) {
+      throw new ValidationError('Current password is incorrect');
+    }
+
+    // Hash and store the new password
+    user.password = await hashPassword(newPassword);
+    const updatedUser = await user.save();
+
+    return {
+      _id: updatedUser._id,
+      email: updatedUser.email,
+      name: updatedUser.name,
+      role: updatedUser.role,
+      createdAt: updatedUser.createdAt,
+      updatedAt: updatedUser.updatedAt
+    };
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+    if (error.name === 'CastError') {
+      throw new ValidationError('Invalid user ID format');
+    }
+    throw new Error(`Failed to change password: ${error.message}`);
+  }
+};
+
+/**
+ * Get (and lazily create) the dummy password hash
+ * @returns {Promise<string>} - bcrypt hash of a random password
+ */
+const getDummyPasswordHash = () => {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = hashPassword(generateSecureToken());
+  }
+
+  return dummyPasswordHash;
+};
+
+/**
+ * Record a failed login and apply the back-off delay or lockout
+ * Below the lockout threshold only the back-off is set (nextLoginAllowedAt); the account is
+ * not locked. At the threshold it is locked (lockUntil) and an unlock token is created.
+ * Failures older than the maximum lock duration are forgotten, so occasional typos never add up
+ * @param {Object} user - User document
+ * @returns {Promise<Object|null>} - { user, token, lockedUntil } when the account was just locked
+ * (token is the plain unlock token to email), otherwise null
+ */
+const recordFailedLogin = async (user) => {
+  const settings = getLoginThrottleSettings();
+  const now = new Date();
+  const forgetBefore = new Date(now.getTime() - settings.maxLockoutMinutes * 60 * 1000);
+
+  // Start counting again after a quiet period, otherwise add to the current streak
+  let updated = await User.findOneAndUpdate(
+    { _id: user._id, lastFailedLoginAt: { $lt: forgetBefore } },
+    { failedLoginAttempts: 1, lastFailedLoginAt: now },
+    { new: true }
+  ).select('+failedLoginAttempts');
+
+  if (!updated) {
+    updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: now },
+      { new: true }
+    ).select('+failedLoginAttempts');
+  }
+
+  const attempts = updated.failedLoginAttempts;
+  const until = new Date(now.getTime() + getLoginDelayMs(attempts, settings));
+
+  if (!isLockoutAttempt(attempts, settings)) {
+    await User.updateOne({ _id: user._id }, { nextLoginAllowedAt: until });
+    return null;
+  }
+
+  const token = generateSecureToken();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      lockUntil: until,
+      unlockTokenHash: hashToken(token),
+      unlockTokenExpires: new Date(now.getTime() + ACCOUNT_UNLOCK_TTL_HOURS * 60 * 60 * 1000)
+    }
+  );
+
+  return { user, token, lockedUntil: until };
+};
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Check login credentials with per-account throttling
+ * During a back-off (see recordFailedLogin) the login waits for it to end and then checks the
+ * password as usual, so a correct password still works. While an account is locked, or its
+ * back-off is longer than MAX_BACKOFF_WAIT_MS, the password is not evaluated at all: it is
+ * compared with the dummy hash instead, as for unknown emails. Unknown emails, wrong
+ * passwords and locked accounts all look the same to the caller (user: null), and take
+ * about the same time (one bcrypt comparison), so accounts cannot be probed.
+ * @param {string} email - Email address entered by the user
+ * @param {string} password - Password entered by the user
+ * @returns {Promise<Object>} - { user, lockout } where user is null if the login must be refused,
+ * and lockout is set when this attempt locked the account (see recordFailedLogin)
+ */
+const authenticateCredentials = async (email, password) => {
+  try {
+    const user = await User.findOne({ email: email.toLowerCase().trim() })
+      .select('+password +failedLoginAttempts +nextLoginAllowedAt +lockUntil');
+
+    if (!user) {
+      await comparePassword(password, await getDummyPasswordHash());
+      return { user: null, lockout: null };
+    }
+
+    const backoffMs = user.nextLoginAllowedAt ? user.nextLoginAllowedAt.getTime() - Date.now() : 0;
+
+    if ((user.lockUntil && user.lockUntil > new Date()) || backoffMs > MAX_BACKOFF_WAIT_MS) {
+      await comparePassword(password, await getDummyPasswordHash());
+      return { user: null, lockout: null };
+    }
+
+    if (backoffMs > 0) {
+      await wait(backoffMs);
+    }
+
+    const isPasswordValid = await comparePassword(password, user.password);
+
+    if (!isPasswordValid) {
+      return { user: null, lockout: await recordFailedLogin(user) };
+    }
+
+    if (user.failedLoginAttempts > 0 || user.nextLoginAllowedAt || user.lockUntil) {
+      await User.updateOne({ _id: user._id }, clearLockoutUpdate());
+    }
+
+    return { user, lockout: null };
+  } catch (error) {
+    throw new Error(`Failed to check credentials: ${error.message}`);
+  }
+};
+
+/**
+ * Unlock an account with the token from the unlock email
+ * @param {string} token - Plain unlock token
+ * @returns {Promise<Object>} - Unlocked user object (without sensitive data)
+ */
+const unlockAccountWithToken = async (token) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { unlockTokenHash: hashToken(token), unlockTokenExpires: { $gt: new Date() } },
+      clearLockoutUpdate(),
+      { new: true }
+    );
+
+    if (!user) {
+      throw new ValidationError('Unlock link is invalid or has expired', 'UNLOCK_TOKEN_INVALID');
+    }
+
+    return {
+      _id: user._id,
+      email: user.email,
+      name: user.name
+    };
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    throw new Error(`Failed to unlock account: ${error.message}`);
+  }
+};
+
+/**
+ * Unlock an account (administrative action)
+ * @param {string} userId - User's ID
+ * @returns {Promise<Object>} - Unlocked user object (without sensitive data)
+ */
+const unlockAccount = async (userId) => {
+  try {
+    const user = await User.findByIdAndUpdate(userId, clearLockoutUpdate(), { new: true });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    return {
+      _id: user._id,
+      email: user.email,
+      name: user.name
+    };
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+    if (error.name === 'CastError') {
+      throw new ValidationError('Invalid user ID format');
+    }
+    throw new Error(`Failed to unlock account: ${error.message}`);
+  }
+};
+
+/**
+ * Change a user's role
+ * Current access tokens are expired by the caller so the new permissions apply on the next refresh
+ * @param {string} userId - User's ID
+ * @param {string} role - New role (see config/roles.js)
+ * @returns {Promise<Object>} - Updated user object (without sensitive data)
+ */
+const setUserRole = async (userId, role) => {
+  try {
+    if (!isValidRole(role)) {
+      throw new ValidationError(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const user = await User.findByIdAndUpdate(userId, { role }, { new: true, runValidators: true });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    return {
+      _id: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role
+    };
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+    if (error.name === 'CastError') {
+      throw new ValidationError('Invalid user ID format');
+    }
+    throw new Error(`Failed to change user role: ${error.message}`);
+  }
+};
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Work out the status of an account as shown to admins
+ * @param {Object} user - User document (with lockUntil selected)
+ * @returns {string} - 'disabled', 'locked' or 'active'
+ */
+const getAccountStatus = (user) => {
+  if (user.disabledAt) {
+    return 'disabled';
+  }
+
+  if (user.lockUntil && user.lockUntil > new Date()) {
+    return 'locked';
+  }
+
+  return 'active';
+};
+
+/**
+ * Get a user's masked Aadhaar number
+ * Read from the vault without decrypting. A record stored before masked numbers were kept
+ * is decrypted (audited) once instead, after which the vault keeps its masked number too.
+ * @param {Object} user - User document
+ * @param {Object} access - { actor, purpose, req } (see recordAadhaarAccess)
+ * @returns {Promise<string>} - Masked number, e.g. XXXX XXXX 1234
+ */
+const getMaskedAadhaar = async (user, access) => {
+  const maskedAadhaar = await vaultService.retrieveMaskedAadhaar(user.aadhaarRef);
+
+  if (maskedAadhaar) {
+    return maskedAadhaar;
+  }
+
+  return maskAadhaar(await decryptAadhaar(user, access));
+};
+
+/**
+ * Build the user summary returned by the admin API
+ * The Aadhaar number is always masked; admins never receive it in full
+ * @param {Object} user - User document (with lockUntil selected)
+ * @param {string|null} aadhaar - Masked Aadhaar number (left out when undefined)
+ * @returns {Object} - User summary (without sensitive data)
+ */
+const toAdminUserSummary = (user, aadhaar) => {
+  return {
+    _id: user._id,
+    email: user.email,
+    name: user.name,
+    ...(aadhaar !== undefined && { aadhaar }),
+    role: user.role,
+    status: getAccountStatus(user),
+    emailVerified: Boolean(user.emailVerified),
+    mfaEnabled: Boolean(user.mfa && user.mfa.enabled),
+    disabledAt: user.disabledAt,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+};
+
+/**
+ * Search users for the admin user list
+ * The list has no Aadhaar numbers, not even masked: showing them would mean a vault
+ * decryption and an audit entry for every row. getUserForAdmin shows the masked number.
+ * @param {Object} filters - { email, name, createdFrom, createdTo, status, page, limit }
+ * email and name match case-insensitively anywhere in the value; status is one of ACCOUNT_STATUSES
+ * @returns {Promise<Object>} - { users, pagination: { page, limit, total, totalPages } }
+ */
+const listUsers = async (filters = {}) => {
+  try {
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), MAX_USERS_PAGE_SIZE);
+    const now = new Date();
+    const query = {};
+
+    if (filters.email) {
+      query.email = { $regex: escapeRegex(filters.email.toLowerCase()) };
+    }
+
+    if (filters.name) {
+      query.name = { $regex: escapeRegex(filters.name), $options: 'i' };
+    }
+
+    if (filters.createdFrom || filters.createdTo) {
+      query.createdAt = {};
+      if (filters.createdFrom) {
+        query.createdAt.$gte = new Date(filters.createdFrom);
+      }
+      if (filters.createdTo && DATE_ONLY_PATTERN.test(filters.createdTo)) {
+        // A date without a time includes the whole of that day
+        const dayAfter = new Date(filters.createdTo);
+        dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+        query.createdAt.$lt = dayAfter;
+      } else if (filters.createdTo) {
+        query.createdAt.$lte = new Date(filters.createdTo);
+      }
+    }
+
+    if (filters.status) {
+      if (!ACCOUNT_STATUSES.includes(filters.status)) {
+        throw new ValidationError(`Status must be one of: ${ACCOUNT_STATUSES.join(', ')}`);
+      }
+
+      if (filters.status === 'disabled') {
+        query.disabledAt = { $ne: null };
+      } else if (filters.status === 'locked') {
+        query.disabledAt = null;
+        query.lockUntil = { $gt: now };
+      } else if (filters.status === 'active') {
+        query.disabledAt = null;
+        query.lockUntil = { $not: { $gt: now } };
+      } else {
+        query.disabledAt = null;
+        // Accounts created before email verification have no emailVerified field: unverified too
+        query.emailVerified = { $ne: true };
+      }
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('+lockUntil')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query)
+    ]);
+
+    return {
+      users: users.map((user) => toAdminUserSummary(user)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    throw new Error(`Failed to list users: ${error.message}`);
+  }
+};
+
+/**
+ * Get one user's account details for the admin API
+ * @param {string} userId - User's ID
+ * @param {Object} access - { actor, req } of the admin, audited if the masked Aadhaar has to be
+ * decrypted (see getMaskedAadhaar)
+ * @returns {Promise<Object>} - User summary plus lockout and disable details (Aadhaar masked)
+ */
+const getUserForAdmin = async (userId, access = {}) => {
+  try {
+    const user = await User.findById(userId).select('+failedLoginAttempts +lockUntil');
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    // A record that cannot be read is still shown, just without the number
+    let aadhaar = null;
+    try {
+      aadhaar = await getMaskedAadhaar(user, {
+        ...access,
+        purpose: auditService.ACCESS_PURPOSES.ADMIN_USER_DETAIL
+      });
+    } catch (error) {
+      console.error('Masked Aadhaar unavailable:', error.message);
+    }
+
+    return {
+      ...toAdminUserSummary(user, aadhaar),
+      mfaEnabledAt: user.mfa && user.mfa.enabled ? user.mfa.enabledAt : null,
+      failedLoginAttempts: user.failedLoginAttempts || 0,
+      lockUntil: user.lockUntil && user.lockUntil > new Date() ? user.lockUntil : null,
+      disabledReason: user.disabledReason || null,
+      disabledBy: user.disabledBy || null
+    };
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+    if (error.name === 'CastError') {
+      throw new ValidationError('Invalid user ID format');
+    }
+    throw new Error(`Failed to get user: ${error.message}`);
+  }
+};
+
+/**
+ * Get one user's account details for another service (internal API)
+ * Never includes the Aadhaar number, masked or not.
+ * @param {string} userId - User's ID
+ * @returns {Promise<Object>} - User summary (email, name, role, status, ...)
+ */
+const getUserForService = async (userId) => {
+  try {
+    const user = await User.findById(userId).select('+lockUntil');
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    return toAdminUserSummary(user);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+    if (error.name === 'CastError') {
+      throw new ValidationError('Invalid user ID format');
+    }
+    throw new Error(`Failed to get user: ${error.message}`);
+  }
+};
+
+/**
+ * Disable or re-enable an account (administrative action)
+ * Signing the user out is left to the caller (tokenService.revokeAllUserTokens)
+ * @param {string} userId - User's ID
+ * @param {boolean} disabled - True to disable, false to enable
+ * @param {Object} options - { reason, adminId } where adminId is the admin taking the action
+ * @returns {Promise<Object>} - Updated user summary (without the Aadhaar number)
+ */
+const setUserDisabled = async (userId, disabled, options = {}) => {
+  try {
+    if (disabled && options.adminId && String(options.adminId) === String(userId)) {
+      throw new ValidationError('You cannot disable your own account');
+    }
+
+    const update = disabled
+      ? {
+        disabledAt: new Date(),
+        disabledReason: options.reason ? options.reason.trim() : undefined,
+        disabledBy: options.adminId
+      }
+      : {
+        disabledAt: null,
+        $unset: { disabledReason: 1, disabledBy: 1 }
+      };
+
+    const user = await User.findByIdAndUpdate(userId, update, { new: true, runValidators: true })
+      .select('+lockUntil');
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    return toAdminUserSummary(user);
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+    if (error.name === 'CastError') {
+      throw new ValidationError('Invalid user ID format');
+    }
+    throw new Error(`Failed to ${disabled ? 'disable' : 'enable'} user: ${error.message}`);
+  }
+};
+
+/**
+ * Create an email verification token for a user
+ * Replaces any earlier token, so only the most recent verification link works
+ * @param {string} userId - User's ID
+ * @returns {Promise<Object>} - { user, token, expiresInHours }
+ */
+const createEmailVerificationToken = async (userId) => {
+  try {
+    const user = await findUserById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const token = generateSecureToken();
+    const expiresInHours = getEmailVerificationTtlHours();
+
+    user.emailVerificationTokenHash = hashToken(token);
+    user.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+    user.emailVerificationSentAt = new Date();
+    await user.save();
+
+    return { user, token, expiresInHours };
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+    throw new Error(`Failed to create email verification token: ${error.message}`);
+  }
+};
+
+/**
+ * Create a new verification token for a resend request
+ * Returns null (without telling the caller why) if the email is unknown, already
+ * verified, or a verification email was sent too recently
+ * @param {string} email - User's email address
+ * @returns {Promise<Object|null>} - { user, token, expiresInHours } or null
+ */
+const createVerificationResendToken = async (email) => {
+  try {
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+emailVerificationSentAt');
+
+    if (!user || user.emailVerified) {
+      return null;
+    }
+
+    // Throttle: one verification email per cooldown window per account
+    const cooldownMs = getVerificationResendCooldownSeconds() * 1000;
+    if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt.getTime() < cooldownMs) {
+      return null;
+    }
+
+    return await createEmailVerificationToken(user._id);
+  } catch (error) {
+    throw new Error(`Failed to resend verification email: ${error.message}`);
+  }
+};
+
+/**
+ * Mark a user's email as verified using a verification token
+ * @param {string} token - Plain verification token from the email link
+ * @returns {Promise<Object>} - Verified user object (without sensitive data)
+ */
+const verifyEmail = async (token) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      throw new ValidationError('Verification link is invalid or has expired', 'VERIFICATION_TOKEN_INVALID');
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    const updatedUser = await user.save();
+
+    return {
+      _id: updatedUser._id,
+      email: updatedUser.email,
+      name: updatedUser.name,
+      emailVerified: updatedUser.emailVerified,
+      createdAt: updatedUser.createdAt,
+      updatedAt: updatedUser.updatedAt
+    };
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    throw new Error(`Failed to verify email: ${error.message}`);
+  }
+};
+
+/**
+ * Create a password reset token for a user
+ * Replaces any earlier token, so only the most recent reset link works
+ * @param {string} email - User's email address
+ * @returns {Promise<Object|null>} - { user, token, expiresInMinutes } or null if no user has this email
+ */
+const createPasswordResetToken = async (email) => {
+  try {
+    const user = await findUserByEmail(email);
+
+    if (!user) {
+      return null;
+    }
+
+    const token = generateSecureToken();
+
+    // Only the hash is stored; the plain token is sent to the user by email
+    user.passwordResetTokenHash = hashToken(token);
+    user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await user.save();
+
+    return { user, token, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES };
+  } catch (error) {
+    throw new Error(`Failed to create password reset token: ${error.message}`);
+  }
+};
+
+/**
+ * Reset a user's password with a reset token
+ * The token is consumed, so a reset link can only be used once
+ * @param {string} token - Plain password reset token
+ * @param {string} newPassword - New plain text password
+ * @returns {Promise<Object>} - Updated user object (without sensitive data)
+ */
+const resetPassword = async (token, newPassword) => {
+  try {
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    }).select('+passwordResetTokenHash +passwordResetExpires');
+
+    if (!user) {
+      throw new ValidationError('Password reset link is invalid or has expired');
+    }
+
+    user.password = await hashPassword(newPassword);
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    const updatedUser = await user.save();
+
+    // Proving control of the mailbox also lifts any login lockout
+    await User.updateOne({ _id: user._id }, clearLockoutUpdate());
+
+    return {
+      _id: updatedUser._id,
+      email: updatedUser.email,
+      name: updatedUser.name,
+      createdAt: updatedUser.createdAt,
+      updatedAt: updatedUser.updatedAt
+    };
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    throw new Error(`Failed to reset password: ${error.message}`);
+  }
+};
+
 /**
  * Update user profile (optional - for future use)
  * @param {string} userId - User's ID
@@ -203,6 +1084,23 @@ module.exports = {
   findUserByEmail,
   findUserById,
   getUserProfile,
+  confirmStepUp,
+  revealAadhaar,
+  releaseAadhaarToClient,
   verifyPassword,
+  authenticateCredentials,
+  unlockAccountWithToken,
+  unlockAccount,
+  setUserRole,
+  listUsers,
+  getUserForAdmin,
+  getUserForService,
+  setUserDisabled,
+  changePassword,
+  createEmailVerificationToken,
+  createVerificationResendToken,
+  verifyEmail,
+  createPasswordResetToken,
+  resetPassword,
   updateUserProfile
 };
\ No newline at end of file
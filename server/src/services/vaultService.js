@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const AadhaarVaultRecord = require('../models/AadhaarVaultRecord');
+const auditService = require('./auditService');
+const { envelopeEncrypt, envelopeDecrypt, needsReEncryption, getCurrentPrefix } = require('../utils/encryption');
+const { computeBlindIndex } = require('../utils/blindIndex');
+const { maskAadhaar } = require('../utils/aadhaar');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+// Environment variable holding the vault's own encryption key
+const VAULT_KEY_NAME = 'AADHAAR_VAULT_KEY';
+
+// Environment variable holding the HMAC key of the blind index
+const INDEX_KEY_NAME = 'AADHAAR_INDEX_KEY';
+
+// Error code returned when an Aadhaar number is already in the vault
+const DUPLICATE_AADHAAR_ERROR_CODE = 'AADHAAR_ALREADY_REGISTERED';
+
+// Records processed per backfill or re-encryption batch when no batch size is given
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Aadhaar Data Vault client
+ * The only way into the vault: store a number and get a reference token back, read it
+ * (or just its masked form) back by that token, or remove it. Callers are responsible for
+ * auditing reads; the batch jobs below audit their own. Reading the masked form decrypts
+ * nothing and needs no audit entry.
+ */
+
+/**
+ * Store an Aadhaar number in the vault
+ * Each number can only be stored once (enforced by the unique blind index)
+ * @param {string} aadhaar - Plain Aadhaar number
+ * @returns {Promise<string>} - Reference token to keep instead of the number
+ */
+const storeAadhaar = async (aadhaar) => {
+  try {
+    const record = await AadhaarVaultRecord.create({
+      reference: crypto.randomUUID(),
+      encryptedAadhaar: await envelopeEncrypt(aadhaar, VAULT_KEY_NAME),
+      blindIndex: computeBlindIndex(aadhaar, INDEX_KEY_NAME),
+      maskedAadhaar: maskAadhaar(aadhaar)
+    });
+
+    return record.reference;
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.blindIndex) {
+      throw new ValidationError(
+        'An account with this Aadhaar number already exists',
+        DUPLICATE_AADHAAR_ERROR_CODE
+      );
+    }
+    throw new Error(`Failed to store Aadhaar in vault: ${error.message}`);
+  }
+};
+
+/**
+ * Re-encrypt a record read in an older format (legacy AES-256-CBC) or under a key that is
+ * no longer active, in the current format with the active key
+ * Only replaces the ciphertext that was read, so a concurrent update is never overwritten.
+ * A failure is logged and does not fail the read; the record is tried again next time.
+ * @param {Object} record - Vault record (_id, encryptedAadhaar)
+ * @param {string} aadhaar - Plain Aadhaar number read from it
+ * @returns {Promise<void>}
+ */
+const reEncryptRecord = async (record, aadhaar) => {
+  try {
+    await AadhaarVaultRecord.updateOne(
+      { _id: record._id, encryptedAadhaar: record.encryptedAadhaar },
+      { $set: { encryptedAadhaar: await envelopeEncrypt(aadhaar, VAULT_KEY_NAME) } }
+    );
+  } catch (error) {
+    console.error('Aadhaar vault re-encryption failed:', error.message);
+  }
+};
+
+/**
+ * Keep the masked number on a record stored before it was kept with the record
+ * A failure is logged and does not fail the read; the record is tried again next time.
+ * @param {Object} record - Vault record (_id)
+ * @param {string} aadhaar - Plain Aadhaar number read from it
+ * @returns {Promise<void>}
+ */
+const storeMaskedAadhaar = async (record, aadhaar) => {
+  try {
+    await AadhaarVaultRecord.updateOne(
+      { _id: record._id },
+      { $set: { maskedAadhaar: maskAadhaar(aadhaar) } }
+    );
+  } catch (error) {
+    console.error('Aadhaar vault mask update failed:', error.message);
+  }
+};
+
+/**
+ * Read an Aadhaar number from the vault
+ * Records in the legacy format or under an older key are re-encrypted as they are read,
+ * and records without a masked number get one.
+ * @param {string} reference - Reference token returned by storeAadhaar
+ * @returns {Promise<string>} - Plain Aadhaar number
+ */
+const retrieveAadhaar = async (reference) => {
+  try {
+    if (!reference) {
+      throw new NotFoundError('Aadhaar vault record not found');
+    }
+
+    const record = await AadhaarVaultRecord.findOne({ reference })
+      .select('encryptedAadhaar maskedAadhaar')
+      .lean();
+
+    if (!record) {
+      throw new NotFoundError('Aadhaar vault record not found');
+    }
+
+    const aadhaar = await envelopeDecrypt(record.encryptedAadhaar, VAULT_KEY_NAME);
+
+    if (needsReEncryption(record.encryptedAadhaar, VAULT_KEY_NAME)) {
+      await reEncryptRecord(record, aadhaar);
+    }
+
+    if (!record.maskedAadhaar) {
+      await storeMaskedAadhaar(record, aadhaar);
+    }
+
+    return aadhaar;
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+    throw new Error(`Failed to read Aadhaar from vault: ${error.message}`);
+  }
+};
+
+/**
+ * Read the masked form of an Aadhaar number from the vault, without decrypting it
+ * @param {string} reference - Reference token returned by storeAadhaar
+ * @returns {Promise<string|null>} - Masked number (XXXX XXXX 1234), or null for a record
+ * stored before masked numbers were kept (read it with retrieveAadhaar once instead)
+ */
+const retrieveMaskedAadhaar = async (reference) => {
+  try {
+    if (!reference) {
+      throw new NotFoundError('Aadhaar vault record not found');
+    }
+
+    const record = await AadhaarVaultRecord.findOne({ reference }).select('maskedAadhaar').lean();
+
+    if (!record) {
+      throw new NotFoundError('Aadhaar vault record not found');
+    }
+
+    return record.maskedAadhaar || null;
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+    throw new Error(`Failed to read masked Aadhaar from vault: ${error.message}`);
+  }
+};
+
+/**
+ * Remove an Aadhaar number from the vault
+ * @param {string} reference - Reference token returned by storeAadhaar
+ * @returns {Promise<boolean>} - True if a record was removed
+ */
+const removeAadhaar = async (reference) => {
+  try {
+    const result = await AadhaarVaultRecord.deleteOne({ reference });
+
+    return result.deletedCount > 0;
+  } catch (error) {
+    throw new Error(`Failed to remove Aadhaar from vault: ${error.message}`);
+  }
+};
+
+/**
+ * Record in the audit chain that a maintenance job is about to decrypt a batch of records
+ * Vault records do not know their user, so one entry lists the batch's reference tokens.
+ * If the entry cannot be written, the batch is not decrypted.
+ * @param {Array} records - Vault records of the batch (reference)
+ * @param {string} job - Name of the script running the job
+ * @returns {Promise<void>}
+ */
+const recordBatchAccess = async (records, job) => {
+  // No user is behind a command-line job, so the entry has no actor
+  await auditService.record({
+    action: auditService.AUDIT_ACTIONS.AADHAAR_DECRYPT,
+    purpose: auditService.ACCESS_PURPOSES.MAINTENANCE,
+    details: { source: 'cli', job, references: records.map((record) => record.reference) }
+  });
+};
+
+/**
+ * Compute the blind index of one batch of records stored before it was introduced
+ * Records are decrypted and indexed in _id order; pass the returned lastId back as
+ * "after" for the next batch. A record whose number is already indexed on another
+ * record is left unindexed and reported as a duplicate. Each batch is audited before it
+ * is decrypted.
+ * @param {Object} options - { after: lastId of the previous batch, batchSize }
+ * @returns {Promise<Object>} - { indexed, duplicates: [{ reference, duplicateOf }],
+ * failed: [{ reference, reason }], lastId } where lastId is null once no records are left
+ */
+const backfillBlindIndexBatch = async ({ after = null, batchSize = DEFAULT_BATCH_SIZE } = {}) => {
+  try {
+    const filter = { blindIndex: { $exists: false } };
+    if (after) {
+      filter._id = { $gt: after };
+    }
+
+    const records = await AadhaarVaultRecord.find(filter)
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .select('reference encryptedAadhaar')
+      .lean();
+
+    const result = { indexed: 0, duplicates: [], failed: [], lastId: null };
+
+    if (records.length === 0) {
+      return result;
+    }
+
+    result.lastId = records[records.length - 1]._id;
+
+    await recordBatchAccess(records, 'backfill-aadhaar-index');
+
+    const updates = [];
+    for (const record of records) {
+      try {
+        const aadhaar = await envelopeDecrypt(record.encryptedAadhaar, VAULT_KEY_NAME);
+        updates.push({ record, blindIndex: computeBlindIndex(aadhaar, INDEX_KEY_NAME) });
+      } catch (error) {
+        result.failed.push({ reference: record.reference, reason: error.message });
+      }
+    }
+
+    if (updates.length === 0) {
+      return result;
+    }
+
+    let writeErrors = [];
+    try {
+      const written = await AadhaarVaultRecord.bulkWrite(
+        updates.map(({ record, blindIndex }) => ({
+          updateOne: {
+            filter: { _id: record._id, blindIndex: { $exists: false } },
+            update: { $set: { blindIndex } }
+          }
+        })),
+        { ordered: false }
+      );
+      result.indexed = written.modifiedCount;
+    } catch (error) {
+      if (!error.writeErrors) {
+        throw error;
+      }
+      writeErrors = error.writeErrors;
+      result.indexed = error.result.modifiedCount;
+    }
+
+    for (const writeError of writeErrors) {
+      const { record, blindIndex } = updates[writeError.index];
+
+      if (writeError.code !== 11000) {
+        result.failed.push({ reference: record.reference, reason: writeError.errmsg });
+        continue;
+      }
+
+      const original = await AadhaarVaultRecord.findOne({ blindIndex }).select('reference').lean();
+      result.duplicates.push({
+        reference: record.reference,
+        duplicateOf: original ? original.reference : null
+      });
+    }
+
+    return result;
+  } catch (error) {
+    throw new Error(`Failed to backfill Aadhaar blind index: ${error.message}`);
+  }
+};
+
+/**
+ * Filter matching records not encrypted in the current format with the current key
+ * @returns {Object} - MongoDB filter
+ */
+const getStaleRecordFilter = () => ({
+  encryptedAadhaar: { $not: new RegExp(`^${getCurrentPrefix(VAULT_KEY_NAME)}`) }
+});
+
+/**
+ * Count the records that still have to be re-encrypted with the active key
+ * @returns {Promise<number>} - Number of records
+ */
+const countRecordsToReEncrypt = async () => {
+  try {
+    return await AadhaarVaultRecord.countDocuments(getStaleRecordFilter());
+  } catch (error) {
+    throw new Error(`Failed to count Aadhaar vault records: ${error.message}`);
+  }
+};
+
+/**
+ * Re-encrypt one batch of records with the active key (after a key rotation)
+ * Records are processed in _id order; pass the returned lastId back as "after" for the
+ * next batch. Re-encrypted records no longer match, so a stopped job resumes where it was.
+ * Each batch is audited before it is decrypted.
+ * @param {Object} options - { after: lastId of the previous batch, batchSize }
+ * @returns {Promise<Object>} - { reEncrypted, failed: [{ reference, reason }], lastId }
+ * where lastId is null once no records are left
+ */
+const reEncryptBatch = async ({ after = null, batchSize = DEFAULT_BATCH_SIZE } = {}) => {
+  try {
+    const filter = getStaleRecordFilter();
+    if (after) {
+      filter._id = { $gt: after };
+    }
+
+    const records = await AadhaarVaultRecord.find(filter)
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .select('reference encryptedAadhaar')
+      .lean();
+
+    const result = { reEncrypted: 0, failed: [], lastId: null };
+
+    if (records.length === 0) {
+      return result;
+    }
+
+    result.lastId = records[records.length - 1]._id;
+
+    await recordBatchAccess(records, 'reencrypt-data');
+
+    for (const record of records) {
+      try {
+        const aadhaar = await envelopeDecrypt(record.encryptedAadhaar, VAULT_KEY_NAME);
+
+        const written = await AadhaarVaultRecord.updateOne(
+          { _id: record._id, encryptedAadhaar: record.encryptedAadhaar },
+          { $set: { encryptedAadhaar: await envelopeEncrypt(aadhaar, VAULT_KEY_NAME) } }
+        );
+        result.reEncrypted += written.modifiedCount;
+      } catch (error) {
+        result.failed.push({ reference: record.reference, reason: error.message });
+      }
+    }
+
+    return result;
+  } catch (error) {
+    throw new Error(`Failed to re-encrypt Aadhaar vault records: ${error.message}`);
+  }
+};
+
+module.exports = {
+  DUPLICATE_AADHAAR_ERROR_CODE,
+  storeAadhaar,
+  retrieveAadhaar,
+  retrieveMaskedAadhaar,
+  removeAadhaar,
+  backfillBlindIndexBatch,
+  countRecordsToReEncrypt,
+  reEncryptBatch
+};
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+// Shortest HMAC key accepted (256 bits of key material as characters)
+const MIN_KEY_LENGTH = 32;
+
+/**
+ * Get and validate a blind index key
+ * Validates lazily (when needed) to allow test setup to configure it first
+ * @param {string} keyName - Environment variable holding the key
+ * @returns {string} - Key
+ */
+const getIndexKey = (keyName) => {
+  const key = process.env[keyName];
+
+  if (!key) {
+    throw new Error(`${keyName} is not defined in environment variables`);
+  }
+
+  if (key.length < MIN_KEY_LENGTH) {
+    throw new Error(`${keyName} must be at least ${MIN_KEY_LENGTH} characters long`);
+  }
+
+  return key;
+};
+
+/**
+ * Normalize a number before indexing, so "2345 6789 0124" and "234567890124" match
+ * @param {string} value - Number as entered
+ * @returns {string} - Digits only
+ */
+const normalizeDigits = (value) => {
+  if (typeof value !== 'string') {
+    throw new Error('Value to index must be a string');
+  }
+
+  const digits = value.replace(/\D/g, '');
+
+  if (!digits) {
+    throw new Error('Value to index cannot be empty');
+  }
+
+  return digits;
+};
+
+/**
+ * Compute a blind index: a keyed hash (HMAC-SHA256) of the normalized value
+ * Equal values always give the same index, so it can be searched and made unique,
+ * but without the key the index cannot be reversed or checked against guesses.
+ * @param {string} value - Value to index, e.g. an Aadhaar number
+ * @param {string} keyName - Environment variable holding the HMAC key
+ * @returns {string} - Blind index (hex encoded)
+ */
+const computeBlindIndex = (value, keyName) => {
+  return crypto
+    .createHmac('sha256', getIndexKey(keyName))
+    .update(normalizeDigits(value))
+    .digest('hex');
+};
+
+module.exports = {
+  normalizeDigits,
+  computeBlindIndex
+};
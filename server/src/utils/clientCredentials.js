@@ -0,0 +1,55 @@
+/**
+ * Read OAuth client credentials from a request (RFC 6749 section 2.3.1)
+ * Clients send them either with HTTP Basic authentication (client_secret_basic), where the
+ * ID and secret are form-urlencoded before being joined with ":", or as client_id and
+ * client_secret parameters in the request body (client_secret_post). Using both at once
+ * is not allowed.
+ * @param {Object} req - Express request (headers.authorization and body are used)
+ * @returns {Object|null} - { clientId, clientSecret, method } or null when no credentials were sent
+ * @throws {Error} - If the credentials are malformed or sent both ways
+ */
+const readClientCredentials = (req) => {
+  const header = req.headers.authorization || '';
+  const body = req.body || {};
+  const hasBodyCredentials = body.client_id !== undefined || body.client_secret !== undefined;
+
+  if (header.startsWith('Basic ')) {
+    if (hasBodyCredentials) {
+      throw new Error('Send client credentials either in the Authorization header or in the body, not both');
+    }
+
+    const decoded = Buffer.from(header.slice(6).trim(), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+
+    if (separator <= 0) {
+      throw new Error('Malformed Basic authorization header');
+    }
+
+    let clientId;
+    let clientSecret;
+    try {
+      // Form-urlencoded, so "+" stands for a space
+      const decode = (value) => decodeURIComponent(value.replace(/\+/g, ' '));
+      clientId = decode(decoded.slice(0, separator));
+      clientSecret = decode(decoded.slice(separator + 1));
+    } catch (error) {
+      throw new Error('Malformed Basic authorization header');
+    }
+
+    return { clientId, clientSecret, method: 'client_secret_basic' };
+  }
+
+  if (hasBodyCredentials) {
+    if (typeof body.client_id !== 'string' || typeof body.client_secret !== 'string') {
+      throw new Error('client_id and client_secret must both be sent');
+    }
+
+    return { clientId: body.client_id, clientSecret: body.client_secret, method: 'client_secret_post' };
+  }
+
+  return null;
+};
+
+module.exports = {
+  readClientCredentials
+};
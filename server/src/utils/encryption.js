@@ -1,103 +1,502 @@
 const crypto = require('crypto');
+const { isKmsEnabled, getKmsProvider } = require('../kms');
 
-const ALGORITHM = 'aes-256-cbc';
+// Current format: AES-256-GCM (authenticated) in a versioned envelope
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v2';
+const IV_LENGTH = 12; // 96-bit IV, as recommended for GCM
+const AUTH_TAG_LENGTH = 16;
+
+// Envelope encryption (envelopeEncrypt with KMS_PROVIDER set): AES-256-GCM with a data key
+// wrapped by a KMS master key
+const ENVELOPE_VERSION = 'v3';
+const DATA_KEY_LENGTH = 32;
+
+// A data key encrypts a batch of values, then a new one is generated
+const DATA_KEY_MAX_USES = 1000;
+const DATA_KEY_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Unwrapped data keys kept in memory, so reading a batch needs one KMS call per data key
+const UNWRAPPED_KEY_CACHE_SIZE = 1000;
+
+// Wrapped keys are stored in the envelope, so providers must return base64url
+const WRAPPED_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Legacy format (before v2): AES-256-CBC without a MAC, stored as iv:encryptedData
+const LEGACY_ALGORITHM = 'aes-256-cbc';
+const LEGACY_IV_LENGTH = 16;
+
+// Environment variable holding the key used when no other key is named
+const DEFAULT_KEY_NAME = 'AES_SECRET_KEY';
+
+// Key IDs are stored in the envelope, so they cannot contain its ":" separator
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
 
 /**
- * Get and validate encryption key
- * Validates lazily (when needed) to allow test setup to configure it first
+ * Check that a key is usable for AES-256
+ * @param {string} key - Encryption key
+ * @param {string} label - Where the key came from, for error messages
  */
-const getEncryptionKey = () => {
-  const ENCRYPTION_KEY = process.env.AES_SECRET_KEY;
+const validateKey = (key, label) => {
+  if (key.length !== 32) {
+    throw new Error(
+      `${label} must be exactly 32 characters long for AES-256. ` +
+      `Current length: ${key.length}`
+    );
+  }
+};
 
-  if (!ENCRYPTION_KEY) {
-    throw new Error('AES_SECRET_KEY is not defined in environment variables');
+/**
+ * Get the fingerprint ID of a key configured on its own (without an explicit ID)
+ * It is the first 8 hex characters of the key's SHA-256, which does not reveal the key.
+ * @param {string} key - Encryption key
+ * @returns {string} - Key ID
+ */
+const getKeyId = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+};
+
+/**
+ * Load the keyring for a key name
+ * Validates lazily (when needed) to allow test setup to configure it first.
+ *
+ * Keys come from two places:
+ * - <keyName>S: comma-separated "id:key" pairs, e.g. AES_SECRET_KEYS=2024-01:<key>,2025-01:<key>
+ * - <keyName>: a single key, whose ID is its fingerprint (getKeyId). It also decrypts legacy
+ *   records, which carry no key ID.
+ * New data is encrypted with the key named by <keyName>_ACTIVE_ID, or with <keyName> if that
+ * is not set. Old keys stay in the ring until nothing is encrypted with them any more.
+ *
+ * @param {string} keyName - Base environment variable name (default: AES_SECRET_KEY)
+ * @returns {Object} - { keyName, keys: Map of key ID to key, activeId, legacyKey }
+ */
+const getKeyring = (keyName = DEFAULT_KEY_NAME) => {
+  const singleKey = process.env[keyName];
+  const ring = process.env[`${keyName}S`];
+
+  if (!singleKey && !ring) {
+    throw new Error(`${keyName} is not defined in environment variables`);
   }
 
-  if (ENCRYPTION_KEY.length !== 32) {
-    throw new Error(
-      `AES_SECRET_KEY must be exactly 32 characters long for AES-256. ` +
-      `Current length: ${ENCRYPTION_KEY.length}`
-    );
+  const keys = new Map();
+
+  if (singleKey) {
+    validateKey(singleKey, keyName);
+    keys.set(getKeyId(singleKey), singleKey);
+  }
+
+  if (ring) {
+    ring.split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+      const separator = entry.indexOf(':');
+      const id = separator > 0 ? entry.slice(0, separator) : '';
+
+      if (!KEY_ID_PATTERN.test(id)) {
+        throw new Error(
+          `${keyName}S entries must look like <id>:<key>, with an ID of up to 32 letters, digits, "_" or "-"`
+        );
+      }
+      if (keys.has(id)) {
+        throw new Error(`${keyName}S has more than one key with ID "${id}"`);
+      }
+
+      const key = entry.slice(separator + 1);
+      validateKey(key, `${keyName}S key "${id}"`);
+      keys.set(id, key);
+    });
+  }
+
+  const activeId = process.env[`${keyName}_ACTIVE_ID`] || (singleKey ? getKeyId(singleKey) : null);
+
+  if (!activeId) {
+    throw new Error(`${keyName}_ACTIVE_ID must name the key in ${keyName}S used to encrypt new data`);
+  }
+  if (!keys.has(activeId)) {
+    throw new Error(`${keyName}_ACTIVE_ID "${activeId}" is not in the keyring`);
+  }
+
+  return { keyName, keys, activeId, legacyKey: singleKey || null };
+};
+
+/**
+ * Get the ID of the key new data is encrypted with
+ * @param {string} keyName - Base environment variable name (default: AES_SECRET_KEY)
+ * @returns {string} - Active key ID
+ */
+const getActiveKeyId = (keyName = DEFAULT_KEY_NAME) => {
+  return getKeyring(keyName).activeId;
+};
+
+/**
+ * Get the KMS master key ID that wraps new data keys for a key name
+ * @param {string} keyName - Base environment variable name (default: AES_SECRET_KEY)
+ * @returns {string} - Master key ID, as the KMS provider knows it
+ */
+const getMasterKeyId = (keyName = DEFAULT_KEY_NAME) => {
+  const masterKeyId = process.env[`${keyName}_KMS_KEY_ID`];
+
+  if (!masterKeyId) {
+    throw new Error(`${keyName}_KMS_KEY_ID is not defined in environment variables (required with KMS_PROVIDER)`);
+  }
+
+  return masterKeyId;
+};
+
+/**
+ * Encode a master key ID for the envelope
+ * Cloud KMS key IDs can contain ":" (e.g. ARNs), so they are stored base64url encoded.
+ * @param {string} masterKeyId - Master key ID
+ * @returns {string} - Encoded ID
+ */
+const encodeMasterKeyId = (masterKeyId) => Buffer.from(masterKeyId, 'utf8').toString('base64url');
+
+/**
+ * Get the prefix of data encrypted in the current format with the current key, as
+ * envelopeEncrypt writes it. Data without it should be re-encrypted (see needsReEncryption).
+ * The prefix only contains letters, digits, ":", "_" and "-", so it is safe in a regular expression.
+ * @param {string} keyName - Base environment variable name (default: AES_SECRET_KEY)
+ * @returns {string} - "v3:<encoded master key ID>:" with KMS_PROVIDER set, otherwise "v2:<active key ID>:"
+ */
+const getCurrentPrefix = (keyName = DEFAULT_KEY_NAME) => {
+  if (isKmsEnabled()) {
+    return `${ENVELOPE_VERSION}:${encodeMasterKeyId(getMasterKeyId(keyName))}:`;
+  }
+
+  return `${VERSION}:${getActiveKeyId(keyName)}:`;
+};
+
+// Data key currently used for new data, by key name
+const currentDataKeys = new Map();
+
+// Unwrapped data keys, by master key ID and wrapped key (oldest first)
+const unwrappedKeys = new Map();
+
+/**
+ * Remember an unwrapped data key, forgetting the oldest one when the cache is full
+ * @param {string} cacheKey - Master key ID and wrapped key
+ * @param {Buffer} dataKey - Plain data key
+ */
+const rememberDataKey = (cacheKey, dataKey) => {
+  unwrappedKeys.delete(cacheKey);
+  unwrappedKeys.set(cacheKey, dataKey);
+
+  if (unwrappedKeys.size > UNWRAPPED_KEY_CACHE_SIZE) {
+    unwrappedKeys.delete(unwrappedKeys.keys().next().value);
+  }
+};
+
+/**
+ * Get the data key for new data, generating and wrapping a new one when the current one
+ * has been used enough, is too old, or belongs to a master key that is no longer current
+ * @param {string} keyName - Base environment variable name
+ * @returns {Promise<Object>} - { masterKeyId, dataKey, header, uses, createdAt }
+ */
+const getDataKey = async (keyName) => {
+  const masterKeyId = getMasterKeyId(keyName);
+  const current = currentDataKeys.get(keyName);
+
+  if (
+    current &&
+    current.masterKeyId === masterKeyId &&
+    current.uses < DATA_KEY_MAX_USES &&
+    Date.now() - current.createdAt < DATA_KEY_MAX_AGE_MS
+  ) {
+    current.uses += 1;
+    return current;
+  }
+
+  const dataKey = crypto.randomBytes(DATA_KEY_LENGTH);
+  const wrappedKey = await getKmsProvider().wrapKey(masterKeyId, dataKey);
+
+  if (typeof wrappedKey !== 'string' || !WRAPPED_KEY_PATTERN.test(wrappedKey)) {
+    throw new Error('KMS provider returned a wrapped key that is not base64url');
+  }
+
+  const entry = {
+    masterKeyId,
+    dataKey,
+    header: `${ENVELOPE_VERSION}:${encodeMasterKeyId(masterKeyId)}:${wrappedKey}`,
+    uses: 1,
+    createdAt: Date.now()
+  };
+
+  currentDataKeys.set(keyName, entry);
+  rememberDataKey(`${masterKeyId}:${wrappedKey}`, dataKey);
+
+  return entry;
+};
+
+/**
+ * Encrypt text with AES-256-GCM and authenticate the envelope header along with it
+ * @param {string} text - The plain text to encrypt
+ * @param {Buffer} key - 32-byte key
+ * @param {string} header - Envelope header (version and key information)
+ * @returns {string} - header:iv:tag:encryptedData (iv, tag and data base64 encoded)
+ */
+const seal = (text, key, header) => {
+  // Generate a random IV (Initialization Vector)
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  // Create cipher using AES-256-GCM algorithm
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv, {
+    authTagLength: AUTH_TAG_LENGTH
+  });
+  cipher.setAAD(Buffer.from(header, 'utf8'));
+
+  // Encrypt the text
+  let encrypted = cipher.update(text, 'utf8', 'base64');
+  encrypted += cipher.final('base64');
+
+  const tag = cipher.getAuthTag();
+
+  return `${header}:${iv.toString('base64')}:${tag.toString('base64')}:${encrypted}`;
+};
+
+/**
+ * Decrypt data encrypted by seal()
+ * @param {string} header - Envelope header
+ * @param {string[]} parts - [iv, tag, encryptedData]
+ * @param {Buffer} key - 32-byte key
+ * @returns {string} - Decrypted plain text
+ */
+const unseal = (header, [ivBase64, tagBase64, encrypted], key) => {
+  const iv = Buffer.from(ivBase64, 'base64');
+  const tag = Buffer.from(tagBase64, 'base64');
+
+  if (iv.length !== IV_LENGTH || tag.length !== AUTH_TAG_LENGTH) {
+    throw new Error('Invalid encrypted data format. IV or authentication tag has the wrong length');
   }
 
-  return ENCRYPTION_KEY;
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv, {
+    authTagLength: AUTH_TAG_LENGTH
+  });
+  decipher.setAAD(Buffer.from(header, 'utf8'));
+  decipher.setAuthTag(tag);
+
+  // final() throws if the data, IV, tag or header were changed
+  let decrypted = decipher.update(encrypted, 'base64', 'utf8');
+  decrypted += decipher.final('utf8');
+
+  return decrypted;
 };
 
 /**
- * Encrypts data using AES-256-CBC
+ * Check that there is something to encrypt
  * @param {string} text - The plain text to encrypt
- * @returns {string} - Encrypted data in format: iv:encryptedData (both base64 encoded)
  */
-const encrypt = (text) => {
+const checkPlainText = (text) => {
+  // Check if text is empty, null, undefined, or whitespace-only
+  if (!text || (typeof text === 'string' && text.trim().length === 0)) {
+    throw new Error('Text to encrypt cannot be empty');
+  }
+};
+
+/**
+ * Encrypts data using AES-256-GCM with the active key of the keyring
+ * The version and key ID are authenticated along with the data, so changing any part of
+ * the envelope makes decryption fail. Always uses the keyring, even with KMS_PROVIDER set:
+ * KMS calls are asynchronous and this function is not.
+ * @deprecated Use envelopeEncrypt for new data, so it is written with a KMS data key when
+ * KMS_PROVIDER is set. Kept as the keyring path of envelopeEncrypt.
+ * @param {string} text - The plain text to encrypt
+ * @param {string} keyName - Base environment variable name of the keyring (default: AES_SECRET_KEY)
+ * @returns {string} - Encrypted data in format: v2:keyId:iv:tag:encryptedData (iv, tag and data base64 encoded)
+ */
+const encrypt = (text, keyName = DEFAULT_KEY_NAME) => {
   try {
-    // Check if text is empty, null, undefined, or whitespace-only
-    if (!text || (typeof text === 'string' && text.trim().length === 0)) {
-      throw new Error('Text to encrypt cannot be empty');
-    }
+    checkPlainText(text);
 
-    // Get and validate encryption key
-    const ENCRYPTION_KEY = getEncryptionKey();
+    // Get and validate the active encryption key
+    const { keys, activeId } = getKeyring(keyName);
 
-    // Generate a random 16-byte IV (Initialization Vector)
-    const iv = crypto.randomBytes(16);
+    return seal(text, Buffer.from(keys.get(activeId)), `${VERSION}:${activeId}`);
+  } catch (error) {
+    throw new Error(`Encryption failed: ${error.message}`);
+  }
+};
 
-    // Create cipher using AES-256-CBC algorithm
-    const cipher = crypto.createCipheriv(ALGORITHM, Buffer.from(ENCRYPTION_KEY), iv);
+/**
+ * Encrypts data with envelope encryption when KMS_PROVIDER is set: AES-256-GCM with a data
+ * key wrapped by the KMS master key named by <keyName>_KMS_KEY_ID. A data key is reused for
+ * a batch of values, so only every DATA_KEY_MAX_USES-th call waits for the KMS. Without
+ * KMS_PROVIDER this is the same as encrypt().
+ * @param {string} text - The plain text to encrypt
+ * @param {string} keyName - Base environment variable name (default: AES_SECRET_KEY)
+ * @returns {Promise<string>} - Encrypted data in format v3:masterKeyId:wrappedKey:iv:tag:encryptedData
+ * (master key ID base64url encoded), or what encrypt() returns
+ */
+const envelopeEncrypt = async (text, keyName = DEFAULT_KEY_NAME) => {
+  if (!isKmsEnabled()) {
+    return encrypt(text, keyName);
+  }
 
-    // Encrypt the text
-    let encrypted = cipher.update(text, 'utf8', 'base64');
-    encrypted += cipher.final('base64');
+  try {
+    checkPlainText(text);
 
-    // Combine IV and encrypted data, separated by colon
-    // Both are base64 encoded for easy storage
-    const result = `${iv.toString('base64')}:${encrypted}`;
+    const { dataKey, header } = await getDataKey(keyName);
 
-    return result;
+    return seal(text, dataKey, header);
   } catch (error) {
     throw new Error(`Encryption failed: ${error.message}`);
   }
 };
 
 /**
- * Decrypts data using AES-256-CBC
- * @param {string} encryptedData - Encrypted data in format: iv:encryptedData
+ * Whether data is a v3 envelope (written by envelopeEncrypt with a KMS data key)
+ * @param {string[]} parts - Encrypted data split on ":"
+ * @returns {boolean}
+ */
+const isEnvelope = (parts) => parts[0] === ENVELOPE_VERSION && parts.length === 6;
+
+/**
+ * Decrypts a v3 envelope with its data key, unwrapped by the KMS provider
+ * @param {string[]} parts - [version, encodedMasterKeyId, wrappedKey, iv, tag, encryptedData]
+ * @returns {Promise<string>} - Decrypted plain text
+ */
+const decryptEnvelope = async (parts) => {
+  const [version, encodedMasterKeyId, wrappedKey, ...sealed] = parts;
+  const masterKeyId = Buffer.from(encodedMasterKeyId, 'base64url').toString('utf8');
+  const cacheKey = `${masterKeyId}:${wrappedKey}`;
+
+  let dataKey = unwrappedKeys.get(cacheKey);
+
+  if (!dataKey) {
+    dataKey = await getKmsProvider().unwrapKey(masterKeyId, wrappedKey);
+    rememberDataKey(cacheKey, dataKey);
+  }
+
+  return unseal(`${version}:${encodedMasterKeyId}:${wrappedKey}`, sealed, dataKey);
+};
+
+/**
+ * Decrypts a v2 envelope (AES-256-GCM) with the key whose ID it carries
+ * @param {string[]} parts - [version, keyId, iv, tag, encryptedData]
+ * @param {Object} keyring - Keyring from getKeyring
  * @returns {string} - Decrypted plain text
  */
-const decrypt = (encryptedData) => {
+const decryptV2 = (parts, keyring) => {
+  const [version, keyId, ...sealed] = parts;
+  const ENCRYPTION_KEY = keyring.keys.get(keyId);
+
+  if (!ENCRYPTION_KEY) {
+    throw new Error(`Data was encrypted with a key that is not in the keyring (key ID ${keyId})`);
+  }
+
+  return unseal(`${version}:${keyId}`, sealed, Buffer.from(ENCRYPTION_KEY));
+};
+
+/**
+ * Decrypts a legacy record (AES-256-CBC, iv:encryptedData)
+ * CBC has no MAC, so tampering with these records is not detected; re-encrypt them
+ * (see needsReEncryption) as they are read.
+ * @param {string[]} parts - [iv, encryptedData]
+ * @param {Object} keyring - Keyring from getKeyring (legacy records use its single, unnamed key)
+ * @returns {string} - Decrypted plain text
+ */
+const decryptLegacy = (parts, keyring) => {
+  const [ivBase64, encrypted] = parts;
+  const ENCRYPTION_KEY = keyring.legacyKey;
+
+  if (!ENCRYPTION_KEY) {
+    throw new Error(`Legacy records need ${keyring.keyName}, the key they were written with`);
+  }
+
+  // Convert IV from base64 to buffer
+  const iv = Buffer.from(ivBase64, 'base64');
+
+  if (iv.length !== LEGACY_IV_LENGTH) {
+    throw new Error('Invalid encrypted data format. IV has the wrong length');
+  }
+
+  const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, Buffer.from(ENCRYPTION_KEY), iv);
+
+  let decrypted = decipher.update(encrypted, 'base64', 'utf8');
+  decrypted += decipher.final('utf8');
+
+  return decrypted;
+};
+
+/**
+ * Decrypts data encrypted by encrypt(), in the current or the legacy format, with any key in the keyring
+ * @param {string} encryptedData - v2:keyId:iv:tag:encryptedData, or legacy iv:encryptedData
+ * @param {string} keyName - Base environment variable name of the keyring (default: AES_SECRET_KEY)
+ * @returns {string} - Decrypted plain text
+ */
+const decrypt = (encryptedData, keyName = DEFAULT_KEY_NAME) => {
   try {
     if (!encryptedData) {
       throw new Error('Encrypted data cannot be empty');
     }
 
-    // Get and validate encryption key
-    const ENCRYPTION_KEY = getEncryptionKey();
-
-    // Split IV and encrypted data
     const parts = encryptedData.split(':');
-    
-    if (parts.length !== 2) {
-      throw new Error('Invalid encrypted data format. Expected format: iv:encryptedData');
+
+    if (isEnvelope(parts)) {
+      throw new Error('Data was encrypted with a KMS data key. Decrypt it with envelopeDecrypt');
+    }
+
+    // Get and validate the keyring
+    const keyring = getKeyring(keyName);
+
+    if (parts[0] === VERSION && parts.length === 5) {
+      return decryptV2(parts, keyring);
     }
 
-    const [ivBase64, encrypted] = parts;
+    if (parts.length === 2) {
+      return decryptLegacy(parts, keyring);
+    }
 
-    // Convert IV from base64 to buffer
-    const iv = Buffer.from(ivBase64, 'base64');
+    throw new Error(
+      'Invalid encrypted data format. Expected format: v2:keyId:iv:tag:encryptedData (or legacy iv:encryptedData)'
+    );
+  } catch (error) {
+    throw new Error(`Decryption failed: ${error.message}`);
+  }
+};
 
-    // Create decipher using AES-256-CBC algorithm
-    const decipher = crypto.createDecipheriv(ALGORITHM, Buffer.from(ENCRYPTION_KEY), iv);
+/**
+ * Decrypts data encrypted by envelopeEncrypt() or encrypt(), in any format they have used:
+ * envelope encryption (the data key is unwrapped by the KMS provider once and then cached),
+ * any key in the keyring, or the legacy format
+ * @param {string} encryptedData - v3:masterKeyId:wrappedKey:iv:tag:encryptedData, or
+ * anything decrypt() accepts
+ * @param {string} keyName - Base environment variable name of the keyring (default: AES_SECRET_KEY)
+ * @returns {Promise<string>} - Decrypted plain text
+ */
+const envelopeDecrypt = async (encryptedData, keyName = DEFAULT_KEY_NAME) => {
+  const parts = typeof encryptedData === 'string' ? encryptedData.split(':') : [];
 
-    // Decrypt the data
-    let decrypted = decipher.update(encrypted, 'base64', 'utf8');
-    decrypted += decipher.final('utf8');
+  if (!isEnvelope(parts)) {
+    return decrypt(encryptedData, keyName);
+  }
 
-    return decrypted;
+  try {
+    return await decryptEnvelope(parts);
   } catch (error) {
     throw new Error(`Decryption failed: ${error.message}`);
   }
 };
 
+/**
+ * Whether stored data should be re-encrypted in the current format with the current key
+ * (see getCurrentPrefix)
+ * @param {string} encryptedData - Data returned by encrypt() or envelopeEncrypt(), now or in the past
+ * @param {string} keyName - Base environment variable name of the keyring (default: AES_SECRET_KEY)
+ * @returns {boolean} - True for data in an older format (legacy AES-256-CBC, or keyring data
+ * once KMS_PROVIDER is set) or under another key or KMS master key
+ */
+const needsReEncryption = (encryptedData, keyName = DEFAULT_KEY_NAME) => {
+  if (typeof encryptedData !== 'string') {
+    return false;
+  }
+
+  return !encryptedData.startsWith(getCurrentPrefix(keyName));
+};
+
 module.exports = {
   encrypt,
-  decrypt
-};
\ No newline at end of file
+  decrypt,
+  envelopeEncrypt,
+  envelopeDecrypt,
+  needsReEncryption,
+  getActiveKeyId,
+  getCurrentPrefix
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+// prevHash of the first entry in a chain
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Serializes a value as JSON with object keys sorted, so the same data always
+ * produces the same string (Mongo does not guarantee key order on read)
+ * ObjectIds and Dates are written as strings.
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+const canonicalize = (value) => {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (typeof value === 'object') {
+    // ObjectId, Buffer-like and other objects with their own string form
+    if (typeof value.toHexString === 'function') {
+      return JSON.stringify(value.toHexString());
+    }
+
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Computes the hash of a chain entry
+ * @param {Object} content - Entry fields covered by the hash (must include sequence)
+ * @param {string} prevHash - Hash of the previous entry (GENESIS_HASH for the first one)
+ * @returns {string} - Hex SHA-256 hash
+ */
+const computeEntryHash = (content, prevHash) => {
+  return crypto
+    .createHash('sha256')
+    .update(prevHash)
+    .update('\n')
+    .update(canonicalize(content))
+    .digest('hex');
+};
+
+/**
+ * Checks entries of a hash chain in sequence order
+ * Works on any (async) iterable so large chains can be streamed from the database.
+ * @param {Iterable|AsyncIterable} entries - Entries sorted by sequence, each { sequence, prevHash, hash, content }
+ * @param {Object} options - { startSequence, startHash } to resume after an already verified entry
+ * @returns {Promise<Object>} - { valid, checked, lastSequence, lastHash, error } where error is
+ * { sequence, reason } for the first break found
+ */
+const verifyChain = async (entries, options = {}) => {
+  let expectedSequence = options.startSequence !== undefined ? options.startSequence + 1 : 1;
+  let expectedPrevHash = options.startHash || GENESIS_HASH;
+  let checked = 0;
+
+  const fail = (sequence, reason) => ({
+    valid: false,
+    checked,
+    lastSequence: expectedSequence - 1,
+    lastHash: expectedPrevHash,
+    error: { sequence, reason }
+  });
+
+  for await (const entry of entries) {
+    if (entry.sequence !== expectedSequence) {
+      return fail(
+        expectedSequence,
+        entry.sequence > expectedSequence
+          ? `Entries ${expectedSequence} to ${entry.sequence - 1} are missing`
+          : `Entry ${entry.sequence} is out of order`
+      );
+    }
+
+    if (entry.prevHash !== expectedPrevHash) {
+      return fail(entry.sequence, 'Previous hash does not match the preceding entry');
+    }
+
+    if (computeEntryHash(entry.content, entry.prevHash) !== entry.hash) {
+      return fail(entry.sequence, 'Entry content does not match its hash (modified)');
+    }
+
+    expectedSequence += 1;
+    expectedPrevHash = entry.hash;
+    checked += 1;
+  }
+
+  return {
+    valid: true,
+    checked,
+    lastSequence: expectedSequence - 1,
+    lastHash: expectedPrevHash,
+    error: null
+  };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalize,
+  computeEntryHash,
+  verifyChain
+};
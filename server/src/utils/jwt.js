@@ -1,21 +1,171 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { getSigningKeyring } = require('./signingKeys');
+const { getOidcIssuer } = require('../config/oidc');
 
 // Get JWT configuration from environment variables
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const TOKEN_ISSUER = 'identity-management-service';
+const ACCESS_TOKEN_AUDIENCE = 'identity-management-client';
+// Access tokens are short-lived; long-lived sessions use rotating refresh tokens
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
-// Validate JWT secret
-if (!JWT_SECRET) {
+// MFA challenge tokens only prove the password step passed; they use their own audience
+// so they can never be accepted as access tokens
+const MFA_TOKEN_EXPIRES_IN = process.env.MFA_TOKEN_EXPIRES_IN || '5m';
+const MFA_TOKEN_AUDIENCE = 'identity-management-mfa';
+
+// Tokens issued to OpenID Connect clients. Their access tokens only work at the userinfo
+// endpoint (never on /api), and are issued by the OIDC_ISSUER URL
+const OAUTH_ACCESS_TOKEN_EXPIRES_IN = process.env.OAUTH_ACCESS_TOKEN_EXPIRES_IN || '15m';
+const OAUTH_ACCESS_TOKEN_AUDIENCE = 'identity-management-userinfo';
+const ID_TOKEN_EXPIRES_IN = process.env.ID_TOKEN_EXPIRES_IN || '15m';
+
+// Tokens issued to other services with the client credentials grant. They act for the
+// client itself (no user), so they have their own audience and only work on /internal
+const SERVICE_TOKEN_EXPIRES_IN = process.env.SERVICE_TOKEN_EXPIRES_IN || '15m';
+const SERVICE_TOKEN_AUDIENCE = 'identity-management-internal';
+
+// Validate JWT secret (not needed when tokens are signed with asymmetric keys)
+if (!JWT_SECRET && !process.env.JWT_SIGNING_KEYS_DIR) {
   throw new Error('JWT_SECRET is not defined in environment variables');
 }
 
+/**
+ * Base64url-encode a JSON value (one segment of a JWT)
+ * @param {Object} value - Header or payload
+ * @returns {string} - Encoded segment
+ */
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Sign claims with an Ed25519 key
+ * jsonwebtoken does not support EdDSA, but still builds the claims (iat, exp from expiresIn,
+ * jti, iss, aud) as an unsigned token; only the header and signature are added here.
+ * @param {Object} payload - Token payload
+ * @param {Object} options - jsonwebtoken sign options
+ * @param {Object} key - Signing key ({ kid, privateKey })
+ * @returns {string} - Signed token
+ */
+const signEdDsa = (payload, options, key) => {
+  const claims = jwt.sign(payload, null, { ...options, algorithm: 'none' }).split('.')[1];
+  const header = encodeSegment({ alg: 'EdDSA', typ: 'JWT', kid: key.kid });
+  const signature = crypto.sign(null, Buffer.from(`${header}.${claims}`), key.privateKey);
+
+  return `${header}.${claims}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Verify an Ed25519-signed token
+ * The signature is checked here; jsonwebtoken then checks the claims (exp, nbf, iss, aud)
+ * of the now trusted payload, so errors match those of the other algorithms.
+ * @param {string} token - Token to verify
+ * @param {Object} key - Verification key ({ publicKey })
+ * @param {Object} options - jsonwebtoken verify options (issuer, audience)
+ * @returns {Object} - Decoded payload
+ */
+const verifyEdDsa = (token, key, options) => {
+  const [header, claims, signature] = token.split('.');
+
+  if (!signature || !crypto.verify(null, Buffer.from(`${header}.${claims}`), key.publicKey, Buffer.from(signature, 'base64url'))) {
+    throw new jwt.JsonWebTokenError('invalid signature');
+  }
+
+  return jwt.verify(`${encodeSegment({ alg: 'none', typ: 'JWT' })}.${claims}.`, undefined, {
+    ...options,
+    algorithms: ['none']
+  });
+};
+
+/**
+ * Sign a token with the active signing key (JWT_SIGNING_KEY_ID), or with JWT_SECRET (HS256)
+ * when no signing keys are configured
+ * Tokens signed with a key carry its ID in the kid header. Besides iat (seconds), every token
+ * has iat_ms, its issue time in milliseconds, for the user's tokensValidAfter cutoff.
+ * @param {Object} payload - Token payload
+ * @param {Object} options - { expiresIn, audience, issuer (default TOKEN_ISSUER), subject }
+ * @returns {string} - Signed token
+ */
+const signJwt = (payload, { expiresIn, audience, issuer = TOKEN_ISSUER, subject }) => {
+  // iat is taken from the same clock reading, so the two never disagree
+  const issuedAt = Date.now();
+  const claims = { ...payload, iat: Math.floor(issuedAt / 1000), iat_ms: issuedAt };
+
+  // jwtid gives every token a unique ID so it can be revoked individually
+  const options = {
+    expiresIn,
+    jwtid: crypto.randomUUID(),
+    issuer,
+    audience,
+    ...(subject && { subject })
+  };
+
+  const keyring = getSigningKeyring();
+
+  if (!keyring) {
+    return jwt.sign(claims, JWT_SECRET, { ...options, algorithm: 'HS256' });
+  }
+
+  const key = keyring.keys.get(keyring.activeKid);
+
+  if (key.alg === 'EdDSA') {
+    return signEdDsa(claims, options, key);
+  }
+
+  return jwt.sign(claims, key.privateKey, { ...options, algorithm: key.alg, keyid: key.kid });
+};
+
+/**
+ * Verify a token signed by signJwt
+ * With signing keys configured, the key is picked by the kid header and must match the
+ * header's algorithm; tokens without a kid (signed with JWT_SECRET) are rejected.
+ * @param {string} token - Token to verify
+ * @param {string} audience - Expected audience
+ * @param {string} issuer - Expected issuer
+ * @returns {Object} - Decoded payload
+ */
+const verifyJwt = (token, audience, issuer = TOKEN_ISSUER) => {
+  const options = { issuer, audience };
+  const keyring = getSigningKeyring();
+
+  if (!keyring) {
+    return jwt.verify(token, JWT_SECRET, { ...options, algorithms: ['HS256'] });
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { kid, alg } = decoded.header;
+  const key = typeof kid === 'string' ? keyring.keys.get(kid) : null;
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+  if (alg !== key.alg) {
+    throw new jwt.JsonWebTokenError('invalid algorithm');
+  }
+
+  if (key.alg === 'EdDSA') {
+    return verifyEdDsa(token, key, options);
+  }
+
+  return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.alg] });
+};
+
 /**
  * Generates a JWT token for a user
  * @param {string} userId - The user's ID from database
  * @param {string} email - The user's email
+ * @param {Object} options - Optional claims
+ * @param {string} options.sessionId - Session the token belongs to (added as the sid claim)
+ * @param {string} options.role - User's role
+ * @param {string[]} options.permissions - Permissions granted by the role
  * @returns {string} - The generated JWT token
  */
-const generateToken = (userId, email) => {
+const generateToken = (userId, email, options = {}) => {
   try {
     if (!userId || !email) {
       throw new Error('UserId and email are required to generate token');
@@ -27,11 +177,22 @@ const generateToken = (userId, email) => {
       email: email.toLowerCase().trim()
     };
 
-    // Generate token with payload, secret, and expiration
-    const token = jwt.sign(payload, JWT_SECRET, {
+    if (options.sessionId) {
+      payload.sid = options.sessionId.toString();
+    }
+
+    if (options.role) {
+      payload.role = options.role;
+    }
+
+    if (options.permissions) {
+      payload.permissions = options.permissions;
+    }
+
+    // Generate token with payload, signing key, and expiration
+    const token = signJwt(payload, {
       expiresIn: JWT_EXPIRES_IN,
-      issuer: 'identity-management-service',
-      audience: 'identity-management-client'
+      audience: ACCESS_TOKEN_AUDIENCE
     });
 
     return token;
@@ -43,7 +204,7 @@ const generateToken = (userId, email) => {
 /**
  * Verifies and decodes a JWT token
  * @param {string} token - The JWT token to verify
- * @returns {object} - Decoded token payload (contains userId and email)
+ * @returns {object} - Decoded token payload (contains userId, email, role, permissions, jti and sid)
  * @throws {Error} - If token is invalid, expired, or malformed
  */
 const verifyToken = (token) => {
@@ -53,10 +214,7 @@ const verifyToken = (token) => {
     }
 
     // Verify and decode the token
-    const decoded = jwt.verify(token, JWT_SECRET, {
-      issuer: 'identity-management-service',
-      audience: 'identity-management-client'
-    });
+    const decoded = verifyJwt(token, ACCESS_TOKEN_AUDIENCE);
 
     return decoded;
   } catch (error) {
@@ -94,8 +252,235 @@ const decodeToken = (token) => {
   }
 };
 
+/**
+ * Generates a short-lived "MFA pending" token after a successful password check
+ * It is exchanged for real tokens once the second factor is verified
+ * @param {string} userId - The user's ID from database
+ * @returns {string} - The generated MFA challenge token
+ */
+const generateMfaToken = (userId) => {
+  try {
+    if (!userId) {
+      throw new Error('UserId is required to generate MFA token');
+    }
+
+    return signJwt({ userId: userId.toString(), purpose: 'mfa' }, {
+      expiresIn: MFA_TOKEN_EXPIRES_IN,
+      audience: MFA_TOKEN_AUDIENCE
+    });
+  } catch (error) {
+    throw new Error(`MFA token generation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Verifies an MFA challenge token
+ * @param {string} token - The MFA challenge token
+ * @returns {object} - Decoded payload (contains userId and iat_ms)
+ * @throws {Error} - If token is invalid, expired, or not an MFA token
+ */
+const verifyMfaToken = (token) => {
+  try {
+    if (!token) {
+      throw new Error('Token is required');
+    }
+
+    const decoded = verifyJwt(token, MFA_TOKEN_AUDIENCE);
+
+    if (decoded.purpose !== 'mfa') {
+      throw new Error('Invalid token purpose');
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Verification session has expired. Please login again.');
+    }
+    throw new Error('Invalid verification session. Please login again.');
+  }
+};
+
+/**
+ * Get the issuer of OpenID Connect tokens
+ * Clients verify ID tokens themselves with the published keys, so they cannot be signed
+ * with JWT_SECRET.
+ * @returns {string} - OIDC_ISSUER
+ * @throws {Error} - If OIDC_ISSUER or signing keys are not configured
+ */
+const getOidcTokenIssuer = () => {
+  const issuer = getOidcIssuer();
+
+  if (!issuer) {
+    throw new Error('OIDC_ISSUER is not defined in environment variables');
+  }
+  if (!getSigningKeyring()) {
+    throw new Error('OpenID Connect tokens need signing keys (JWT_SIGNING_KEYS_DIR)');
+  }
+
+  return issuer;
+};
+
+/**
+ * Generates an access token for an OpenID Connect client
+ * It is only accepted by the userinfo endpoint, for the scopes the user approved.
+ * @param {Object} grant - Approved authorization
+ * @param {string} grant.userId - The user's ID
+ * @param {string} grant.clientId - Client the token is issued to (client_id claim)
+ * @param {string[]} grant.scopes - Approved scopes (space-separated scope claim)
+ * @param {string} grant.sessionId - Session the user approved from (sid claim), so signing it out revokes the token
+ * @returns {string} - The generated access token
+ */
+const generateOAuthAccessToken = ({ userId, clientId, scopes, sessionId }) => {
+  try {
+    if (!userId || !clientId) {
+      throw new Error('UserId and clientId are required to generate an OAuth access token');
+    }
+
+    const payload = {
+      userId: userId.toString(),
+      client_id: clientId,
+      scope: scopes.join(' ')
+    };
+
+    if (sessionId) {
+      payload.sid = sessionId.toString();
+    }
+
+    return signJwt(payload, {
+      expiresIn: OAUTH_ACCESS_TOKEN_EXPIRES_IN,
+      audience: OAUTH_ACCESS_TOKEN_AUDIENCE,
+      issuer: getOidcTokenIssuer(),
+      subject: userId.toString()
+    });
+  } catch (error) {
+    throw new Error(`OAuth access token generation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Verifies an access token issued to an OpenID Connect client
+ * @param {string} token - The access token
+ * @returns {object} - Decoded payload (contains userId, client_id, scope, jti and sid)
+ * @throws {Error} - If the token is invalid, expired or not an OAuth access token
+ */
+const verifyOAuthAccessToken = (token) => {
+  try {
+    if (!token) {
+      throw new Error('Token is required');
+    }
+
+    return verifyJwt(token, OAUTH_ACCESS_TOKEN_AUDIENCE, getOidcTokenIssuer());
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Token has expired.');
+    }
+    throw new Error(`Invalid token: ${error.message}`);
+  }
+};
+
+/**
+ * Generates an OpenID Connect ID token
+ * @param {Object} details - ID token contents
+ * @param {string} details.userId - The user's ID (sub claim)
+ * @param {string} details.clientId - Client the token is for (aud claim)
+ * @param {string} details.nonce - nonce from the authorization request, if one was sent
+ * @param {Date} details.authTime - When the user logged in (auth_time claim)
+ * @param {Object} details.claims - User claims released by the approved scopes
+ * @returns {string} - The signed ID token
+ */
+const generateIdToken = ({ userId, clientId, nonce, authTime, claims = {} }) => {
+  try {
+    if (!userId || !clientId) {
+      throw new Error('UserId and clientId are required to generate an ID token');
+    }
+
+    const payload = { ...claims };
+
+    if (nonce) {
+      payload.nonce = nonce;
+    }
+
+    if (authTime) {
+      payload.auth_time = Math.floor(new Date(authTime).getTime() / 1000);
+    }
+
+    return signJwt(payload, {
+      expiresIn: ID_TOKEN_EXPIRES_IN,
+      audience: clientId,
+      issuer: getOidcTokenIssuer(),
+      subject: userId.toString()
+    });
+  } catch (error) {
+    throw new Error(`ID token generation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Generates an access token for a service (client credentials grant)
+ * @param {Object} grant - Granted access
+ * @param {string} grant.clientId - Client the token is issued to (sub and client_id claims)
+ * @param {string[]} grant.scopes - Granted service scopes (space-separated scope claim)
+ * @returns {string} - The generated service token
+ */
+const generateServiceToken = ({ clientId, scopes }) => {
+  try {
+    if (!clientId || !scopes || scopes.length === 0) {
+      throw new Error('ClientId and scopes are required to generate a service token');
+    }
+
+    return signJwt({ client_id: clientId, scope: scopes.join(' ') }, {
+      expiresIn: SERVICE_TOKEN_EXPIRES_IN,
+      audience: SERVICE_TOKEN_AUDIENCE,
+      subject: clientId
+    });
+  } catch (error) {
+    throw new Error(`Service token generation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Verifies a service token
+ * @param {string} token - The service token
+ * @returns {object} - Decoded payload (contains client_id, scope and jti)
+ * @throws {Error} - If the token is invalid, expired or not a service token
+ */
+const verifyServiceToken = (token) => {
+  try {
+    if (!token) {
+      throw new Error('Token is required');
+    }
+
+    return verifyJwt(token, SERVICE_TOKEN_AUDIENCE);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Token has expired.');
+    }
+    throw new Error(`Invalid token: ${error.message}`);
+  }
+};
+
+/**
+ * Check whether a token claims to be a service token, without verifying it
+ * Only use this to pick the verifier; the token must still be verified.
+ * @param {string} token - Bearer token
+ * @returns {boolean} - True if its audience is that of service tokens
+ */
+const isServiceToken = (token) => {
+  const decoded = jwt.decode(token);
+
+  return Boolean(decoded) && decoded.aud === SERVICE_TOKEN_AUDIENCE;
+};
+
 module.exports = {
   generateToken,
   verifyToken,
-  decodeToken
+  decodeToken,
+  generateMfaToken,
+  verifyMfaToken,
+  generateOAuthAccessToken,
+  verifyOAuthAccessToken,
+  generateIdToken,
+  generateServiceToken,
+  verifyServiceToken,
+  isServiceToken
 };
\ No newline at end of file
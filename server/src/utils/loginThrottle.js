@@ -0,0 +1,46 @@
+/**
+ * Failed Login Throttling
+ * Works out how long an account must wait after a number of consecutive failed logins:
+ * - below the lockout threshold: a short delay that doubles with every failure
+ * - at or above the threshold:   a lock that starts at lockoutMinutes and doubles with every further failure
+ * All durations are capped at maxLockoutMinutes.
+ */
+
+/**
+ * Get how long further login attempts are refused after a failed attempt
+ * @param {number} failedAttempts - Consecutive failed attempts, including the one just made
+ * @param {Object} settings - { backoffBaseSeconds, lockoutThreshold, lockoutMinutes, maxLockoutMinutes }
+ * @returns {number} - Delay in milliseconds (0 if no delay applies)
+ */
+const getLoginDelayMs = (failedAttempts, settings) => {
+  const { backoffBaseSeconds, lockoutThreshold, lockoutMinutes, maxLockoutMinutes } = settings;
+
+  if (!Number.isInteger(failedAttempts) || failedAttempts < 1) {
+    return 0;
+  }
+
+  const maxMs = maxLockoutMinutes * 60 * 1000;
+
+  if (failedAttempts < lockoutThreshold) {
+    return Math.min(backoffBaseSeconds * 1000 * 2 ** (failedAttempts - 1), maxMs);
+  }
+
+  // Cap the exponent as well, so huge attempt counts cannot overflow to Infinity
+  const exponent = Math.min(failedAttempts - lockoutThreshold, 32);
+  return Math.min(lockoutMinutes * 60 * 1000 * 2 ** exponent, maxMs);
+};
+
+/**
+ * Check whether a number of failed attempts puts the account into the locked state
+ * @param {number} failedAttempts - Consecutive failed attempts
+ * @param {Object} settings - { lockoutThreshold }
+ * @returns {boolean} - True if the account is locked (rather than just delayed)
+ */
+const isLockoutAttempt = (failedAttempts, settings) => {
+  return failedAttempts >= settings.lockoutThreshold;
+};
+
+module.exports = {
+  getLoginDelayMs,
+  isLockoutAttempt
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transports
+ * Every transport exposes send(message) and returns a Promise.
+ * Selected with MAIL_TRANSPORT:
+ * - smtp:    real delivery through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ * - file:    writes each message as JSON into MAIL_OUTPUT_DIR (default: tmp/mail)
+ * - console: prints each message to stdout (default, for local development)
+ */
+const transports = {
+  smtp: () => {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not defined in environment variables');
+    }
+
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      send: (message) => transporter.sendMail(message)
+    };
+  },
+
+  file: () => {
+    const outputDir = path.resolve(process.env.MAIL_OUTPUT_DIR || 'tmp/mail');
+
+    return {
+      send: async (message) => {
+        await fs.promises.mkdir(outputDir, { recursive: true });
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        const filePath = path.join(outputDir, fileName);
+        await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+        return { messageId: fileName, filePath };
+      }
+    };
+  },
+
+  console: () => ({
+    send: async (message) => {
+      console.log('--- Outgoing email ---');
+      console.log(`From:    ${message.from}`);
+      console.log(`To:      ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log('');
+      console.log(message.text);
+      console.log('----------------------');
+      return { messageId: `console-${Date.now()}` };
+    }
+  })
+};
+
+// Transport is created lazily (so tests/scripts can configure the environment first)
+let activeTransport = null;
+
+/**
+ * Get the configured mail transport
+ * @returns {Object} - Transport with a send(message) function
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+
+    if (!factory) {
+      throw new Error(
+        `Unknown MAIL_TRANSPORT "${name}". Expected one of: ${Object.keys(transports).join(', ')}`
+      );
+    }
+
+    activeTransport = factory();
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Replace the active transport (useful for tests or custom providers)
+ * @param {Object|null} transport - Object with a send(message) function, or null to reset
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body (optional)
+ * @returns {Promise<Object>} - Transport specific delivery info
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    if (!to || !subject || !text) {
+      throw new Error('Recipient, subject and text are required to send an email');
+    }
+
+    const from = process.env.MAIL_FROM || 'Identity Service <no-reply@localhost>';
+
+    return await getTransport().send({ from, to, subject, text, html });
+  } catch (error) {
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
+};
+
+module.exports = {
+  sendMail,
+  setTransport
+};
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+// Only S256 is supported: with "plain", anyone who sees the authorization request also knows
+// the verifier
+const CODE_CHALLENGE_METHOD = 'S256';
+
+// RFC 7636 section 4.1: 43 to 128 unreserved characters
+const CODE_VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+// base64url of a SHA-256 hash, without padding
+const CODE_CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Check the code_challenge of an authorization request
+ * @param {string} codeChallenge - code_challenge parameter
+ * @param {string} method - code_challenge_method parameter
+ * @returns {string|null} - Error description, or null if the challenge is acceptable
+ */
+const checkCodeChallenge = (codeChallenge, method) => {
+  if (!codeChallenge) {
+    return 'code_challenge is required (PKCE)';
+  }
+  if (method !== CODE_CHALLENGE_METHOD) {
+    return `code_challenge_method must be ${CODE_CHALLENGE_METHOD}`;
+  }
+  if (typeof codeChallenge !== 'string' || !CODE_CHALLENGE_PATTERN.test(codeChallenge)) {
+    return 'code_challenge must be the base64url-encoded SHA-256 hash of the code verifier';
+  }
+
+  return null;
+};
+
+/**
+ * Check a code_verifier against the code_challenge it must hash to (S256)
+ * @param {string} codeVerifier - code_verifier sent to the token endpoint
+ * @param {string} codeChallenge - code_challenge stored with the authorization code
+ * @returns {boolean} - True if the verifier is well formed and matches
+ */
+const verifyCodeChallenge = (codeVerifier, codeChallenge) => {
+  if (typeof codeVerifier !== 'string' || !CODE_VERIFIER_PATTERN.test(codeVerifier)) {
+    return false;
+  }
+
+  const expected = Buffer.from(codeChallenge, 'utf8');
+  const actual = Buffer.from(crypto.createHash('sha256').update(codeVerifier).digest('base64url'), 'utf8');
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  CODE_CHALLENGE_METHOD,
+  checkCodeChallenge,
+  verifyCodeChallenge
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Lowercase letters and digits without look-alikes (0/o, 1/l/i), so codes are easy to copy from paper
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const RECOVERY_CODE_LENGTH = 10;
+
+/**
+ * Generates a single recovery code, formatted as two dash-separated groups (e.g. "k7qm2-xv9tr")
+ * @returns {string} - Recovery code
+ */
+const generateRecoveryCode = () => {
+  let code = '';
+
+  for (let i = 0; i < RECOVERY_CODE_LENGTH; i++) {
+    code += RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)];
+  }
+
+  return `${code.slice(0, RECOVERY_CODE_LENGTH / 2)}-${code.slice(RECOVERY_CODE_LENGTH / 2)}`;
+};
+
+/**
+ * Generates a set of unique recovery codes
+ * @param {number} count - Number of codes (default: 10)
+ * @returns {string[]} - Recovery codes
+ */
+const generateRecoveryCodes = (count = 10) => {
+  const codes = new Set();
+
+  while (codes.size < count) {
+    codes.add(generateRecoveryCode());
+  }
+
+  return [...codes];
+};
+
+/**
+ * Normalizes a recovery code entered by a user (case, spaces and dashes are ignored)
+ * @param {string} code - Code as entered
+ * @returns {string|null} - Canonical form used for hashing, or null if it cannot be a recovery code
+ */
+const normalizeRecoveryCode = (code) => {
+  if (!code || typeof code !== 'string') {
+    return null;
+  }
+
+  const normalized = code.toLowerCase().replace(/[\s-]/g, '');
+
+  if (normalized.length !== RECOVERY_CODE_LENGTH) {
+    return null;
+  }
+
+  for (const char of normalized) {
+    if (!RECOVERY_CODE_ALPHABET.includes(char)) {
+      return null;
+    }
+  }
+
+  return normalized;
+};
+
+module.exports = {
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
@@ -0,0 +1,55 @@
+// Plain http is only allowed back to the same machine (development and native apps)
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Check a redirect URI a client is being registered with
+ * Authorization requests must use one of them exactly, so they are validated once here.
+ * @param {string} uri - Redirect URI
+ * @returns {string|null} - Error description, or null if the URI can be registered
+ */
+const checkRedirectUri = (uri) => {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (error) {
+    return `${uri} is not an absolute URL`;
+  }
+
+  if (url.hash || uri.includes('#')) {
+    return `${uri} must not contain a fragment`;
+  }
+  if (url.username || url.password) {
+    return `${uri} must not contain credentials`;
+  }
+  if (url.protocol === 'http:' && !LOOPBACK_HOSTS.includes(url.hostname)) {
+    return `${uri} must use https (http is only allowed for localhost)`;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return `${uri} must be an http(s) URL`;
+  }
+
+  return null;
+};
+
+/**
+ * Add parameters to the query of a redirect URI, keeping the query it already has
+ * @param {string} uri - Registered redirect URI
+ * @param {Object} params - Parameters to add; undefined and null values are left out
+ * @returns {string} - URI to redirect the browser to
+ */
+const buildRedirectUri = (uri, params) => {
+  const url = new URL(uri);
+
+  Object.entries(params).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(name, value);
+    }
+  });
+
+  return url.toString();
+};
+
+module.exports = {
+  checkRedirectUri,
+  buildRedirectUri
+};
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+
+/**
+ * Generates a cryptographically secure random token
+ * Used for opaque tokens (refresh tokens, reset links, etc.) that are handed to clients
+ * @param {number} bytes - Number of random bytes (default: 32)
+ * @returns {string} - URL-safe base64 encoded token
+ */
+const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * Hashes an opaque token for storage
+ * Only the hash is persisted, so a database leak does not expose usable tokens
+ * @param {string} token - The plain token
+ * @returns {string} - SHA-256 hash of the token (hex encoded)
+ */
+const hashToken = (token) => {
+  if (!token || typeof token !== 'string') {
+    throw new Error('Token to hash must be a non-empty string');
+  }
+
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  generateSecureToken,
+  hashToken
+};
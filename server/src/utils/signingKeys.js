@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Key IDs come from file names and are published in the JWKS
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const MIN_RSA_KEY_BITS = 2048;
+
+// Keyring last loaded, with the settings it was loaded from
+let cached = null;
+
+/**
+ * Get the JWS algorithm for a key from its type
+ * @param {KeyObject} publicKey - Public key
+ * @param {string} file - Key file name, for error messages
+ * @returns {string} - RS256, ES256 or EdDSA
+ */
+const getAlgorithm = (publicKey, file) => {
+  const type = publicKey.asymmetricKeyType;
+  const details = publicKey.asymmetricKeyDetails || {};
+
+  if (type === 'rsa') {
+    if (details.modulusLength < MIN_RSA_KEY_BITS) {
+      throw new Error(`${file}: RSA keys must be at least ${MIN_RSA_KEY_BITS} bits`);
+    }
+    return 'RS256';
+  }
+
+  if (type === 'ec') {
+    if (details.namedCurve !== 'prime256v1') {
+      throw new Error(`${file}: EC keys must use the P-256 curve (ES256)`);
+    }
+    return 'ES256';
+  }
+
+  if (type === 'ed25519') {
+    return 'EdDSA';
+  }
+
+  throw new Error(`${file}: unsupported key type "${type}". Use RSA (RS256), EC P-256 (ES256) or Ed25519 (EdDSA)`);
+};
+
+/**
+ * Read a PEM key file: a private key (can sign) or only a public key (verify only, for a
+ * retired key whose tokens may still be in use)
+ * @param {string} file - Path of the PEM file
+ * @returns {Object} - { privateKey (or null), publicKey }
+ */
+const readKeyFile = (file) => {
+  const pem = fs.readFileSync(file, 'utf8');
+
+  if (pem.includes('PRIVATE KEY')) {
+    const privateKey = crypto.createPrivateKey(pem);
+    return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  }
+
+  return { privateKey: null, publicKey: crypto.createPublicKey(pem) };
+};
+
+/**
+ * Load every key in the signing key directory
+ * @param {string} dir - Directory of <kid>.pem files
+ * @param {string} activeKid - ID of the key new tokens are signed with
+ * @returns {Object} - { keys: Map of kid to { kid, alg, privateKey, publicKey }, activeKid }
+ */
+const loadKeyring = (dir, activeKid) => {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter((file) => file.endsWith('.pem')).sort();
+  } catch (error) {
+    throw new Error(`Could not read JWT_SIGNING_KEYS_DIR ${dir}: ${error.message}`);
+  }
+
+  const keys = new Map();
+
+  files.forEach((file) => {
+    const kid = path.basename(file, '.pem');
+
+    if (!KEY_ID_PATTERN.test(kid)) {
+      throw new Error(`${file}: key file names must be <kid>.pem, with a kid of up to 64 letters, digits, "_" or "-"`);
+    }
+
+    let key;
+    try {
+      key = readKeyFile(path.join(dir, file));
+    } catch (error) {
+      throw new Error(`${file}: not a PEM private or public key (${error.message})`);
+    }
+
+    keys.set(kid, { kid, alg: getAlgorithm(key.publicKey, file), ...key });
+  });
+
+  if (!activeKid) {
+    throw new Error(`JWT_SIGNING_KEY_ID must name the key in ${dir} used to sign new tokens`);
+  }
+  if (!keys.has(activeKid)) {
+    throw new Error(`JWT_SIGNING_KEY_ID "${activeKid}" has no key file in ${dir}`);
+  }
+  if (!keys.get(activeKid).privateKey) {
+    throw new Error(`JWT_SIGNING_KEY_ID "${activeKid}" only has a public key, so it cannot sign tokens`);
+  }
+
+  return { keys, activeKid };
+};
+
+/**
+ * Get the asymmetric signing keyring
+ * Keys are PEM files named <kid>.pem in JWT_SIGNING_KEYS_DIR; JWT_SIGNING_KEY_ID names the
+ * one new tokens are signed with. The others still verify tokens (and are published in the
+ * JWKS), so signing keys can be rotated without invalidating tokens already issued.
+ * Loaded on first use and again whenever those settings change.
+ * @returns {Object|null} - Keyring ({ keys, activeKid }), or null when JWT_SIGNING_KEYS_DIR
+ * is not set (tokens are then signed with JWT_SECRET, HS256)
+ */
+const getSigningKeyring = () => {
+  const dir = process.env.JWT_SIGNING_KEYS_DIR;
+
+  if (!dir) {
+    return null;
+  }
+
+  const activeKid = process.env.JWT_SIGNING_KEY_ID;
+
+  if (!cached || cached.dir !== dir || cached.activeKid !== activeKid) {
+    cached = { dir, activeKid, keyring: loadKeyring(path.resolve(dir), activeKid) };
+  }
+
+  return cached.keyring;
+};
+
+/**
+ * Get the public signing keys as a JSON Web Key Set (RFC 7517)
+ * @returns {Object} - { keys: [JWK with kid, alg and use] }, empty when tokens are signed with JWT_SECRET
+ */
+const getJwks = () => {
+  const keyring = getSigningKeyring();
+
+  if (!keyring) {
+    return { keys: [] };
+  }
+
+  return {
+    keys: [...keyring.keys.values()].map(({ kid, alg, publicKey }) => ({
+      ...publicKey.export({ format: 'jwk' }),
+      kid,
+      alg,
+      use: 'sig'
+    }))
+  };
+};
+
+module.exports = {
+  getSigningKeyring,
+  getJwks
+};
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32 alphabet (used by authenticator apps for secrets)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Defaults used by Google Authenticator, Authy, 1Password, etc.
+const DEFAULT_STEP_SECONDS = 30;
+const DEFAULT_DIGITS = 6;
+
+/**
+ * Encodes a buffer as base32 (without padding)
+ * @param {Buffer} buffer - Data to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decodes a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded data
+ */
+const base32Decode = (input) => {
+  if (!input || typeof input !== 'string') {
+    throw new Error('Base32 input must be a non-empty string');
+  }
+
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a random TOTP secret
+ * @param {number} bytes - Secret length in bytes (default: 20, i.e. 160 bits as recommended by RFC 4226)
+ * @returns {string} - Base32 encoded secret
+ */
+const generateSecret = (bytes = 20) => {
+  return base32Encode(crypto.randomBytes(bytes));
+};
+
+/**
+ * Generates an HOTP code (RFC 4226)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Moving factor
+ * @param {number} digits - Number of digits in the code (default: 6)
+ * @returns {string} - Zero-padded numeric code
+ */
+const generateHotp = (secret, counter, digits = DEFAULT_DIGITS) => {
+  const key = base32Decode(secret);
+
+  // Counter as 8-byte big-endian integer
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff);
+
+  return (binary % 10 ** digits).toString().padStart(digits, '0');
+};
+
+/**
+ * Gets the TOTP time step for a point in time
+ * @param {number} time - Unix time in milliseconds (default: now)
+ * @param {number} step - Step size in seconds (default: 30)
+ * @returns {number} - Time step counter
+ */
+const getTimeStep = (time = Date.now(), step = DEFAULT_STEP_SECONDS) => {
+  return Math.floor(time / 1000 / step);
+};
+
+/**
+ * Generates a TOTP code (RFC 6238)
+ * @param {string} secret - Base32 encoded secret
+ * @param {Object} options - { time, step, digits }
+ * @returns {string} - Zero-padded numeric code
+ */
+const generateTotp = (secret, options = {}) => {
+  const { time = Date.now(), step = DEFAULT_STEP_SECONDS, digits = DEFAULT_DIGITS } = options;
+  return generateHotp(secret, getTimeStep(time, step), digits);
+};
+
+/**
+ * Verifies a TOTP code, allowing for small clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { time, step, digits, window } where window is the number of steps accepted either side
+ * @returns {number|null} - The matching time step (use it to block replays), or null if the code is invalid
+ */
+const verifyTotp = (secret, code, options = {}) => {
+  const { time = Date.now(), step = DEFAULT_STEP_SECONDS, digits = DEFAULT_DIGITS, window = 1 } = options;
+
+  if (!code || typeof code !== 'string') {
+    return null;
+  }
+
+  const normalized = code.replace(/\s/g, '');
+
+  if (normalized.length !== digits || !/^\d+$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateHotp(secret, currentStep + offset, digits);
+
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Builds an otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string} - otpauth URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  getTimeStep,
+  buildOtpauthUri
+};
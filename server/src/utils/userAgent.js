@@ -0,0 +1,57 @@
+// Checked in order: the first match wins, so more specific names come first
+// (Edge and Opera also claim to be Chrome, Chrome also claims to be Safari)
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\//i },
+  { name: 'Opera', pattern: /OPR\/|Opera/i },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\//i },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\//i },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\//i },
+  { name: 'Safari', pattern: /Version\/[\d.]+.*Safari\//i },
+  { name: 'Postman', pattern: /PostmanRuntime\//i },
+  { name: 'curl', pattern: /^curl\//i }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/i },
+  { name: 'Android', pattern: /Android/i },
+  { name: 'Windows', pattern: /Windows/i },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/i },
+  { name: 'ChromeOS', pattern: /CrOS/i },
+  { name: 'Linux', pattern: /Linux/i }
+];
+
+/**
+ * Finds the first entry whose pattern matches the user agent
+ * @param {Array} entries - { name, pattern } list
+ * @param {string} userAgent - User-Agent header
+ * @returns {string|null} - Matching name or null
+ */
+const matchName = (entries, userAgent) => {
+  const match = entries.find((entry) => entry.pattern.test(userAgent));
+  return match ? match.name : null;
+};
+
+/**
+ * Describes a User-Agent header in a short, human readable form (e.g. "Chrome on Windows")
+ * Only meant for display; user agents are easy to fake, so never use this for security decisions
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} - Description, or "Unknown device" if nothing is recognised
+ */
+const describeUserAgent = (userAgent) => {
+  if (!userAgent || typeof userAgent !== 'string') {
+    return 'Unknown device';
+  }
+
+  const browser = matchName(BROWSERS, userAgent);
+  const os = matchName(OPERATING_SYSTEMS, userAgent);
+
+  if (browser && os) {
+    return `${browser} on ${os}`;
+  }
+
+  return browser || os || 'Unknown device';
+};
+
+module.exports = {
+  describeUserAgent
+};
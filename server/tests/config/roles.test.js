@@ -0,0 +1,70 @@
+const {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  isValidRole,
+  getPermissionsForRole,
+  hasPermissions
+} = require('../../src/config/roles');
+
+describe('Role Configuration Tests', () => {
+  describe('roles', () => {
+    test('should define the user, support and admin tiers', () => {
+      expect(ROLES).toEqual(['user', 'support', 'admin']);
+      expect(DEFAULT_ROLE).toBe('user');
+    });
+
+    test('should validate role names', () => {
+      expect(isValidRole('admin')).toBe(true);
+      expect(isValidRole('superuser')).toBe(false);
+      expect(isValidRole(undefined)).toBe(false);
+    });
+  });
+
+  describe('getPermissionsForRole', () => {
+    test('should give each tier every permission of the tier below', () => {
+      const user = getPermissionsForRole('user');
+      const support = getPermissionsForRole('support');
+      const admin = getPermissionsForRole('admin');
+
+      expect(hasPermissions(support, user)).toBe(true);
+      expect(hasPermissions(admin, support)).toBe(true);
+    });
+
+    test('should keep back-office permissions away from regular users', () => {
+      const user = getPermissionsForRole('user');
+
+      expect(user).toContain(PERMISSIONS.PROFILE_READ);
+      expect(user).not.toContain(PERMISSIONS.USERS_READ);
+    });
+
+    test('should only let admins manage roles', () => {
+      expect(getPermissionsForRole('support')).not.toContain(PERMISSIONS.ROLES_MANAGE);
+      expect(getPermissionsForRole('admin')).toContain(PERMISSIONS.ROLES_MANAGE);
+    });
+
+    test('should fall back to the default role for unknown roles', () => {
+      expect(getPermissionsForRole('superuser')).toEqual(getPermissionsForRole(DEFAULT_ROLE));
+      expect(getPermissionsForRole(undefined)).toEqual(getPermissionsForRole(DEFAULT_ROLE));
+    });
+
+    test('should return a copy that callers cannot use to change the table', () => {
+      getPermissionsForRole('user').push(PERMISSIONS.ROLES_MANAGE);
+      expect(getPermissionsForRole('user')).not.toContain(PERMISSIONS.ROLES_MANAGE);
+    });
+  });
+
+  describe('hasPermissions', () => {
+    test('should require every listed permission', () => {
+      const granted = [PERMISSIONS.USERS_READ, PERMISSIONS.USERS_UNLOCK];
+
+      expect(hasPermissions(granted, [PERMISSIONS.USERS_READ])).toBe(true);
+      expect(hasPermissions(granted, [PERMISSIONS.USERS_READ, PERMISSIONS.USERS_MANAGE])).toBe(false);
+    });
+
+    test('should handle missing permission lists', () => {
+      expect(hasPermissions(undefined, [PERMISSIONS.USERS_READ])).toBe(false);
+      expect(hasPermissions(undefined, [])).toBe(true);
+    });
+  });
+});
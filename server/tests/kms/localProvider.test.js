@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createLocalProvider } = require('../../src/kms/localProvider');
+
+describe('Local KMS Provider', () => {
+  let keyDir;
+  let keyFile;
+  let provider;
+
+  /**
+   * Write a master key file with the given key IDs
+   */
+  const writeKeyFile = (keys) => {
+    fs.writeFileSync(keyFile, JSON.stringify({ keys }));
+  };
+
+  beforeEach(() => {
+    keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kms-local-test-'));
+    keyFile = path.join(keyDir, 'keys.json');
+    writeKeyFile({
+      'master-1': crypto.randomBytes(32).toString('base64'),
+      'master-2': crypto.randomBytes(32).toString('base64')
+    });
+    provider = createLocalProvider(keyFile);
+  });
+
+  afterEach(() => {
+    fs.rmSync(keyDir, { recursive: true, force: true });
+  });
+
+  describe('Wrapping', () => {
+    test('should unwrap a wrapped data key', async () => {
+      const dataKey = crypto.randomBytes(32);
+      const wrapped = await provider.wrapKey('master-1', dataKey);
+
+      expect((await provider.unwrapKey('master-1', wrapped)).equals(dataKey)).toBe(true);
+    });
+
+    test('should return base64url without the data key in it', async () => {
+      const dataKey = crypto.randomBytes(32);
+      const wrapped = await provider.wrapKey('master-1', dataKey);
+
+      expect(wrapped).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(Buffer.from(wrapped, 'base64url').includes(dataKey)).toBe(false);
+    });
+
+    test('should wrap the same key differently each time', async () => {
+      const dataKey = crypto.randomBytes(32);
+
+      expect(await provider.wrapKey('master-1', dataKey)).not.toBe(await provider.wrapKey('master-1', dataKey));
+    });
+
+    test('should be named local', () => {
+      expect(provider.name).toBe('local');
+    });
+  });
+
+  describe('Tampering', () => {
+    test('should not unwrap with another master key', async () => {
+      const wrapped = await provider.wrapKey('master-1', crypto.randomBytes(32));
+
+      await expect(provider.unwrapKey('master-2', wrapped)).rejects.toThrow();
+    });
+
+    test('should detect a changed wrapped key', async () => {
+      const wrapped = Buffer.from(await provider.wrapKey('master-1', crypto.randomBytes(32)), 'base64url');
+      wrapped[wrapped.length - 1] ^= 0x01;
+
+      await expect(provider.unwrapKey('master-1', wrapped.toString('base64url'))).rejects.toThrow();
+    });
+
+    test('should reject a wrapped key that is too short', async () => {
+      await expect(provider.unwrapKey('master-1', 'c2hvcnQ')).rejects.toThrow('too short');
+    });
+  });
+
+  describe('Key File', () => {
+    test('should name an unknown master key', async () => {
+      await expect(provider.wrapKey('missing', crypto.randomBytes(32))).rejects.toThrow(
+        'KMS master key "missing" not found'
+      );
+    });
+
+    test('should pick up master keys added to the file', async () => {
+      await provider.wrapKey('master-1', crypto.randomBytes(32));
+      writeKeyFile({ 'master-3': crypto.randomBytes(32).toString('base64') });
+
+      const dataKey = crypto.randomBytes(32);
+      const wrapped = await provider.wrapKey('master-3', dataKey);
+
+      expect((await provider.unwrapKey('master-3', wrapped)).equals(dataKey)).toBe(true);
+    });
+
+    test('should reject master keys that are not 32 bytes', async () => {
+      writeKeyFile({ short: crypto.randomBytes(16).toString('base64') });
+
+      await expect(provider.wrapKey('short', crypto.randomBytes(32))).rejects.toThrow('must be 32 bytes');
+    });
+
+    test('should reject a file without a keys object', async () => {
+      fs.writeFileSync(keyFile, JSON.stringify({ master: 'x' }));
+
+      await expect(provider.wrapKey('master-1', crypto.randomBytes(32))).rejects.toThrow(
+        'must contain a "keys" object'
+      );
+    });
+
+    test('should report a missing file', async () => {
+      const missing = createLocalProvider(path.join(keyDir, 'missing.json'));
+
+      await expect(missing.wrapKey('master-1', crypto.randomBytes(32))).rejects.toThrow('Could not read KMS key file');
+    });
+
+    test('should require a key file path', () => {
+      expect(() => createLocalProvider(undefined)).toThrow('KMS_LOCAL_KEY_FILE is not defined');
+    });
+  });
+});
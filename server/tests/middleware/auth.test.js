@@ -0,0 +1,224 @@
+// The database is replaced by these mocks; tokens are signed and verified for real.
+// Tests are not transformed, so the mocks must be set up before the requires below.
+jest.mock('../../src/services/tokenService', () => ({
+  isAccessTokenRevoked: jest.fn()
+}));
+jest.mock('../../src/services/sessionService', () => ({
+  findActiveSession: jest.fn(),
+  touchSession: jest.fn(),
+  getClientInfo: jest.fn(() => ({ ip: '203.0.113.7' }))
+}));
+jest.mock('../../src/services/userService', () => ({
+  findUserById: jest.fn()
+}));
+jest.mock('../../src/services/clientService', () => ({
+  findClient: jest.fn(),
+  authenticateClient: jest.fn()
+}));
+jest.mock('../../src/services/apiKeyService', () => ({
+  authenticateApiKey: jest.fn()
+}));
+
+const tokenService = require('../../src/services/tokenService');
+const clientService = require('../../src/services/clientService');
+const userService = require('../../src/services/userService');
+const apiKeyService = require('../../src/services/apiKeyService');
+const {
+  PRINCIPAL_TYPES,
+  authenticateToken,
+  authenticateTokenOrApiKey,
+  authenticateService,
+  authorize,
+  requireScope
+} = require('../../src/middleware/auth');
+const { generateToken, generateServiceToken } = require('../../src/utils/jwt');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const EMAIL = 'test@example.com';
+const CLIENT = { clientId: 'client-1', name: 'Fraud service' };
+
+/**
+ * Run a middleware with a Bearer token (or another Authorization header) and return the
+ * request and the error passed to next
+ */
+const run = async (middleware, token, scheme = 'Bearer') => {
+  const req = { headers: token ? { authorization: `${scheme} ${token}` } : {} };
+  const next = jest.fn();
+
+  await middleware(req, {}, next);
+
+  expect(next).toHaveBeenCalledTimes(1);
+  return { req, error: next.mock.calls[0][0] };
+};
+
+const serviceToken = (scopes = ['users:read']) => generateServiceToken({ clientId: CLIENT.clientId, scopes });
+
+const API_KEY = {
+  _id: '507f191e810c19729de860ea',
+  user: USER_ID,
+  scopes: ['profile:read', 'users:read'],
+  expiresAt: new Date('2030-01-01T00:00:00Z')
+};
+
+const USER = { _id: USER_ID, email: EMAIL, role: 'support', disabledAt: null };
+
+describe('Auth Middleware Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tokenService.isAccessTokenRevoked.mockResolvedValue(false);
+    clientService.findClient.mockResolvedValue(CLIENT);
+    apiKeyService.authenticateApiKey.mockResolvedValue(API_KEY);
+    userService.findUserById.mockResolvedValue(USER);
+  });
+
+  describe('User Principals', () => {
+    test('should attach the user and a user principal', async () => {
+      const { req, error } = await run(authenticateToken, generateToken(USER_ID, EMAIL));
+
+      expect(error).toBeUndefined();
+      expect(req.user).toMatchObject({ userId: USER_ID, email: EMAIL });
+      expect(req.principal).toEqual({ type: PRINCIPAL_TYPES.USER, id: USER_ID });
+    });
+
+    test('should refuse service tokens on user routes', async () => {
+      const { req, error } = await run(authenticateToken, serviceToken());
+
+      expect(error).toMatchObject({ statusCode: 403, code: 'USER_TOKEN_REQUIRED' });
+      expect(req.user).toBeUndefined();
+    });
+  });
+
+  describe('API Keys', () => {
+    test('should act as the key\'s owner with the key\'s scopes', async () => {
+      const { req, error } = await run(authenticateTokenOrApiKey, 'imk_secret', 'ApiKey');
+
+      expect(error).toBeUndefined();
+      expect(apiKeyService.authenticateApiKey).toHaveBeenCalledWith('imk_secret', { ip: '203.0.113.7' });
+      expect(req.user).toMatchObject({
+        userId: USER_ID,
+        email: EMAIL,
+        role: 'support',
+        permissions: ['profile:read', 'users:read'],
+        sessionId: null,
+        apiKeyId: API_KEY._id
+      });
+      expect(req.principal).toEqual({ type: PRINCIPAL_TYPES.USER, id: USER_ID });
+    });
+
+    test('should never grant more than the user\'s current role', async () => {
+      userService.findUserById.mockResolvedValue({ ...USER, role: 'user' });
+
+      const { req } = await run(authenticateTokenOrApiKey, 'imk_secret', 'ApiKey');
+      const next = jest.fn();
+      authorize('users:read')(req, {}, next);
+
+      expect(req.user.permissions).toEqual(['profile:read']);
+      expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 403, code: 'INSUFFICIENT_PERMISSIONS' });
+    });
+
+    test('should still accept Bearer tokens', async () => {
+      const { req, error } = await run(authenticateTokenOrApiKey, generateToken(USER_ID, EMAIL));
+
+      expect(error).toBeUndefined();
+      expect(req.user).not.toHaveProperty('apiKeyId');
+      expect(apiKeyService.authenticateApiKey).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown keys and disabled accounts', async () => {
+      apiKeyService.authenticateApiKey.mockResolvedValue(null);
+      expect((await run(authenticateTokenOrApiKey, 'imk_revoked', 'ApiKey')).error).toMatchObject({
+        statusCode: 401,
+        message: 'Invalid, expired or revoked API key.'
+      });
+
+      apiKeyService.authenticateApiKey.mockResolvedValue(API_KEY);
+      userService.findUserById.mockResolvedValue({ ...USER, disabledAt: new Date() });
+      expect((await run(authenticateTokenOrApiKey, 'imk_secret', 'ApiKey')).error).toMatchObject({
+        statusCode: 401,
+        code: 'ACCOUNT_DISABLED'
+      });
+    });
+
+    test('should refuse API keys on routes that only take user tokens', async () => {
+      const { error } = await run(authenticateToken, 'imk_secret', 'ApiKey');
+
+      expect(error).toMatchObject({ statusCode: 403, code: 'API_KEY_NOT_ALLOWED' });
+      expect(apiKeyService.authenticateApiKey).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Service Principals', () => {
+    test('should attach the client and a service principal', async () => {
+      const { req, error } = await run(authenticateService, serviceToken(['users:read', 'users:logout']));
+
+      expect(error).toBeUndefined();
+      expect(req.service).toMatchObject({
+        clientId: 'client-1',
+        name: 'Fraud service',
+        scopes: ['users:read', 'users:logout']
+      });
+      expect(req.principal).toEqual({ type: PRINCIPAL_TYPES.SERVICE, id: 'client-1' });
+      expect(req.user).toBeUndefined();
+    });
+
+    test('should refuse user tokens on service routes', async () => {
+      const { error } = await run(authenticateService, generateToken(USER_ID, EMAIL));
+
+      expect(error).toMatchObject({ statusCode: 403, code: 'SERVICE_TOKEN_REQUIRED' });
+    });
+
+    test('should reject revoked tokens and disabled clients', async () => {
+      tokenService.isAccessTokenRevoked.mockResolvedValue(true);
+      expect((await run(authenticateService, serviceToken())).error).toMatchObject({
+        statusCode: 401,
+        message: 'Token has been revoked. Please request a new one.'
+      });
+
+      tokenService.isAccessTokenRevoked.mockResolvedValue(false);
+      clientService.findClient.mockResolvedValue(null);
+      expect((await run(authenticateService, serviceToken())).error).toMatchObject({
+        statusCode: 401,
+        message: 'Client has been disabled.'
+      });
+    });
+
+    test('should reject missing and forged tokens', async () => {
+      expect((await run(authenticateService, null)).error).toMatchObject({ statusCode: 401 });
+
+      const [header, payload] = serviceToken().split('.');
+      expect((await run(authenticateService, `${header}.${payload}.forged`)).error).toMatchObject({
+        statusCode: 401,
+        message: 'Invalid token. Please request a new one.'
+      });
+    });
+  });
+
+  describe('Scopes', () => {
+    test('should allow a service token with every required scope', async () => {
+      const { req } = await run(authenticateService, serviceToken(['users:read', 'users:logout']));
+      const next = jest.fn();
+
+      requireScope('users:read', 'users:logout')(req, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test('should refuse a service token without the required scope', async () => {
+      const { req } = await run(authenticateService, serviceToken(['users:read']));
+      const next = jest.fn();
+
+      requireScope('users:logout')(req, {}, next);
+
+      expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 403, code: 'INSUFFICIENT_SCOPE' });
+    });
+
+    test('should never treat a user as having a scope', async () => {
+      const { req } = await run(authenticateToken, generateToken(USER_ID, EMAIL, { permissions: ['users:read'] }));
+      const next = jest.fn();
+
+      requireScope('users:read')(req, {}, next);
+
+      expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 401 });
+    });
+  });
+});
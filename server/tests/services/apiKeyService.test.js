@@ -0,0 +1,178 @@
+// The database is replaced by this mock. Tests are not transformed, so the mock must be set
+// up before the requires below.
+jest.mock('../../src/models/ApiKey', () => ({
+  countDocuments: jest.fn(),
+  create: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn()
+}));
+
+const ApiKey = require('../../src/models/ApiKey');
+const {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  revokeAllApiKeys,
+  authenticateApiKey
+} = require('../../src/services/apiKeyService');
+const { hashToken } = require('../../src/utils/secureToken');
+const { ValidationError } = require('../../src/middleware/errorHandler');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const KEY_ID = '507f191e810c19729de860ea';
+const SIGNED_IN_USER = { userId: USER_ID, email: 'test@example.com', role: 'support' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Mongoose query result with .lean()
+ */
+const leanResult = (value) => ({ lean: () => Promise.resolve(value) });
+
+/**
+ * Stored API key, with fields overridden
+ */
+const storedApiKey = (overrides = {}) => ({
+  _id: KEY_ID,
+  user: USER_ID,
+  name: 'QA nightly run',
+  prefix: 'imk_abc123',
+  scopes: ['profile:read'],
+  expiresAt: new Date(Date.now() + 30 * DAY_MS),
+  lastUsedAt: null,
+  lastUsedIp: null,
+  createdAt: new Date(),
+  ...overrides
+});
+
+describe('API Key Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ApiKey.countDocuments.mockResolvedValue(0);
+    ApiKey.create.mockImplementation(async (fields) => ({ _id: KEY_ID, createdAt: new Date(), ...fields }));
+    ApiKey.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('Creating Keys', () => {
+    test('should return the key once and store only its hash', async () => {
+      const { apiKey, key } = await createApiKey(SIGNED_IN_USER, {
+        name: 'QA nightly run',
+        expiresInDays: 90,
+        scopes: ['profile:read', 'users:read']
+      });
+
+      expect(key).toMatch(/^imk_[A-Za-z0-9_-]{43}$/);
+
+      const stored = ApiKey.create.mock.calls[0][0];
+      expect(stored.keyHash).toBe(hashToken(key));
+      expect(JSON.stringify(stored)).not.toContain(key);
+      expect(stored.prefix).toBe(key.slice(0, 10));
+      expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now() + 89 * DAY_MS);
+
+      expect(apiKey).toMatchObject({ name: 'QA nightly run', prefix: stored.prefix, expired: false });
+      expect(apiKey).not.toHaveProperty('keyHash');
+    });
+
+    test('should only allow scopes the user\'s role grants', async () => {
+      await expect(
+        createApiKey(SIGNED_IN_USER, { name: 'Too much', expiresInDays: 30, scopes: ['users:read', 'roles:manage'] })
+      ).rejects.toThrow('Your role does not grant: roles:manage');
+      await expect(
+        createApiKey(SIGNED_IN_USER, { name: 'Nothing', expiresInDays: 30, scopes: [] })
+      ).rejects.toThrow(ValidationError);
+      expect(ApiKey.create).not.toHaveBeenCalled();
+    });
+
+    test('should require an expiry within a year', async () => {
+      for (const expiresInDays of [0, 366, 'never', undefined]) {
+        await expect(
+          createApiKey(SIGNED_IN_USER, { name: 'Forever', expiresInDays, scopes: ['profile:read'] })
+        ).rejects.toThrow('Expiry must be between 1 and 365 days');
+      }
+    });
+
+    test('should limit the number of active keys', async () => {
+      ApiKey.countDocuments.mockResolvedValue(20);
+
+      await expect(
+        createApiKey(SIGNED_IN_USER, { name: 'One more', expiresInDays: 30, scopes: ['profile:read'] })
+      ).rejects.toThrow('at most 20 API keys');
+    });
+  });
+
+  describe('Listing and Revoking', () => {
+    test('should list keys without their hashes and mark expired ones', async () => {
+      const expired = storedApiKey({ _id: 'expired', expiresAt: new Date(Date.now() - DAY_MS) });
+      ApiKey.find.mockReturnValue({ sort: () => Promise.resolve([storedApiKey(), expired]) });
+
+      const apiKeys = await listApiKeys(USER_ID);
+
+      expect(ApiKey.find).toHaveBeenCalledWith({ user: USER_ID, revokedAt: null });
+      expect(apiKeys.map((apiKey) => apiKey.expired)).toEqual([false, true]);
+      expect(apiKeys[0]).not.toHaveProperty('keyHash');
+    });
+
+    test('should only revoke the user\'s own keys', async () => {
+      expect(await revokeApiKey(USER_ID, KEY_ID)).toBe(true);
+      expect(ApiKey.updateOne).toHaveBeenCalledWith(
+        { _id: KEY_ID, user: USER_ID, revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+
+      ApiKey.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      expect(await revokeApiKey(USER_ID, KEY_ID)).toBe(false);
+      expect(await revokeApiKey(USER_ID, 'not-an-id')).toBe(false);
+    });
+
+    test('should revoke all of a user\'s active keys at once', async () => {
+      ApiKey.updateMany.mockResolvedValue({ modifiedCount: 3 });
+
+      expect(await revokeAllApiKeys(USER_ID)).toBe(3);
+      expect(ApiKey.updateMany).toHaveBeenCalledWith(
+        { user: USER_ID, revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+  });
+
+  describe('Authentication', () => {
+    test('should find an active key by its hash and record its use', async () => {
+      ApiKey.findOne.mockReturnValue(leanResult(storedApiKey()));
+
+      const apiKey = await authenticateApiKey('imk_secret', { ip: '203.0.113.7' });
+
+      expect(apiKey._id).toBe(KEY_ID);
+      expect(ApiKey.findOne).toHaveBeenCalledWith({
+        keyHash: hashToken('imk_secret'),
+        revokedAt: null,
+        expiresAt: { $gt: expect.any(Date) }
+      });
+      expect(ApiKey.updateOne).toHaveBeenCalledWith(
+        { _id: KEY_ID },
+        { lastUsedAt: expect.any(Date), lastUsedIp: '203.0.113.7' }
+      );
+    });
+
+    test('should not record every request from the same IP', async () => {
+      ApiKey.findOne.mockReturnValue(leanResult(storedApiKey({ lastUsedAt: new Date(), lastUsedIp: '203.0.113.7' })));
+
+      await authenticateApiKey('imk_secret', { ip: '203.0.113.7' });
+      expect(ApiKey.updateOne).not.toHaveBeenCalled();
+
+      await authenticateApiKey('imk_secret', { ip: '198.51.100.2' });
+      expect(ApiKey.updateOne).toHaveBeenCalledWith(
+        { _id: KEY_ID },
+        { lastUsedAt: expect.any(Date), lastUsedIp: '198.51.100.2' }
+      );
+    });
+
+    test('should reject unknown keys and anything that is not a key', async () => {
+      ApiKey.findOne.mockReturnValue(leanResult(null));
+
+      expect(await authenticateApiKey('imk_unknown')).toBeNull();
+      expect(await authenticateApiKey('eyJhbGciOiJIUzI1NiJ9.e30.sig')).toBeNull();
+      expect(ApiKey.findOne).toHaveBeenCalledTimes(1);
+    });
+  });
+});
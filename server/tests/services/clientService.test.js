@@ -0,0 +1,69 @@
+// The database is replaced by this mock. Tests are not transformed, so the mock must be set
+// up before the requires below.
+jest.mock('../../src/models/OAuthClient', () => ({
+  create: jest.fn()
+}));
+
+const OAuthClient = require('../../src/models/OAuthClient');
+const { registerClient } = require('../../src/services/clientService');
+
+const REDIRECT_URI = 'https://loans.example.com/callback';
+
+/**
+ * The document OAuthClient.create was last called with
+ */
+const getCreatedClient = () => OAuthClient.create.mock.calls[0][0];
+
+describe('Client Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    OAuthClient.create.mockImplementation(async (client) => client);
+  });
+
+  describe('Client Registration', () => {
+    test('should allow openid, profile and email by default', async () => {
+      const { client, clientSecret } = await registerClient({ name: 'Loans portal', redirectUris: [REDIRECT_URI] });
+
+      expect(client.scopes).toEqual(['openid', 'profile', 'email']);
+      expect(client.clientSecretHash).not.toBe(clientSecret);
+    });
+
+    test('should register a service-only client without OpenID Connect scopes', async () => {
+      await registerClient({ name: 'Fraud service', serviceScopes: ['users:read'] });
+
+      expect(getCreatedClient()).toMatchObject({ scopes: [], serviceScopes: ['users:read'], redirectUris: [] });
+    });
+
+    test('should accept an explicit empty scope list for a service-only client', async () => {
+      await registerClient({ name: 'Fraud service', scopes: [], serviceScopes: ['users:logout'] });
+
+      expect(getCreatedClient().scopes).toEqual([]);
+    });
+
+    test('should still require openid for clients that sign users in', async () => {
+      await expect(registerClient({ name: 'Loans portal', redirectUris: [REDIRECT_URI], scopes: ['email'] }))
+        .rejects.toThrow('Clients must be allowed the openid scope unless they only have service scopes');
+      await expect(registerClient({ name: 'Loans portal', scopes: [] }))
+        .rejects.toThrow('Clients must be allowed the openid scope');
+      await expect(registerClient({
+        name: 'Loans portal',
+        redirectUris: [REDIRECT_URI],
+        scopes: [],
+        serviceScopes: ['users:read']
+      })).rejects.toThrow('Clients must be allowed the openid scope');
+      expect(OAuthClient.create).not.toHaveBeenCalled();
+    });
+
+    test('should not let service-only clients have OpenID Connect scopes without openid', async () => {
+      await expect(registerClient({ name: 'Fraud service', scopes: ['profile'], serviceScopes: ['users:read'] }))
+        .rejects.toThrow('Clients must be allowed the openid scope');
+    });
+
+    test('should reject unknown scopes', async () => {
+      await expect(registerClient({ name: 'Fraud service', serviceScopes: ['users:delete'] }))
+        .rejects.toThrow('Unknown service scopes: users:delete');
+      await expect(registerClient({ name: 'Loans portal', scopes: ['openid', 'phone'] }))
+        .rejects.toThrow('Unknown scopes: phone');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+// The database is replaced by these mocks. Tests are not transformed, so the mocks must be set
+// up before the requires below.
+jest.mock('../../src/models/User', () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/utils/passwordHash', () => ({
+  hashPassword: jest.fn(async () => 'dummy-hash'),
+  comparePassword: jest.fn()
+}));
+
+const User = require('../../src/models/User');
+const { comparePassword } = require('../../src/utils/passwordHash');
+const { verifyLoginCode } = require('../../src/services/mfaService');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+/**
+ * Decoded MFA challenge token, issued a minute ago unless given
+ */
+const challenge = (issuedAt = Date.now() - 60 * 1000) => ({ userId: USER_ID, purpose: 'mfa', iat_ms: issuedAt });
+
+/**
+ * Make findUserWithMfa load a user with two-factor authentication enabled
+ * Codes are checked against recovery codes, as the mocked comparePassword decides.
+ */
+const mockUser = (mfa = {}) => {
+  const user = {
+    _id: USER_ID,
+    email: 'test@example.com',
+    mfa: {
+      enabled: true,
+      recoveryCodes: [{ _id: 'rc-1', hash: 'code-hash', usedAt: null }],
+      ...mfa
+    }
+  };
+  const query = { select: () => query, exec: () => Promise.resolve(user) };
+  User.findById.mockReturnValue(query);
+  return user;
+};
+
+/**
+ * Make the wrong-code counter report this many wrong codes so far
+ */
+const mockFailedAttempts = (failedAttempts) => {
+  User.findOneAndUpdate.mockReturnValue({
+    select: () => Promise.resolve({ mfa: { failedAttempts } })
+  });
+};
+
+describe('MFA Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('Login Code Throttling', () => {
+    test('should count a wrong code against the account', async () => {
+      mockUser();
+      comparePassword.mockResolvedValue(false);
+      mockFailedAttempts(1);
+
+      await expect(verifyLoginCode(challenge(), { recoveryCode: 'aaaaa-bbbbb' }))
+        .rejects.toMatchObject({ code: 'MFA_CODE_INVALID' });
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: USER_ID },
+        { $inc: { 'mfa.failedAttempts': 1 } },
+        { new: true }
+      );
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should lock codes and invalidate pending challenges at the threshold', async () => {
+      mockUser({ failedAttempts: 4 });
+      comparePassword.mockResolvedValue(false);
+      mockFailedAttempts(5);
+
+      await expect(verifyLoginCode(challenge(), { recoveryCode: 'aaaaa-bbbbb' }))
+        .rejects.toMatchObject({ code: 'MFA_LOCKED' });
+
+      const [, update] = User.updateOne.mock.calls[0];
+      expect(update['mfa.lockUntil'].getTime() - Date.now()).toBeGreaterThan(14 * 60 * 1000);
+      expect(update['mfa.challengesValidAfter']).toBeInstanceOf(Date);
+    });
+
+    test('should refuse codes while locked without checking them', async () => {
+      mockUser({ failedAttempts: 5, lockUntil: new Date(Date.now() + 60 * 1000) });
+      comparePassword.mockResolvedValue(true);
+
+      await expect(verifyLoginCode(challenge(Date.now()), { recoveryCode: 'aaaaa-bbbbb' }))
+        .rejects.toMatchObject({ code: 'MFA_LOCKED' });
+      expect(comparePassword).not.toHaveBeenCalled();
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a challenge token issued before the lock', async () => {
+      const lockedAt = Date.now() - 30 * 60 * 1000;
+      mockUser({ failedAttempts: 5, challengesValidAfter: new Date(lockedAt) });
+      comparePassword.mockResolvedValue(true);
+
+      await expect(verifyLoginCode(challenge(lockedAt - 1000), { recoveryCode: 'aaaaa-bbbbb' }))
+        .rejects.toThrow('Invalid verification session');
+      expect(comparePassword).not.toHaveBeenCalled();
+    });
+
+    test('should accept a right code after the lock and reset the counter', async () => {
+      const lockedAt = Date.now() - 30 * 60 * 1000;
+      mockUser({
+        failedAttempts: 5,
+        lockUntil: new Date(lockedAt + 15 * 60 * 1000),
+        challengesValidAfter: new Date(lockedAt)
+      });
+      comparePassword.mockResolvedValue(true);
+
+      const { user, recoveryCodeUsed } = await verifyLoginCode(challenge(), { recoveryCode: 'aaaaa-bbbbb' });
+
+      expect(user._id).toBe(USER_ID);
+      expect(recoveryCodeUsed).toBe(true);
+      expect(User.updateOne).toHaveBeenLastCalledWith(
+        { _id: USER_ID },
+        { 'mfa.failedAttempts': 0, $unset: { 'mfa.lockUntil': 1 } }
+      );
+    });
+  });
+});
@@ -0,0 +1,359 @@
+// The database is replaced by these mocks; tokens are signed and verified for real.
+// Tests are not transformed, so the mocks must be set up before the requires below.
+jest.mock('../../src/services/tokenService', () => ({
+  isAccessTokenRevoked: jest.fn(),
+  findRefreshToken: jest.fn(),
+  revokeAccessToken: jest.fn(),
+  revokeTokenFamily: jest.fn()
+}));
+jest.mock('../../src/services/sessionService', () => ({
+  findActiveSession: jest.fn()
+}));
+jest.mock('../../src/services/clientService', () => ({
+  findClient: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jsonwebtoken = require('jsonwebtoken');
+const tokenService = require('../../src/services/tokenService');
+const sessionService = require('../../src/services/sessionService');
+const clientService = require('../../src/services/clientService');
+const {
+  introspectToken,
+  revokeToken,
+  grantClientCredentials,
+  TOKEN_TYPE_HINTS
+} = require('../../src/services/oauthService');
+const {
+  generateToken,
+  generateOAuthAccessToken,
+  generateServiceToken,
+  verifyServiceToken
+} = require('../../src/utils/jwt');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const EMAIL = 'test@example.com';
+const SESSION_ID = '507f191e810c19729de860ea';
+const REFRESH_TOKEN = 'c29tZS1vcGFxdWUtcmVmcmVzaC10b2tlbi12YWx1ZQ';
+// The client making the request, and a first-party service trusted with user tokens
+const CLIENT = { clientId: 'client-1', trusted: false };
+const TRUSTED_CLIENT = { clientId: 'trusted-service', trusted: true };
+
+/**
+ * Sign an access token like generateToken does, with the claims overridden
+ */
+const signAccessToken = (overrides = {}, secret = process.env.JWT_SECRET) => {
+  return jsonwebtoken.sign({ userId: USER_ID, email: EMAIL, ...overrides }, secret, {
+    algorithm: 'HS256',
+    jwtid: 'test-jti',
+    issuer: 'identity-management-service',
+    audience: 'identity-management-client',
+    expiresIn: '15m'
+  });
+};
+
+/**
+ * Stored refresh token as returned by tokenService.findRefreshToken
+ */
+const storedRefreshToken = (overrides = {}) => ({
+  user: USER_ID,
+  family: 'family-1',
+  createdAt: new Date(Date.now() - 60 * 1000),
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  usedAt: null,
+  revokedAt: null,
+  ...overrides
+});
+
+describe('OAuth Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tokenService.isAccessTokenRevoked.mockResolvedValue(false);
+    tokenService.findRefreshToken.mockResolvedValue(null);
+    sessionService.findActiveSession.mockResolvedValue({ _id: SESSION_ID });
+    clientService.findClient.mockResolvedValue({ clientId: 'client-1' });
+  });
+
+  describe('Introspection', () => {
+    describe('Access Tokens', () => {
+      test('should describe an active access token', async () => {
+        const token = generateToken(USER_ID, EMAIL, { sessionId: SESSION_ID, role: 'user', permissions: ['profile:read'] });
+        const result = await introspectToken(TRUSTED_CLIENT, token);
+
+        expect(result).toMatchObject({
+          active: true,
+          token_type: 'Bearer',
+          sub: USER_ID,
+          username: EMAIL,
+          iss: 'identity-management-service',
+          aud: 'identity-management-client',
+          sid: SESSION_ID,
+          role: 'user',
+          permissions: ['profile:read']
+        });
+        expect(typeof result.jti).toBe('string');
+        expect(result.exp).toBeGreaterThan(result.iat);
+        expect(tokenService.findRefreshToken).not.toHaveBeenCalled();
+      });
+
+      test('should leave out claims the token does not have', async () => {
+        const result = await introspectToken(TRUSTED_CLIENT, generateToken(USER_ID, EMAIL));
+
+        expect(result.active).toBe(true);
+        expect(result).not.toHaveProperty('sid');
+        expect(result).not.toHaveProperty('role');
+        expect(sessionService.findActiveSession).not.toHaveBeenCalled();
+      });
+
+      test('should report an expired token as inactive', async () => {
+        // expiresIn cannot be combined with an exp claim, so this one is signed directly
+        const expired = jsonwebtoken.sign(
+          { userId: USER_ID, email: EMAIL, exp: Math.floor(Date.now() / 1000) - 60 },
+          process.env.JWT_SECRET,
+          { algorithm: 'HS256', issuer: 'identity-management-service', audience: 'identity-management-client' }
+        );
+
+        expect(await introspectToken(TRUSTED_CLIENT, expired)).toEqual({ active: false });
+      });
+
+      test('should report a revoked token as inactive', async () => {
+        tokenService.isAccessTokenRevoked.mockResolvedValue(true);
+
+        expect(await introspectToken(TRUSTED_CLIENT, generateToken(USER_ID, EMAIL))).toEqual({ active: false });
+      });
+
+      test('should report a token of a signed-out session as inactive', async () => {
+        sessionService.findActiveSession.mockResolvedValue(null);
+
+        expect(await introspectToken(TRUSTED_CLIENT, generateToken(USER_ID, EMAIL, { sessionId: SESSION_ID }))).toEqual({ active: false });
+      });
+
+      test('should report foreign tokens as inactive', async () => {
+        const otherSecret = signAccessToken({}, 'another-secret-that-is-also-at-least-32-characters');
+        const otherIssuer = jsonwebtoken.sign({ userId: USER_ID, email: EMAIL }, process.env.JWT_SECRET, {
+          algorithm: 'HS256',
+          issuer: 'someone-else',
+          audience: 'identity-management-client'
+        });
+
+        expect(await introspectToken(TRUSTED_CLIENT, otherSecret)).toEqual({ active: false });
+        expect(await introspectToken(TRUSTED_CLIENT, otherIssuer)).toEqual({ active: false });
+        expect(tokenService.isAccessTokenRevoked).not.toHaveBeenCalled();
+      });
+
+      test('should describe an access token issued to an OpenID Connect client', async () => {
+        const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oauth-test-'));
+        const { privateKey } = crypto.generateKeyPairSync('ed25519');
+        fs.writeFileSync(path.join(keyDir, 'oidc.pem'), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+        process.env.JWT_SIGNING_KEYS_DIR = keyDir;
+        process.env.JWT_SIGNING_KEY_ID = 'oidc';
+        process.env.OIDC_ISSUER = 'https://id.example.com';
+
+        try {
+          const token = generateOAuthAccessToken({ userId: USER_ID, clientId: 'client-1', scopes: ['openid', 'email'] });
+
+          expect(await introspectToken(CLIENT, token)).toMatchObject({
+            active: true,
+            token_type: 'Bearer',
+            sub: USER_ID,
+            client_id: 'client-1',
+            scope: 'openid email',
+            iss: 'https://id.example.com'
+          });
+        } finally {
+          delete process.env.JWT_SIGNING_KEYS_DIR;
+          delete process.env.JWT_SIGNING_KEY_ID;
+          delete process.env.OIDC_ISSUER;
+          fs.rmSync(keyDir, { recursive: true, force: true });
+        }
+      });
+
+      test('should describe a service token', async () => {
+        const token = generateServiceToken({ clientId: 'client-1', scopes: ['users:read'] });
+
+        expect(await introspectToken(CLIENT, token)).toMatchObject({
+          active: true,
+          token_type: 'Bearer',
+          sub: 'client-1',
+          client_id: 'client-1',
+          scope: 'users:read',
+          aud: 'identity-management-internal'
+        });
+        expect(clientService.findClient).toHaveBeenCalledWith('client-1');
+      });
+
+      test('should report tokens of a disabled client as inactive', async () => {
+        clientService.findClient.mockResolvedValue(null);
+
+        expect(await introspectToken(CLIENT, generateServiceToken({ clientId: 'client-1', scopes: ['users:read'] })))
+          .toEqual({ active: false });
+      });
+
+      test('should only describe tokens issued to the requesting client', async () => {
+        const otherClientToken = generateServiceToken({ clientId: 'client-2', scopes: ['users:read'] });
+
+        expect(await introspectToken(CLIENT, otherClientToken)).toEqual({ active: false });
+        expect(await introspectToken(TRUSTED_CLIENT, otherClientToken)).toEqual({ active: false });
+      });
+
+      test('should only describe first-party tokens to trusted clients', async () => {
+        expect(await introspectToken(CLIENT, generateToken(USER_ID, EMAIL))).toEqual({ active: false });
+      });
+
+      test('should report garbage as inactive', async () => {
+        expect(await introspectToken(TRUSTED_CLIENT, 'not-a-token')).toEqual({ active: false });
+        expect(await introspectToken(TRUSTED_CLIENT, 'a.b.c')).toEqual({ active: false });
+      });
+    });
+
+    describe('Refresh Tokens', () => {
+      test('should describe an active refresh token', async () => {
+        const stored = storedRefreshToken();
+        tokenService.findRefreshToken.mockResolvedValue(stored);
+
+        expect(await introspectToken(TRUSTED_CLIENT, REFRESH_TOKEN, TOKEN_TYPE_HINTS.REFRESH_TOKEN)).toEqual({
+          active: true,
+          token_type: 'refresh_token',
+          sub: USER_ID,
+          iat: Math.floor(stored.createdAt.getTime() / 1000),
+          exp: Math.floor(stored.expiresAt.getTime() / 1000)
+        });
+        expect(tokenService.findRefreshToken).toHaveBeenCalledWith(REFRESH_TOKEN);
+      });
+
+      test.each([
+        ['used', { usedAt: new Date() }],
+        ['revoked', { revokedAt: new Date() }],
+        ['expired', { expiresAt: new Date(Date.now() - 1000) }]
+      ])('should report a %s refresh token as inactive', async (state, overrides) => {
+        tokenService.findRefreshToken.mockResolvedValue(storedRefreshToken(overrides));
+
+        expect(await introspectToken(TRUSTED_CLIENT, REFRESH_TOKEN)).toEqual({ active: false });
+      });
+
+      test('should only describe refresh tokens to trusted clients', async () => {
+        tokenService.findRefreshToken.mockResolvedValue(storedRefreshToken());
+
+        expect(await introspectToken(CLIENT, REFRESH_TOKEN, TOKEN_TYPE_HINTS.REFRESH_TOKEN)).toEqual({ active: false });
+        expect(tokenService.findRefreshToken).not.toHaveBeenCalled();
+      });
+
+      test('should report an unknown refresh token as inactive', async () => {
+        expect(await introspectToken(TRUSTED_CLIENT, REFRESH_TOKEN, TOKEN_TYPE_HINTS.REFRESH_TOKEN)).toEqual({ active: false });
+      });
+
+      test('should not look up JWTs as refresh tokens', async () => {
+        await introspectToken(TRUSTED_CLIENT, signAccessToken({}, 'another-secret-that-is-also-at-least-32-characters'));
+
+        expect(tokenService.findRefreshToken).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('Token Type Hints', () => {
+      test('should still find an access token sent with a refresh_token hint', async () => {
+        const result = await introspectToken(TRUSTED_CLIENT, generateToken(USER_ID, EMAIL), TOKEN_TYPE_HINTS.REFRESH_TOKEN);
+
+        expect(result.active).toBe(true);
+        expect(result.token_type).toBe('Bearer');
+      });
+
+      test('should still find a refresh token sent with an access_token hint', async () => {
+        tokenService.findRefreshToken.mockResolvedValue(storedRefreshToken());
+
+        expect((await introspectToken(TRUSTED_CLIENT, REFRESH_TOKEN, TOKEN_TYPE_HINTS.ACCESS_TOKEN)).token_type).toBe('refresh_token');
+      });
+
+      test('should ignore unknown hints', async () => {
+        expect((await introspectToken(TRUSTED_CLIENT, generateToken(USER_ID, EMAIL), 'id_token')).active).toBe(true);
+      });
+    });
+
+    test('should report lookup failures as errors rather than inactive tokens', async () => {
+      tokenService.findRefreshToken.mockRejectedValue(new Error('connection lost'));
+
+      await expect(introspectToken(TRUSTED_CLIENT, REFRESH_TOKEN)).rejects.toThrow('Failed to introspect token: connection lost');
+    });
+  });
+
+  describe('Revocation', () => {
+    test('should revoke the client\'s own service token', async () => {
+      expect(await revokeToken(CLIENT, generateServiceToken({ clientId: 'client-1', scopes: ['users:read'] }))).toBe(true);
+      expect(tokenService.revokeAccessToken).toHaveBeenCalledWith(
+        expect.objectContaining({ client_id: 'client-1' }),
+        'oauth-revoke'
+      );
+      expect(tokenService.revokeTokenFamily).not.toHaveBeenCalled();
+    });
+
+    test('should not revoke foreign tokens', async () => {
+      tokenService.findRefreshToken.mockResolvedValue(storedRefreshToken());
+      const otherClientToken = generateServiceToken({ clientId: 'client-2', scopes: ['users:read'] });
+
+      // Another client's token, and first-party tokens, even for a trusted client
+      expect(await revokeToken(CLIENT, otherClientToken)).toBe(false);
+      expect(await revokeToken(CLIENT, generateToken(USER_ID, EMAIL))).toBe(false);
+      expect(await revokeToken(TRUSTED_CLIENT, generateToken(USER_ID, EMAIL))).toBe(false);
+      expect(await revokeToken(TRUSTED_CLIENT, REFRESH_TOKEN, TOKEN_TYPE_HINTS.REFRESH_TOKEN)).toBe(false);
+      expect(tokenService.revokeAccessToken).not.toHaveBeenCalled();
+      expect(tokenService.revokeTokenFamily).not.toHaveBeenCalled();
+    });
+
+    test('should ignore tokens that are already invalid or not ours', async () => {
+      tokenService.isAccessTokenRevoked.mockResolvedValue(true);
+
+      expect(await revokeToken(CLIENT, generateServiceToken({ clientId: 'client-1', scopes: ['users:read'] }))).toBe(false);
+      expect(await revokeToken(CLIENT, signAccessToken({ client_id: 'client-1' }, 'another-secret-that-is-also-at-least-32-characters'))).toBe(false);
+      expect(await revokeToken(CLIENT, 'not-a-token')).toBe(false);
+      expect(tokenService.revokeAccessToken).not.toHaveBeenCalled();
+    });
+
+    test('should report revocation failures', async () => {
+      tokenService.revokeAccessToken.mockRejectedValue(new Error('connection lost'));
+
+      await expect(revokeToken(CLIENT, generateServiceToken({ clientId: 'client-1', scopes: ['users:read'] })))
+        .rejects.toThrow('Failed to revoke token: connection lost');
+    });
+  });
+
+  describe('Client Credentials Grant', () => {
+    const SERVICE_CLIENT = { clientId: 'client-1', serviceScopes: ['users:read', 'users:logout'] };
+
+    test('should issue a service token for all of the client\'s scopes by default', async () => {
+      const result = await grantClientCredentials(SERVICE_CLIENT);
+
+      expect(result).toMatchObject({ token_type: 'Bearer', expires_in: 15 * 60, scope: 'users:read users:logout' });
+      expect(result).not.toHaveProperty('refresh_token');
+      expect(verifyServiceToken(result.access_token)).toMatchObject({
+        client_id: 'client-1',
+        scope: 'users:read users:logout'
+      });
+    });
+
+    test('should limit the token to the requested scopes', async () => {
+      const result = await grantClientCredentials(SERVICE_CLIENT, 'users:read');
+
+      expect(result.scope).toBe('users:read');
+      expect(verifyServiceToken(result.access_token).scope).toBe('users:read');
+    });
+
+    test('should reject scopes the client was not registered with', async () => {
+      await expect(grantClientCredentials(SERVICE_CLIENT, 'users:read roles:manage')).rejects.toMatchObject({
+        code: 'invalid_scope',
+        message: 'This client may not request: roles:manage'
+      });
+      await expect(grantClientCredentials(SERVICE_CLIENT, ' ')).rejects.toMatchObject({ code: 'invalid_scope' });
+    });
+
+    test('should refuse clients without service scopes', async () => {
+      await expect(grantClientCredentials({ clientId: 'client-2', serviceScopes: [] })).rejects.toMatchObject({
+        code: 'unauthorized_client'
+      });
+      await expect(grantClientCredentials({ clientId: 'client-3' })).rejects.toMatchObject({
+        code: 'unauthorized_client'
+      });
+    });
+  });
+});
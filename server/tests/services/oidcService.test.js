@@ -0,0 +1,490 @@
+// The database is replaced by these mocks; tokens are signed and verified for real.
+// Tests are not transformed, so the mocks must be set up before the requires below.
+jest.mock('../../src/models/AuthorizationCode', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/models/OAuthConsent', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/services/clientService', () => ({
+  findClient: jest.fn()
+}));
+jest.mock('../../src/services/tokenService', () => ({
+  isAccessTokenRevoked: jest.fn(),
+  revokeAccessToken: jest.fn()
+}));
+jest.mock('../../src/services/sessionService', () => ({
+  findActiveSession: jest.fn()
+}));
+jest.mock('../../src/services/userService', () => ({
+  findUserById: jest.fn(),
+  releaseAadhaarToClient: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jsonwebtoken = require('jsonwebtoken');
+const AuthorizationCode = require('../../src/models/AuthorizationCode');
+const OAuthConsent = require('../../src/models/OAuthConsent');
+const clientService = require('../../src/services/clientService');
+const tokenService = require('../../src/services/tokenService');
+const sessionService = require('../../src/services/sessionService');
+const userService = require('../../src/services/userService');
+const oidcService = require('../../src/services/oidcService');
+const { generateToken, generateOAuthAccessToken } = require('../../src/utils/jwt');
+const { hashToken } = require('../../src/utils/secureToken');
+const { OAuthError } = require('../../src/middleware/errorHandler');
+
+const ISSUER = 'https://id.example.com';
+const USER_ID = '507f1f77bcf86cd799439011';
+const SESSION_ID = '507f191e810c19729de860ea';
+const REDIRECT_URI = 'https://app.example.com/callback';
+// RFC 7636 Appendix B
+const VERIFIER = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+const CHALLENGE = 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM';
+
+const CLIENT = {
+  clientId: 'client-1',
+  name: 'Loans portal',
+  redirectUris: [REDIRECT_URI],
+  scopes: ['openid', 'profile', 'email', 'aadhaar']
+};
+
+const USER = {
+  _id: USER_ID,
+  email: 'test@example.com',
+  name: 'Test User',
+  role: 'user',
+  emailVerified: true,
+  disabledAt: null
+};
+
+const SIGNED_IN_USER = { userId: USER_ID, email: USER.email, role: 'user', sessionId: SESSION_ID };
+
+/**
+ * Mongoose query result with .lean()
+ */
+const leanResult = (value) => ({ lean: () => Promise.resolve(value) });
+
+/**
+ * A valid authorization request, with parameters overridden
+ */
+const authorizationParams = (overrides = {}) => ({
+  response_type: 'code',
+  client_id: CLIENT.clientId,
+  redirect_uri: REDIRECT_URI,
+  scope: 'openid email',
+  state: 'af0ifjsldkj',
+  nonce: 'n-0S6_WzA2Mj',
+  code_challenge: CHALLENGE,
+  code_challenge_method: 'S256',
+  ...overrides
+});
+
+/**
+ * A stored authorization code, with fields overridden
+ */
+const storedCode = (overrides = {}) => ({
+  _id: 'code-id',
+  codeHash: hashToken('the-code'),
+  clientId: CLIENT.clientId,
+  user: USER_ID,
+  session: SESSION_ID,
+  redirectUri: REDIRECT_URI,
+  scopes: ['openid', 'email'],
+  nonce: 'n-0S6_WzA2Mj',
+  codeChallenge: CHALLENGE,
+  authTime: new Date('2026-01-01T00:00:00Z'),
+  expiresAt: new Date(Date.now() + 60 * 1000),
+  usedAt: null,
+  ...overrides
+});
+
+/**
+ * Read the query parameters of a redirect URI
+ */
+const readRedirect = (uri) => Object.fromEntries(new URL(uri).searchParams);
+
+/**
+ * Catch the OAuthError a promise rejects with
+ */
+const catchError = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+};
+
+describe('OIDC Service Tests', () => {
+  let keyDir;
+  let publicKey;
+
+  beforeAll(() => {
+    keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oidc-test-'));
+    const keyPair = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    publicKey = keyPair.publicKey;
+    fs.writeFileSync(path.join(keyDir, 'oidc.pem'), keyPair.privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SIGNING_KEYS_DIR = keyDir;
+    process.env.JWT_SIGNING_KEY_ID = 'oidc';
+    process.env.OIDC_ISSUER = ISSUER;
+
+    clientService.findClient.mockImplementation(async (clientId) => (clientId === CLIENT.clientId ? CLIENT : null));
+    sessionService.findActiveSession.mockResolvedValue({ _id: SESSION_ID, createdAt: new Date('2026-01-01T00:00:00Z') });
+    userService.findUserById.mockResolvedValue(USER);
+    userService.releaseAadhaarToClient.mockResolvedValue('234123412346');
+    tokenService.isAccessTokenRevoked.mockResolvedValue(false);
+    OAuthConsent.findOne.mockReturnValue(leanResult(null));
+    AuthorizationCode.findOneAndUpdate.mockReturnValue(leanResult(storedCode()));
+    AuthorizationCode.findOne.mockReturnValue(leanResult(null));
+  });
+
+  afterEach(() => {
+    delete process.env.JWT_SIGNING_KEYS_DIR;
+    delete process.env.JWT_SIGNING_KEY_ID;
+    delete process.env.OIDC_ISSUER;
+  });
+
+  afterAll(() => {
+    fs.rmSync(keyDir, { recursive: true, force: true });
+  });
+
+  describe('Authorization Requests', () => {
+    test('should accept a valid request', async () => {
+      const request = await oidcService.validateAuthorizationRequest(authorizationParams());
+
+      expect(request).toMatchObject({
+        redirectUri: REDIRECT_URI,
+        scopes: ['openid', 'email'],
+        state: 'af0ifjsldkj',
+        nonce: 'n-0S6_WzA2Mj',
+        codeChallenge: CHALLENGE
+      });
+      expect(request.client.clientId).toBe(CLIENT.clientId);
+    });
+
+    test.each([
+      ['an unknown client', { client_id: 'unknown' }, 'Unknown or disabled client_id'],
+      ['an unregistered redirect URI', { redirect_uri: 'https://evil.example.com/callback' }, 'redirect_uri is not registered'],
+      ['a redirect URI that only starts like a registered one', { redirect_uri: `${REDIRECT_URI}/../steal` }, 'redirect_uri is not registered']
+    ])('should not redirect for %s', async (name, overrides, message) => {
+      const error = await catchError(oidcService.validateAuthorizationRequest(authorizationParams(overrides)));
+
+      expect(error).toBeInstanceOf(OAuthError);
+      expect(error.code).toBe('invalid_request');
+      expect(error.message).toContain(message);
+      expect(error.redirectUri).toBeUndefined();
+    });
+
+    test.each([
+      ['a response type other than code', { response_type: 'token' }, 'unsupported_response_type'],
+      ['a request without the openid scope', { scope: 'email' }, 'invalid_scope'],
+      ['an unknown scope', { scope: 'openid admin' }, 'invalid_scope'],
+      ['a request without PKCE', { code_challenge: undefined }, 'invalid_request'],
+      ['the plain PKCE method', { code_challenge_method: 'plain' }, 'invalid_request'],
+      ['an oversized nonce', { nonce: 'n'.repeat(513) }, 'invalid_request']
+    ])('should redirect with an error for %s', async (name, overrides, code) => {
+      const error = await catchError(oidcService.validateAuthorizationRequest(authorizationParams(overrides)));
+
+      expect(error.code).toBe(code);
+      expect(readRedirect(error.redirectUri)).toMatchObject({
+        error: code,
+        state: 'af0ifjsldkj',
+        iss: ISSUER
+      });
+      expect(error.redirectUri.startsWith(`${REDIRECT_URI}?`)).toBe(true);
+    });
+
+    test('should only allow the aadhaar scope to clients registered with it', async () => {
+      clientService.findClient.mockResolvedValue({ ...CLIENT, scopes: ['openid', 'profile', 'email'] });
+
+      const error = await catchError(oidcService.validateAuthorizationRequest(authorizationParams({ scope: 'openid aadhaar' })));
+
+      expect(error.code).toBe('invalid_scope');
+      expect(error.message).toContain('aadhaar');
+    });
+
+    test('should refuse requests while provider mode is off', async () => {
+      delete process.env.OIDC_ISSUER;
+
+      const error = await catchError(oidcService.validateAuthorizationRequest(authorizationParams()));
+
+      expect(error.code).toBe('temporarily_unavailable');
+      expect(error.redirectUri).toBeUndefined();
+    });
+  });
+
+  describe('Consent', () => {
+    test('should ask for consent the first time', async () => {
+      const details = await oidcService.getAuthorizationDetails(authorizationParams(), SIGNED_IN_USER);
+
+      expect(details).toEqual({
+        client: { clientId: CLIENT.clientId, name: CLIENT.name },
+        scopes: ['openid', 'email'],
+        redirectUri: REDIRECT_URI,
+        consentRequired: true
+      });
+    });
+
+    test('should skip consent for scopes the user already approved', async () => {
+      OAuthConsent.findOne.mockReturnValue(leanResult({ scopes: ['openid', 'profile', 'email'] }));
+
+      expect((await oidcService.getAuthorizationDetails(authorizationParams(), SIGNED_IN_USER)).consentRequired).toBe(false);
+    });
+
+    test('should ask again for new scopes', async () => {
+      OAuthConsent.findOne.mockReturnValue(leanResult({ scopes: ['openid'] }));
+
+      expect((await oidcService.getAuthorizationDetails(authorizationParams(), SIGNED_IN_USER)).consentRequired).toBe(true);
+    });
+
+    test('should always ask for the aadhaar scope', async () => {
+      OAuthConsent.findOne.mockReturnValue(leanResult({ scopes: ['openid', 'email', 'aadhaar'] }));
+
+      const details = await oidcService.getAuthorizationDetails(authorizationParams({ scope: 'openid aadhaar' }), SIGNED_IN_USER);
+
+      expect(details.consentRequired).toBe(true);
+    });
+
+    test('should issue a code bound to the request when approved', async () => {
+      const redirectTo = await oidcService.approveAuthorization(authorizationParams(), SIGNED_IN_USER);
+      const { code, state, iss } = readRedirect(redirectTo);
+
+      expect(state).toBe('af0ifjsldkj');
+      expect(iss).toBe(ISSUER);
+      expect(AuthorizationCode.create).toHaveBeenCalledWith(expect.objectContaining({
+        codeHash: hashToken(code),
+        clientId: CLIENT.clientId,
+        user: USER_ID,
+        session: SESSION_ID,
+        redirectUri: REDIRECT_URI,
+        scopes: ['openid', 'email'],
+        nonce: 'n-0S6_WzA2Mj',
+        codeChallenge: CHALLENGE,
+        authTime: new Date('2026-01-01T00:00:00Z')
+      }));
+    });
+
+    test('should remember the approval, except for the aadhaar scope', async () => {
+      await oidcService.approveAuthorization(authorizationParams({ scope: 'openid email aadhaar' }), SIGNED_IN_USER);
+
+      expect(OAuthConsent.updateOne).toHaveBeenCalledWith(
+        { user: USER_ID, clientId: CLIENT.clientId },
+        { $addToSet: { scopes: { $each: ['openid', 'email'] } } },
+        { upsert: true }
+      );
+    });
+
+    test('should send the user back with access_denied when denied', async () => {
+      const redirectTo = await oidcService.denyAuthorization(authorizationParams());
+
+      expect(readRedirect(redirectTo)).toMatchObject({ error: 'access_denied', state: 'af0ifjsldkj' });
+      expect(AuthorizationCode.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Token Exchange', () => {
+    const exchange = (overrides = {}, client = CLIENT) => oidcService.exchangeAuthorizationCode(client, {
+      code: 'the-code',
+      redirectUri: REDIRECT_URI,
+      codeVerifier: VERIFIER,
+      ...overrides
+    });
+
+    test('should issue an access token and an ID token', async () => {
+      const result = await exchange();
+
+      expect(result).toMatchObject({ token_type: 'Bearer', scope: 'openid email' });
+      expect(result.expires_in).toBeGreaterThan(0);
+
+      const idToken = jsonwebtoken.verify(result.id_token, publicKey, {
+        algorithms: ['ES256'],
+        issuer: ISSUER,
+        audience: CLIENT.clientId
+      });
+      expect(idToken).toMatchObject({
+        sub: USER_ID,
+        nonce: 'n-0S6_WzA2Mj',
+        auth_time: new Date('2026-01-01T00:00:00Z').getTime() / 1000,
+        email: USER.email,
+        email_verified: true
+      });
+      expect(idToken).not.toHaveProperty('name');
+
+      expect(AuthorizationCode.findOneAndUpdate).toHaveBeenCalledWith(
+        { codeHash: hashToken('the-code'), usedAt: null },
+        { usedAt: expect.any(Date) }
+      );
+      expect(AuthorizationCode.updateOne).toHaveBeenCalledWith(
+        { _id: 'code-id' },
+        { accessTokenJti: expect.any(String), accessTokenExpiresAt: expect.any(Date) }
+      );
+    });
+
+    test('should never put the Aadhaar number in the ID token', async () => {
+      AuthorizationCode.findOneAndUpdate.mockReturnValue(leanResult(storedCode({ scopes: ['openid', 'profile', 'aadhaar'] })));
+
+      const { id_token: idToken } = await exchange();
+      const claims = jsonwebtoken.decode(idToken);
+
+      expect(claims.name).toBe(USER.name);
+      expect(claims).not.toHaveProperty('aadhaar_number');
+      expect(userService.releaseAadhaarToClient).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ['a wrong code verifier', { codeVerifier: `${VERIFIER.slice(0, -1)}a` }, 'code_verifier does not match'],
+      ['a missing code verifier', { codeVerifier: '' }, 'code_verifier does not match'],
+      ['another redirect URI', { redirectUri: 'https://app.example.com/other' }, 'redirect_uri does not match']
+    ])('should reject %s', async (name, overrides, message) => {
+      const error = await catchError(exchange(overrides));
+
+      expect(error.code).toBe('invalid_grant');
+      expect(error.message).toContain(message);
+    });
+
+    test('should reject a code issued to another client', async () => {
+      const error = await catchError(exchange({}, { ...CLIENT, clientId: 'client-2' }));
+
+      expect(error.code).toBe('invalid_grant');
+    });
+
+    test('should reject an expired code', async () => {
+      AuthorizationCode.findOneAndUpdate.mockReturnValue(leanResult(storedCode({ expiresAt: new Date(Date.now() - 1000) })));
+
+      expect((await catchError(exchange())).message).toContain('expired');
+    });
+
+    test('should revoke the access token issued for a code that is used again', async () => {
+      const accessTokenExpiresAt = new Date(Date.now() + 15 * 60 * 1000);
+      AuthorizationCode.findOneAndUpdate.mockReturnValue(leanResult(null));
+      AuthorizationCode.findOne.mockReturnValue(leanResult(storedCode({
+        usedAt: new Date(),
+        accessTokenJti: 'issued-jti',
+        accessTokenExpiresAt
+      })));
+
+      const error = await catchError(exchange());
+
+      expect(error.code).toBe('invalid_grant');
+      expect(tokenService.revokeAccessToken).toHaveBeenCalledWith(
+        { jti: 'issued-jti', userId: USER_ID, exp: Math.floor(accessTokenExpiresAt.getTime() / 1000) },
+        'code-reuse'
+      );
+    });
+
+    test('should reject an unknown code without revoking anything', async () => {
+      AuthorizationCode.findOneAndUpdate.mockReturnValue(leanResult(null));
+
+      expect((await catchError(exchange())).code).toBe('invalid_grant');
+      expect(tokenService.revokeAccessToken).not.toHaveBeenCalled();
+    });
+
+    test('should reject the code of a disabled user or a signed-out session', async () => {
+      userService.findUserById.mockResolvedValue({ ...USER, disabledAt: new Date() });
+      expect((await catchError(exchange())).code).toBe('invalid_grant');
+
+      userService.findUserById.mockResolvedValue(USER);
+      sessionService.findActiveSession.mockResolvedValue(null);
+      expect((await catchError(exchange())).message).toContain('signed out');
+    });
+  });
+
+  describe('Userinfo', () => {
+    const accessToken = (scopes) => generateOAuthAccessToken({
+      userId: USER_ID,
+      clientId: CLIENT.clientId,
+      scopes,
+      sessionId: SESSION_ID
+    });
+
+    test('should release the claims of the approved scopes', async () => {
+      expect(await oidcService.getUserInfo(accessToken(['openid', 'email']))).toEqual({
+        sub: USER_ID,
+        email: USER.email,
+        email_verified: true
+      });
+      expect(await oidcService.getUserInfo(accessToken(['openid', 'profile']))).toEqual({
+        sub: USER_ID,
+        name: USER.name
+      });
+    });
+
+    test('should only release the Aadhaar number with the aadhaar scope, audited', async () => {
+      const req = { id: 'request-1' };
+
+      expect(await oidcService.getUserInfo(accessToken(['openid']))).not.toHaveProperty('aadhaar_number');
+      expect(userService.releaseAadhaarToClient).not.toHaveBeenCalled();
+
+      const claims = await oidcService.getUserInfo(accessToken(['openid', 'aadhaar']), req);
+
+      expect(claims.aadhaar_number).toBe('234123412346');
+      expect(userService.releaseAadhaarToClient).toHaveBeenCalledWith(USER, { clientId: CLIENT.clientId, req });
+    });
+
+    test.each([
+      ['revoked', () => tokenService.isAccessTokenRevoked.mockResolvedValue(true)],
+      ['from a signed-out session', () => sessionService.findActiveSession.mockResolvedValue(null)],
+      ['issued to a disabled client', () => clientService.findClient.mockResolvedValue(null)],
+      ['of a disabled user', () => userService.findUserById.mockResolvedValue({ ...USER, disabledAt: new Date() })]
+    ])('should reject a token %s', async (name, setup) => {
+      setup();
+
+      const error = await catchError(oidcService.getUserInfo(accessToken(['openid'])));
+
+      expect(error.code).toBe('invalid_token');
+      expect(error.statusCode).toBe(401);
+    });
+
+    test('should not accept first-party access tokens or garbage', async () => {
+      expect((await catchError(oidcService.getUserInfo(generateToken(USER_ID, USER.email)))).code).toBe('invalid_token');
+      expect((await catchError(oidcService.getUserInfo('not-a-token'))).code).toBe('invalid_token');
+    });
+
+    test('should require the openid scope', async () => {
+      const error = await catchError(oidcService.getUserInfo(accessToken(['email'])));
+
+      expect(error.code).toBe('insufficient_scope');
+      expect(error.statusCode).toBe(403);
+    });
+  });
+
+  describe('Discovery', () => {
+    test('should describe the provider', () => {
+      const document = oidcService.getDiscoveryDocument();
+
+      expect(document).toMatchObject({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/oauth/authorize`,
+        token_endpoint: `${ISSUER}/oauth/token`,
+        userinfo_endpoint: `${ISSUER}/oauth/userinfo`,
+        jwks_uri: `${ISSUER}/.well-known/jwks.json`,
+        response_types_supported: ['code'],
+        code_challenge_methods_supported: ['S256'],
+        id_token_signing_alg_values_supported: ['ES256']
+      });
+      expect(document.scopes_supported).toEqual(['openid', 'profile', 'email', 'aadhaar']);
+      expect(document.claims_supported).toContain('aadhaar_number');
+    });
+
+    test('should be unavailable without an issuer or signing keys', () => {
+      delete process.env.OIDC_ISSUER;
+      expect(oidcService.getDiscoveryDocument()).toBeNull();
+
+      process.env.OIDC_ISSUER = ISSUER;
+      delete process.env.JWT_SIGNING_KEYS_DIR;
+      expect(oidcService.getDiscoveryDocument()).toBeNull();
+    });
+  });
+});
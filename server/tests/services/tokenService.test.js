@@ -0,0 +1,240 @@
+// The database is replaced by these mocks. Tests are not transformed, so the mocks must be set
+// up before the requires below.
+jest.mock('../../src/models/User', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/models/RefreshToken', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../../src/models/RevokedToken', () => ({
+  exists: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/services/sessionService', () => ({
+  createSession: jest.fn(),
+  findSessionByFamily: jest.fn(),
+  extendSession: jest.fn(),
+  revokeSessionByFamily: jest.fn(),
+  revokeAllSessions: jest.fn()
+}));
+jest.mock('../../src/services/apiKeyService', () => ({
+  revokeAllApiKeys: jest.fn()
+}));
+
+const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+const RevokedToken = require('../../src/models/RevokedToken');
+const sessionService = require('../../src/services/sessionService');
+const apiKeyService = require('../../src/services/apiKeyService');
+const { generateToken, verifyToken } = require('../../src/utils/jwt');
+const { hashToken } = require('../../src/utils/secureToken');
+const {
+  rotateRefreshToken,
+  revokeAllUserTokens,
+  expireAccessTokens,
+  isAccessTokenRevoked
+} = require('../../src/services/tokenService');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const EMAIL = 'test@example.com';
+const FAMILY = 'family-1';
+const REFRESH_TOKEN = 'presented-refresh-token';
+
+/**
+ * Stored refresh token as returned by RefreshToken.findOne
+ */
+const storedRefreshToken = (overrides = {}) => ({
+  _id: 'rt-1',
+  user: USER_ID,
+  family: FAMILY,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  usedAt: null,
+  revokedAt: null,
+  ...overrides
+});
+
+/**
+ * Set up a rotation that goes through: the token is claimed, and its user and session exist
+ * @returns {Object} - The claimed token document (its save records the replacement)
+ */
+const mockRotation = () => {
+  const claimed = { ...storedRefreshToken({ usedAt: new Date() }), save: jest.fn(async () => claimed) };
+
+  RefreshToken.findOne.mockResolvedValue(storedRefreshToken());
+  RefreshToken.findOneAndUpdate.mockResolvedValue(claimed);
+  RefreshToken.create.mockImplementation(async (record) => record);
+  User.findById.mockResolvedValue({ _id: USER_ID, email: EMAIL, role: 'user' });
+  sessionService.findSessionByFamily.mockResolvedValue({ _id: 'session-1', family: FAMILY, revokedAt: null });
+
+  return claimed;
+};
+
+/**
+ * Check that the family of the presented token was revoked as stolen
+ */
+const expectFamilyRevoked = () => {
+  expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+    { family: FAMILY, revokedAt: null },
+    { revokedAt: expect.any(Date), revokedReason: 'reuse-detected' }
+  );
+  expect(sessionService.revokeSessionByFamily).toHaveBeenCalledWith(FAMILY, 'reuse-detected');
+};
+
+/**
+ * Make User.findById(...).select(...) return a user with this cutoff
+ */
+const mockTokensValidAfter = (tokensValidAfter) => {
+  User.findById.mockReturnValue({ select: () => Promise.resolve({ tokensValidAfter }) });
+};
+
+/**
+ * The cutoff last written with User.updateOne
+ */
+const getWrittenCutoff = () => User.updateOne.mock.calls[0][1].tokensValidAfter;
+
+describe('Token Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RevokedToken.exists.mockResolvedValue(null);
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    RefreshToken.updateMany.mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  describe('Refresh Token Rotation', () => {
+    test('should exchange a refresh token for a new pair in the same family', async () => {
+      const claimed = mockRotation();
+
+      const result = await rotateRefreshToken(REFRESH_TOKEN);
+
+      expect(RefreshToken.findOne).toHaveBeenCalledWith({ tokenHash: hashToken(REFRESH_TOKEN) });
+      expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'rt-1', usedAt: null, revokedAt: null },
+        { usedAt: expect.any(Date) },
+        { new: true }
+      );
+      expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({ user: USER_ID, family: FAMILY }));
+      expect(result.refreshToken).not.toBe(REFRESH_TOKEN);
+      expect(result.sessionId).toBe('session-1');
+      expect(verifyToken(result.token)).toMatchObject({ userId: USER_ID, sid: 'session-1' });
+      expect(sessionService.extendSession).toHaveBeenCalled();
+
+      // The used token points at its replacement
+      expect(claimed.replacedByHash).toBe(hashToken(result.refreshToken));
+      expect(claimed.save).toHaveBeenCalled();
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('should revoke the whole family when a used token is presented again', async () => {
+      RefreshToken.findOne.mockResolvedValue(storedRefreshToken({ usedAt: new Date(Date.now() - 1000) }));
+
+      await expect(rotateRefreshToken(REFRESH_TOKEN)).rejects.toThrow('already been used');
+
+      expectFamilyRevoked();
+      expect(RefreshToken.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    test('should let only one of two concurrent rotations through, and revoke the family', async () => {
+      mockRotation();
+
+      // Both requests read the token unused; only the first claim matches usedAt: null
+      RefreshToken.findOneAndUpdate
+        .mockResolvedValueOnce({ ...storedRefreshToken({ usedAt: new Date() }), save: jest.fn() })
+        .mockResolvedValueOnce(null);
+
+      const results = await Promise.allSettled([
+        rotateRefreshToken(REFRESH_TOKEN),
+        rotateRefreshToken(REFRESH_TOKEN)
+      ]);
+
+      expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find((result) => result.status === 'rejected').reason.message)
+        .toMatch('already been used');
+      expect(RefreshToken.create).toHaveBeenCalledTimes(1);
+      expectFamilyRevoked();
+    });
+
+    test('should refuse a token revoked by logout without revoking anything else', async () => {
+      RefreshToken.findOne.mockResolvedValue(storedRefreshToken({ revokedAt: new Date() }));
+
+      await expect(rotateRefreshToken(REFRESH_TOKEN)).rejects.toThrow('signed out');
+
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+      expect(RefreshToken.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should refuse an expired token', async () => {
+      RefreshToken.findOne.mockResolvedValue(storedRefreshToken({ expiresAt: new Date(Date.now() - 1000) }));
+
+      await expect(rotateRefreshToken(REFRESH_TOKEN)).rejects.toThrow('expired');
+      expect(RefreshToken.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Revoking Everything', () => {
+    test('should revoke refresh tokens, sessions and API keys', async () => {
+      await revokeAllUserTokens(USER_ID, 'password-reset');
+
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { user: USER_ID, revokedAt: null },
+        { revokedAt: expect.any(Date), revokedReason: 'password-reset' }
+      );
+      expect(sessionService.revokeAllSessions).toHaveBeenCalledWith(USER_ID, 'password-reset');
+      expect(apiKeyService.revokeAllApiKeys).toHaveBeenCalledWith(USER_ID);
+    });
+
+    test('should keep API keys when only access tokens are expired', async () => {
+      await expireAccessTokens(USER_ID);
+
+      expect(apiKeyService.revokeAllApiKeys).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Access Token Cutoff', () => {
+    test('should reject a token issued earlier in the same second as the cutoff', async () => {
+      const decoded = verifyToken(generateToken(USER_ID, EMAIL));
+
+      await revokeAllUserTokens(USER_ID);
+      const cutoff = getWrittenCutoff();
+
+      // Pretend the token was issued 1 ms before the cutoff, in the same second
+      const issuedAt = cutoff.getTime() - 1;
+      mockTokensValidAfter(cutoff);
+
+      expect(await isAccessTokenRevoked({ ...decoded, iat: Math.floor(issuedAt / 1000), iat_ms: issuedAt }))
+        .toBe(true);
+    });
+
+    test('should not round the cutoff down to the second', async () => {
+      const before = Date.now();
+
+      await expireAccessTokens(USER_ID);
+
+      expect(getWrittenCutoff().getTime()).toBeGreaterThanOrEqual(before);
+    });
+
+    test('should accept a token issued after the cutoff', async () => {
+      mockTokensValidAfter(new Date(Date.now() - 1));
+
+      expect(await isAccessTokenRevoked(verifyToken(generateToken(USER_ID, EMAIL)))).toBe(false);
+    });
+
+    test('should reject a token without iat_ms issued in the same second as the cutoff', async () => {
+      const cutoff = new Date(Math.floor(Date.now() / 1000) * 1000 + 500);
+      mockTokensValidAfter(cutoff);
+
+      expect(await isAccessTokenRevoked({ userId: USER_ID, iat: Math.floor(cutoff.getTime() / 1000) })).toBe(true);
+    });
+
+    test('should reject a token on the revocation list', async () => {
+      RevokedToken.exists.mockResolvedValue({ _id: 'revoked' });
+
+      expect(await isAccessTokenRevoked(verifyToken(generateToken(USER_ID, EMAIL)))).toBe(true);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+});
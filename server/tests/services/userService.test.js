@@ -0,0 +1,452 @@
+// The database is replaced by these mocks. Tests are not transformed, so the mocks must be set
+// up before the requires below.
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn(),
+  findById: jest.fn(),
+  countDocuments: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/utils/passwordHash', () => ({
+  hashPassword: jest.fn(async () => 'dummy-hash'),
+  comparePassword: jest.fn()
+}));
+jest.mock('../../src/services/vaultService', () => ({
+  retrieveAadhaar: jest.fn(),
+  retrieveMaskedAadhaar: jest.fn()
+}));
+jest.mock('../../src/services/mfaService', () => ({
+  verifyCode: jest.fn()
+}));
+jest.mock('../../src/services/auditService', () => ({
+  ...jest.requireActual('../../src/services/auditService'),
+  record: jest.fn()
+}));
+
+const User = require('../../src/models/User');
+const { hashPassword, comparePassword } = require('../../src/utils/passwordHash');
+const { hashToken } = require('../../src/utils/secureToken');
+const vaultService = require('../../src/services/vaultService');
+const mfaService = require('../../src/services/mfaService');
+const auditService = require('../../src/services/auditService');
+const {
+  authenticateCredentials,
+  listUsers,
+  getUserProfile,
+  confirmStepUp,
+  revealAadhaar,
+  changePassword,
+  verifyEmail,
+  createPasswordResetToken,
+  resetPassword
+} = require('../../src/services/userService');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const EMAIL = 'test@example.com';
+const AADHAAR = '234567890124';
+
+/**
+ * Stored user as returned by User.findOne(...).select(...)
+ */
+const storedUser = (overrides = {}) => ({
+  _id: USER_ID,
+  email: EMAIL,
+  password: 'user-hash',
+  failedLoginAttempts: 0,
+  lockUntil: null,
+  ...overrides
+});
+
+/**
+ * Stored user document whose save resolves to itself
+ */
+const userDocument = (overrides = {}) => {
+  const user = storedUser(overrides);
+  user.save = jest.fn(async () => user);
+  return user;
+};
+
+/**
+ * Make recordFailedLogin's counter update report this many failures so far
+ */
+const mockFailedAttempts = (failedLoginAttempts) => {
+  User.findOneAndUpdate.mockReturnValue({
+    select: () => Promise.resolve(storedUser({ failedLoginAttempts }))
+  });
+};
+
+describe('User Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    auditService.record.mockResolvedValue({});
+  });
+
+  describe('Login Credentials', () => {
+    test('should accept the right password', async () => {
+      User.findOne.mockReturnValue({ select: () => Promise.resolve(storedUser()) });
+      comparePassword.mockResolvedValue(true);
+
+      const { user } = await authenticateCredentials(EMAIL, 'Secret123');
+
+      expect(user._id).toBe(USER_ID);
+      expect(comparePassword).toHaveBeenCalledWith('Secret123', 'user-hash');
+    });
+
+    test('should not evaluate the password of a locked account', async () => {
+      User.findOne.mockReturnValue({
+        select: () => Promise.resolve(storedUser({ failedLoginAttempts: 5, lockUntil: new Date(Date.now() + 60 * 1000) }))
+      });
+      comparePassword.mockResolvedValue(true);
+
+      expect(await authenticateCredentials(EMAIL, 'Secret123')).toEqual({ user: null, lockout: null });
+
+      // Still one (dummy) comparison, so a locked account answers as slowly as any other
+      expect(comparePassword).toHaveBeenCalledTimes(1);
+      expect(comparePassword).toHaveBeenCalledWith('Secret123', 'dummy-hash');
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should back off below the lockout threshold without locking the account', async () => {
+      User.findOne.mockReturnValue({ select: () => Promise.resolve(storedUser()) });
+      comparePassword.mockResolvedValue(false);
+      mockFailedAttempts(1);
+
+      expect(await authenticateCredentials(EMAIL, 'wrong')).toEqual({ user: null, lockout: null });
+      expect(User.updateOne).toHaveBeenCalledTimes(1);
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: USER_ID }, { nextLoginAllowedAt: expect.any(Date) });
+    });
+
+    test('should wait out a short back-off and then accept the right password', async () => {
+      User.findOne.mockReturnValue({
+        select: () => Promise.resolve(storedUser({ failedLoginAttempts: 1, nextLoginAllowedAt: new Date(Date.now() + 50) }))
+      });
+      comparePassword.mockResolvedValue(true);
+      const started = Date.now();
+
+      const { user } = await authenticateCredentials(EMAIL, 'Secret123');
+
+      expect(user._id).toBe(USER_ID);
+      expect(Date.now() - started).toBeGreaterThanOrEqual(40);
+      expect(comparePassword).toHaveBeenCalledWith('Secret123', 'user-hash');
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: USER_ID },
+        expect.objectContaining({ failedLoginAttempts: 0 })
+      );
+    });
+
+    test('should not evaluate the password during a back-off too long to wait out', async () => {
+      User.findOne.mockReturnValue({
+        select: () => Promise.resolve(storedUser({ failedLoginAttempts: 4, nextLoginAllowedAt: new Date(Date.now() + 60 * 1000) }))
+      });
+      comparePassword.mockResolvedValue(true);
+
+      expect(await authenticateCredentials(EMAIL, 'Secret123')).toEqual({ user: null, lockout: null });
+      expect(comparePassword).toHaveBeenCalledWith('Secret123', 'dummy-hash');
+    });
+
+    test('should compare against the dummy hash for unknown emails', async () => {
+      User.findOne.mockReturnValue({ select: () => Promise.resolve(null) });
+      comparePassword.mockResolvedValue(false);
+
+      expect(await authenticateCredentials('nobody@example.com', 'Secret123')).toEqual({ user: null, lockout: null });
+      expect(comparePassword).toHaveBeenCalledWith('Secret123', 'dummy-hash');
+    });
+  });
+
+  describe('Admin User List', () => {
+    test('should list users without decrypting Aadhaar numbers', async () => {
+      const query = {
+        select: () => query,
+        sort: () => query,
+        skip: () => query,
+        limit: () => Promise.resolve([storedUser({ name: 'Test User', role: 'user', emailVerified: true })])
+      };
+      User.find.mockReturnValue(query);
+      User.countDocuments.mockResolvedValue(1);
+
+      const { users, pagination } = await listUsers({ email: 'test' });
+
+      expect(users).toHaveLength(1);
+      expect(users[0]).toMatchObject({ _id: USER_ID, email: EMAIL, status: 'active' });
+      expect(users[0]).not.toHaveProperty('aadhaar');
+      expect(pagination).toEqual({ page: 1, limit: 20, total: 1, totalPages: 1 });
+      expect(vaultService.retrieveAadhaar).not.toHaveBeenCalled();
+    });
+
+    test('should count accounts without an emailVerified field as unverified', async () => {
+      const query = {
+        select: () => query,
+        sort: () => query,
+        skip: () => query,
+        limit: () => Promise.resolve([storedUser()])
+      };
+      User.find.mockReturnValue(query);
+      User.countDocuments.mockResolvedValue(1);
+
+      const { users } = await listUsers({ status: 'unverified' });
+
+      expect(User.find).toHaveBeenCalledWith({ disabledAt: null, emailVerified: { $ne: true } });
+      expect(users[0].emailVerified).toBe(false);
+    });
+
+    test('should include the whole day given as createdTo', async () => {
+      const query = {
+        select: () => query,
+        sort: () => query,
+        skip: () => query,
+        limit: () => Promise.resolve([])
+      };
+      User.find.mockReturnValue(query);
+      User.countDocuments.mockResolvedValue(0);
+
+      await listUsers({ createdFrom: '2024-01-01', createdTo: '2024-01-31' });
+      await listUsers({ createdTo: '2024-01-31T12:00:00Z' });
+
+      expect(User.find).toHaveBeenNthCalledWith(1, {
+        createdAt: { $gte: new Date('2024-01-01'), $lt: new Date('2024-02-01') }
+      });
+      expect(User.find).toHaveBeenNthCalledWith(2, {
+        createdAt: { $lte: new Date('2024-01-31T12:00:00Z') }
+      });
+    });
+
+    test('should not report an account waiting out its back-off as locked', async () => {
+      const query = {
+        select: () => query,
+        sort: () => query,
+        skip: () => query,
+        limit: () => Promise.resolve([storedUser({ failedLoginAttempts: 1, nextLoginAllowedAt: new Date(Date.now() + 1000) })])
+      };
+      User.find.mockReturnValue(query);
+      User.countDocuments.mockResolvedValue(1);
+
+      const { users } = await listUsers({});
+
+      expect(users[0].status).toBe('active');
+    });
+  });
+
+  describe('Aadhaar on the Profile', () => {
+    test('should show the masked number kept in the vault without decrypting it', async () => {
+      User.findById.mockResolvedValue(storedUser({ aadhaarRef: 'ref-1' }));
+      vaultService.retrieveMaskedAadhaar.mockResolvedValue('XXXX XXXX 0124');
+
+      const profile = await getUserProfile(USER_ID, {
+        purpose: auditService.ACCESS_PURPOSES.PROFILE_VIEW
+      });
+
+      expect(profile.aadhaar).toBe('XXXX XXXX 0124');
+      expect(vaultService.retrieveMaskedAadhaar).toHaveBeenCalledWith('ref-1');
+      expect(vaultService.retrieveAadhaar).not.toHaveBeenCalled();
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+
+    test('should decrypt, with an audit entry, a record stored before masks were kept', async () => {
+      User.findById.mockResolvedValue(storedUser({ aadhaarRef: 'ref-1' }));
+      vaultService.retrieveMaskedAadhaar.mockResolvedValue(null);
+      vaultService.retrieveAadhaar.mockResolvedValue(AADHAAR);
+
+      const profile = await getUserProfile(USER_ID, {
+        purpose: auditService.ACCESS_PURPOSES.PROFILE_VIEW
+      });
+
+      expect(profile.aadhaar).toBe('XXXX XXXX 0124');
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: auditService.AUDIT_ACTIONS.AADHAAR_DECRYPT,
+        targetUser: USER_ID,
+        purpose: auditService.ACCESS_PURPOSES.PROFILE_VIEW
+      }));
+    });
+  });
+
+  describe('Aadhaar Reveal', () => {
+    test('should confirm the right password and clear earlier failures', async () => {
+      User.findById.mockReturnValue({
+        select: () => Promise.resolve(storedUser({ failedLoginAttempts: 2 }))
+      });
+      comparePassword.mockResolvedValue(true);
+
+      const { user, lockout } = await confirmStepUp(USER_ID, { password: 'Secret123' });
+
+      expect(user._id).toBe(USER_ID);
+      expect(lockout).toBeNull();
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: USER_ID },
+        expect.objectContaining({ failedLoginAttempts: 0 })
+      );
+    });
+
+    test('should count a wrong password as a failed login', async () => {
+      User.findById.mockReturnValue({ select: () => Promise.resolve(storedUser()) });
+      comparePassword.mockResolvedValue(false);
+      mockFailedAttempts(1);
+
+      expect(await confirmStepUp(USER_ID, { password: 'wrong' })).toEqual({ user: null, lockout: null });
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: USER_ID },
+        { nextLoginAllowedAt: expect.any(Date) }
+      );
+    });
+
+    test('should count a wrong authenticator code as a failed login', async () => {
+      User.findById.mockReturnValue({ select: () => Promise.resolve(storedUser()) });
+      mfaService.verifyCode.mockResolvedValue(false);
+      mockFailedAttempts(1);
+
+      expect(await confirmStepUp(USER_ID, { code: '123456' })).toEqual({ user: null, lockout: null });
+      expect(mfaService.verifyCode).toHaveBeenCalledWith(USER_ID, '123456');
+      expect(User.findOneAndUpdate).toHaveBeenCalled();
+    });
+
+    test('should lock the account at the lockout threshold', async () => {
+      User.findById.mockReturnValue({ select: () => Promise.resolve(storedUser({ failedLoginAttempts: 4 })) });
+      comparePassword.mockResolvedValue(false);
+      mockFailedAttempts(5);
+
+      const { user, lockout } = await confirmStepUp(USER_ID, { password: 'wrong' });
+
+      expect(user).toBeNull();
+      expect(lockout).toMatchObject({ token: expect.any(String), lockedUntil: expect.any(Date) });
+    });
+
+    test('should refuse every confirmation while the account is locked', async () => {
+      User.findById.mockReturnValue({
+        select: () => Promise.resolve(storedUser({ failedLoginAttempts: 5, lockUntil: new Date(Date.now() + 60 * 1000) }))
+      });
+      comparePassword.mockResolvedValue(true);
+
+      await expect(confirmStepUp(USER_ID, { password: 'Secret123' }))
+        .rejects.toMatchObject({ code: 'STEP_UP_LOCKED' });
+      expect(comparePassword).not.toHaveBeenCalled();
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should audit the reveal before decrypting the number', async () => {
+      vaultService.retrieveAadhaar.mockResolvedValue(AADHAAR);
+
+      const { aadhaar, expiresAt } = await revealAadhaar(storedUser({ aadhaarRef: 'ref-1' }), {});
+
+      expect(aadhaar).toBe(AADHAAR);
+      expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        purpose: auditService.ACCESS_PURPOSES.PROFILE_REVEAL
+      }));
+      expect(auditService.record.mock.invocationCallOrder[0])
+        .toBeLessThan(vaultService.retrieveAadhaar.mock.invocationCallOrder[0]);
+    });
+
+    test('should not decrypt the number when the audit entry cannot be written', async () => {
+      auditService.record.mockRejectedValue(new Error('audit log unavailable'));
+
+      await expect(revealAadhaar(storedUser({ aadhaarRef: 'ref-1' }), {})).rejects.toThrow('audit log unavailable');
+      expect(vaultService.retrieveAadhaar).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Change Password', () => {
+    test('should store the hash of the new password after checking the current one', async () => {
+      const user = userDocument();
+      User.findById.mockReturnValue({ select: () => Promise.resolve(user) });
+      comparePassword.mockResolvedValue(true);
+      hashPassword.mockResolvedValueOnce('new-hash');
+
+      const result = await changePassword(USER_ID, 'Secret123', 'NewSecret456');
+
+      expect(comparePassword).toHaveBeenCalledWith('Secret123', 'user-hash');
+      expect(hashPassword).toHaveBeenCalledWith('NewSecret456');
+      expect(user.password).toBe('new-hash');
+      expect(user.save).toHaveBeenCalled();
+      expect(result).not.toHaveProperty('password');
+    });
+
+    test('should refuse a wrong current password and keep the old one', async () => {
+      const user = userDocument();
+      User.findById.mockReturnValue({ select: () => Promise.resolve(user) });
+      comparePassword.mockResolvedValue(false);
+
+      await expect(changePassword(USER_ID, 'wrong', 'NewSecret456')).rejects.toThrow('Current password is incorrect');
+      expect(user.password).toBe('user-hash');
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    test('should report an unknown user', async () => {
+      User.findById.mockReturnValue({ select: () => Promise.resolve(null) });
+
+      await expect(changePassword(USER_ID, 'Secret123', 'NewSecret456')).rejects.toThrow('User not found');
+    });
+  });
+
+  describe('Password Reset', () => {
+    test('should store only the hash of the reset token, with an expiry', async () => {
+      const user = userDocument();
+      User.findOne.mockReturnValue({ exec: () => Promise.resolve(user) });
+
+      const { token, expiresInMinutes } = await createPasswordResetToken(' Test@Example.com ');
+
+      expect(User.findOne).toHaveBeenCalledWith({ email: EMAIL });
+      expect(user.passwordResetTokenHash).toBe(hashToken(token));
+      expect(user.passwordResetTokenHash).not.toBe(token);
+      expect(user.passwordResetExpires.getTime() - Date.now())
+        .toBeGreaterThan((expiresInMinutes - 1) * 60 * 1000);
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    test('should not create a token for an unknown email', async () => {
+      User.findOne.mockReturnValue({ exec: () => Promise.resolve(null) });
+
+      expect(await createPasswordResetToken('nobody@example.com')).toBeNull();
+    });
+
+    test('should set the new password, consume the token and lift any lockout', async () => {
+      const user = userDocument({ passwordResetTokenHash: hashToken('reset-token'), passwordResetExpires: new Date(Date.now() + 60 * 1000) });
+      User.findOne.mockReturnValue({ select: () => Promise.resolve(user) });
+      hashPassword.mockResolvedValueOnce('new-hash');
+
+      await resetPassword('reset-token', 'NewSecret456');
+
+      expect(User.findOne).toHaveBeenCalledWith({
+        passwordResetTokenHash: hashToken('reset-token'),
+        passwordResetExpires: { $gt: expect.any(Date) }
+      });
+      expect(user.password).toBe('new-hash');
+      expect(user.passwordResetTokenHash).toBeUndefined();
+      expect(user.passwordResetExpires).toBeUndefined();
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: USER_ID },
+        expect.objectContaining({ failedLoginAttempts: 0 })
+      );
+    });
+
+    test('should refuse an unknown or expired reset token', async () => {
+      User.findOne.mockReturnValue({ select: () => Promise.resolve(null) });
+
+      await expect(resetPassword('reset-token', 'NewSecret456')).rejects.toThrow('invalid or has expired');
+      expect(hashPassword).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Email Verification', () => {
+    test('should mark the email as verified and consume the token', async () => {
+      const user = userDocument({ emailVerified: false, emailVerificationTokenHash: hashToken('verify-token') });
+      User.findOne.mockResolvedValue(user);
+
+      const result = await verifyEmail('verify-token');
+
+      expect(User.findOne).toHaveBeenCalledWith({
+        emailVerificationTokenHash: hashToken('verify-token'),
+        emailVerificationExpires: { $gt: expect.any(Date) }
+      });
+      expect(result.emailVerified).toBe(true);
+      expect(user.emailVerificationTokenHash).toBeUndefined();
+      expect(user.emailVerificationExpires).toBeUndefined();
+    });
+
+    test('should refuse an unknown or expired verification token', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      await expect(verifyEmail('verify-token')).rejects.toMatchObject({ code: 'VERIFICATION_TOKEN_INVALID' });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+// The database is replaced by these mocks. Tests are not transformed, so the mocks must be set
+// up before the requires below.
+jest.mock('../../src/models/AadhaarVaultRecord', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+  bulkWrite: jest.fn()
+}));
+jest.mock('../../src/services/auditService', () => ({
+  ...jest.requireActual('../../src/services/auditService'),
+  record: jest.fn()
+}));
+
+const AadhaarVaultRecord = require('../../src/models/AadhaarVaultRecord');
+const auditService = require('../../src/services/auditService');
+const {
+  storeAadhaar,
+  retrieveAadhaar,
+  retrieveMaskedAadhaar,
+  backfillBlindIndexBatch,
+  reEncryptBatch
+} = require('../../src/services/vaultService');
+const { encrypt } = require('../../src/utils/encryption');
+
+const AADHAAR = '234567890124';
+
+/**
+ * Vault record as read by a batch job
+ */
+const storedRecord = (id, reference) => ({
+  _id: id,
+  reference,
+  encryptedAadhaar: encrypt(AADHAAR, 'AADHAAR_VAULT_KEY')
+});
+
+/**
+ * Make AadhaarVaultRecord.find(...).sort().limit().select().lean() return these records
+ */
+const mockBatch = (records) => {
+  const query = {
+    sort: () => query,
+    limit: () => query,
+    select: () => query,
+    lean: () => Promise.resolve(records)
+  };
+  AadhaarVaultRecord.find.mockReturnValue(query);
+};
+
+describe('Vault Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auditService.record.mockResolvedValue({});
+    AadhaarVaultRecord.bulkWrite.mockResolvedValue({ modifiedCount: 2 });
+    AadhaarVaultRecord.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('Masked Numbers', () => {
+    test('should keep the masked number with a new record', async () => {
+      AadhaarVaultRecord.create.mockImplementation(async (record) => record);
+
+      await storeAadhaar(AADHAAR);
+
+      expect(AadhaarVaultRecord.create).toHaveBeenCalledWith(expect.objectContaining({
+        maskedAadhaar: 'XXXX XXXX 0124'
+      }));
+      expect(AadhaarVaultRecord.create.mock.calls[0][0].encryptedAadhaar).not.toContain(AADHAAR);
+    });
+
+    test('should read the masked number without decrypting', async () => {
+      AadhaarVaultRecord.findOne.mockReturnValue({
+        select: () => ({ lean: () => Promise.resolve({ maskedAadhaar: 'XXXX XXXX 0124' }) })
+      });
+
+      expect(await retrieveMaskedAadhaar('ref-1')).toBe('XXXX XXXX 0124');
+      expect(AadhaarVaultRecord.findOne).toHaveBeenCalledWith({ reference: 'ref-1' });
+    });
+
+    test('should keep the masked number of an older record once it is decrypted', async () => {
+      AadhaarVaultRecord.findOne.mockReturnValue({
+        select: () => ({ lean: () => Promise.resolve(storedRecord('1', 'ref-1')) })
+      });
+
+      expect(await retrieveMaskedAadhaar('ref-1')).toBeNull();
+      expect(await retrieveAadhaar('ref-1')).toBe(AADHAAR);
+      expect(AadhaarVaultRecord.updateOne).toHaveBeenCalledWith(
+        { _id: '1' },
+        { $set: { maskedAadhaar: 'XXXX XXXX 0124' } }
+      );
+    });
+  });
+
+  describe('Maintenance Batches', () => {
+    test('should audit a blind index batch before decrypting it', async () => {
+      mockBatch([storedRecord('1', 'ref-1'), storedRecord('2', 'ref-2')]);
+
+      const result = await backfillBlindIndexBatch();
+
+      expect(result).toMatchObject({ indexed: 2, failed: [], lastId: '2' });
+      expect(auditService.record).toHaveBeenCalledTimes(1);
+      expect(auditService.record).toHaveBeenCalledWith({
+        action: auditService.AUDIT_ACTIONS.AADHAAR_DECRYPT,
+        purpose: auditService.ACCESS_PURPOSES.MAINTENANCE,
+        details: { source: 'cli', job: 'backfill-aadhaar-index', references: ['ref-1', 'ref-2'] }
+      });
+    });
+
+    test('should not index a batch whose audit entry cannot be written', async () => {
+      mockBatch([storedRecord('1', 'ref-1')]);
+      auditService.record.mockRejectedValue(new Error('audit log unavailable'));
+
+      await expect(backfillBlindIndexBatch()).rejects.toThrow('audit log unavailable');
+      expect(AadhaarVaultRecord.bulkWrite).not.toHaveBeenCalled();
+    });
+
+    test('should audit a re-encryption batch before decrypting it', async () => {
+      mockBatch([storedRecord('1', 'ref-1')]);
+
+      const result = await reEncryptBatch();
+
+      expect(result).toMatchObject({ reEncrypted: 1, failed: [], lastId: '1' });
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        purpose: auditService.ACCESS_PURPOSES.MAINTENANCE,
+        details: { source: 'cli', job: 'reencrypt-data', references: ['ref-1'] }
+      }));
+    });
+
+    test('should not re-encrypt a batch whose audit entry cannot be written', async () => {
+      mockBatch([storedRecord('1', 'ref-1')]);
+      auditService.record.mockRejectedValue(new Error('audit log unavailable'));
+
+      await expect(reEncryptBatch()).rejects.toThrow('audit log unavailable');
+      expect(AadhaarVaultRecord.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should not write an audit entry when no records are left', async () => {
+      mockBatch([]);
+
+      expect(await reEncryptBatch()).toEqual({ reEncrypted: 0, failed: [], lastId: null });
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+  });
+});
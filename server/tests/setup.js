@@ -17,6 +17,16 @@ if (!process.env.AES_SECRET_KEY || process.env.AES_SECRET_KEY.length !== 32) {
   process.env.AES_SECRET_KEY = '0123456789abcdef0123456789abcdef';
 }
 
+// Separate key for the Aadhaar Data Vault, also exactly 32 characters
+if (!process.env.AADHAAR_VAULT_KEY || process.env.AADHAAR_VAULT_KEY.length !== 32) {
+  process.env.AADHAAR_VAULT_KEY = 'fedcba9876543210fedcba9876543210';
+}
+
+// HMAC key for the Aadhaar blind index (at least 32 characters)
+if (!process.env.AADHAAR_INDEX_KEY || process.env.AADHAAR_INDEX_KEY.length < 32) {
+  process.env.AADHAAR_INDEX_KEY = 'test-aadhaar-blind-index-key-0123456789';
+}
+
 if (!process.env.JWT_EXPIRES_IN) {
   process.env.JWT_EXPIRES_IN = '7d';
 }
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const {
+  AADHAAR_CHECKSUM_ERROR_CODE,
+  hasValidVerhoeffChecksum,
+  getAadhaarError,
+  maskAadhaar
+} = require('../../src/utils/aadhaar');
+const { CLIENT_RULES_FILE, buildClientRulesModule } = require('../../scripts/generate-client-aadhaar-rules');
+
+// Passes every rule (Verhoeff check digit 4)
+const VALID_AADHAAR = '234567890124';
+
+describe('Aadhaar Utility Tests', () => {
+  describe('hasValidVerhoeffChecksum', () => {
+    test('should accept the published Verhoeff example 2363', () => {
+      expect(hasValidVerhoeffChecksum('2363')).toBe(true);
+    });
+
+    test('should accept a number with a correct check digit', () => {
+      expect(hasValidVerhoeffChecksum(VALID_AADHAAR)).toBe(true);
+      expect(hasValidVerhoeffChecksum('498562317463')).toBe(true);
+    });
+
+    test('should reject a wrong check digit', () => {
+      expect(hasValidVerhoeffChecksum('234567890125')).toBe(false);
+    });
+
+    test('should catch a single mistyped digit', () => {
+      expect(hasValidVerhoeffChecksum('234567390124')).toBe(false);
+    });
+
+    test('should catch two swapped neighbouring digits', () => {
+      expect(hasValidVerhoeffChecksum('243567890124')).toBe(false);
+    });
+
+    test('should reject non-digit input', () => {
+      expect(hasValidVerhoeffChecksum('23456789012a')).toBe(false);
+      expect(hasValidVerhoeffChecksum('')).toBe(false);
+      expect(hasValidVerhoeffChecksum(null)).toBe(false);
+    });
+  });
+
+  describe('getAadhaarError', () => {
+    test('should return null for a valid number', () => {
+      expect(getAadhaarError(VALID_AADHAAR)).toBeNull();
+    });
+
+    test('should require a number', () => {
+      expect(getAadhaarError('')).toEqual({ message: 'Aadhaar number is required' });
+      expect(getAadhaarError(undefined)).toEqual({ message: 'Aadhaar number is required' });
+    });
+
+    test('should require exactly 12 digits', () => {
+      expect(getAadhaarError('23456789012').message).toBe('Aadhaar number must be exactly 12 digits');
+      expect(getAadhaarError('2345 6789 0124').message).toBe('Aadhaar number must be exactly 12 digits');
+    });
+
+    test('should reject all the same digit', () => {
+      expect(getAadhaarError('222222222222').message).toBe('Aadhaar number cannot be all the same digit');
+    });
+
+    test('should reject a leading 0 or 1', () => {
+      expect(getAadhaarError('123456789012').message).toBe('Aadhaar number cannot start with 0 or 1');
+      expect(getAadhaarError('012345678901').message).toBe('Aadhaar number cannot start with 0 or 1');
+    });
+
+    test('should report a checksum failure with its error code', () => {
+      const error = getAadhaarError('234567890125');
+
+      expect(error.code).toBe(AADHAAR_CHECKSUM_ERROR_CODE);
+      expect(error.code).toBe('AADHAAR_CHECKSUM_INVALID');
+    });
+
+    test('should only set a code for checksum failures', () => {
+      expect(getAadhaarError('23456789012').code).toBeUndefined();
+      expect(getAadhaarError('123456789012').code).toBeUndefined();
+    });
+  });
+
+  describe('maskAadhaar', () => {
+    test('should show only the last four digits', () => {
+      expect(maskAadhaar('123456789012')).toBe('XXXX XXXX 9012');
+    });
+
+    test('should ignore spaces in the input', () => {
+      expect(maskAadhaar('1234 5678 9012')).toBe('XXXX XXXX 9012');
+    });
+
+    test('should not reveal any digit of very short input', () => {
+      expect(maskAadhaar('1234')).toBe('XXXX');
+    });
+
+    test('should return null for empty input', () => {
+      expect(maskAadhaar('')).toBeNull();
+      expect(maskAadhaar(null)).toBeNull();
+      expect(maskAadhaar(undefined)).toBeNull();
+    });
+
+    test('should return null for non-string input', () => {
+      expect(maskAadhaar(123456789012)).toBeNull();
+    });
+  });
+
+  describe('Client Copy', () => {
+    test('should match the rules the Register page runs', () => {
+      // Out of date: run `npm run generate-client-aadhaar-rules`
+      expect(fs.readFileSync(CLIENT_RULES_FILE, 'utf8')).toBe(buildClientRulesModule());
+    });
+  });
+});
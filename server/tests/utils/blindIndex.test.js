@@ -0,0 +1,66 @@
+const { normalizeDigits, computeBlindIndex } = require('../../src/utils/blindIndex');
+
+const KEY_NAME = 'AADHAAR_INDEX_KEY';
+
+describe('Blind Index Utility Tests', () => {
+  describe('normalizeDigits', () => {
+    test('should strip spaces and separators', () => {
+      expect(normalizeDigits('2345 6789 0124')).toBe('234567890124');
+      expect(normalizeDigits('2345-6789-0124')).toBe('234567890124');
+    });
+
+    test('should reject empty or non-string input', () => {
+      expect(() => normalizeDigits('')).toThrow('Value to index cannot be empty');
+      expect(() => normalizeDigits(' - ')).toThrow('Value to index cannot be empty');
+      expect(() => normalizeDigits(234567890124)).toThrow('Value to index must be a string');
+    });
+  });
+
+  describe('computeBlindIndex', () => {
+    test('should return a 64-character hex HMAC', () => {
+      expect(computeBlindIndex('234567890124', KEY_NAME)).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('should give the same index for the same number', () => {
+      expect(computeBlindIndex('234567890124', KEY_NAME)).toBe(computeBlindIndex('234567890124', KEY_NAME));
+    });
+
+    test('should give the same index however the number is formatted', () => {
+      expect(computeBlindIndex('2345 6789 0124', KEY_NAME)).toBe(computeBlindIndex('234567890124', KEY_NAME));
+    });
+
+    test('should give different indexes for different numbers', () => {
+      expect(computeBlindIndex('234567890124', KEY_NAME)).not.toBe(computeBlindIndex('498562317463', KEY_NAME));
+    });
+
+    test('should not be a plain hash of the number', () => {
+      const crypto = require('crypto');
+      const plainHash = crypto.createHash('sha256').update('234567890124').digest('hex');
+
+      expect(computeBlindIndex('234567890124', KEY_NAME)).not.toBe(plainHash);
+    });
+
+    test('should depend on the key', () => {
+      const original = process.env.AADHAAR_INDEX_KEY;
+      const first = computeBlindIndex('234567890124', KEY_NAME);
+
+      process.env.AADHAAR_INDEX_KEY = 'another-blind-index-key-for-tests-000';
+      const second = computeBlindIndex('234567890124', KEY_NAME);
+      process.env.AADHAAR_INDEX_KEY = original;
+
+      expect(second).not.toBe(first);
+    });
+
+    test('should require the key to be set and long enough', () => {
+      expect(() => computeBlindIndex('234567890124', 'MISSING_TEST_INDEX_KEY')).toThrow(
+        'MISSING_TEST_INDEX_KEY is not defined in environment variables'
+      );
+
+      process.env.SHORT_TEST_INDEX_KEY = 'too-short';
+      expect(() => computeBlindIndex('234567890124', 'SHORT_TEST_INDEX_KEY')).toThrow(
+        'SHORT_TEST_INDEX_KEY must be at least 32 characters long'
+      );
+      delete process.env.SHORT_TEST_INDEX_KEY;
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { readClientCredentials } = require('../../src/utils/clientCredentials');
+
+/**
+ * Build a request with an Authorization header and/or body
+ */
+const request = ({ authorization, body } = {}) => ({
+  headers: authorization ? { authorization } : {},
+  body
+});
+
+const basic = (value) => `Basic ${Buffer.from(value, 'utf8').toString('base64')}`;
+
+describe('Client Credentials Tests', () => {
+  describe('HTTP Basic (client_secret_basic)', () => {
+    test('should read the client ID and secret', () => {
+      expect(readClientCredentials(request({ authorization: basic('client-1:s3cret') }))).toEqual({
+        clientId: 'client-1',
+        clientSecret: 's3cret',
+        method: 'client_secret_basic'
+      });
+    });
+
+    test('should form-urlencoded decode both values', () => {
+      const credentials = readClientCredentials(request({ authorization: basic('my+client:a%3Ab%2Bc') }));
+
+      expect(credentials.clientId).toBe('my client');
+      expect(credentials.clientSecret).toBe('a:b+c');
+    });
+
+    test('should split on the first colon only', () => {
+      expect(readClientCredentials(request({ authorization: basic('client-1:a:b') })).clientSecret).toBe('a:b');
+    });
+
+    test('should reject a header without a client ID', () => {
+      expect(() => readClientCredentials(request({ authorization: basic(':secret') }))).toThrow(
+        'Malformed Basic authorization header'
+      );
+      expect(() => readClientCredentials(request({ authorization: basic('no-separator') }))).toThrow(
+        'Malformed Basic authorization header'
+      );
+    });
+
+    test('should reject invalid percent-encoding', () => {
+      expect(() => readClientCredentials(request({ authorization: basic('client-1:%E0%A4%A') }))).toThrow(
+        'Malformed Basic authorization header'
+      );
+    });
+  });
+
+  describe('Request Body (client_secret_post)', () => {
+    test('should read client_id and client_secret', () => {
+      expect(readClientCredentials(request({ body: { client_id: 'client-1', client_secret: 's3cret', token: 'x' } }))).toEqual({
+        clientId: 'client-1',
+        clientSecret: 's3cret',
+        method: 'client_secret_post'
+      });
+    });
+
+    test('should require both parameters', () => {
+      expect(() => readClientCredentials(request({ body: { client_id: 'client-1' } }))).toThrow(
+        'client_id and client_secret must both be sent'
+      );
+      expect(() => readClientCredentials(request({ body: { client_id: 'client-1', client_secret: ['a', 'b'] } }))).toThrow(
+        'client_id and client_secret must both be sent'
+      );
+    });
+  });
+
+  describe('Other Requests', () => {
+    test('should reject credentials sent both ways', () => {
+      expect(() => readClientCredentials(request({
+        authorization: basic('client-1:s3cret'),
+        body: { client_id: 'client-1', client_secret: 's3cret' }
+      }))).toThrow('not both');
+    });
+
+    test('should return null when no credentials were sent', () => {
+      expect(readClientCredentials(request())).toBeNull();
+      expect(readClientCredentials(request({ body: { token: 'x' } }))).toBeNull();
+    });
+
+    test('should ignore other authorization schemes', () => {
+      expect(readClientCredentials(request({ authorization: 'Bearer abc.def.ghi' }))).toBeNull();
+    });
+  });
+});
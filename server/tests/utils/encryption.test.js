@@ -1,4 +1,33 @@
-const { encrypt, decrypt } = require('../../src/utils/encryption');
+const crypto = require('crypto');
+const { encrypt, decrypt, needsReEncryption, getActiveKeyId } = require('../../src/utils/encryption');
+
+/**
+ * Encrypt the way records were stored before the v2 format (AES-256-CBC, iv:encryptedData)
+ */
+const legacyEncrypt = (text, key = process.env.AES_SECRET_KEY) => {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(key), iv);
+  const encrypted = cipher.update(text, 'utf8', 'base64') + cipher.final('base64');
+  return `${iv.toString('base64')}:${encrypted}`;
+};
+
+/**
+ * Replace one field of a v2 envelope
+ */
+const replacePart = (encrypted, index, value) => {
+  const parts = encrypted.split(':');
+  parts[index] = value;
+  return parts.join(':');
+};
+
+/**
+ * Flip one bit of a base64 field
+ */
+const flipBit = (base64) => {
+  const bytes = Buffer.from(base64, 'base64');
+  bytes[0] ^= 0x01;
+  return bytes.toString('base64');
+};
 
 describe('Encryption Utility Tests', () => {
   // Test data
@@ -35,7 +64,8 @@ describe('Encryption Utility Tests', () => {
       
       expect(encrypted).toContain(':');
       const parts = encrypted.split(':');
-      expect(parts.length).toBe(2);
+      expect(parts.length).toBe(5);
+      expect(parts[0]).toBe('v2');
     });
 
     test('should encrypt email addresses', () => {
@@ -273,21 +303,270 @@ describe('Encryption Utility Tests', () => {
       expect(encrypted1).not.toBe(encrypted2);
     });
 
-    test('encrypted format should be consistent (iv:data)', () => {
+    test('encrypted format should be consistent (v2:keyId:iv:tag:data)', () => {
       const encrypted = encrypt(testData.aadhaar);
       const parts = encrypted.split(':');
       
-      expect(parts.length).toBe(2);
-      expect(parts[0].length).toBeGreaterThan(0); // IV
-      expect(parts[1].length).toBeGreaterThan(0); // Encrypted data
+      expect(parts.length).toBe(5);
+      expect(parts[0]).toBe('v2'); // Version
+      expect(parts[1]).toMatch(/^[0-9a-f]{8}$/); // Key ID
+      expect(parts[2].length).toBeGreaterThan(0); // IV
+      expect(parts[3].length).toBeGreaterThan(0); // Authentication tag
+      expect(parts[4].length).toBeGreaterThan(0); // Encrypted data
     });
 
-    test('IV should be valid base64 and 16 bytes when decoded', () => {
+    test('IV should be valid base64 and 12 bytes when decoded', () => {
       const encrypted = encrypt(testData.aadhaar);
       const parts = encrypted.split(':');
-      const iv = Buffer.from(parts[0], 'base64');
+      const iv = Buffer.from(parts[2], 'base64');
       
-      expect(iv.length).toBe(16); // 16 bytes for AES-256-CBC
+      expect(iv.length).toBe(12); // 12 bytes for AES-256-GCM
+    });
+
+    test('authentication tag should be 16 bytes when decoded', () => {
+      const encrypted = encrypt(testData.aadhaar);
+      const tag = Buffer.from(encrypted.split(':')[3], 'base64');
+
+      expect(tag.length).toBe(16);
+    });
+
+    test('key ID should be the same for every encryption with the same key', () => {
+      const keyId1 = encrypt(testData.aadhaar).split(':')[1];
+      const keyId2 = encrypt(testData.email).split(':')[1];
+
+      expect(keyId1).toBe(keyId2);
+      expect(encrypt(testData.aadhaar, 'AADHAAR_VAULT_KEY').split(':')[1]).not.toBe(keyId1);
+    });
+
+    test('key ID should not contain the key', () => {
+      const keyId = encrypt(testData.aadhaar).split(':')[1];
+
+      expect(process.env.AES_SECRET_KEY).not.toContain(keyId);
+    });
+  });
+
+  describe('Tampering', () => {
+    test('should reject modified encrypted data', () => {
+      const encrypted = encrypt(testData.aadhaar);
+      const tampered = replacePart(encrypted, 4, flipBit(encrypted.split(':')[4]));
+
+      expect(() => decrypt(tampered)).toThrow('Decryption failed');
+    });
+
+    test('should reject a modified authentication tag', () => {
+      const encrypted = encrypt(testData.aadhaar);
+      const tampered = replacePart(encrypted, 3, flipBit(encrypted.split(':')[3]));
+
+      expect(() => decrypt(tampered)).toThrow('Decryption failed');
+    });
+
+    test('should reject a truncated authentication tag', () => {
+      const encrypted = encrypt(testData.aadhaar);
+      const shortTag = Buffer.from(encrypted.split(':')[3], 'base64').subarray(0, 4).toString('base64');
+
+      expect(() => decrypt(replacePart(encrypted, 3, shortTag))).toThrow('wrong length');
+    });
+
+    test('should reject a modified IV', () => {
+      const encrypted = encrypt(testData.aadhaar);
+      const tampered = replacePart(encrypted, 2, flipBit(encrypted.split(':')[2]));
+
+      expect(() => decrypt(tampered)).toThrow('Decryption failed');
+    });
+
+    test('should reject a changed key ID', () => {
+      const encrypted = encrypt(testData.aadhaar);
+
+      expect(() => decrypt(replacePart(encrypted, 1, '00000000'))).toThrow('not in the keyring');
+    });
+
+    test('should reject a changed version', () => {
+      const encrypted = encrypt(testData.aadhaar);
+
+      expect(() => decrypt(replacePart(encrypted, 0, 'v3'))).toThrow('Invalid encrypted data format');
+    });
+
+    test('should reject data swapped in from another record', () => {
+      const first = encrypt(testData.aadhaar).split(':');
+      const second = encrypt(testData.numbers).split(':');
+      const spliced = [...first.slice(0, 4), second[4]].join(':');
+
+      expect(() => decrypt(spliced)).toThrow('Decryption failed');
+    });
+
+    test('should reject data encrypted with another key', () => {
+      const encrypted = encrypt(testData.aadhaar, 'AADHAAR_VAULT_KEY');
+
+      expect(() => decrypt(encrypted)).toThrow('not in the keyring');
+    });
+  });
+
+  describe('Keyring', () => {
+    // A key name of its own, so the keyring can be changed without affecting other tests
+    const KEY_NAME = 'ROTATION_TEST_KEY';
+    const OLD_KEY = 'old-rotation-test-key-0123456789';
+    const NEW_KEY = 'new-rotation-test-key-0123456789';
+
+    afterEach(() => {
+      delete process.env.ROTATION_TEST_KEY;
+      delete process.env.ROTATION_TEST_KEYS;
+      delete process.env.ROTATION_TEST_KEY_ACTIVE_ID;
+    });
+
+    test('should stamp the active key ID on new data', () => {
+      process.env.ROTATION_TEST_KEYS = `2024-01:${OLD_KEY},2025-01:${NEW_KEY}`;
+      process.env.ROTATION_TEST_KEY_ACTIVE_ID = '2025-01';
+
+      expect(encrypt(testData.aadhaar, KEY_NAME).split(':')[1]).toBe('2025-01');
+      expect(getActiveKeyId(KEY_NAME)).toBe('2025-01');
+    });
+
+    test('should decrypt data written under an older key after rotation', () => {
+      process.env.ROTATION_TEST_KEYS = `2024-01:${OLD_KEY}`;
+      process.env.ROTATION_TEST_KEY_ACTIVE_ID = '2024-01';
+      const oldData = encrypt(testData.aadhaar, KEY_NAME);
+
+      process.env.ROTATION_TEST_KEYS = `2024-01:${OLD_KEY},2025-01:${NEW_KEY}`;
+      process.env.ROTATION_TEST_KEY_ACTIVE_ID = '2025-01';
+
+      expect(decrypt(oldData, KEY_NAME)).toBe(testData.aadhaar);
+    });
+
+    test('should flag data under a non-active key for re-encryption', () => {
+      process.env.ROTATION_TEST_KEYS = `2024-01:${OLD_KEY},2025-01:${NEW_KEY}`;
+      process.env.ROTATION_TEST_KEY_ACTIVE_ID = '2024-01';
+      const oldData = encrypt(testData.aadhaar, KEY_NAME);
+
+      process.env.ROTATION_TEST_KEY_ACTIVE_ID = '2025-01';
+      const reEncrypted = encrypt(decrypt(oldData, KEY_NAME), KEY_NAME);
+
+      expect(needsReEncryption(oldData, KEY_NAME)).toBe(true);
+      expect(needsReEncryption(reEncrypted, KEY_NAME)).toBe(false);
+      expect(decrypt(reEncrypted, KEY_NAME)).toBe(testData.aadhaar);
+    });
+
+    test('should fail once a key that data needs is removed from the ring', () => {
+      process.env.ROTATION_TEST_KEYS = `2024-01:${OLD_KEY}`;
+      process.env.ROTATION_TEST_KEY_ACTIVE_ID = '2024-01';
+      const oldData = encrypt(testData.aadhaar, KEY_NAME);
+
+      process.env.ROTATION_TEST_KEYS = `2025-01:${NEW_KEY}`;
+      process.env.ROTATION_TEST_KEY_ACTIVE_ID = '2025-01';
+
+      expect(() => decrypt(oldData, KEY_NAME)).toThrow('key ID 2024-01');
+    });
+
+    test('should keep data under a single key readable when a keyring is added', () => {
+      process.env.ROTATION_TEST_KEY = OLD_KEY;
+      const oldData = encrypt(testData.aadhaar, KEY_NAME);
+      const legacyData = legacyEncrypt(testData.aadhaar, OLD_KEY);
+
+      process.env.ROTATION_TEST_KEYS = `2025-01:${NEW_KEY}`;
+      process.env.ROTATION_TEST_KEY_ACTIVE_ID = '2025-01';
+
+      expect(decrypt(oldData, KEY_NAME)).toBe(testData.aadhaar);
+      expect(decrypt(legacyData, KEY_NAME)).toBe(testData.aadhaar);
+      expect(needsReEncryption(oldData, KEY_NAME)).toBe(true);
+      expect(encrypt(testData.aadhaar, KEY_NAME).split(':')[1]).toBe('2025-01');
+    });
+
+    test('should use the single key as the active key when no active ID is set', () => {
+      process.env.ROTATION_TEST_KEY = OLD_KEY;
+
+      expect(getActiveKeyId(KEY_NAME)).toMatch(/^[0-9a-f]{8}$/);
+    });
+
+    test('should require an active key ID for a keyring without a single key', () => {
+      process.env.ROTATION_TEST_KEYS = `2025-01:${NEW_KEY}`;
+
+      expect(() => encrypt(testData.aadhaar, KEY_NAME)).toThrow('ROTATION_TEST_KEY_ACTIVE_ID must name the key');
+    });
+
+    test('should reject an active key ID that is not in the ring', () => {
+      process.env.ROTATION_TEST_KEYS = `2025-01:${NEW_KEY}`;
+      process.env.ROTATION_TEST_KEY_ACTIVE_ID = '2026-01';
+
+      expect(() => encrypt(testData.aadhaar, KEY_NAME)).toThrow('"2026-01" is not in the keyring');
+    });
+
+    test('should reject badly formed keyring entries', () => {
+      process.env.ROTATION_TEST_KEY_ACTIVE_ID = 'a';
+
+      process.env.ROTATION_TEST_KEYS = NEW_KEY;
+      expect(() => encrypt(testData.aadhaar, KEY_NAME)).toThrow('entries must look like <id>:<key>');
+
+      process.env.ROTATION_TEST_KEYS = `bad id:${NEW_KEY}`;
+      expect(() => encrypt(testData.aadhaar, KEY_NAME)).toThrow('entries must look like <id>:<key>');
+
+      process.env.ROTATION_TEST_KEYS = 'a:too-short';
+      expect(() => encrypt(testData.aadhaar, KEY_NAME)).toThrow('must be exactly 32 characters long');
+
+      process.env.ROTATION_TEST_KEYS = `a:${OLD_KEY},a:${NEW_KEY}`;
+      expect(() => encrypt(testData.aadhaar, KEY_NAME)).toThrow('more than one key with ID "a"');
+    });
+  });
+
+  describe('Legacy Records (AES-256-CBC)', () => {
+    test('should decrypt legacy iv:data records', () => {
+      expect(decrypt(legacyEncrypt(testData.aadhaar))).toBe(testData.aadhaar);
+      expect(decrypt(legacyEncrypt(testData.unicode))).toBe(testData.unicode);
+    });
+
+    test('should decrypt legacy records with a named key', () => {
+      const legacy = legacyEncrypt(testData.aadhaar, process.env.AADHAAR_VAULT_KEY);
+
+      expect(decrypt(legacy, 'AADHAAR_VAULT_KEY')).toBe(testData.aadhaar);
+    });
+
+    test('should flag legacy records for re-encryption', () => {
+      expect(needsReEncryption(legacyEncrypt(testData.aadhaar))).toBe(true);
+    });
+
+    test('should not flag current records for re-encryption', () => {
+      expect(needsReEncryption(encrypt(testData.aadhaar))).toBe(false);
+    });
+
+    test('should migrate a legacy record to v2 with the same plain text', () => {
+      const legacy = legacyEncrypt(testData.aadhaar);
+      const migrated = encrypt(decrypt(legacy));
+
+      expect(migrated.startsWith('v2:')).toBe(true);
+      expect(needsReEncryption(migrated)).toBe(false);
+      expect(decrypt(migrated)).toBe(testData.aadhaar);
+    });
+
+    test('should reject a legacy record with an IV of the wrong length', () => {
+      const [, data] = legacyEncrypt(testData.aadhaar).split(':');
+      const shortIv = Buffer.alloc(8).toString('base64');
+
+      expect(() => decrypt(`${shortIv}:${data}`)).toThrow('IV has the wrong length');
+    });
+  });
+
+  describe('Named Keys', () => {
+    test('should round trip with a key other than AES_SECRET_KEY', () => {
+      const encrypted = encrypt(testData.aadhaar, 'AADHAAR_VAULT_KEY');
+
+      expect(decrypt(encrypted, 'AADHAAR_VAULT_KEY')).toBe(testData.aadhaar);
+    });
+
+    test('should not decrypt data encrypted with a different key', () => {
+      const encrypted = encrypt(testData.aadhaar, 'AADHAAR_VAULT_KEY');
+
+      let decrypted;
+      try {
+        decrypted = decrypt(encrypted);
+      } catch (error) {
+        decrypted = null;
+      }
+
+      expect(decrypted).not.toBe(testData.aadhaar);
+    });
+
+    test('should name the missing key in the error', () => {
+      expect(() => encrypt(testData.aadhaar, 'MISSING_TEST_KEY')).toThrow(
+        'MISSING_TEST_KEY is not defined in environment variables'
+      );
     });
   });
 });
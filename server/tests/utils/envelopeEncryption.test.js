@@ -0,0 +1,212 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  encrypt,
+  decrypt,
+  envelopeEncrypt,
+  envelopeDecrypt,
+  needsReEncryption,
+  getCurrentPrefix
+} = require('../../src/utils/encryption');
+
+/**
+ * Replace one field of an envelope
+ */
+const replacePart = (encrypted, index, value) => {
+  const parts = encrypted.split(':');
+  parts[index] = value;
+  return parts.join(':');
+};
+
+/**
+ * Flip one bit of a base64 field
+ */
+const flipBit = (base64) => {
+  const bytes = Buffer.from(base64, 'base64');
+  bytes[0] ^= 0x01;
+  return bytes.toString('base64');
+};
+
+describe('Envelope Encryption Tests', () => {
+  const AADHAAR = '123456789012';
+  const UNICODE = '测试 テスト 🚀';
+
+  // A key name of its own, with no keyring, so only the KMS can decrypt its data
+  const KEY_NAME = 'ENVELOPE_TEST_KEY';
+  const ARN_KEY_ID = 'arn:aws:kms:ap-south-1:111122223333:key/master-2';
+  let keyDir;
+
+  beforeAll(() => {
+    keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kms-test-'));
+    const keyFile = path.join(keyDir, 'keys.json');
+    fs.writeFileSync(keyFile, JSON.stringify({
+      keys: {
+        'master-1': crypto.randomBytes(32).toString('base64'),
+        [ARN_KEY_ID]: crypto.randomBytes(32).toString('base64')
+      }
+    }));
+    process.env.KMS_LOCAL_KEY_FILE = keyFile;
+  });
+
+  beforeEach(() => {
+    process.env.KMS_PROVIDER = 'local';
+    process.env.ENVELOPE_TEST_KEY_KMS_KEY_ID = 'master-1';
+  });
+
+  afterEach(() => {
+    delete process.env.KMS_PROVIDER;
+    delete process.env.ENVELOPE_TEST_KEY_KMS_KEY_ID;
+    delete process.env.UNKNOWN_PROVIDER_TEST_KEY_KMS_KEY_ID;
+  });
+
+  afterAll(() => {
+    delete process.env.KMS_LOCAL_KEY_FILE;
+    fs.rmSync(keyDir, { recursive: true, force: true });
+  });
+
+  describe('With a KMS Provider', () => {
+    test('should write v3 envelopes naming the master key', async () => {
+      const parts = (await envelopeEncrypt(AADHAAR, KEY_NAME)).split(':');
+
+      expect(parts).toHaveLength(6);
+      expect(parts[0]).toBe('v3');
+      expect(Buffer.from(parts[1], 'base64url').toString('utf8')).toBe('master-1');
+      expect(parts[2]).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    test('should round trip without a keyring for the key name', async () => {
+      const encrypted = await envelopeEncrypt(UNICODE, KEY_NAME);
+
+      expect(process.env.ENVELOPE_TEST_KEY).toBeUndefined();
+      expect(await envelopeDecrypt(encrypted, KEY_NAME)).toBe(UNICODE);
+    });
+
+    test('should reuse one data key for a batch of values', async () => {
+      const first = (await envelopeEncrypt(AADHAAR, KEY_NAME)).split(':');
+      const second = (await envelopeEncrypt(AADHAAR, KEY_NAME)).split(':');
+
+      expect(second[2]).toBe(first[2]);
+      expect(second[3]).not.toBe(first[3]);
+      expect(second[5]).not.toBe(first[5]);
+    });
+
+    test('should support master key IDs containing ":"', async () => {
+      process.env.ENVELOPE_TEST_KEY_KMS_KEY_ID = ARN_KEY_ID;
+
+      const encrypted = await envelopeEncrypt(AADHAAR, KEY_NAME);
+
+      expect(encrypted.split(':')).toHaveLength(6);
+      expect(await envelopeDecrypt(encrypted, KEY_NAME)).toBe(AADHAAR);
+    });
+
+    test('should use a new data key after the master key changes and still decrypt old data', async () => {
+      const oldData = await envelopeEncrypt(AADHAAR, KEY_NAME);
+
+      process.env.ENVELOPE_TEST_KEY_KMS_KEY_ID = ARN_KEY_ID;
+      const newData = await envelopeEncrypt(AADHAAR, KEY_NAME);
+
+      expect(newData.split(':')[2]).not.toBe(oldData.split(':')[2]);
+      expect(await envelopeDecrypt(oldData, KEY_NAME)).toBe(AADHAAR);
+      expect(needsReEncryption(oldData, KEY_NAME)).toBe(true);
+      expect(needsReEncryption(newData, KEY_NAME)).toBe(false);
+      expect(newData.startsWith(getCurrentPrefix(KEY_NAME))).toBe(true);
+    });
+
+    test('should decrypt keyring data and flag it for re-encryption', async () => {
+      const keyringData = encrypt(AADHAAR);
+      process.env.AES_SECRET_KEY_KMS_KEY_ID = 'master-1';
+
+      try {
+        expect(keyringData.startsWith('v2:')).toBe(true);
+        expect(await envelopeDecrypt(keyringData)).toBe(AADHAAR);
+        expect(needsReEncryption(keyringData)).toBe(true);
+
+        const migrated = await envelopeEncrypt(await envelopeDecrypt(keyringData));
+        expect(migrated.startsWith('v3:')).toBe(true);
+        expect(needsReEncryption(migrated)).toBe(false);
+      } finally {
+        delete process.env.AES_SECRET_KEY_KMS_KEY_ID;
+      }
+    });
+
+    test('should leave encrypt and decrypt on the keyring', async () => {
+      const encrypted = await envelopeEncrypt(AADHAAR, KEY_NAME);
+
+      expect(encrypt(AADHAAR).startsWith('v2:')).toBe(true);
+      expect(() => decrypt(encrypted, KEY_NAME)).toThrow(
+        'Decryption failed: Data was encrypted with a KMS data key. Decrypt it with envelopeDecrypt'
+      );
+    });
+
+    test('should detect a tampered wrapped data key', async () => {
+      const encrypted = await envelopeEncrypt(AADHAAR, KEY_NAME);
+      const wrapped = Buffer.from(encrypted.split(':')[2], 'base64url');
+      wrapped[wrapped.length - 1] ^= 0x01;
+
+      await expect(envelopeDecrypt(replacePart(encrypted, 2, wrapped.toString('base64url')), KEY_NAME))
+        .rejects.toThrow('Decryption failed');
+    });
+
+    test('should detect a swapped master key ID', async () => {
+      const encrypted = await envelopeEncrypt(AADHAAR, KEY_NAME);
+      const otherId = Buffer.from(ARN_KEY_ID).toString('base64url');
+
+      await expect(envelopeDecrypt(replacePart(encrypted, 1, otherId), KEY_NAME)).rejects.toThrow('Decryption failed');
+    });
+
+    test('should detect tampered data', async () => {
+      const encrypted = await envelopeEncrypt(AADHAAR, KEY_NAME);
+      const tampered = replacePart(encrypted, 5, flipBit(encrypted.split(':')[5]));
+
+      await expect(envelopeDecrypt(tampered, KEY_NAME)).rejects.toThrow('Decryption failed');
+    });
+
+    test('should reject empty text', async () => {
+      await expect(envelopeEncrypt('  ', KEY_NAME)).rejects.toThrow('Encryption failed: Text to encrypt cannot be empty');
+    });
+
+    test('should require a master key ID for the key name', async () => {
+      delete process.env.ENVELOPE_TEST_KEY_KMS_KEY_ID;
+
+      await expect(envelopeEncrypt(AADHAAR, KEY_NAME)).rejects.toThrow(
+        'ENVELOPE_TEST_KEY_KMS_KEY_ID is not defined in environment variables'
+      );
+    });
+
+    test('should name an unknown master key in the error', async () => {
+      process.env.ENVELOPE_TEST_KEY_KMS_KEY_ID = 'missing-master';
+
+      await expect(envelopeEncrypt(AADHAAR, KEY_NAME)).rejects.toThrow('KMS master key "missing-master" not found');
+    });
+
+    test('should reject an unknown KMS provider', async () => {
+      process.env.UNKNOWN_PROVIDER_TEST_KEY_KMS_KEY_ID = 'master-1';
+      process.env.KMS_PROVIDER = 'unknown';
+
+      await expect(envelopeEncrypt(AADHAAR, 'UNKNOWN_PROVIDER_TEST_KEY')).rejects.toThrow('Unknown KMS_PROVIDER "unknown"');
+    });
+  });
+
+  describe('Without a KMS Provider', () => {
+    beforeEach(() => {
+      delete process.env.KMS_PROVIDER;
+    });
+
+    test('should encrypt with the keyring, like encrypt', async () => {
+      const encrypted = await envelopeEncrypt(AADHAAR);
+
+      expect(encrypted.startsWith(getCurrentPrefix())).toBe(true);
+      expect(encrypted.startsWith('v2:')).toBe(true);
+      expect(decrypt(encrypted)).toBe(AADHAAR);
+      expect(await envelopeDecrypt(encrypt(AADHAAR))).toBe(AADHAAR);
+    });
+
+    test('should report keyring errors the same way', async () => {
+      await expect(envelopeEncrypt('')).rejects.toThrow('Encryption failed: Text to encrypt cannot be empty');
+      await expect(envelopeDecrypt('not:valid:data')).rejects.toThrow('Decryption failed: Invalid encrypted data format');
+      await expect(envelopeDecrypt(null)).rejects.toThrow('Decryption failed: Encrypted data cannot be empty');
+    });
+  });
+});
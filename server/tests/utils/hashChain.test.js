@@ -0,0 +1,140 @@
+const {
+  GENESIS_HASH,
+  canonicalize,
+  computeEntryHash,
+  verifyChain
+} = require('../../src/utils/hashChain');
+
+/**
+ * Builds a valid chain of entries for the tests
+ */
+const buildChain = (count) => {
+  const entries = [];
+  let prevHash = GENESIS_HASH;
+
+  for (let sequence = 1; sequence <= count; sequence++) {
+    const content = { sequence, action: 'aadhaar.decrypt', subject: `user-${sequence}` };
+    const hash = computeEntryHash(content, prevHash);
+    entries.push({ sequence, prevHash, hash, content });
+    prevHash = hash;
+  }
+
+  return entries;
+};
+
+describe('Hash Chain Utility Tests', () => {
+  describe('canonicalize', () => {
+    test('should not depend on object key order', () => {
+      expect(canonicalize({ b: 1, a: { d: 2, c: 3 } })).toBe(canonicalize({ a: { c: 3, d: 2 }, b: 1 }));
+    });
+
+    test('should write dates as ISO strings', () => {
+      expect(canonicalize({ at: new Date('2024-01-15T10:30:00.000Z') })).toBe('{"at":"2024-01-15T10:30:00.000Z"}');
+    });
+
+    test('should write ObjectId-like values as hex strings', () => {
+      const id = { toHexString: () => '507f1f77bcf86cd799439011' };
+      expect(canonicalize({ id })).toBe('{"id":"507f1f77bcf86cd799439011"}');
+    });
+
+    test('should treat undefined fields as absent and null as null', () => {
+      expect(canonicalize({ a: undefined, b: null })).toBe('{"b":null}');
+    });
+  });
+
+  describe('computeEntryHash', () => {
+    test('should return a 64-character hex hash', () => {
+      expect(computeEntryHash({ sequence: 1 }, GENESIS_HASH)).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('should change when the previous hash changes', () => {
+      const content = { sequence: 2 };
+      expect(computeEntryHash(content, 'a'.repeat(64))).not.toBe(computeEntryHash(content, 'b'.repeat(64)));
+    });
+
+    test('should change when the content changes', () => {
+      expect(computeEntryHash({ sequence: 1, ip: '1.1.1.1' }, GENESIS_HASH))
+        .not.toBe(computeEntryHash({ sequence: 1, ip: '2.2.2.2' }, GENESIS_HASH));
+    });
+  });
+
+  describe('verifyChain', () => {
+    test('should accept an intact chain', async () => {
+      const result = await verifyChain(buildChain(5));
+
+      expect(result.valid).toBe(true);
+      expect(result.checked).toBe(5);
+      expect(result.lastSequence).toBe(5);
+      expect(result.error).toBeNull();
+    });
+
+    test('should accept an empty chain', async () => {
+      const result = await verifyChain([]);
+
+      expect(result.valid).toBe(true);
+      expect(result.checked).toBe(0);
+      expect(result.lastHash).toBe(GENESIS_HASH);
+    });
+
+    test('should detect a modified entry', async () => {
+      const entries = buildChain(5);
+      entries[2].content = { ...entries[2].content, subject: 'someone-else' };
+
+      const result = await verifyChain(entries);
+
+      expect(result.valid).toBe(false);
+      expect(result.checked).toBe(2);
+      expect(result.error.sequence).toBe(3);
+      expect(result.error.reason).toMatch(/modified/);
+    });
+
+    test('should detect a deleted entry', async () => {
+      const entries = buildChain(5);
+      entries.splice(1, 1);
+
+      const result = await verifyChain(entries);
+
+      expect(result.valid).toBe(false);
+      expect(result.error.sequence).toBe(2);
+      expect(result.error.reason).toMatch(/missing/);
+    });
+
+    test('should detect an entry re-hashed after the chain was built', async () => {
+      const entries = buildChain(5);
+      // Attacker edits entry 2 and recomputes its hash, but cannot fix entry 3
+      entries[1].content = { ...entries[1].content, subject: 'someone-else' };
+      entries[1].hash = computeEntryHash(entries[1].content, entries[1].prevHash);
+
+      const result = await verifyChain(entries);
+
+      expect(result.valid).toBe(false);
+      expect(result.error.sequence).toBe(3);
+      expect(result.error.reason).toMatch(/Previous hash/);
+    });
+
+    test('should resume from an already verified entry', async () => {
+      const entries = buildChain(5);
+
+      const result = await verifyChain(entries.slice(3), {
+        startSequence: 3,
+        startHash: entries[2].hash
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.checked).toBe(2);
+      expect(result.lastSequence).toBe(5);
+    });
+
+    test('should work with async iterables', async () => {
+      const entries = buildChain(3);
+      const stream = (async function* generate() {
+        yield* entries;
+      })();
+
+      const result = await verifyChain(stream);
+
+      expect(result.valid).toBe(true);
+      expect(result.checked).toBe(3);
+    });
+  });
+});
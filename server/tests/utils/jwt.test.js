@@ -0,0 +1,327 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jsonwebtoken = require('jsonwebtoken');
+const {
+  generateToken,
+  verifyToken,
+  decodeToken,
+  generateMfaToken,
+  verifyMfaToken,
+  generateOAuthAccessToken,
+  verifyOAuthAccessToken,
+  generateIdToken,
+  generateServiceToken,
+  verifyServiceToken,
+  isServiceToken
+} = require('../../src/utils/jwt');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const EMAIL = 'test@example.com';
+
+/**
+ * Split a token into its decoded header and payload
+ */
+const readToken = (token) => {
+  const [header, payload] = token.split('.');
+  return {
+    header: JSON.parse(Buffer.from(header, 'base64url').toString('utf8')),
+    payload: JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+  };
+};
+
+describe('JWT Utility Tests', () => {
+  describe('Shared Secret (HS256)', () => {
+    test('should sign with HS256 and no key ID when no signing keys are configured', () => {
+      const { header } = readToken(generateToken(USER_ID, EMAIL));
+
+      expect(header.alg).toBe('HS256');
+      expect(header.kid).toBeUndefined();
+    });
+
+    test('should round trip access and MFA tokens', () => {
+      expect(verifyToken(generateToken(USER_ID, EMAIL)).userId).toBe(USER_ID);
+      expect(verifyMfaToken(generateMfaToken(USER_ID)).userId).toBe(USER_ID);
+    });
+
+    test('should record the issue time in milliseconds as well as seconds', () => {
+      const before = Date.now();
+      const decoded = verifyToken(generateToken(USER_ID, EMAIL));
+
+      expect(decoded.iat_ms).toBeGreaterThanOrEqual(before);
+      expect(decoded.iat_ms).toBeLessThanOrEqual(Date.now());
+      expect(decoded.iat).toBe(Math.floor(decoded.iat_ms / 1000));
+    });
+  });
+
+  describe('Service Tokens', () => {
+    test('should round trip service tokens with their client and scopes', () => {
+      const token = generateServiceToken({ clientId: 'client-1', scopes: ['users:read', 'users:logout'] });
+
+      expect(verifyServiceToken(token)).toMatchObject({
+        sub: 'client-1',
+        client_id: 'client-1',
+        scope: 'users:read users:logout',
+        aud: 'identity-management-internal'
+      });
+      expect(verifyServiceToken(token)).not.toHaveProperty('userId');
+    });
+
+    test('should keep service tokens and user access tokens apart', () => {
+      const serviceToken = generateServiceToken({ clientId: 'client-1', scopes: ['users:read'] });
+
+      expect(() => verifyToken(serviceToken)).toThrow('Invalid token');
+      expect(() => verifyServiceToken(generateToken(USER_ID, EMAIL))).toThrow('Invalid token');
+      expect(() => verifyServiceToken(generateMfaToken(USER_ID))).toThrow('Invalid token');
+    });
+
+    test('should tell service tokens apart by their audience', () => {
+      expect(isServiceToken(generateServiceToken({ clientId: 'client-1', scopes: ['users:read'] }))).toBe(true);
+      expect(isServiceToken(generateToken(USER_ID, EMAIL))).toBe(false);
+      expect(isServiceToken('not-a-jwt')).toBe(false);
+    });
+
+    test('should require scopes', () => {
+      expect(() => generateServiceToken({ clientId: 'client-1', scopes: [] })).toThrow('ClientId and scopes are required');
+    });
+  });
+
+  describe('Signing Keys', () => {
+    let keyDir;
+    const keyPairs = {};
+
+    beforeAll(() => {
+      keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-test-'));
+      keyPairs.rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      keyPairs.ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      keyPairs.ed = crypto.generateKeyPairSync('ed25519');
+      keyPairs.retired = crypto.generateKeyPairSync('ed25519');
+
+      Object.entries(keyPairs).forEach(([kid, { privateKey }]) => {
+        fs.writeFileSync(path.join(keyDir, `${kid}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+      });
+    });
+
+    beforeEach(() => {
+      process.env.JWT_SIGNING_KEYS_DIR = keyDir;
+    });
+
+    afterEach(() => {
+      delete process.env.JWT_SIGNING_KEYS_DIR;
+      delete process.env.JWT_SIGNING_KEY_ID;
+    });
+
+    afterAll(() => {
+      fs.rmSync(keyDir, { recursive: true, force: true });
+    });
+
+    test.each([
+      ['rsa', 'RS256'],
+      ['ec', 'ES256'],
+      ['ed', 'EdDSA']
+    ])('should sign with the %s key as %s and a kid header', (kid, alg) => {
+      process.env.JWT_SIGNING_KEY_ID = kid;
+
+      const token = generateToken(USER_ID, EMAIL, { role: 'admin' });
+      const { header } = readToken(token);
+      const decoded = verifyToken(token);
+
+      expect(header).toMatchObject({ alg, kid, typ: 'JWT' });
+      expect(decoded).toMatchObject({
+        userId: USER_ID,
+        email: EMAIL,
+        role: 'admin',
+        iss: 'identity-management-service',
+        aud: 'identity-management-client'
+      });
+      expect(decoded.exp).toBeGreaterThan(decoded.iat);
+      expect(decoded.jti).toBeDefined();
+    });
+
+    test('should verify EdDSA tokens with the published public key alone', () => {
+      process.env.JWT_SIGNING_KEY_ID = 'ed';
+      const [header, payload, signature] = generateToken(USER_ID, EMAIL).split('.');
+
+      const valid = crypto.verify(
+        null,
+        Buffer.from(`${header}.${payload}`),
+        keyPairs.ed.publicKey,
+        Buffer.from(signature, 'base64url')
+      );
+
+      expect(valid).toBe(true);
+    });
+
+    test('should keep verifying tokens signed with the previous key after a rotation', () => {
+      process.env.JWT_SIGNING_KEY_ID = 'retired';
+      const oldToken = generateToken(USER_ID, EMAIL);
+
+      process.env.JWT_SIGNING_KEY_ID = 'ed';
+      const newToken = generateToken(USER_ID, EMAIL);
+
+      expect(readToken(newToken).header.kid).toBe('ed');
+      expect(verifyToken(oldToken).userId).toBe(USER_ID);
+      expect(verifyToken(newToken).userId).toBe(USER_ID);
+    });
+
+    test('should reject tokens signed with JWT_SECRET once signing keys are configured', () => {
+      process.env.JWT_SIGNING_KEY_ID = 'ed';
+      const token = jsonwebtoken.sign({ userId: USER_ID, email: EMAIL }, process.env.JWT_SECRET, {
+        expiresIn: '15m',
+        issuer: 'identity-management-service',
+        audience: 'identity-management-client'
+      });
+
+      expect(() => verifyToken(token)).toThrow('Invalid token');
+    });
+
+    test('should reject an unknown kid', () => {
+      process.env.JWT_SIGNING_KEY_ID = 'ed';
+      const token = generateToken(USER_ID, EMAIL);
+      const { header } = readToken(token);
+      const forged = [
+        Buffer.from(JSON.stringify({ ...header, kid: 'missing' })).toString('base64url'),
+        ...token.split('.').slice(1)
+      ].join('.');
+
+      expect(() => verifyToken(forged)).toThrow('Invalid token');
+    });
+
+    test('should reject an HS256 token signed with a public key as the secret', () => {
+      process.env.JWT_SIGNING_KEY_ID = 'rsa';
+      const publicPem = keyPairs.rsa.publicKey.export({ type: 'spki', format: 'pem' });
+      const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: 'rsa' })).toString('base64url');
+      const payload = Buffer.from(JSON.stringify({
+        userId: USER_ID,
+        iss: 'identity-management-service',
+        aud: 'identity-management-client',
+        exp: Math.floor(Date.now() / 1000) + 60
+      })).toString('base64url');
+      const signature = crypto.createHmac('sha256', publicPem).update(`${header}.${payload}`).digest('base64url');
+
+      expect(() => verifyToken(`${header}.${payload}.${signature}`)).toThrow('Invalid token');
+    });
+
+    test('should reject an unsigned token that claims a key', () => {
+      process.env.JWT_SIGNING_KEY_ID = 'ed';
+      const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT', kid: 'ed' })).toString('base64url');
+      const payload = readToken(generateToken(USER_ID, EMAIL)).payload;
+
+      expect(() => verifyToken(`${header}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}.`))
+        .toThrow('Invalid token');
+    });
+
+    test('should reject an EdDSA token with a changed payload', () => {
+      process.env.JWT_SIGNING_KEY_ID = 'ed';
+      const [header, payload, signature] = generateToken(USER_ID, EMAIL).split('.');
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      const changed = Buffer.from(JSON.stringify({ ...claims, role: 'admin' })).toString('base64url');
+
+      expect(() => verifyToken(`${header}.${changed}.${signature}`)).toThrow('Invalid token');
+    });
+
+    test('should reject an expired EdDSA token', () => {
+      process.env.JWT_SIGNING_KEY_ID = 'ed';
+      const token = generateToken(USER_ID, EMAIL);
+      const { exp } = decodeToken(token);
+
+      jest.useFakeTimers({ now: (exp + 1) * 1000 });
+      try {
+        expect(() => verifyToken(token)).toThrow('Token has expired');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should keep MFA and access tokens apart', () => {
+      process.env.JWT_SIGNING_KEY_ID = 'ed';
+
+      expect(() => verifyToken(generateMfaToken(USER_ID))).toThrow('Invalid token');
+      expect(() => verifyMfaToken(generateToken(USER_ID, EMAIL))).toThrow('Invalid verification session');
+      expect(verifyMfaToken(generateMfaToken(USER_ID)).userId).toBe(USER_ID);
+    });
+
+    describe('OpenID Connect Tokens', () => {
+      const ISSUER = 'https://id.example.com';
+      const CLIENT_ID = 'client-1';
+
+      beforeEach(() => {
+        process.env.JWT_SIGNING_KEY_ID = 'ec';
+        process.env.OIDC_ISSUER = `${ISSUER}/`;
+      });
+
+      afterEach(() => {
+        delete process.env.OIDC_ISSUER;
+      });
+
+      test('should sign ID tokens for the client, verifiable with the public key alone', () => {
+        const authTime = new Date('2026-01-01T00:00:00Z');
+        const token = generateIdToken({
+          userId: USER_ID,
+          clientId: CLIENT_ID,
+          nonce: 'n-0S6_WzA2Mj',
+          authTime,
+          claims: { email: EMAIL, email_verified: true }
+        });
+
+        const decoded = jsonwebtoken.verify(token, keyPairs.ec.publicKey, {
+          algorithms: ['ES256'],
+          issuer: ISSUER,
+          audience: CLIENT_ID
+        });
+
+        expect(readToken(token).header.kid).toBe('ec');
+        expect(decoded).toMatchObject({
+          sub: USER_ID,
+          nonce: 'n-0S6_WzA2Mj',
+          auth_time: authTime.getTime() / 1000,
+          email: EMAIL,
+          email_verified: true
+        });
+      });
+
+      test('should leave out nonce and auth_time when there are none', () => {
+        const { payload } = readToken(generateIdToken({ userId: USER_ID, clientId: CLIENT_ID }));
+
+        expect(payload).not.toHaveProperty('nonce');
+        expect(payload).not.toHaveProperty('auth_time');
+      });
+
+      test('should round trip OAuth access tokens with their client, scopes and session', () => {
+        const token = generateOAuthAccessToken({
+          userId: USER_ID,
+          clientId: CLIENT_ID,
+          scopes: ['openid', 'email'],
+          sessionId: '507f191e810c19729de860ea'
+        });
+
+        expect(verifyOAuthAccessToken(token)).toMatchObject({
+          userId: USER_ID,
+          sub: USER_ID,
+          client_id: CLIENT_ID,
+          scope: 'openid email',
+          sid: '507f191e810c19729de860ea',
+          iss: ISSUER
+        });
+      });
+
+      test('should keep OAuth access tokens and first-party access tokens apart', () => {
+        const oauthToken = generateOAuthAccessToken({ userId: USER_ID, clientId: CLIENT_ID, scopes: ['openid'] });
+
+        expect(() => verifyToken(oauthToken)).toThrow('Invalid token');
+        expect(() => verifyOAuthAccessToken(generateToken(USER_ID, EMAIL))).toThrow('Invalid token');
+        expect(() => verifyOAuthAccessToken(generateIdToken({ userId: USER_ID, clientId: CLIENT_ID }))).toThrow('Invalid token');
+      });
+
+      test('should require OIDC_ISSUER and signing keys', () => {
+        delete process.env.OIDC_ISSUER;
+        expect(() => generateIdToken({ userId: USER_ID, clientId: CLIENT_ID })).toThrow('OIDC_ISSUER is not defined');
+
+        process.env.OIDC_ISSUER = ISSUER;
+        delete process.env.JWT_SIGNING_KEYS_DIR;
+        expect(() => generateIdToken({ userId: USER_ID, clientId: CLIENT_ID })).toThrow('need signing keys');
+      });
+    });
+  });
+});
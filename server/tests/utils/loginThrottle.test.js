@@ -0,0 +1,54 @@
+const { getLoginDelayMs, isLockoutAttempt } = require('../../src/utils/loginThrottle');
+
+describe('Login Throttle Utility Tests', () => {
+  const settings = {
+    backoffBaseSeconds: 1,
+    lockoutThreshold: 5,
+    lockoutMinutes: 15,
+    maxLockoutMinutes: 24 * 60
+  };
+
+  describe('getLoginDelayMs', () => {
+    test('should not delay without failed attempts', () => {
+      expect(getLoginDelayMs(0, settings)).toBe(0);
+      expect(getLoginDelayMs(undefined, settings)).toBe(0);
+    });
+
+    test('should double the delay for every failure below the threshold', () => {
+      expect(getLoginDelayMs(1, settings)).toBe(1000);
+      expect(getLoginDelayMs(2, settings)).toBe(2000);
+      expect(getLoginDelayMs(3, settings)).toBe(4000);
+      expect(getLoginDelayMs(4, settings)).toBe(8000);
+    });
+
+    test('should lock for lockoutMinutes at the threshold', () => {
+      expect(getLoginDelayMs(5, settings)).toBe(15 * 60 * 1000);
+    });
+
+    test('should double the lock for every failure after the threshold', () => {
+      expect(getLoginDelayMs(6, settings)).toBe(30 * 60 * 1000);
+      expect(getLoginDelayMs(7, settings)).toBe(60 * 60 * 1000);
+    });
+
+    test('should never exceed maxLockoutMinutes', () => {
+      expect(getLoginDelayMs(20, settings)).toBe(24 * 60 * 60 * 1000);
+      expect(getLoginDelayMs(10000, settings)).toBe(24 * 60 * 60 * 1000);
+    });
+
+    test('should respect custom settings', () => {
+      const custom = { backoffBaseSeconds: 2, lockoutThreshold: 3, lockoutMinutes: 1, maxLockoutMinutes: 2 };
+
+      expect(getLoginDelayMs(2, custom)).toBe(4000);
+      expect(getLoginDelayMs(3, custom)).toBe(60 * 1000);
+      expect(getLoginDelayMs(5, custom)).toBe(2 * 60 * 1000);
+    });
+  });
+
+  describe('isLockoutAttempt', () => {
+    test('should only lock from the threshold on', () => {
+      expect(isLockoutAttempt(4, settings)).toBe(false);
+      expect(isLockoutAttempt(5, settings)).toBe(true);
+      expect(isLockoutAttempt(9, settings)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const { checkCodeChallenge, verifyCodeChallenge } = require('../../src/utils/pkce');
+
+// RFC 7636 Appendix B
+const VERIFIER = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+const CHALLENGE = 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM';
+
+describe('PKCE Utility Tests', () => {
+  describe('checkCodeChallenge', () => {
+    test('should accept an S256 challenge', () => {
+      expect(checkCodeChallenge(CHALLENGE, 'S256')).toBeNull();
+    });
+
+    test('should require a challenge', () => {
+      expect(checkCodeChallenge(undefined, 'S256')).toMatch('code_challenge is required');
+    });
+
+    test('should only accept the S256 method', () => {
+      expect(checkCodeChallenge(CHALLENGE, 'plain')).toMatch('must be S256');
+      expect(checkCodeChallenge(CHALLENGE, undefined)).toMatch('must be S256');
+    });
+
+    test('should reject challenges that are not a base64url SHA-256 hash', () => {
+      expect(checkCodeChallenge(VERIFIER.slice(0, 42), 'S256')).toMatch('base64url-encoded SHA-256');
+      expect(checkCodeChallenge(`${CHALLENGE.slice(0, 42)}=`, 'S256')).toMatch('base64url-encoded SHA-256');
+      expect(checkCodeChallenge([CHALLENGE], 'S256')).toMatch('base64url-encoded SHA-256');
+    });
+  });
+
+  describe('verifyCodeChallenge', () => {
+    test('should match the RFC 7636 example', () => {
+      expect(verifyCodeChallenge(VERIFIER, CHALLENGE)).toBe(true);
+    });
+
+    test('should reject another verifier', () => {
+      expect(verifyCodeChallenge(`${VERIFIER.slice(0, -1)}a`, CHALLENGE)).toBe(false);
+    });
+
+    test('should reject the challenge itself as a verifier', () => {
+      expect(verifyCodeChallenge(CHALLENGE, CHALLENGE)).toBe(false);
+    });
+
+    test('should reject verifiers that are too short, too long or contain other characters', () => {
+      expect(verifyCodeChallenge('a'.repeat(42), CHALLENGE)).toBe(false);
+      expect(verifyCodeChallenge('a'.repeat(129), CHALLENGE)).toBe(false);
+      expect(verifyCodeChallenge(`${VERIFIER.slice(0, -1)}+`, CHALLENGE)).toBe(false);
+      expect(verifyCodeChallenge(undefined, CHALLENGE)).toBe(false);
+    });
+  });
+});
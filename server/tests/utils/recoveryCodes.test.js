@@ -0,0 +1,56 @@
+const { generateRecoveryCodes, normalizeRecoveryCode } = require('../../src/utils/recoveryCodes');
+
+describe('Recovery Code Utility Tests', () => {
+  describe('generateRecoveryCodes', () => {
+    test('should generate 10 codes by default', () => {
+      expect(generateRecoveryCodes()).toHaveLength(10);
+    });
+
+    test('should generate the requested number of codes', () => {
+      expect(generateRecoveryCodes(3)).toHaveLength(3);
+    });
+
+    test('should format codes as two groups of five characters', () => {
+      generateRecoveryCodes().forEach((code) => {
+        expect(code).toMatch(/^[a-z2-9]{5}-[a-z2-9]{5}$/);
+      });
+    });
+
+    test('should not use look-alike characters', () => {
+      const codes = generateRecoveryCodes(50).join('');
+      expect(codes).not.toMatch(/[01ilo]/);
+    });
+
+    test('should generate unique codes', () => {
+      const codes = generateRecoveryCodes(20);
+      expect(new Set(codes).size).toBe(20);
+    });
+  });
+
+  describe('normalizeRecoveryCode', () => {
+    test('should accept a generated code', () => {
+      const [code] = generateRecoveryCodes(1);
+      expect(normalizeRecoveryCode(code)).toBe(code.replace('-', ''));
+    });
+
+    test('should ignore case, spaces and dashes', () => {
+      expect(normalizeRecoveryCode(' K7QM2 - XV9TR ')).toBe('k7qm2xv9tr');
+      expect(normalizeRecoveryCode('k7qm2xv9tr')).toBe('k7qm2xv9tr');
+    });
+
+    test('should reject codes of the wrong length', () => {
+      expect(normalizeRecoveryCode('k7qm2-xv9t')).toBeNull();
+      expect(normalizeRecoveryCode('k7qm2-xv9trr')).toBeNull();
+    });
+
+    test('should reject characters outside the alphabet', () => {
+      expect(normalizeRecoveryCode('k7qm2-xv0tr')).toBeNull();
+    });
+
+    test('should reject empty or non-string input', () => {
+      expect(normalizeRecoveryCode('')).toBeNull();
+      expect(normalizeRecoveryCode(null)).toBeNull();
+      expect(normalizeRecoveryCode(1234567890)).toBeNull();
+    });
+  });
+});
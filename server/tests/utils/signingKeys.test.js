@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { getSigningKeyring, getJwks } = require('../../src/utils/signingKeys');
+
+/**
+ * Write a key pair's private key (or only its public key) as <kid>.pem
+ */
+const writeKey = (dir, kid, keyPair, { publicOnly = false } = {}) => {
+  const pem = publicOnly
+    ? keyPair.publicKey.export({ type: 'spki', format: 'pem' })
+    : keyPair.privateKey.export({ type: 'pkcs8', format: 'pem' });
+  fs.writeFileSync(path.join(dir, `${kid}.pem`), pem);
+};
+
+describe('Signing Keys Utility Tests', () => {
+  let keyDir;
+
+  beforeEach(() => {
+    keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-test-'));
+    process.env.JWT_SIGNING_KEYS_DIR = keyDir;
+  });
+
+  afterEach(() => {
+    delete process.env.JWT_SIGNING_KEYS_DIR;
+    delete process.env.JWT_SIGNING_KEY_ID;
+    fs.rmSync(keyDir, { recursive: true, force: true });
+  });
+
+  describe('getSigningKeyring', () => {
+    test('should return null when no key directory is configured', () => {
+      delete process.env.JWT_SIGNING_KEYS_DIR;
+
+      expect(getSigningKeyring()).toBeNull();
+    });
+
+    test('should pick the algorithm from the key type', () => {
+      writeKey(keyDir, 'rsa', crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }));
+      writeKey(keyDir, 'ec', crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }));
+      writeKey(keyDir, 'ed', crypto.generateKeyPairSync('ed25519'));
+      process.env.JWT_SIGNING_KEY_ID = 'ed';
+
+      const { keys, activeKid } = getSigningKeyring();
+
+      expect(activeKid).toBe('ed');
+      expect(keys.get('rsa').alg).toBe('RS256');
+      expect(keys.get('ec').alg).toBe('ES256');
+      expect(keys.get('ed').alg).toBe('EdDSA');
+    });
+
+    test('should load public-only keys for verification', () => {
+      writeKey(keyDir, 'old', crypto.generateKeyPairSync('ed25519'), { publicOnly: true });
+      writeKey(keyDir, 'new', crypto.generateKeyPairSync('ed25519'));
+      process.env.JWT_SIGNING_KEY_ID = 'new';
+
+      const old = getSigningKeyring().keys.get('old');
+
+      expect(old.privateKey).toBeNull();
+      expect(old.publicKey.asymmetricKeyType).toBe('ed25519');
+    });
+
+    test('should require an active key ID', () => {
+      writeKey(keyDir, 'ed', crypto.generateKeyPairSync('ed25519'));
+
+      expect(() => getSigningKeyring()).toThrow('JWT_SIGNING_KEY_ID must name the key');
+    });
+
+    test('should reject an active key ID without a key file', () => {
+      writeKey(keyDir, 'ed', crypto.generateKeyPairSync('ed25519'));
+      process.env.JWT_SIGNING_KEY_ID = 'missing';
+
+      expect(() => getSigningKeyring()).toThrow('"missing" has no key file');
+    });
+
+    test('should reject an active key without a private key', () => {
+      writeKey(keyDir, 'ed', crypto.generateKeyPairSync('ed25519'), { publicOnly: true });
+      process.env.JWT_SIGNING_KEY_ID = 'ed';
+
+      expect(() => getSigningKeyring()).toThrow('only has a public key');
+    });
+
+    test('should reject short RSA keys and other curves', () => {
+      writeKey(keyDir, 'ec', crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' }));
+      process.env.JWT_SIGNING_KEY_ID = 'ec';
+
+      expect(() => getSigningKeyring()).toThrow('P-256');
+
+      fs.rmSync(path.join(keyDir, 'ec.pem'));
+      writeKey(keyDir, 'rsa', crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }));
+      process.env.JWT_SIGNING_KEY_ID = 'rsa';
+
+      expect(() => getSigningKeyring()).toThrow('at least 2048 bits');
+    });
+
+    test('should reject unsupported key types', () => {
+      writeKey(keyDir, 'x', crypto.generateKeyPairSync('x25519'));
+      process.env.JWT_SIGNING_KEY_ID = 'x';
+
+      expect(() => getSigningKeyring()).toThrow('unsupported key type "x25519"');
+    });
+
+    test('should reject files that are not keys', () => {
+      fs.writeFileSync(path.join(keyDir, 'bad.pem'), 'not a key');
+      process.env.JWT_SIGNING_KEY_ID = 'bad';
+
+      expect(() => getSigningKeyring()).toThrow('not a PEM private or public key');
+    });
+
+    test('should reject a missing directory', () => {
+      process.env.JWT_SIGNING_KEYS_DIR = path.join(keyDir, 'missing');
+      process.env.JWT_SIGNING_KEY_ID = 'ed';
+
+      expect(() => getSigningKeyring()).toThrow('Could not read JWT_SIGNING_KEYS_DIR');
+    });
+  });
+
+  describe('getJwks', () => {
+    test('should be empty when tokens are signed with JWT_SECRET', () => {
+      delete process.env.JWT_SIGNING_KEYS_DIR;
+
+      expect(getJwks()).toEqual({ keys: [] });
+    });
+
+    test('should publish every public key with its kid and algorithm', () => {
+      writeKey(keyDir, 'rsa', crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }));
+      writeKey(keyDir, 'ed', crypto.generateKeyPairSync('ed25519'));
+      process.env.JWT_SIGNING_KEY_ID = 'ed';
+
+      const { keys } = getJwks();
+      const byKid = Object.fromEntries(keys.map((key) => [key.kid, key]));
+
+      expect(keys).toHaveLength(2);
+      expect(byKid.rsa).toMatchObject({ kty: 'RSA', alg: 'RS256', use: 'sig' });
+      expect(byKid.ed).toMatchObject({ kty: 'OKP', crv: 'Ed25519', alg: 'EdDSA', use: 'sig' });
+    });
+
+    test('should never publish private key material', () => {
+      writeKey(keyDir, 'rsa', crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }));
+      writeKey(keyDir, 'ec', crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }));
+      writeKey(keyDir, 'ed', crypto.generateKeyPairSync('ed25519'));
+      process.env.JWT_SIGNING_KEY_ID = 'rsa';
+
+      getJwks().keys.forEach((key) => {
+        ['d', 'p', 'q', 'dp', 'dq', 'qi'].forEach((field) => {
+          expect(key).not.toHaveProperty(field);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  getTimeStep,
+  buildOtpauthUri
+} = require('../../src/utils/totp');
+
+describe('TOTP Utility Tests', () => {
+  // Shared secret from RFC 4226 / RFC 6238 test vectors: ASCII "12345678901234567890"
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+  describe('Base32', () => {
+    test('should encode the RFC test secret', () => {
+      expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    });
+
+    test('should round trip random data', () => {
+      const data = Buffer.from('any random bytes \x00\xff');
+      expect(base32Decode(base32Encode(data)).equals(data)).toBe(true);
+    });
+
+    test('should ignore case, spaces and padding when decoding', () => {
+      expect(base32Decode('gezd gnbv gy3t qojq====').toString()).toBe('1234567890');
+    });
+
+    test('should reject invalid characters', () => {
+      expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateSecret', () => {
+    test('should generate a 160-bit base32 secret', () => {
+      const secret = generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]+$/);
+      expect(base32Decode(secret).length).toBe(20);
+    });
+
+    test('should generate different secrets', () => {
+      expect(generateSecret()).not.toBe(generateSecret());
+    });
+  });
+
+  describe('generateHotp (RFC 4226 vectors)', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+    test.each(expected.map((code, counter) => [counter, code]))('counter %i should produce %s', (counter, code) => {
+      expect(generateHotp(rfcSecret, counter)).toBe(code);
+    });
+  });
+
+  describe('generateTotp (RFC 6238 SHA-1 vectors)', () => {
+    test.each([
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ])('time %i should produce %s', (seconds, code) => {
+      expect(generateTotp(rfcSecret, { time: seconds * 1000, digits: 8 })).toBe(code);
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const secret = generateSecret();
+    const time = 1700000000000;
+
+    test('should accept the current code and return its time step', () => {
+      const code = generateTotp(secret, { time });
+      expect(verifyTotp(secret, code, { time })).toBe(getTimeStep(time));
+    });
+
+    test('should accept codes from the adjacent time step (clock drift)', () => {
+      const previousCode = generateTotp(secret, { time: time - 30000 });
+      expect(verifyTotp(secret, previousCode, { time })).toBe(getTimeStep(time) - 1);
+    });
+
+    test('should reject codes outside the window', () => {
+      const oldCode = generateTotp(secret, { time: time - 120000 });
+      expect(verifyTotp(secret, oldCode, { time })).toBeNull();
+    });
+
+    test('should reject malformed codes', () => {
+      expect(verifyTotp(secret, '', { time })).toBeNull();
+      expect(verifyTotp(secret, '12345', { time })).toBeNull();
+      expect(verifyTotp(secret, 'abcdef', { time })).toBeNull();
+      expect(verifyTotp(secret, null, { time })).toBeNull();
+    });
+
+    test('should accept codes typed with spaces', () => {
+      const code = generateTotp(secret, { time });
+      expect(verifyTotp(secret, `${code.slice(0, 3)} ${code.slice(3)}`, { time })).not.toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    test('should build an otpauth URI for authenticator apps', () => {
+      const uri = buildOtpauthUri({ secret: rfcSecret, accountName: 'user@example.com', issuer: 'Identity Service' });
+
+      expect(uri.startsWith('otpauth://totp/Identity%20Service%3Auser%40example.com?')).toBe(true);
+      expect(uri).toContain(`secret=${rfcSecret}`);
+      expect(uri).toContain('issuer=Identity+Service');
+      expect(uri).toContain('digits=6');
+      expect(uri).toContain('period=30');
+    });
+  });
+});
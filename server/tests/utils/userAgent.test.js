@@ -0,0 +1,44 @@
+const { describeUserAgent } = require('../../src/utils/userAgent');
+
+describe('User Agent Utility Tests', () => {
+  test('should describe Chrome on Windows', () => {
+    const ua = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+    expect(describeUserAgent(ua)).toBe('Chrome on Windows');
+  });
+
+  test('should describe Safari on macOS', () => {
+    const ua = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15';
+    expect(describeUserAgent(ua)).toBe('Safari on macOS');
+  });
+
+  test('should describe Safari on iOS', () => {
+    const ua = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+    expect(describeUserAgent(ua)).toBe('Safari on iOS');
+  });
+
+  test('should describe Firefox on Linux', () => {
+    const ua = 'Mozilla/5.0 (X11; Linux x86_64; rv:125.0) Gecko/20100101 Firefox/125.0';
+    expect(describeUserAgent(ua)).toBe('Firefox on Linux');
+  });
+
+  test('should prefer Edge over Chrome', () => {
+    const ua = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 Edg/124.0.2478.51';
+    expect(describeUserAgent(ua)).toBe('Edge on Windows');
+  });
+
+  test('should prefer Android over Linux', () => {
+    const ua = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36';
+    expect(describeUserAgent(ua)).toBe('Chrome on Android');
+  });
+
+  test('should recognise API clients', () => {
+    expect(describeUserAgent('PostmanRuntime/7.37.3')).toBe('Postman');
+    expect(describeUserAgent('curl/8.5.0')).toBe('curl');
+  });
+
+  test('should fall back to "Unknown device"', () => {
+    expect(describeUserAgent('')).toBe('Unknown device');
+    expect(describeUserAgent(undefined)).toBe('Unknown device');
+    expect(describeUserAgent('SomeBot/1.0')).toBe('Unknown device');
+  });
+});